@@ -0,0 +1,334 @@
+// AlarmLog.js - Alarm lifecycle and audit trail
+// Turns HaasMachine 'alarm' / 'alarmCleared' events into persistent
+// alarm records that operators acknowledge, assign, comment on and
+// resolve. Every action is kept in an append-only activity trail.
+//
+//   ACTIVE -> ACKNOWLEDGED -> CLEARED -> RESOLVED
+//   (an alarm can also clear before anyone acknowledges it)
+
+const { lookupAlarm } = require('./alarmCatalog');
+const clock = require('./clock');
+
+const ALARM_STATES = ['ACTIVE', 'ACKNOWLEDGED', 'CLEARED', 'RESOLVED'];
+
+const ALARM_COLUMNS = `
+  id, machine_id, code, message, cycle_phase, spindle_load, raised_at,
+  acknowledged_at, acknowledged_by, assigned_to, cleared_at, cleared_by,
+  resolved_at, resolved_by, root_cause
+`;
+
+// State is derived from which milestones have happened
+const STATE_SQL = `
+  CASE
+    WHEN resolved_at IS NOT NULL THEN 'RESOLVED'
+    WHEN cleared_at IS NOT NULL THEN 'CLEARED'
+    WHEN acknowledged_at IS NOT NULL THEN 'ACKNOWLEDGED'
+    ELSE 'ACTIVE'
+  END
+`;
+
+class AlarmError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AlarmError';
+    this.status = status;
+  }
+}
+
+class AlarmLog {
+  constructor(db) {
+    this.db = db;
+    this._createSchema();
+    this._prepareStatements();
+
+    this.tracked = new Map(); // machineId -> { machine, listeners }
+
+    // Machines start without alarms, so anything left open by the last
+    // run is gone - close it at startup
+    const now = clock.now();
+    this.stmts.clearStale.all({ at: now }).forEach(row => {
+      this.stmts.insertActivity.run({ alarmId: row.id, at: now, action: 'CLEARED', by: 'restart', text: null });
+    });
+  }
+
+  _createSchema() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS alarms (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        machine_id TEXT NOT NULL,
+        code INTEGER,
+        message TEXT NOT NULL,
+        cycle_phase TEXT,
+        spindle_load REAL,
+        raised_at INTEGER NOT NULL,
+        acknowledged_at INTEGER,
+        acknowledged_by TEXT,
+        assigned_to TEXT,
+        cleared_at INTEGER,
+        cleared_by TEXT,
+        resolved_at INTEGER,
+        resolved_by TEXT,
+        root_cause TEXT
+      );
+      CREATE INDEX IF NOT EXISTS alarms_machine_time ON alarms (machine_id, raised_at);
+
+      CREATE TABLE IF NOT EXISTS alarm_activity (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        alarm_id INTEGER NOT NULL,
+        at INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        by TEXT,
+        text TEXT
+      );
+      CREATE INDEX IF NOT EXISTS alarm_activity_alarm ON alarm_activity (alarm_id, at);
+    `);
+  }
+
+  _prepareStatements() {
+    this.stmts = {
+      insertAlarm: this.db.prepare(`
+        INSERT INTO alarms (machine_id, code, message, cycle_phase, spindle_load, raised_at)
+        VALUES (@machineId, @code, @message, @cyclePhase, @spindleLoad, @at)
+      `),
+      clearAlarm: this.db.prepare('UPDATE alarms SET cleared_at = @at, cleared_by = @by WHERE id = @id AND cleared_at IS NULL'),
+      clearStale: this.db.prepare("UPDATE alarms SET cleared_at = @at, cleared_by = 'restart' WHERE cleared_at IS NULL RETURNING id"),
+      acknowledge: this.db.prepare('UPDATE alarms SET acknowledged_at = @at, acknowledged_by = @by WHERE id = @id'),
+      assign: this.db.prepare('UPDATE alarms SET assigned_to = @assignee WHERE id = @id'),
+      resolve: this.db.prepare('UPDATE alarms SET resolved_at = @at, resolved_by = @by, root_cause = @rootCause WHERE id = @id'),
+
+      insertActivity: this.db.prepare(`
+        INSERT INTO alarm_activity (alarm_id, at, action, by, text)
+        VALUES (@alarmId, @at, @action, @by, @text)
+      `),
+      activity: this.db.prepare('SELECT at, action, by, text FROM alarm_activity WHERE alarm_id = ? ORDER BY at, id'),
+
+      get: this.db.prepare(`SELECT ${ALARM_COLUMNS} FROM alarms WHERE id = ?`),
+      openForMachine: this.db.prepare(`
+        SELECT ${ALARM_COLUMNS} FROM alarms
+        WHERE machine_id = ? AND cleared_at IS NULL
+        ORDER BY raised_at DESC LIMIT 1
+      `),
+      list: this.db.prepare(`
+        SELECT ${ALARM_COLUMNS} FROM alarms
+        WHERE (@machineId IS NULL OR machine_id = @machineId)
+          AND (@state IS NULL OR ${STATE_SQL} = @state)
+          AND raised_at >= @from AND raised_at < @to
+        ORDER BY raised_at DESC
+        LIMIT @limit
+      `)
+    };
+  }
+
+  // ========================================
+  // TRACKING
+  // ========================================
+
+  track(machine) {
+    const current = this.tracked.get(machine.id);
+    if (current && current.machine === machine) return;
+    if (current) this.untrack(machine.id);
+
+    const listeners = {
+      alarm: (event) => this._safely('record the alarm', event.machineId, () => this._raised(event)),
+      alarmCleared: (event) => this._safely('record the alarm clear', event.machineId,
+        () => this._cleared(event.machineId, event.clearedAt, event.clearedBy))
+    };
+    machine.on('alarm', listeners.alarm);
+    machine.on('alarmCleared', listeners.alarmCleared);
+
+    this.tracked.set(machine.id, { machine, listeners });
+  }
+
+  untrack(machineId) {
+    const entry = this.tracked.get(machineId);
+    if (!entry) return;
+
+    entry.machine.off('alarm', entry.listeners.alarm);
+    entry.machine.off('alarmCleared', entry.listeners.alarmCleared);
+    this.tracked.delete(machineId);
+    this._cleared(machineId, new Date(clock.now()).toISOString(), 'removed');
+  }
+
+  // The listeners run inside the machine update; a failed write is
+  // logged and skipped instead of throwing out of the simulation step
+  _safely(what, machineId, write) {
+    try {
+      write();
+    } catch (err) {
+      console.error(`⚠️  Could not ${what} for ${machineId}: ${err.message}`);
+    }
+  }
+
+  _raised(event) {
+    const at = Date.parse(event.timestamp);
+
+    this.db.transaction(() => {
+      // A new alarm replaces whatever the machine was showing before
+      this._cleared(event.machineId, event.timestamp, 'superseded');
+
+      const { lastInsertRowid } = this.stmts.insertAlarm.run({
+        machineId: event.machineId,
+        code: event.code,
+        message: event.message,
+        cyclePhase: event.cyclePhase,
+        spindleLoad: event.spindleLoad,
+        at: at
+      });
+      this.stmts.insertActivity.run({ alarmId: lastInsertRowid, at, action: 'RAISED', by: null, text: null });
+    })();
+  }
+
+  _cleared(machineId, timestamp, by) {
+    const open = this.stmts.openForMachine.get(machineId);
+    if (!open) return;
+
+    const at = timestamp ? Date.parse(timestamp) : clock.now();
+    this.stmts.clearAlarm.run({ id: open.id, at, by: by || null });
+    this.stmts.insertActivity.run({ alarmId: open.id, at, action: 'CLEARED', by: by || null, text: null });
+  }
+
+  // ========================================
+  // OPERATOR ACTIONS
+  // ========================================
+
+  acknowledge(id, { by, note = null }) {
+    const alarm = this._require(id);
+    if (alarm.acknowledged_at !== null) {
+      throw new AlarmError(409, `Alarm already acknowledged by ${alarm.acknowledged_by}`);
+    }
+    if (alarm.resolved_at !== null) {
+      throw new AlarmError(409, 'Alarm already resolved');
+    }
+
+    const at = clock.now();
+    this.db.transaction(() => {
+      this.stmts.acknowledge.run({ id, at, by });
+      this.stmts.insertActivity.run({ alarmId: id, at, action: 'ACKNOWLEDGED', by, text: note });
+    })();
+    return this.get(id);
+  }
+
+  assign(id, { by, assignee }) {
+    const alarm = this._require(id);
+    if (alarm.resolved_at !== null) {
+      throw new AlarmError(409, 'Alarm already resolved');
+    }
+
+    this.db.transaction(() => {
+      this.stmts.assign.run({ id, assignee });
+      this.stmts.insertActivity.run({ alarmId: id, at: clock.now(), action: 'ASSIGNED', by, text: assignee });
+    })();
+    return this.get(id);
+  }
+
+  // Only once the condition has cleared on the machine
+  resolve(id, { by, rootCause, note = null }) {
+    const alarm = this._require(id);
+    if (alarm.resolved_at !== null) {
+      throw new AlarmError(409, 'Alarm already resolved');
+    }
+    if (alarm.cleared_at === null) {
+      throw new AlarmError(409, 'Alarm is still active on the machine - clear it first');
+    }
+
+    const at = clock.now();
+    this.db.transaction(() => {
+      this.stmts.resolve.run({ id, at, by, rootCause });
+      this.stmts.insertActivity.run({ alarmId: id, at, action: 'RESOLVED', by, text: note || rootCause });
+    })();
+    return this.get(id);
+  }
+
+  comment(id, { by, text }) {
+    this._require(id);
+    this.stmts.insertActivity.run({ alarmId: id, at: clock.now(), action: 'COMMENT', by, text });
+    return this.comments(id);
+  }
+
+  _require(id) {
+    const row = this.stmts.get.get(id);
+    if (!row) throw new AlarmError(404, 'Alarm not found');
+    return row;
+  }
+
+  // ========================================
+  // QUERIES
+  // ========================================
+
+  // With the full activity trail
+  get(id) {
+    const row = this.stmts.get.get(id);
+    if (!row) return null;
+
+    return Object.assign(toAlarm(row), {
+      activity: this.stmts.activity.all(id).map(toActivity)
+    });
+  }
+
+  comments(id) {
+    return this.stmts.activity.all(id)
+      .filter(entry => entry.action === 'COMMENT')
+      .map(toActivity);
+  }
+
+  // Alarm currently showing on a machine, if any
+  current(machineId) {
+    const row = this.stmts.openForMachine.get(machineId);
+    return row ? toAlarm(row) : null;
+  }
+
+  // Newest first
+  list({ machineId = null, state = null, from = 0, to = clock.now(), limit = 100 } = {}) {
+    return this.stmts.list
+      .all({ machineId, state, from, to, limit })
+      .map(toAlarm);
+  }
+}
+
+function toAlarm(row) {
+  const info = lookupAlarm(row.code, row.message);
+
+  return {
+    id: row.id,
+    machineId: row.machine_id,
+    code: row.code,
+    message: row.message,
+    title: info ? info.title : row.message,
+    severity: info ? info.severity : null,
+    state: row.resolved_at !== null ? 'RESOLVED'
+      : row.cleared_at !== null ? 'CLEARED'
+      : row.acknowledged_at !== null ? 'ACKNOWLEDGED'
+      : 'ACTIVE',
+    cyclePhase: row.cycle_phase,
+    spindleLoad: row.spindle_load,
+    raisedAt: iso(row.raised_at),
+    acknowledgedAt: iso(row.acknowledged_at),
+    acknowledgedBy: row.acknowledged_by,
+    assignedTo: row.assigned_to,
+    clearedAt: iso(row.cleared_at),
+    clearedBy: row.cleared_by,
+    resolvedAt: iso(row.resolved_at),
+    resolvedBy: row.resolved_by,
+    rootCause: row.root_cause,
+    timeToAcknowledgeSec: elapsedSec(row.raised_at, row.acknowledged_at),
+    timeToClearSec: elapsedSec(row.raised_at, row.cleared_at),
+    timeToResolveSec: elapsedSec(row.raised_at, row.resolved_at)
+  };
+}
+
+function toActivity(row) {
+  return { at: iso(row.at), action: row.action, by: row.by, text: row.text };
+}
+
+function iso(ts) {
+  return ts === null ? null : new Date(ts).toISOString();
+}
+
+function elapsedSec(from, to) {
+  return to === null ? null : Math.round((to - from) / 1000);
+}
+
+AlarmLog.ALARM_STATES = ALARM_STATES;
+AlarmLog.AlarmError = AlarmError;
+
+module.exports = AlarmLog;
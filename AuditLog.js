@@ -0,0 +1,176 @@
+// AuditLog.js - Append-only audit trail of control actions
+// Records who changed what through the API (power, alarms, maintenance
+// mode, fleet edits, accounts): the actor and their role, source IP,
+// route, machine, state before and after, and an optional reason.
+// The actor is always who authenticated (a user, or key:<id>:<name>); a
+// person an API key says it is acting for is kept apart in on_behalf_of.
+//
+// Entries are hash-chained: each hash covers the entry and the hash of
+// the one before it, so editing or removing an entry breaks every hash
+// after it and verify() points at the first one that no longer matches.
+// Triggers also refuse UPDATE and DELETE on the table.
+
+const crypto = require('crypto');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+const AUDIT_COLUMNS = `
+  id, at, actor, actor_type, on_behalf_of, role, ip, method, route, machine_id, action,
+  reason, before_state, after_state, prev_hash, hash
+`;
+
+class AuditLog {
+  constructor(db) {
+    this.db = db;
+    this._createSchema();
+    this._prepareStatements();
+  }
+
+  _createSchema() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY,
+        at INTEGER NOT NULL,
+        actor TEXT NOT NULL,
+        actor_type TEXT NOT NULL,
+        on_behalf_of TEXT,
+        role TEXT,
+        ip TEXT,
+        method TEXT NOT NULL,
+        route TEXT NOT NULL,
+        machine_id TEXT,
+        action TEXT NOT NULL,
+        reason TEXT,
+        before_state TEXT,
+        after_state TEXT,
+        prev_hash TEXT NOT NULL,
+        hash TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS audit_log_machine ON audit_log (machine_id, at);
+      CREATE INDEX IF NOT EXISTS audit_log_actor ON audit_log (actor, at);
+
+      CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+      CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+    `);
+  }
+
+  _prepareStatements() {
+    this.stmts = {
+      last: this.db.prepare('SELECT id, hash FROM audit_log ORDER BY id DESC LIMIT 1'),
+      insert: this.db.prepare(`
+        INSERT INTO audit_log (${AUDIT_COLUMNS})
+        VALUES (@id, @at, @actor, @actor_type, @on_behalf_of, @role, @ip, @method, @route, @machine_id, @action,
+                @reason, @before_state, @after_state, @prev_hash, @hash)
+      `),
+      get: this.db.prepare(`SELECT ${AUDIT_COLUMNS} FROM audit_log WHERE id = ?`),
+      list: this.db.prepare(`
+        SELECT ${AUDIT_COLUMNS} FROM audit_log
+        WHERE (@actor IS NULL OR actor = @actor OR on_behalf_of = @actor)
+          AND (@machineId IS NULL OR machine_id = @machineId)
+          AND (@action IS NULL OR action = @action)
+          AND at >= @from AND at < @to
+        ORDER BY id DESC
+        LIMIT @limit
+      `),
+      all: this.db.prepare(`SELECT ${AUDIT_COLUMNS} FROM audit_log ORDER BY id`)
+    };
+
+    this._append = this.db.transaction(row => {
+      const last = this.stmts.last.get();
+      row.id = last ? last.id + 1 : 1;
+      row.prev_hash = last ? last.hash : GENESIS_HASH;
+      row.hash = hashEntry(row);
+      this.stmts.insert.run(row);
+      return row.id;
+    });
+  }
+
+  // before / after: any JSON-serializable state (or null)
+  record({ actor, actorType, onBehalfOf = null, role = null, ip = null, method, route, machineId = null, action, reason = null, before = null, after = null }, now = Date.now()) {
+    const id = this._append({
+      at: now,
+      actor: actor,
+      actor_type: actorType,
+      on_behalf_of: onBehalfOf,
+      role: role,
+      ip: ip,
+      method: method,
+      route: route,
+      machine_id: machineId,
+      action: action,
+      reason: reason,
+      before_state: before === null ? null : JSON.stringify(before),
+      after_state: after === null ? null : JSON.stringify(after)
+    });
+    return this.get(id);
+  }
+
+  get(id) {
+    const row = this.stmts.get.get(id);
+    return row ? toEntry(row) : null;
+  }
+
+  // Newest first
+  list({ actor = null, machineId = null, action = null, from, to, limit = 100 }) {
+    return this.stmts.list.all({ actor, machineId, action, from, to, limit }).map(toEntry);
+  }
+
+  // Walks the chain from the start; firstInvalid is where it breaks
+  verify() {
+    let prevHash = GENESIS_HASH;
+    let prevId = 0;
+    let count = 0;
+
+    for (const row of this.stmts.all.iterate()) {
+      let problem = null;
+      if (row.id !== prevId + 1) problem = `entry ${prevId + 1} is missing`;
+      else if (row.prev_hash !== prevHash) problem = 'previous hash does not match';
+      else if (hashEntry(row) !== row.hash) problem = 'entry was modified';
+
+      if (problem) {
+        return { valid: false, entries: count, firstInvalid: { id: row.id, problem: problem }, lastHash: prevHash };
+      }
+      prevHash = row.hash;
+      prevId = row.id;
+      count++;
+    }
+
+    return { valid: true, entries: count, firstInvalid: null, lastHash: prevHash };
+  }
+}
+
+// Every column but the hash itself
+function hashEntry(row) {
+  const material = JSON.stringify([
+    row.id, row.at, row.actor, row.actor_type, row.on_behalf_of, row.role, row.ip, row.method, row.route,
+    row.machine_id, row.action, row.reason, row.before_state, row.after_state, row.prev_hash
+  ]);
+  return crypto.createHash('sha256').update(material).digest('hex');
+}
+
+function toEntry(row) {
+  return {
+    id: row.id,
+    at: new Date(row.at).toISOString(),
+    actor: row.actor,
+    actorType: row.actor_type,
+    onBehalfOf: row.on_behalf_of,
+    role: row.role,
+    ip: row.ip,
+    method: row.method,
+    route: row.route,
+    machineId: row.machine_id,
+    action: row.action,
+    reason: row.reason,
+    before: row.before_state === null ? null : JSON.parse(row.before_state),
+    after: row.after_state === null ? null : JSON.parse(row.after_state),
+    prevHash: row.prev_hash,
+    hash: row.hash
+  };
+}
+
+AuditLog.GENESIS_HASH = GENESIS_HASH;
+
+module.exports = AuditLog;
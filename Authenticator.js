@@ -0,0 +1,106 @@
+// Authenticator.js - Sign-in tokens, API keys and role checks
+// Users trade a username and password for a signed token (JWT) and send
+// it as "Authorization: Bearer <token>". Integrations send an API key,
+// either as the bearer token or in X-API-Key. Either way the request
+// gets an identity on req.auth:
+//
+//   { type: 'user' | 'key', id, name, role, expiresAt }
+//
+// The account or key is looked up on every request, so disabling a user,
+// changing their role or revoking a key takes effect immediately rather
+// than when the token runs out.
+
+const jwt = require('jsonwebtoken');
+const UserStore = require('./UserStore');
+
+const { ROLES, KEY_PREFIX } = UserStore;
+
+class Authenticator {
+  constructor({ users, secret, tokenTtl = '12h' }) {
+    this.users = users;
+    this.secret = secret;
+    this.tokenTtl = tokenTtl;
+  }
+
+  // { token, expiresAt, user } or null for bad credentials
+  login(username, password) {
+    const user = this.users.checkPassword(username, password);
+    if (!user) return null;
+
+    const token = jwt.sign({ role: user.role }, this.secret, {
+      subject: user.username,
+      expiresIn: this.tokenTtl
+    });
+    return {
+      token: token,
+      expiresAt: new Date(jwt.decode(token).exp * 1000).toISOString(),
+      user: user
+    };
+  }
+
+  // Identity for a token or API key, or null
+  identify(credential) {
+    if (typeof credential !== 'string' || credential === '') return null;
+
+    if (credential.startsWith(KEY_PREFIX)) {
+      const key = this.users.findKey(credential);
+      return key ? { type: 'key', id: key.id, name: key.name, role: key.role, expiresAt: null } : null;
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(credential, this.secret);
+    } catch (err) {
+      return null;
+    }
+    const user = this.users.get(claims.sub);
+    if (!user || user.disabled) return null;
+
+    return {
+      type: 'user',
+      id: user.username,
+      name: user.name,
+      role: user.role,
+      expiresAt: new Date(claims.exp * 1000).toISOString()
+    };
+  }
+
+  // Credential from request headers (WebSocket clients can also use ?token=)
+  credentialFrom(req) {
+    const header = req.headers.authorization;
+    if (header && /^Bearer /i.test(header)) return header.slice(7).trim();
+    return req.headers['x-api-key'] || null;
+  }
+
+  // Express middleware: 401 without a valid credential
+  authenticate() {
+    return (req, res, next) => {
+      const identity = this.identify(this.credentialFrom(req));
+      if (!identity) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      req.auth = identity;
+      next();
+    };
+  }
+}
+
+function hasRole(identity, role) {
+  return ROLES.indexOf(identity.role) >= ROLES.indexOf(role);
+}
+
+// Express middleware: 403 unless the caller has at least this role
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.auth, role)) {
+      return res.status(403).json({ error: `Requires ${role} role (you are ${req.auth.role})` });
+    }
+    next();
+  };
+}
+
+Authenticator.hasRole = hasRole;
+Authenticator.requireRole = requireRole;
+
+module.exports = Authenticator;
@@ -1,35 +1,81 @@
 // HaasMachine.js - Professional V2
 // Real Haas alarm codes + Model-specific dashboards
 // Based on actual Haas troubleshooting data
+//
+// Randomness comes from options.random (a seeded generator from random.js
+// makes a run reproducible) and time from clock.js (simulation time).
+// CNC cycles run the uploaded G-code for programRunning when
+// options.programs(number) has it, and make one up otherwise; press
+// brakes do the same with options.bendPrograms(number).
+//
+// Events: 'execution' (state transitions), 'cycle' (completed cycles),
+// 'alarm' / 'alarmCleared'
 
-class HaasMachine {
-  constructor(id, name, model, type, specs = {}) {
+const EventEmitter = require('events');
+const { lookupAlarm } = require('./alarmCatalog');
+const { FAULT_MODES } = require('./faultModes');
+const { parseProgram, planProgram, positionAt, ProgramError } = require('./gcode');
+const { planBends } = require('./bendPrograms');
+const clock = require('./clock');
+
+const TOOL_TYPES = ['DRILL', 'END_MILL', 'FACE_MILL', 'REAMER', 'TAP', 'BORING_BAR'];
+
+// Default life limit per tool type (cutting minutes)
+const TOOL_LIFE_MINUTES = {
+  DRILL: 45,
+  END_MILL: 60,
+  FACE_MILL: 90,
+  REAMER: 120,
+  TAP: 80,
+  BORING_BAR: 75
+};
+
+// A part is flagged SUSPECT when its cycle peaked above these - just
+// under the spindle overload and high vibration alarms. Press brakes and
+// lasers report tonnage / beam power as spindleLoad, so only spindle
+// machines are checked.
+const SUSPECT_LIMITS = {
+  spindleLoad: 90,
+  vibration: 4.0
+};
+
+// Readings a scenario can set; they drift on from the new value
+const SETTABLE_READINGS = [
+  'coolant.level', 'batteryVoltage', 'oilLevel', 'temperature', 'spindleTemp',
+  'servoTemp.X', 'servoTemp.Y', 'servoTemp.Z'
+];
+
+class HaasMachine extends EventEmitter {
+  constructor(id, name, model, type, specs = {}, { random = Math.random, programs = () => null, bendPrograms = () => null } = {}) {
+    super();
+    
+    this.random = random;
+    this.programs = programs; // program number -> G-code source or null
+    this.bendPrograms = bendPrograms; // program number -> bend program or null
     this.id = id;
     this.name = name;
     this.model = model; // "VF-2", "VF-4", "HMC", "LATHE", "PRESS", "LASER"
     this.type = type;   // "CNC_MILL", "LATHE", "PRESS_BRAKE", "LASER"
+    this.serialNumber = null; // Reported by live data sources
     
     // Machine Specifications
-    this.specs = {
-      axisLimits: specs.axisLimits || { X: [0, 762], Y: [0, 406], Z: [0, 508] },
-      spindlePower: specs.spindlePower || 30, // HP
-      maxRPM: specs.maxRPM || 8100,
-      rapidTraverse: specs.rapidTraverse || 1000, // ipm
-      toolCapacity: specs.toolCapacity || 24
-    };
+    this.specs = HaasMachine.normalizeSpecs(specs);
     
     // === CORE STATE ===
     this.power = true;
-    this.execution = 'IDLE'; // IDLE, RUNNING, ALARM, STOPPED
-    this.cyclePhase = 'IDLE'; // IDLE, SPINDLE_RAMP, RAPID, CUTTING, RETRACT, DWELL, FINISH
+    this.execution = 'IDLE'; // IDLE, RUNNING, ALARM, STOPPED, MAINTENANCE
+    this.maintenanceMode = false; // Taken out of production for maintenance work
+    this.cyclePhase = 'IDLE'; // IDLE, TOOL_CHANGE, SPINDLE_RAMP, RAPID, CUTTING, RETRACT, DWELL, FINISH
     this.timeInPhase = 0.0;
-    this.cycleTimeTarget = 20 + Math.random() * 25;
+    this.cycleTimeTarget = 20 + this.random() * 25;
     
     // === CRITICAL ALARMS (Real Haas Codes) ===
     this.alarm = null;
     this.alarmCode = null;
+    this.alarmSeverity = null;
     this.alarmHistory = [];
     this.warnings = [];
+    this.faults = {}; // Simulated fault modes: mode -> { startedAt, severity, rampMinutes, axis, startedBy }
     
     // === SPINDLE DATA (Critical Monitoring) ===
     this.spindleSpeed = 0;
@@ -59,6 +105,16 @@ class HaasMachine {
     this.totalCycles = 0;
     this.machineOnHours = 0.0;
     this.productionRate = 0; // parts/hour
+    this.cycleElapsed = 0.0; // seconds into the current cycle
+    this.lastCycleTime = null; // seconds
+    this.cyclePeaks = { spindleLoad: 0, vibration: 0 }; // highest readings this cycle
+    this.lastCycleQuality = null; // 'GOOD' | 'SUSPECT'
+    
+    // === QUALITY ===
+    // Parts since start; good = partCount - scrap - rework
+    this.scrapParts = 0;
+    this.reworkParts = 0;
+    this.suspectParts = 0; // flagged and not yet inspected
     
     // === HEALTH MONITORING (Haas Common Issues) ===
     this.batteryVoltage = 3.6; // Alarm 9100: LOW BATTERY
@@ -73,7 +129,10 @@ class HaasMachine {
       this.currentTool = 1;
       this.tools = this._initializeTools();
       this.toolChangeCount = 0;
-      this.toolWear = 0.0;
+      this.toolWear = this.tools[0].wear; // Wear of the tool in the spindle
+      this.toolSequence = [];  // Tools the running program calls, in order
+      this.operationIndex = 0;
+      this.nextTool = null;
       
       // Coolant System (Alarm 115: COOLANT PUMP FAULT)
       this.coolant = {
@@ -91,6 +150,8 @@ class HaasMachine {
       this.ramPosition = 0;
       this.backGauge = 0;
       this.bendAngle = 0;
+      this.bendRun = null; // Bend program being executed
+      this.bendStats = null; // Angle deviation per bend of the last program run
     }
     
     // === LASER SPECIFIC ===
@@ -104,42 +165,216 @@ class HaasMachine {
     
     this.material = null;
     this.programRunning = null;
-    this.timestamp = new Date();
+    this.programRun = null; // Uploaded program being executed (CNC)
+    this.job = null; // Active job, set by JobTracker
+    this.timestamp = this._now();
+    
+    // === DATA SOURCE ===
+    // null = built-in simulator, otherwise a live source (see sources/)
+    this.dataSource = null;
+    this._sourceSynced = false;
+    
+    // Last state reported through the 'execution' event
+    this._reportedState = { execution: this.execution, power: this.power };
   }
 
   // ========================================
-  // TOOL INITIALIZATION
+  // SPECIFICATIONS
+  // ========================================
+  
+  static normalizeSpecs(specs = {}) {
+    return {
+      axisLimits: specs.axisLimits || { X: [0, 762], Y: [0, 406], Z: [0, 508] },
+      spindlePower: specs.spindlePower || 30, // HP
+      maxRPM: specs.maxRPM || 8100,
+      rapidTraverse: specs.rapidTraverse || 1000, // ipm
+      toolCapacity: specs.toolCapacity || 24,
+      toolChangeTime: specs.toolChangeTime || 3 // seconds, chip to chip
+    };
+  }
+  
+  // Re-apply specs on a running machine (config reload / API edit)
+  applySpecs(specs = {}) {
+    this.specs = HaasMachine.normalizeSpecs(specs);
+    
+    if (this.tools) {
+      const count = this.type === 'CNC_MILL' ? this.specs.toolCapacity : 12;
+      if (this.tools.length !== count) {
+        const existing = this.tools.slice(0, count);
+        this.tools = existing.concat(this._initializeTools().slice(existing.length));
+        if (this.currentTool > count) this.currentTool = 1;
+      }
+    }
+    
+    if (this.type === 'PRESS_BRAKE') {
+      this.maxTonnage = specs.maxTonnage || 200;
+    }
+    
+    if (this.type === 'LASER') {
+      this.maxLaserPower = specs.maxLaserPower || 6000;
+    }
+    
+    // Keep axes inside the (possibly smaller) travel
+    ['X', 'Y', 'Z'].forEach(axis => {
+      const [min, max] = this.specs.axisLimits[axis];
+      this.axisPositions[axis] = Math.min(max, Math.max(min, this.axisPositions[axis]));
+    });
+  }
+
+  // ========================================
+  // TOOL MANAGEMENT
+  // Life is tracked in cutting minutes and/or cuts (one cut = one
+  // operation with the tool); currentLife is the % left of whichever
+  // limit runs out first
   // ========================================
   
   _initializeTools() {
     const tools = [];
     const count = this.type === 'CNC_MILL' ? this.specs.toolCapacity : 12;
-    const toolTypes = ['DRILL', 'END_MILL', 'FACE_MILL', 'REAMER', 'TAP', 'BORING_BAR'];
     
     for (let i = 1; i <= count; i++) {
-      tools.push({
-        number: i,
-        type: toolTypes[Math.floor(Math.random() * toolTypes.length)],
-        diameter: (Math.random() * 20 + 2).toFixed(2),
-        length: (Math.random() * 100 + 50).toFixed(2),
-        currentLife: 100 - Math.random() * 80,
-        maxLife: 100,
-        flutes: Math.floor(Math.random() * 4) + 2,
-        coating: ['TiN', 'TiCN', 'AlTiN', 'Uncoated'][Math.floor(Math.random() * 4)],
-        description: `Tool ${i}`,
-        inUse: false,
-        totalCuts: 0
-      });
+      const type = TOOL_TYPES[Math.floor(this.random() * TOOL_TYPES.length)];
+      tools.push(this._newTool(i, {
+        type: type,
+        diameter: parseFloat((this.random() * 20 + 2).toFixed(2)),
+        length: parseFloat((this.random() * 100 + 50).toFixed(2))
+      }));
+      
+      // Start somewhere into each tool's life
+      const tool = tools[i - 1];
+      tool.life.usedMinutes = parseFloat((tool.life.limitMinutes * this.random() * 0.8).toFixed(2));
+      this._refreshToolLife(tool);
     }
     return tools;
   }
+  
+  _newTool(number, fields = {}) {
+    const type = fields.type || 'END_MILL';
+    const diameter = fields.diameter !== undefined ? fields.diameter : 10;
+    const length = fields.length !== undefined ? fields.length : 100;
+    
+    return {
+      number: number,
+      type: type,
+      description: fields.description || `Tool ${number}`,
+      diameter: diameter,
+      length: length,
+      flutes: fields.flutes || Math.floor(this.random() * 4) + 2,
+      coating: fields.coating || ['TiN', 'TiCN', 'AlTiN', 'Uncoated'][Math.floor(this.random() * 4)],
+      // Geometry and wear offsets (mm), as in the control's offset page
+      offsets: {
+        length: length,
+        lengthWear: 0,
+        diameter: diameter,
+        diameterWear: 0
+      },
+      life: {
+        limitMinutes: fields.limitMinutes !== undefined ? fields.limitMinutes : TOOL_LIFE_MINUTES[type],
+        usedMinutes: 0,
+        limitCuts: fields.limitCuts !== undefined ? fields.limitCuts : null,
+        usedCuts: 0
+      },
+      wear: 0.0,
+      currentLife: 100,
+      maxLife: 100,
+      inUse: false,
+      totalCuts: 0,
+      replacements: 0,
+      replacedAt: null
+    };
+  }
+  
+  _refreshToolLife(tool) {
+    const used = [];
+    if (tool.life.limitMinutes) used.push(tool.life.usedMinutes / tool.life.limitMinutes);
+    if (tool.life.limitCuts) used.push(tool.life.usedCuts / tool.life.limitCuts);
+    
+    const fraction = used.length > 0 ? Math.max(...used) : 0;
+    tool.currentLife = parseFloat(Math.max(0, 100 * (1 - fraction)).toFixed(2));
+  }
+  
+  // Tools a program calls, in order. Derived from the program number
+  // so the same program always uses the same tools.
+  _toolSequence(program) {
+    let seed = parseInt(String(program || '').replace(/\D/g, ''), 10) || 1;
+    const next = () => {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      return seed / 2147483648;
+    };
+    
+    const length = 2 + Math.floor(next() * 3);
+    const sequence = [];
+    while (sequence.length < length) {
+      const number = 1 + Math.floor(next() * this.tools.length);
+      if (!sequence.includes(number)) sequence.push(number);
+    }
+    return sequence;
+  }
+  
+  getTool(number) {
+    return this.tools ? this.tools.find(tool => tool.number === number) || null : null;
+  }
+  
+  // New tool in the pocket: life, wear and wear offsets start over
+  replaceTool(number, fields = {}) {
+    const tool = this.getTool(number);
+    if (!tool) return null;
+    
+    const replacement = this._newTool(number, {
+      type: fields.type || tool.type,
+      description: fields.description || tool.description,
+      diameter: fields.diameter !== undefined ? fields.diameter : tool.diameter,
+      length: fields.length !== undefined ? fields.length : tool.length,
+      flutes: fields.flutes || tool.flutes,
+      coating: fields.coating || tool.coating,
+      limitMinutes: tool.life.limitMinutes,
+      limitCuts: tool.life.limitCuts
+    });
+    replacement.inUse = tool.inUse;
+    replacement.replacements = tool.replacements + 1;
+    replacement.replacedAt = this._now().toISOString();
+    
+    this.tools[this.tools.indexOf(tool)] = replacement;
+    if (number === this.currentTool) this.toolWear = 0;
+    return replacement;
+  }
+  
+  // Life limits, offsets and description
+  updateTool(number, changes = {}) {
+    const tool = this.getTool(number);
+    if (!tool) return null;
+    
+    if (changes.description !== undefined) tool.description = changes.description;
+    if (changes.limitMinutes !== undefined) tool.life.limitMinutes = changes.limitMinutes;
+    if (changes.limitCuts !== undefined) tool.life.limitCuts = changes.limitCuts;
+    ['length', 'lengthWear', 'diameter', 'diameterWear'].forEach(field => {
+      if (changes.offsets && changes.offsets[field] !== undefined) {
+        tool.offsets[field] = changes.offsets[field];
+      }
+    });
+    
+    this._refreshToolLife(tool);
+    return tool;
+  }
 
   // ========================================
   // MAIN UPDATE LOOP
   // ========================================
   
   update(dtSec) {
-    this.timestamp = new Date();
+    this._step(dtSec);
+    this._emitStateChange();
+  }
+  
+  _step(dtSec) {
+    this.timestamp = this._now();
+    
+    // Live machines take their state from the real control
+    if (this.dataSource) {
+      this._updateFromDataSource(dtSec);
+      if (this.maintenanceMode && this.power) this.execution = 'MAINTENANCE';
+      return;
+    }
     
     if (!this.power) {
       this.execution = 'STOPPED';
@@ -153,6 +388,17 @@ class HaasMachine {
     this.machineOnHours += dtSec / 3600.0;
     this.timeInPhase += dtSec;
     
+    // Under maintenance: powered, but not producing
+    if (this.maintenanceMode) {
+      this.execution = 'MAINTENANCE';
+      this.spindleSpeed = Math.max(0, this.spindleSpeed - 500 * dtSec);
+      this.spindleLoad = 0;
+      this.feedRate = 0;
+      this._updateHealthSensors(dtSec);
+      this._updateWarnings();
+      return;
+    }
+    
     // Check for alarms first
     if (this.alarm) {
       this.execution = 'ALARM';
@@ -161,12 +407,16 @@ class HaasMachine {
       this.feedRate = 0;
       
       // Auto-recovery (2% chance)
-      if (Math.random() < 0.02) {
-        this._clearAlarm();
+      if (this.random() < 0.02) {
+        this._clearAlarm('auto-recovery');
       }
       return;
     }
     
+    if (this.cyclePhase !== 'IDLE') {
+      this.cycleElapsed += dtSec;
+    }
+    
     // Update based on machine type
     if (this.type === 'CNC_MILL' || this.type === 'LATHE') {
       this._updateCNCCycle(dtSec);
@@ -176,6 +426,10 @@ class HaasMachine {
       this._updateLaserCycle(dtSec);
     }
     
+    if (this.execution === 'RUNNING') {
+      this._trackCyclePeaks();
+    }
+    
     // Update health sensors
     this._updateHealthSensors(dtSec);
     
@@ -186,15 +440,99 @@ class HaasMachine {
     this._updateWarnings();
   }
 
+  // ========================================
+  // LIVE DATA SOURCE
+  // ========================================
+  
+  attachDataSource(source) {
+    if (this.dataSource && this.dataSource !== source) {
+      this.dataSource.stop();
+    }
+    this.dataSource = source;
+    this._sourceSynced = false;
+    
+    if (source) {
+      source.start().catch(() => {}); // Errors surface via describe().lastError
+    }
+  }
+  
+  detachDataSource() {
+    this.attachDataSource(null);
+  }
+  
+  _updateFromDataSource(dtSec) {
+    const snapshot = this.dataSource.getSnapshot();
+    if (!snapshot) return; // Keep last known values while disconnected
+    
+    if (typeof snapshot.power === 'boolean') this.power = snapshot.power;
+    if (snapshot.execution) this.execution = snapshot.execution;
+    if (typeof snapshot.spindleSpeed === 'number') this.spindleSpeed = snapshot.spindleSpeed;
+    if (typeof snapshot.spindleLoad === 'number') this.spindleLoad = snapshot.spindleLoad;
+    if (typeof snapshot.feedRate === 'number') this.feedRate = snapshot.feedRate;
+    if (this.execution === 'RUNNING') {
+      this.cycleElapsed += dtSec;
+      this._trackCyclePeaks();
+    }
+    if (snapshot.programRunning) this.programRunning = snapshot.programRunning;
+    if (snapshot.serialNumber) this.serialNumber = snapshot.serialNumber;
+    if (snapshot.axisPositions) Object.assign(this.axisPositions, snapshot.axisPositions);
+    
+    // A rising part counter marks a completed cycle (the first reading is just a sync)
+    if (typeof snapshot.partCount === 'number') {
+      const delta = snapshot.partCount - this.partCount;
+      this.partCount = snapshot.partCount;
+      if (this._sourceSynced && delta > 0) this._completeCycle(delta);
+      this._sourceSynced = true;
+    }
+    
+    // Mirror the control's alarm state into our alarm history
+    if (snapshot.alarm) {
+      if (snapshot.alarm.message !== this.alarm || snapshot.alarm.code !== this.alarmCode) {
+        this._setAlarm(snapshot.alarm.code, snapshot.alarm.message);
+      }
+      this.execution = 'ALARM';
+    } else if (this.alarm) {
+      this._clearAlarm('control');
+      if (snapshot.execution) this.execution = snapshot.execution;
+    }
+    
+    // Prefer the control's own hour meters when the source reports them
+    if (typeof snapshot.machineOnHours === 'number') {
+      this.machineOnHours = snapshot.machineOnHours;
+    } else if (this.power) {
+      this.machineOnHours += dtSec / 3600.0;
+    }
+    
+    if (typeof snapshot.spindleHours === 'number') {
+      this.spindleHours = snapshot.spindleHours;
+    } else if (this.power && this.spindleSpeed > 300) {
+      this.spindleHours += dtSec / 3600.0;
+    }
+    
+    if (this.machineOnHours > 0) {
+      this.productionRate = Math.round(this.partCount / this.machineOnHours);
+    }
+    
+    this._updateWarnings();
+  }
+
   // ========================================
   // CNC REALISTIC CYCLE
   // ========================================
   
   _updateCNCCycle(dtSec) {
+    if (this.programRun && this.cyclePhase !== 'IDLE') {
+      this._runProgram(dtSec);
+      return;
+    }
+    
     switch (this.cyclePhase) {
       case 'IDLE':
         this._phaseIdle(dtSec);
         break;
+      case 'TOOL_CHANGE':
+        this._phaseToolChange(dtSec);
+        break;
       case 'SPINDLE_RAMP':
         this._phaseSpindleRamp(dtSec);
         break;
@@ -224,28 +562,77 @@ class HaasMachine {
     this.feedRate = Math.max(0, this.feedRate - 500 * dtSec);
     this.spindleLoad = Math.max(0, this.spindleLoad - 5 * dtSec);
     
-    // Coolant recovery
+    // Coolant recovery (not while it's leaking away)
     if (this.coolant) {
-      this.coolant.level = Math.min(100, this.coolant.level + 0.1);
+      if (!this.faults.COOLANT_LEAK) this.coolant.level = Math.min(100, this.coolant.level + 0.1);
       this.coolant.flow = 0;
     }
     
     // Start new cycle (5% chance)
-    if (Math.random() < 0.05) {
+    if (this.random() < 0.05) {
       this._startNewCycle();
     }
   }
 
   _startNewCycle() {
-    this.cyclePhase = 'SPINDLE_RAMP';
     this.execution = 'RUNNING';
-    this.timeInPhase = 0;
-    this.cycleTimeTarget = 20 + Math.random() * 25;
-    this.targetSpindleSpeed = 3000 + Math.random() * (this.specs.maxRPM - 3000);
-    this.targetFeed = 300 + Math.random() * 1500;
+    this.cycleElapsed = 0;
+    this._resetCyclePeaks();
+    this.cycleTimeTarget = 20 + this.random() * 25;
     
     if (!this.programRunning) {
-      this.programRunning = `O${Math.floor(Math.random() * 9000 + 1000)}`;
+      this.programRunning = `O${Math.floor(this.random() * 9000 + 1000)}`;
+    }
+    
+    this.programRun = this._loadProgram();
+    if (this.programRun) {
+      this.cycleTimeTarget = this.programRun.plan.cycleSeconds;
+      this.toolSequence = this.programRun.tools;
+      this.cyclePhase = 'RAPID'; // Until the first block sets it
+      this.timeInPhase = 0;
+      return;
+    }
+    
+    this.toolSequence = this._toolSequence(this.programRunning);
+    this.operationIndex = 0;
+    this._startOperation();
+  }
+  
+  // Each operation: tool change (if needed), spindle up, rapid, cut, retract
+  _startOperation() {
+    const tool = this.toolSequence[this.operationIndex];
+    this.timeInPhase = 0;
+    this.targetSpindleSpeed = 3000 + this.random() * (this.specs.maxRPM - 3000);
+    this.targetFeed = 300 + this.random() * 1500;
+    
+    if (tool !== this.currentTool) {
+      this.nextTool = tool;
+      this.cyclePhase = 'TOOL_CHANGE';
+    } else {
+      this.cyclePhase = 'SPINDLE_RAMP';
+    }
+  }
+  
+  _phaseToolChange(dtSec) {
+    this.execution = 'RUNNING';
+    
+    // Spindle orients and stops for the change
+    this.spindleSpeed = 0;
+    this.feedRate = 0;
+    this.spindleLoad = 0;
+    this.axisPositions.Z = this.specs.axisLimits.Z[1];
+    
+    if (this.timeInPhase >= this.specs.toolChangeTime) {
+      const previous = this.getTool(this.currentTool);
+      if (previous) previous.inUse = false;
+      
+      this.currentTool = this.nextTool;
+      this.nextTool = null;
+      this.toolChangeCount++;
+      this.toolWear = this.getTool(this.currentTool).wear;
+      
+      this.cyclePhase = 'SPINDLE_RAMP';
+      this.timeInPhase = 0;
     }
   }
 
@@ -271,17 +658,25 @@ class HaasMachine {
     
     // G0: Rapid to random position
     const limits = this.specs.axisLimits;
-    this.axisPositions.X = limits.X[0] + Math.random() * (limits.X[1] - limits.X[0]);
-    this.axisPositions.Y = limits.Y[0] + Math.random() * (limits.Y[1] - limits.Y[0]);
+    this.axisPositions.X = limits.X[0] + this.random() * (limits.X[1] - limits.X[0]);
+    this.axisPositions.Y = limits.Y[0] + this.random() * (limits.Y[1] - limits.Y[0]);
     this.axisPositions.Z = limits.Z[1]; // Safe Z
     
     this.rapidRate = this.specs.rapidTraverse;
     this.feedRate = 0;
-    this.spindleLoad = 5 + Math.random() * 5;
+    this.spindleLoad = 5 + this.random() * 5;
     
     if (this.timeInPhase >= 3.0) {
       this.cyclePhase = 'CUTTING';
       this.timeInPhase = 0;
+      
+      const tool = this.getTool(this.currentTool);
+      if (tool) {
+        tool.inUse = true;
+        tool.totalCuts++;
+        tool.life.usedCuts++;
+        this._refreshToolLife(tool);
+      }
     }
   }
 
@@ -304,57 +699,63 @@ class HaasMachine {
       this.axisPositions.Z = limits.Z[0] + 5;
     }
     
+    this._cut(dtSec);
+    
+    // Operation complete - cutting time is split across the program's tools
+    if (this.timeInPhase >= this.cycleTimeTarget * 0.6 / Math.max(1, this.toolSequence.length)) {
+      this.cyclePhase = 'RETRACT';
+      this.timeInPhase = 0;
+    }
+  }
+
+  // dtSec of cutting at feed: spindle load, tool wear, vibration,
+  // coolant use and servo loads
+  _cut(dtSec, { feed = this.feedRate, coolant = true } = {}) {
     // Realistic spindle load
-    const baseLoad = (this.feedRate / 1800.0) * 35.0;
+    const baseLoad = (feed / 1800.0) * 35.0;
     const wearLoad = this.toolWear * 50.0;
     const vibLoad = this.vibration * 8.0;
-    const noise = Math.random() * 4.5 - 2.0;
+    const noise = this.random() * 4.5 - 2.0;
     
     this.spindleLoad = Math.max(0, Math.min(100, baseLoad + wearLoad + vibLoad + noise));
     
-    // Tool wear
-    this.toolWear += this.spindleLoad / 250000.0;
-    if (this.toolWear > 1.0) this.toolWear = 1.0;
+    // Tool wear and life (per tool)
+    const tool = this.getTool(this.currentTool);
+    if (tool) {
+      tool.wear = Math.min(1.0, tool.wear + this.spindleLoad / 250000.0);
+      tool.life.usedMinutes = parseFloat((tool.life.usedMinutes + dtSec / 60).toFixed(4));
+      tool.offsets.lengthWear = parseFloat((-tool.wear * 0.02).toFixed(4));
+      tool.offsets.diameterWear = parseFloat((-tool.wear * 0.04).toFixed(4));
+      this._refreshToolLife(tool);
+      this.toolWear = tool.wear;
+    }
     
-    this.vibration = this.toolWear * 3.0 + Math.random() * 0.4;
+    this.vibration = this.toolWear * 3.0 + this.random() * 0.4 + this._faultLevel('BEARING_WEAR') * 6.0;
     
     // Spindle hours
     if (this.spindleSpeed > 300) {
       this.spindleHours += dtSec / 3600.0;
     }
     
-    // Update current tool
-    if (this.tools && this.currentTool) {
-      const tool = this.tools[this.currentTool - 1];
-      if (tool) {
-        tool.currentLife = Math.max(0, tool.currentLife - Math.random() * 0.02);
-        tool.inUse = true;
-        tool.totalCuts++;
-      }
-    }
-    
     // Coolant consumption
-    if (this.coolant) {
-      this.coolant.level = Math.max(0, this.coolant.level - Math.random() * 0.08);
-      this.coolant.pressure = 45 + Math.random() * 15;
-      this.coolant.temperature = 72 + Math.random() * 15;
-      this.coolant.flow = 5 + Math.random() * 3;
+    if (this.coolant && coolant) {
+      this.coolant.level = Math.max(0, this.coolant.level - this.random() * 0.08);
+      this.coolant.pressure = 45 + this.random() * 15;
+      this.coolant.temperature = 72 + this.random() * 15;
+      this.coolant.flow = 5 + this.random() * 3;
     }
     
     // Servo loads (realistic)
-    this.servoLoad.X = 20 + Math.random() * 30;
-    this.servoLoad.Y = 20 + Math.random() * 30;
+    this.servoLoad.X = 20 + this.random() * 30;
+    this.servoLoad.Y = 20 + this.random() * 30;
     this.servoLoad.Z = 30 + this.spindleLoad * 0.5;
     
     // Following error simulation
-    this.servoFollowingError.X = Math.random() * 0.002;
-    this.servoFollowingError.Y = Math.random() * 0.002;
-    this.servoFollowingError.Z = Math.random() * 0.003;
-    
-    // Cycle completion
-    if (this.timeInPhase >= this.cycleTimeTarget * 0.6) {
-      this.cyclePhase = 'RETRACT';
-      this.timeInPhase = 0;
+    this.servoFollowingError.X = this.random() * 0.002;
+    this.servoFollowingError.Y = this.random() * 0.002;
+    this.servoFollowingError.Z = this.random() * 0.003;
+    if (this.faults.SERVO_DRIFT) {
+      this.servoFollowingError[this.faults.SERVO_DRIFT.axis] += this._faultLevel('SERVO_DRIFT') * 0.008;
     }
   }
 
@@ -366,8 +767,14 @@ class HaasMachine {
     
     if (this.axisPositions.Z >= limits.Z[1] - 10) {
       this.axisPositions.Z = limits.Z[1] - 10;
-      this.cyclePhase = 'DWELL';
-      this.timeInPhase = 0;
+      
+      if (this.operationIndex < this.toolSequence.length - 1) {
+        this.operationIndex++;
+        this._startOperation();
+      } else {
+        this.cyclePhase = 'DWELL';
+        this.timeInPhase = 0;
+      }
     }
     
     this.spindleLoad = Math.max(5, this.spindleLoad - 10 * dtSec);
@@ -388,15 +795,13 @@ class HaasMachine {
   _phaseFinish(dtSec) {
     this.execution = 'RUNNING';
     this.partCount++;
-    this.totalCycles++;
+    this._completeCycle();
     
     this.spindleLoad *= 0.7;
     this.feedRate = 0;
     
-    if (this.tools && this.currentTool) {
-      const tool = this.tools[this.currentTool - 1];
-      if (tool) tool.inUse = false;
-    }
+    const tool = this.getTool(this.currentTool);
+    if (tool) tool.inUse = false;
     
     // Calculate production rate
     if (this.machineOnHours > 0) {
@@ -407,19 +812,177 @@ class HaasMachine {
     this.timeInPhase = 0;
   }
 
+  // ========================================
+  // G-CODE PROGRAMS
+  // An uploaded program runs block by block (see gcode.js): the axes
+  // follow its path, S/F/M words set the spindle, feed, tool and
+  // coolant, and the cycle takes as long as the program does
+  // ========================================
+  
+  // Plan for programRunning from where the machine is now, or null
+  // when it isn't an uploaded program
+  _loadProgram() {
+    const source = this.programs(this.programRunning);
+    if (!source) return null;
+    
+    let program;
+    try {
+      program = parseProgram(source);
+    } catch (err) {
+      if (!(err instanceof ProgramError)) throw err;
+      return null; // Checked on upload - only a hand-edited database gets here
+    }
+    
+    return {
+      number: program.number,
+      blocks: program.blocks,
+      tools: program.tools,
+      plan: planProgram(program, this.specs, { position: this.axisPositions, tool: this.currentTool }),
+      index: 0,
+      timeInStep: 0,
+      entered: false,
+      coolant: false,
+      cutTool: null // Tool whose cut has been counted
+    };
+  }
+
+  _runProgram(dtSec) {
+    this.execution = 'RUNNING';
+    const run = this.programRun;
+    const steps = run.plan.steps;
+    let remaining = dtSec;
+    let cutting = 0;
+    let feed = 0;
+    
+    while (run.index < steps.length) {
+      const step = steps[run.index];
+      
+      if (!run.entered) {
+        // Soft limits: the control refuses a move past travel
+        if (step.overtravel) {
+          this._setAlarm(null, `${step.overtravel.axis}_SOFT_LIMIT`);
+          return;
+        }
+        this._enterStep(step);
+        run.entered = true;
+      }
+      
+      const left = step.seconds - run.timeInStep;
+      const used = Math.min(remaining, left);
+      remaining -= used;
+      if (step.cutting) {
+        cutting += used;
+        feed = step.feed;
+      }
+      
+      if (used < left) {
+        run.timeInStep += used;
+        this._applyStep(step, run.timeInStep / step.seconds);
+        break;
+      }
+      
+      this._applyStep(step, 1);
+      run.index++;
+      run.timeInStep = 0;
+      run.entered = false;
+    }
+    
+    if (cutting > 0) {
+      this._cut(cutting, { feed: feed, coolant: run.coolant });
+    } else {
+      this.spindleLoad = this.spindleSpeed > 0 ? 5 + this.random() * 5 : Math.max(0, this.spindleLoad - 5 * dtSec);
+    }
+    if (this.coolant && !run.coolant) this.coolant.flow = 0;
+    this.spindleOrientation = (this.spindleOrientation + this.spindleSpeed * dtSec / 60) % 360;
+    
+    if (run.index >= steps.length) {
+      this.programRun = null;
+      this._phaseFinish(dtSec);
+    }
+  }
+
+  _enterStep(step) {
+    this.cyclePhase = step.phase || this.cyclePhase;
+    this.timeInPhase = 0;
+    this.programRun.coolant = step.coolant;
+    
+    // A tool's first cut of the cycle counts toward its life
+    if (step.cutting && this.programRun.cutTool !== this.currentTool) {
+      this.programRun.cutTool = this.currentTool;
+      const tool = this.getTool(this.currentTool);
+      if (tool) {
+        tool.inUse = true;
+        tool.totalCuts++;
+        tool.life.usedCuts++;
+        this._refreshToolLife(tool);
+      }
+    }
+  }
+
+  // State fraction (0-1) of the way through a step
+  _applyStep(step, fraction) {
+    const position = positionAt(step, fraction);
+    if (position) Object.assign(this.axisPositions, position);
+    
+    this.spindleSpeed = step.fromRpm !== undefined ? step.fromRpm + (step.rpm - step.fromRpm) * fraction : step.rpm;
+    this.feedRate = step.cutting ? step.feed : 0;
+    this.rapidRate = step.phase === 'RAPID' || step.phase === 'RETRACT' ? this.specs.rapidTraverse : 0;
+    
+    // A T number past the tool table leaves the current tool in
+    if (step.tool && fraction >= 1 && this.getTool(step.tool)) {
+      const previous = this.getTool(this.currentTool);
+      if (previous) previous.inUse = false;
+      
+      this.currentTool = step.tool;
+      this.toolChangeCount++;
+      this.toolWear = this.getTool(this.currentTool).wear;
+    }
+  }
+
+  // Where the running program is, for dashboards
+  describeProgramRun() {
+    const run = this.programRun;
+    if (!run) return null;
+    
+    const step = run.plan.steps[Math.min(run.index, run.plan.steps.length - 1)];
+    return {
+      number: run.number,
+      line: step ? step.line : null,
+      block: step ? run.blocks[step.line] : null,
+      step: run.index,
+      steps: run.plan.steps.length,
+      cycleSeconds: run.plan.cycleSeconds
+    };
+  }
+
   // ========================================
   // PRESS BRAKE CYCLE
+  // A bend program (see bendPrograms.js) bends one part per cycle: for
+  // each bend the back gauge moves (GAUGE), the ram comes down (BEND) and
+  // goes back up (RETURN). Without one the ram just cycles.
   // ========================================
   
   _updatePressCycle(dtSec) {
-    if (this.cyclePhase === 'IDLE' && Math.random() < 0.05) {
-      this.cyclePhase = 'RUNNING';
+    if (this.cyclePhase === 'IDLE' && this.random() < 0.05) {
       this.execution = 'RUNNING';
       this.timeInPhase = 0;
-      this.bendAngle = 45 + Math.random() * 90;
+      this.cycleElapsed = 0;
+      this._resetCyclePeaks();
+      
+      this.bendRun = this._loadBendProgram();
+      if (this.bendRun) {
+        this.cyclePhase = 'GAUGE';
+      } else {
+        const [min, max] = this.specs.axisLimits.X;
+        this.cyclePhase = 'RUNNING';
+        this.backGauge = min + this.random() * (max - min);
+        this.bendAngle = 45 + this.random() * 90;
+      }
     }
     
-    if (this.cyclePhase === 'RUNNING') {
+    if (this.bendRun && this.cyclePhase !== 'IDLE') {
+      this._runBends(dtSec);
+    } else if (this.cyclePhase === 'RUNNING') {
       this.execution = 'RUNNING';
       
       // Ram descends
@@ -434,7 +997,7 @@ class HaasMachine {
       
       if (this.timeInPhase >= 5.0) {
         this.partCount++;
-        this.totalCycles++;
+        this._completeCycle();
         this.ramPosition = 0;
         this.tonnage = 0;
         this.cyclePhase = 'IDLE';
@@ -447,18 +1010,186 @@ class HaasMachine {
       this.tonnage = 0;
     }
   }
+  
+  _loadBendProgram() {
+    const program = this.programRunning ? this.bendPrograms(this.programRunning) : null;
+    if (!program) return null;
+    
+    const plan = planBends(program, { maxTonnage: this.maxTonnage, axisLimits: this.specs.axisLimits }, {
+      backGauge: this.backGauge
+    });
+    if (!this.bendStats || this.bendStats.number !== plan.number) {
+      this.bendStats = {
+        number: plan.number,
+        parts: 0,
+        bends: plan.bends.map(bend => ({ bend: bend.bend, target: bend.angle, count: 0, total: 0, max: 0, last: null }))
+      };
+    }
+    
+    return {
+      number: plan.number,
+      plan: plan,
+      index: 0,
+      phase: 'GAUGE',
+      entered: false,
+      timeInStep: 0,
+      gaugeFrom: this.backGauge,
+      peak: 0, // Tonnage this bend actually takes
+      reasons: [] // Bends out of tolerance, for the part's quality
+    };
+  }
+  
+  _runBends(dtSec) {
+    this.execution = 'RUNNING';
+    const run = this.bendRun;
+    const bends = run.plan.bends;
+    let remaining = dtSec;
+    
+    while (run.index < bends.length) {
+      const bend = bends[run.index];
+      
+      if (!run.entered) {
+        // The control refuses a back gauge position past its travel
+        if (run.phase === 'GAUGE' && bend.overtravel) {
+          this._setAlarm(null, 'X_SOFT_LIMIT');
+          return;
+        }
+        // Sheet thickness and strength vary by a few percent
+        if (run.phase === 'BEND') run.peak = bend.tonnage * (1 + (this.random() - 0.5) * 0.1);
+        this.cyclePhase = run.phase;
+        this.timeInPhase = 0;
+        run.entered = true;
+      }
+      
+      const seconds = bend.seconds[run.phase.toLowerCase()];
+      const used = Math.min(remaining, seconds - run.timeInStep);
+      remaining -= used;
+      run.timeInStep += used;
+      
+      if (!this._applyBendStep(bend, Math.min(1, run.timeInStep / seconds))) return;
+      if (run.timeInStep < seconds) break;
+      
+      run.timeInStep = 0;
+      run.entered = false;
+      if (run.phase === 'GAUGE') {
+        run.phase = 'BEND';
+      } else if (run.phase === 'BEND') {
+        this._finishBend(bend);
+        run.phase = 'RETURN';
+      } else {
+        run.phase = 'GAUGE';
+        run.gaugeFrom = this.backGauge;
+        run.index++;
+      }
+    }
+    
+    if (run.index >= bends.length) {
+      this.partCount++;
+      this.bendStats.parts++;
+      this._completeCycle();
+      this.bendRun = null;
+      this.cyclePhase = 'IDLE';
+      this.execution = 'IDLE';
+      this.timeInPhase = 0;
+    }
+  }
+  
+  // State fraction (0-1) of the way through a phase; false when the
+  // press stops on over tonnage
+  _applyBendStep(bend, fraction) {
+    const run = this.bendRun;
+    
+    if (run.phase === 'GAUGE') {
+      this.backGauge = run.gaugeFrom + (bend.backGauge - run.gaugeFrom) * fraction;
+      this.ramPosition = 0;
+      this.tonnage = 0;
+    } else if (run.phase === 'BEND') {
+      // The punch meets the sheet 60% of the way down
+      this.ramPosition = fraction * 100;
+      this.tonnage = run.peak * Math.max(0, (this.ramPosition - 60) / 40);
+      if (this.tonnage > bend.limit) {
+        // The ram stops where the force reaches the limit
+        this.tonnage = bend.limit;
+        this.ramPosition = 60 + 40 * bend.limit / run.peak;
+        this._setAlarm(null, 'OVER_TONNAGE');
+      }
+    } else {
+      this.ramPosition = (1 - fraction) * 100;
+      this.tonnage = 0;
+    }
+    
+    this.spindleLoad = (this.tonnage / this.maxTonnage) * 100;
+    this.servoLoad.Y = this.tonnage / this.maxTonnage * 80;
+    return !this.alarm;
+  }
+  
+  // Springback scatters the angle each bend; harder or thicker sheet
+  // (more force than planned) springs back further and comes out open
+  _finishBend(bend) {
+    const run = this.bendRun;
+    const scatter = (this.random() + this.random() - 1) * 0.6 * run.plan.springback;
+    const deviation = scatter + (run.peak / bend.tonnage - 1) * 10;
+    this.bendAngle = bend.angle + deviation;
+    
+    if (Math.abs(deviation) > run.plan.angleTolerance) {
+      run.reasons.push(`bend ${bend.bend} at ${this.bendAngle.toFixed(1)}° (target ${bend.angle}° ±${run.plan.angleTolerance}°)`);
+    }
+    
+    const stats = this.bendStats.bends[bend.bend - 1];
+    stats.count++;
+    stats.total += deviation;
+    stats.max = Math.max(stats.max, Math.abs(deviation));
+    stats.last = deviation;
+  }
+  
+  // Where the running bend program is, for dashboards
+  describeBendRun() {
+    const run = this.bendRun;
+    const bend = run.plan.bends[Math.min(run.index, run.plan.bends.length - 1)];
+    return {
+      number: run.number,
+      bend: bend.bend,
+      bends: run.plan.bends.length,
+      phase: run.phase,
+      angle: bend.angle,
+      backGauge: bend.backGauge,
+      tonnage: bend.tonnage,
+      limit: bend.limit,
+      limitedBy: bend.limitedBy,
+      cycleSeconds: run.plan.cycleSeconds
+    };
+  }
+  
+  // Per bend: last, mean (signed - a steady offset wants an angle
+  // correction) and worst deviation from the programmed angle
+  describeBendStats() {
+    const stats = this.bendStats;
+    return {
+      number: stats.number,
+      parts: stats.parts,
+      bends: stats.bends.map(bend => ({
+        bend: bend.bend,
+        target: bend.target,
+        last: bend.last === null ? null : parseFloat(bend.last.toFixed(2)),
+        mean: bend.count > 0 ? parseFloat((bend.total / bend.count).toFixed(2)) : null,
+        max: parseFloat(bend.max.toFixed(2))
+      }))
+    };
+  }
 
   // ========================================
   // LASER CYCLE
   // ========================================
   
   _updateLaserCycle(dtSec) {
-    if (this.cyclePhase === 'IDLE' && Math.random() < 0.07) {
+    if (this.cyclePhase === 'IDLE' && this.random() < 0.07) {
       this.cyclePhase = 'RUNNING';
       this.execution = 'RUNNING';
       this.timeInPhase = 0;
-      this.laserPower = 2000 + Math.random() * (this.maxLaserPower - 2000);
-      this.targetFeed = 800 + Math.random() * 2200;
+      this.cycleElapsed = 0;
+      this._resetCyclePeaks();
+      this.laserPower = 2000 + this.random() * (this.maxLaserPower - 2000);
+      this.targetFeed = 800 + this.random() * 2200;
     }
     
     if (this.cyclePhase === 'RUNNING') {
@@ -476,15 +1207,15 @@ class HaasMachine {
       this.feedRate = this.cutSpeed;
       
       // XY movement
-      this.axisPositions.X += Math.random() * 10 - 5;
-      this.axisPositions.Y += Math.random() * 10 - 5;
+      this.axisPositions.X += this.random() * 10 - 5;
+      this.axisPositions.Y += this.random() * 10 - 5;
       
       // Temperature
       this.resonatorTemp += (this.laserPower / this.maxLaserPower) * 0.4;
       
       if (this.timeInPhase >= 8.0) {
         this.partCount++;
-        this.totalCycles++;
+        this._completeCycle();
         this.cyclePhase = 'IDLE';
         this.execution = 'IDLE';
         this.timeInPhase = 0;
@@ -500,6 +1231,77 @@ class HaasMachine {
     }
   }
 
+  // ========================================
+  // CYCLE & STATE EVENTS
+  // ========================================
+  
+  _now() {
+    return new Date(clock.now());
+  }
+  
+  // partCount is bumped by the caller; this closes out the cycle record
+  _completeCycle(parts = 1) {
+    this._trackCyclePeaks();
+    const suspectReasons = this._suspectReasons();
+    
+    this.totalCycles++;
+    this.lastCycleTime = this.cycleElapsed;
+    this.cycleElapsed = 0;
+    this.lastCycleQuality = suspectReasons.length > 0 ? 'SUSPECT' : 'GOOD';
+    if (suspectReasons.length > 0) this.suspectParts += parts;
+    
+    this.emit('cycle', {
+      machineId: this.id,
+      jobId: this.job ? this.job.id : null,
+      program: this.programRunning,
+      parts: parts,
+      duration: this.lastCycleTime,
+      quality: this.lastCycleQuality,
+      suspectReasons: suspectReasons,
+      peaks: {
+        spindleLoad: parseFloat(this.cyclePeaks.spindleLoad.toFixed(1)),
+        vibration: parseFloat(this.cyclePeaks.vibration.toFixed(2))
+      },
+      at: this._now()
+    });
+    
+    this._resetCyclePeaks();
+  }
+  
+  _trackCyclePeaks() {
+    if (this.type !== 'CNC_MILL' && this.type !== 'LATHE') return;
+    this.cyclePeaks.spindleLoad = Math.max(this.cyclePeaks.spindleLoad, this.spindleLoad);
+    this.cyclePeaks.vibration = Math.max(this.cyclePeaks.vibration, this.vibration);
+  }
+  
+  _resetCyclePeaks() {
+    this.cyclePeaks = { spindleLoad: 0, vibration: 0 };
+  }
+  
+  _suspectReasons() {
+    return Object.keys(SUSPECT_LIMITS)
+      .filter(key => this.cyclePeaks[key] > SUSPECT_LIMITS[key])
+      .map(key => `${key} peaked at ${this.cyclePeaks[key].toFixed(1)} (limit ${SUSPECT_LIMITS[key]})`)
+      .concat(this.bendRun ? this.bendRun.reasons : []);
+  }
+  
+  _emitStateChange() {
+    const previous = this._reportedState;
+    if (previous.execution === this.execution && previous.power === this.power) return;
+    
+    this._reportedState = { execution: this.execution, power: this.power };
+    this.emit('execution', {
+      machineId: this.id,
+      from: previous.execution,
+      to: this.execution,
+      power: this.power,
+      cyclePhase: this.cyclePhase,
+      alarm: this.alarm,
+      alarmCode: this.alarmCode,
+      at: this._now()
+    });
+  }
+
   // ========================================
   // HEALTH SENSORS
   // ========================================
@@ -521,7 +1323,7 @@ class HaasMachine {
     if (this.batteryVoltage < 2.8) this.batteryVoltage = 2.8;
     
     // Oil system
-    this.oilPressure = 45 + Math.random() * 10;
+    this.oilPressure = 45 + this.random() * 10;
     this.oilLevel = Math.max(20, this.oilLevel - 0.001);
     
     // Servo temperatures
@@ -534,6 +1336,24 @@ class HaasMachine {
       this.servoTemp.Y = Math.max(25, this.servoTemp.Y - 0.05);
       this.servoTemp.Z = Math.max(25, this.servoTemp.Z - 0.05);
     }
+    
+    // Simulated faults (see faultModes.js)
+    const bearing = this._faultLevel('BEARING_WEAR');
+    if (bearing > 0 && this.spindleSpeed > 0) {
+      this.spindleTemp = Math.min(95, this.spindleTemp + bearing * 0.12 * dtSec);
+    }
+    const leak = this._faultLevel('COOLANT_LEAK');
+    if (leak > 0 && this.coolant) {
+      this.coolant.level = Math.max(0, this.coolant.level - leak * 0.05 * dtSec);
+    }
+    const battery = this._faultLevel('BATTERY_FAILURE');
+    if (battery > 0) {
+      this.batteryVoltage = Math.max(2.8, this.batteryVoltage - battery * 0.0008 * dtSec);
+    }
+    const chiller = this._faultLevel('RESONATOR_COOLING_LOSS');
+    if (chiller > 0 && this.resonatorTemp !== undefined) {
+      this.resonatorTemp = Math.min(110, this.resonatorTemp + chiller * 0.15 * dtSec);
+    }
   }
 
   // ========================================
@@ -542,96 +1362,110 @@ class HaasMachine {
   
   _checkAlarms() {
     if (this.type === 'CNC_MILL' || this.type === 'LATHE') {
+      const tool = this.tools ? this.tools[this.currentTool - 1] : null;
+      
       // Alarm 103-105: AXIS FOLLOWING ERROR
-      if (this.servoFollowingError.X > 0.005 && Math.random() < 0.02) {
+      if (this.servoFollowingError.X > 0.005 && this.random() < 0.02) {
         this._setAlarm(103, 'X AXIS FOLLOWING ERROR');
       }
-      else if (this.servoFollowingError.Y > 0.005 && Math.random() < 0.02) {
+      else if (this.servoFollowingError.Y > 0.005 && this.random() < 0.02) {
         this._setAlarm(104, 'Y AXIS FOLLOWING ERROR');
       }
-      else if (this.servoFollowingError.Z > 0.005 && Math.random() < 0.02) {
+      else if (this.servoFollowingError.Z > 0.005 && this.random() < 0.02) {
         this._setAlarm(105, 'Z AXIS FOLLOWING ERROR');
       }
       
-      // Alarm 9100: LOW BATTERY
-      else if (this.batteryVoltage < 3.0 && Math.random() < 0.05) {
-        this._setAlarm(9100, 'LOW BATTERY');
-      }
-      
       // Alarm 115: COOLANT PUMP FAULT
-      else if (this.coolant && this.coolant.level < 10 && Math.random() < 0.1) {
+      else if (this.coolant && this.coolant.level < 10 && this.random() < 0.1) {
         this._setAlarm(115, 'COOLANT PUMP FAULT');
       }
       
       // Servo overload
-      else if (this.spindleLoad > 95 && Math.random() < 0.05) {
+      else if (this.spindleLoad > 95 && this.random() < 0.05) {
         this._setAlarm(null, 'SPINDLE_OVERLOAD');
       }
       
       // High temperature
-      else if (this.spindleTemp > 85 && Math.random() < 0.08) {
+      else if (this.spindleTemp > 85 && this.random() < 0.08) {
         this._setAlarm(200, 'SPINDLE OVER TEMP');
       }
       
       // Tool life expired
-      else if (this.tools && this.currentTool) {
-        const tool = this.tools[this.currentTool - 1];
-        if (tool && tool.currentLife < 5 && Math.random() < 0.15) {
-          this._setAlarm(null, 'TOOL_LIFE_EXPIRED');
-        }
+      else if (tool && tool.currentLife < 5 && this.random() < 0.15) {
+        this._setAlarm(null, 'TOOL_LIFE_EXPIRED');
       }
       
       // High vibration
-      else if (this.vibration > 5.0 && Math.random() < 0.08) {
+      else if (this.vibration > 5.0 && this.random() < 0.08) {
         this._setAlarm(null, 'HIGH_VIBRATION');
       }
     }
     
-    if (this.type === 'PRESS_BRAKE') {
-      // Over tonnage
-      if (this.tonnage > this.maxTonnage * 0.9 && Math.random() < 0.1) {
-        this._setAlarm(null, 'OVER_TONNAGE');
-      }
-    }
-    
     if (this.type === 'LASER') {
       // Laser power fault
-      if (this.spindleLoad > 95 && Math.random() < 0.1) {
+      if (this.spindleLoad > 95 && this.random() < 0.1) {
         this._setAlarm(null, 'LASER_POWER_FAULT');
       }
       
       // Resonator overheat
-      if (this.resonatorTemp > 85 && Math.random() < 0.08) {
+      if (this.resonatorTemp > 85 && this.random() < 0.08) {
         this._setAlarm(null, 'RESONATOR_OVERHEAT');
       }
     }
+    
+    // Alarm 9100: LOW BATTERY - every type's control keeps its memory on a battery
+    if (!this.alarm && this.batteryVoltage < 3.0 && this.random() < 0.05) {
+      this._setAlarm(9100, 'LOW BATTERY');
+    }
   }
 
+  // Catalog entries fill in the title/severity (and the message when
+  // only a code is given); unknown codes from a live control pass through
   _setAlarm(code, message) {
-    this.alarm = message;
-    this.alarmCode = code;
-    this.alarmHistory.push({
+    const info = lookupAlarm(code, message);
+    if (!message && info) {
+      message = info.name;
+    }
+    
+    const entry = {
       code: code,
       message: message,
-      timestamp: new Date().toISOString(),
+      title: info ? info.title : message,
+      severity: info ? info.severity : null,
+      category: info ? info.category : null,
+      timestamp: this._now().toISOString(),
       cyclePhase: this.cyclePhase,
       spindleLoad: this.spindleLoad,
       cleared: false
-    });
+    };
+    
+    this.alarm = message;
+    this.alarmCode = code;
+    this.alarmSeverity = entry.severity;
+    this.alarmHistory.push(entry);
     
     // Keep only last 20 alarms
     if (this.alarmHistory.length > 20) {
       this.alarmHistory = this.alarmHistory.slice(-20);
     }
+    
+    this.emit('alarm', Object.assign({ machineId: this.id }, entry));
   }
 
-  _clearAlarm() {
-    if (this.alarmHistory.length > 0) {
-      this.alarmHistory[this.alarmHistory.length - 1].cleared = true;
+  // clearedBy: 'operator', 'control' (live source) or 'auto-recovery'
+  _clearAlarm(clearedBy) {
+    const entry = this.alarmHistory[this.alarmHistory.length - 1];
+    if (entry) {
+      entry.cleared = true;
+      entry.clearedAt = this._now().toISOString();
+      entry.clearedBy = clearedBy;
     }
     this.alarm = null;
     this.alarmCode = null;
+    this.alarmSeverity = null;
     this.execution = 'IDLE';
+    
+    this.emit('alarmCleared', Object.assign({ machineId: this.id }, entry));
   }
 
   // ========================================
@@ -679,39 +1513,132 @@ class HaasMachine {
     if (!state) {
       this.execution = 'STOPPED';
       this.cyclePhase = 'IDLE';
+      this.programRun = null;
+      this.bendRun = null;
+    }
+    this._emitStateChange();
+  }
+
+  // The running cycle is abandoned; production resumes from IDLE
+  setMaintenance(active) {
+    this.maintenanceMode = active;
+    this.cyclePhase = 'IDLE';
+    this.programRun = null;
+    this.bendRun = null;
+    this.timeInPhase = 0;
+    this.cycleElapsed = 0;
+    this._resetCyclePeaks();
+    if (this.power) {
+      this.execution = active ? 'MAINTENANCE' : (this.alarm ? 'ALARM' : 'IDLE');
     }
+    this._emitStateChange();
   }
 
   injectAlarm(code, message) {
     this._setAlarm(code, message);
   }
 
-  clearAlarm() {
-    this._clearAlarm();
+  clearAlarm(by = 'operator') {
+    this._clearAlarm(by);
+    this._emitStateChange();
+  }
+
+  // One of SETTABLE_READINGS; false if this machine doesn't have it
+  setReading(field, value) {
+    const [key, child] = field.split('.');
+    if (!SETTABLE_READINGS.includes(field) || this[key] === undefined) return false;
+    
+    if (child) this[key][child] = value;
+    else this[key] = value;
+    return true;
+  }
+
+  goodPartCount() {
+    return Math.max(0, this.partCount - this.scrapParts - this.reworkParts);
+  }
+
+  // Inspection results (kind GOOD / SCRAP / REWORK). Inspecting a
+  // suspect part takes it off the suspect count.
+  recordQuality(kind, quantity, suspect = false) {
+    if (kind === 'SCRAP') this.scrapParts += quantity;
+    if (kind === 'REWORK') this.reworkParts += quantity;
+    if (suspect) this.suspectParts = Math.max(0, this.suspectParts - quantity);
+  }
+
+  // ========================================
+  // SIMULATED FAULTS
+  // ========================================
+  
+  // mode from faultModes.js; options are checked by the caller
+  startFault(mode, { severity = 1, rampMinutes = FAULT_MODES[mode].rampMinutes, axis = 'X' } = {}, by = null) {
+    this.faults[mode] = {
+      startedAt: this._now().getTime(),
+      severity: severity,
+      rampMinutes: rampMinutes,
+      axis: mode === 'SERVO_DRIFT' ? axis : null,
+      startedBy: by
+    };
+    return this.describeFault(mode);
+  }
+
+  // Degradation stops; readings recover (or not - a drained tank stays
+  // empty) the way they normally would
+  stopFault(mode) {
+    if (!this.faults[mode]) return false;
+    delete this.faults[mode];
+    return true;
+  }
+
+  // 0 (not active) .. severity, ramping up over rampMinutes
+  _faultLevel(mode) {
+    const fault = this.faults[mode];
+    if (!fault) return 0;
+    
+    const minutes = (this._now().getTime() - fault.startedAt) / 60000;
+    const ramp = fault.rampMinutes > 0 ? Math.min(1, minutes / fault.rampMinutes) : 1;
+    return fault.severity * ramp;
+  }
+
+  describeFault(mode) {
+    const fault = this.faults[mode];
+    return {
+      mode: mode,
+      startedAt: new Date(fault.startedAt).toISOString(),
+      startedBy: fault.startedBy,
+      severity: fault.severity,
+      rampMinutes: fault.rampMinutes,
+      axis: fault.axis,
+      level: parseFloat(this._faultLevel(mode).toFixed(3))
+    };
   }
 
   // ========================================
   // JSON OUTPUT
   // ========================================
   
+  // A snapshot: nested state is copied, so a snapshot kept for later
+  // (the delta baseline, history) doesn't change with the machine
   toJSON() {
     const data = {
       id: this.id,
       name: this.name,
       model: this.model,
       type: this.type,
-      specs: this.specs,
+      specs: structuredClone(this.specs),
       
       // State
       power: this.power,
       execution: this.execution,
       cyclePhase: this.cyclePhase,
+      maintenanceMode: this.maintenanceMode,
       
       // Alarms
       alarm: this.alarm,
       alarmCode: this.alarmCode,
-      alarmHistory: this.alarmHistory.slice(-5), // Last 5
-      warnings: this.warnings,
+      alarmSeverity: this.alarmSeverity,
+      alarmHistory: structuredClone(this.alarmHistory.slice(-5)), // Last 5
+      warnings: structuredClone(this.warnings),
+      faults: Object.keys(this.faults).map(mode => this.describeFault(mode)),
       
       // Spindle
       spindleSpeed: Math.round(this.spindleSpeed),
@@ -730,9 +1657,9 @@ class HaasMachine {
       },
       
       // Servos
-      servoLoad: this.servoLoad,
-      servoFollowingError: this.servoFollowingError,
-      servoTemp: this.servoTemp,
+      servoLoad: Object.assign({}, this.servoLoad),
+      servoFollowingError: Object.assign({}, this.servoFollowingError),
+      servoTemp: Object.assign({}, this.servoTemp),
       
       // Production
       partCount: this.partCount,
@@ -740,6 +1667,13 @@ class HaasMachine {
       machineOnHours: parseFloat(this.machineOnHours.toFixed(3)),
       productionRate: this.productionRate,
       
+      // Quality
+      goodParts: this.goodPartCount(),
+      scrapParts: this.scrapParts,
+      reworkParts: this.reworkParts,
+      suspectParts: this.suspectParts,
+      lastCycleQuality: this.lastCycleQuality,
+      
       // Health
       batteryVoltage: parseFloat(this.batteryVoltage.toFixed(2)),
       temperature: Math.round(this.temperature),
@@ -754,18 +1688,20 @@ class HaasMachine {
     // Type-specific data
     if (this.type === 'CNC_MILL' || this.type === 'LATHE') {
       data.currentTool = this.currentTool;
-      data.tools = this.tools;
+      data.tools = structuredClone(this.tools);
       data.toolChangeCount = this.toolChangeCount;
       data.toolWear = parseFloat(this.toolWear.toFixed(3));
-      data.coolant = this.coolant;
+      data.coolant = Object.assign({}, this.coolant);
     }
     
     if (this.type === 'PRESS_BRAKE') {
       data.tonnage = Math.round(this.tonnage);
       data.maxTonnage = this.maxTonnage;
       data.ramPosition = Math.round(this.ramPosition);
-      data.backGauge = this.backGauge;
-      data.bendAngle = Math.round(this.bendAngle);
+      data.backGauge = parseFloat(this.backGauge.toFixed(1));
+      data.bendAngle = parseFloat(this.bendAngle.toFixed(1));
+      if (this.bendRun) data.bendStatus = this.describeBendRun();
+      if (this.bendStats) data.bendDeviation = this.describeBendStats();
     }
     
     if (this.type === 'LASER') {
@@ -778,9 +1714,18 @@ class HaasMachine {
     
     if (this.material) data.material = this.material;
     if (this.programRunning) data.programRunning = this.programRunning;
+    if (this.programRun) data.programStatus = this.describeProgramRun();
+    if (this.job) data.job = structuredClone(this.job);
+    if (this.serialNumber) data.serialNumber = this.serialNumber;
+    
+    data.dataSource = this.dataSource ? this.dataSource.describe() : { type: 'simulator' };
     
     return data;
   }
 }
 
+HaasMachine.TOOL_TYPES = TOOL_TYPES;
+HaasMachine.SUSPECT_LIMITS = SUSPECT_LIMITS;
+HaasMachine.SETTABLE_READINGS = SETTABLE_READINGS;
+
 module.exports = HaasMachine;
@@ -0,0 +1,255 @@
+// HistoryStore.js - Persistent telemetry history (SQLite)
+// Raw samples of every numeric machine field, rolled up into
+// 1-minute and 1-hour buckets, each with its own retention
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const clock = require('./clock');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const RESOLUTIONS = ['raw', '1m', '1h'];
+
+// toJSON() keys that are configuration or lists, not telemetry
+const SKIPPED_KEYS = ['id', 'name', 'model', 'type', 'specs', 'tools', 'alarmHistory', 'warnings', 'dataSource', 'job', 'timestamp'];
+
+// String fields kept in raw samples (not rolled up)
+const STATE_KEYS = ['execution', 'cyclePhase', 'alarm', 'programRunning'];
+
+class HistoryStore {
+  constructor(options = {}) {
+    this.file = options.file || path.join(__dirname, 'data', 'history.db');
+    this.sampleIntervalMs = options.sampleIntervalMs || 2000;
+    this.retention = {
+      raw: options.retention?.raw || DAY_MS,
+      '1m': options.retention?.['1m'] || 30 * DAY_MS,
+      '1h': options.retention?.['1h'] || 365 * DAY_MS
+    };
+
+    if (this.file !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    }
+
+    this.db = new Database(this.file);
+    this.db.pragma('journal_mode = WAL');
+    this._createSchema();
+    this._prepareStatements();
+
+    this.lastSampleAt = {}; // machineId -> ms
+    this._timer = null;
+  }
+
+  _createSchema() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS samples (
+        machine_id TEXT NOT NULL,
+        ts INTEGER NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS samples_machine_ts ON samples (machine_id, ts);
+
+      CREATE TABLE IF NOT EXISTS rollups (
+        resolution TEXT NOT NULL,
+        machine_id TEXT NOT NULL,
+        metric TEXT NOT NULL,
+        bucket INTEGER NOT NULL,
+        avg REAL, min REAL, max REAL,
+        count INTEGER NOT NULL,
+        PRIMARY KEY (resolution, machine_id, metric, bucket)
+      );
+
+      CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+    `);
+  }
+
+  _prepareStatements() {
+    this.stmts = {
+      insertSample: this.db.prepare('INSERT INTO samples (machine_id, ts, data) VALUES (?, ?, ?)'),
+
+      // Numeric fields of raw samples -> 1-minute buckets
+      rollupMinute: this.db.prepare(`
+        INSERT OR REPLACE INTO rollups (resolution, machine_id, metric, bucket, avg, min, max, count)
+        SELECT '1m', s.machine_id, j.key, (s.ts / ${MINUTE_MS}) * ${MINUTE_MS} AS bucket,
+               AVG(j.value), MIN(j.value), MAX(j.value), COUNT(*)
+        FROM samples s, json_each(s.data) j
+        WHERE s.ts >= @from AND s.ts < @to AND j.type IN ('integer', 'real')
+        GROUP BY s.machine_id, j.key, bucket
+      `),
+
+      // 1-minute buckets -> 1-hour buckets (count-weighted average)
+      rollupHour: this.db.prepare(`
+        INSERT OR REPLACE INTO rollups (resolution, machine_id, metric, bucket, avg, min, max, count)
+        SELECT '1h', machine_id, metric, (bucket / ${HOUR_MS}) * ${HOUR_MS} AS hour,
+               SUM(avg * count) / SUM(count), MIN(min), MAX(max), SUM(count)
+        FROM rollups
+        WHERE resolution = '1m' AND bucket >= @from AND bucket < @to
+        GROUP BY machine_id, metric, hour
+      `),
+
+      querySamples: this.db.prepare(`
+        SELECT ts, json_extract(data, '$."' || @metric || '"') AS value
+        FROM samples
+        WHERE machine_id = @machineId AND ts >= @from AND ts <= @to
+        ORDER BY ts
+      `),
+      queryRollups: this.db.prepare(`
+        SELECT bucket AS ts, avg, min, max, count
+        FROM rollups
+        WHERE resolution = @resolution AND machine_id = @machineId AND metric = @metric
+          AND bucket >= @from AND bucket <= @to
+        ORDER BY bucket
+      `),
+
+      pruneSamples: this.db.prepare('DELETE FROM samples WHERE ts < ?'),
+      pruneRollups: this.db.prepare('DELETE FROM rollups WHERE resolution = ? AND bucket < ?'),
+
+      getMeta: this.db.prepare('SELECT value FROM meta WHERE key = ?'),
+      setMeta: this.db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)')
+    };
+  }
+
+  // ========================================
+  // LIFECYCLE
+  // ========================================
+
+  // Roll up and prune once a minute
+  start() {
+    if (this._timer) return;
+    this.maintain();
+    this._timer = setInterval(() => this.maintain(), MINUTE_MS);
+  }
+
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  close() {
+    this.stop();
+    this.db.close();
+  }
+
+  // ========================================
+  // RECORDING
+  // ========================================
+
+  // Store one tick of toJSON() snapshots, downsampled to sampleIntervalMs
+  record(snapshots, now = clock.now()) {
+    const due = snapshots.filter(snapshot => {
+      const last = this.lastSampleAt[snapshot.id];
+      return last === undefined || now - last >= this.sampleIntervalMs;
+    });
+    if (due.length === 0) return;
+
+    const insertAll = this.db.transaction(() => {
+      due.forEach(snapshot => {
+        this.stmts.insertSample.run(snapshot.id, now, JSON.stringify(HistoryStore.flatten(snapshot)));
+        this.lastSampleAt[snapshot.id] = now;
+      });
+    });
+    insertAll();
+  }
+
+  // { axisPositions: { X: 1 } } -> { 'axisPositions.X': 1 }
+  static flatten(snapshot) {
+    const metrics = {};
+
+    const visit = (value, key) => {
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        metrics[key] = value;
+      } else if (typeof value === 'boolean') {
+        metrics[key] = value ? 1 : 0;
+      } else if (STATE_KEYS.includes(key)) {
+        metrics[key] = value;
+      } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+        Object.keys(value).forEach(child => visit(value[child], `${key}.${child}`));
+      }
+    };
+
+    Object.keys(snapshot).forEach(key => {
+      if (!SKIPPED_KEYS.includes(key)) visit(snapshot[key], key);
+    });
+
+    return metrics;
+  }
+
+  // ========================================
+  // ROLLUPS & RETENTION
+  // ========================================
+
+  maintain(now = clock.now()) {
+    const minuteEnd = Math.floor(now / MINUTE_MS) * MINUTE_MS;
+    const hourEnd = Math.floor(now / HOUR_MS) * HOUR_MS;
+
+    // Only complete buckets are rolled up; resume where we left off
+    const minuteFrom = this._getMark('rollup_1m_until', minuteEnd - this.retention.raw);
+    const hourFrom = this._getMark('rollup_1h_until', hourEnd - this.retention['1m']);
+
+    this.db.transaction(() => {
+      if (minuteFrom < minuteEnd) {
+        this.stmts.rollupMinute.run({ from: minuteFrom, to: minuteEnd });
+        this.stmts.setMeta.run('rollup_1m_until', String(minuteEnd));
+      }
+      if (hourFrom < hourEnd) {
+        this.stmts.rollupHour.run({ from: hourFrom, to: hourEnd });
+        this.stmts.setMeta.run('rollup_1h_until', String(hourEnd));
+      }
+
+      this.stmts.pruneSamples.run(now - this.retention.raw);
+      this.stmts.pruneRollups.run('1m', now - this.retention['1m']);
+      this.stmts.pruneRollups.run('1h', now - this.retention['1h']);
+    })();
+  }
+
+  _getMark(key, fallback) {
+    const row = this.stmts.getMeta.get(key);
+    return row ? parseInt(row.value, 10) : fallback;
+  }
+
+  // ========================================
+  // QUERIES
+  // ========================================
+
+  // resolution 'auto' picks the finest table that keeps the point count sane
+  query(machineId, metric, from, to, resolution = 'auto') {
+    if (resolution === 'auto') {
+      const span = to - from;
+      resolution = span <= 2 * HOUR_MS ? 'raw' : (span <= 3 * DAY_MS ? '1m' : '1h');
+    }
+
+    if (resolution === 'raw') {
+      const points = this.stmts.querySamples
+        .all({ machineId, metric, from, to })
+        .filter(row => row.value !== null)
+        .map(row => ({ t: new Date(row.ts).toISOString(), value: row.value }));
+      return { resolution, points };
+    }
+
+    const points = this.stmts.queryRollups
+      .all({ resolution, machineId, metric, from, to })
+      .map(row => ({
+        t: new Date(row.ts).toISOString(),
+        avg: round(row.avg),
+        min: round(row.min),
+        max: round(row.max),
+        count: row.count
+      }));
+    return { resolution, points };
+  }
+}
+
+function round(value) {
+  return value === null ? null : parseFloat(value.toFixed(3));
+}
+
+HistoryStore.RESOLUTIONS = RESOLUTIONS;
+
+module.exports = HistoryStore;
@@ -0,0 +1,376 @@
+// JobTracker.js - Jobs (work orders) and their progress
+// A job is a work order to make a quantity of one part with one
+// program and material. Each machine runs one job at a time; jobs
+// assigned while it is busy wait in its queue. Completed cycles count
+// toward the active job, and the next queued job starts when it's done.
+// Scrapped parts don't count - the job runs until it has enough good ones.
+//
+//   PENDING -> QUEUED -> ACTIVE -> COMPLETED
+//   (anything not yet completed can be CANCELLED)
+//
+// Emits 'updated' (job) on every status change and 'completed' (job)
+// when a job reaches its quantity or is closed early.
+
+const EventEmitter = require('events');
+const clock = require('./clock');
+
+const JOB_STATUSES = ['PENDING', 'QUEUED', 'ACTIVE', 'COMPLETED', 'CANCELLED'];
+
+const JOB_COLUMNS = `
+  id, work_order, part_number, program, material, quantity, due_at, machine_id,
+  status, created_at, created_by, assigned_at, started_at, completed_at,
+  completed_by, cancel_reason, produced, scrapped, cycles, cycle_seconds
+`;
+
+class JobError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'JobError';
+    this.status = status;
+  }
+}
+
+class JobTracker extends EventEmitter {
+  // idealCycleTime(machine, program) -> seconds per part or null, for
+  // an ETA before the first part is made
+  constructor(db, options = {}) {
+    super();
+    this.db = db;
+    this.idealCycleTime = options.idealCycleTime || (() => null);
+    this._createSchema();
+    this._prepareStatements();
+
+    this.tracked = new Map(); // machineId -> { machine, listener }
+  }
+
+  _createSchema() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        work_order TEXT NOT NULL UNIQUE,
+        part_number TEXT NOT NULL,
+        program TEXT NOT NULL,
+        material TEXT,
+        quantity INTEGER NOT NULL,
+        due_at INTEGER,
+        machine_id TEXT,
+        status TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        created_by TEXT,
+        assigned_at INTEGER,
+        started_at INTEGER,
+        completed_at INTEGER,
+        completed_by TEXT,
+        cancel_reason TEXT,
+        produced INTEGER NOT NULL DEFAULT 0,
+        cycles INTEGER NOT NULL DEFAULT 0,
+        cycle_seconds REAL NOT NULL DEFAULT 0,
+        scrapped INTEGER NOT NULL DEFAULT 0
+      );
+      CREATE INDEX IF NOT EXISTS jobs_machine_status ON jobs (machine_id, status);
+    `);
+  }
+
+  _prepareStatements() {
+    this.stmts = {
+      insert: this.db.prepare(`
+        INSERT INTO jobs (work_order, part_number, program, material, quantity, due_at, status, created_at, created_by)
+        VALUES (@workOrder, @partNumber, @program, @material, @quantity, @dueAt, 'PENDING', @at, @by)
+      `),
+      assign: this.db.prepare(`
+        UPDATE jobs SET machine_id = @machineId, status = 'QUEUED', assigned_at = @at WHERE id = @id
+      `),
+      start: this.db.prepare("UPDATE jobs SET status = 'ACTIVE', started_at = @at WHERE id = @id"),
+      progress: this.db.prepare(`
+        UPDATE jobs SET produced = produced + @parts, cycles = cycles + 1, cycle_seconds = cycle_seconds + @seconds
+        WHERE id = @id
+      `),
+      scrap: this.db.prepare('UPDATE jobs SET scrapped = scrapped + @quantity WHERE id = @id'),
+      complete: this.db.prepare(`
+        UPDATE jobs SET status = 'COMPLETED', completed_at = @at, completed_by = @by WHERE id = @id
+      `),
+      cancel: this.db.prepare(`
+        UPDATE jobs SET status = 'CANCELLED', completed_at = @at, completed_by = @by, cancel_reason = @reason WHERE id = @id
+      `),
+
+      get: this.db.prepare(`SELECT ${JOB_COLUMNS} FROM jobs WHERE id = ?`),
+      byWorkOrder: this.db.prepare('SELECT id FROM jobs WHERE work_order = ?'),
+      count: this.db.prepare('SELECT COUNT(*) AS count FROM jobs'),
+      active: this.db.prepare(`SELECT ${JOB_COLUMNS} FROM jobs WHERE machine_id = ? AND status = 'ACTIVE'`),
+      queue: this.db.prepare(`
+        SELECT ${JOB_COLUMNS} FROM jobs WHERE machine_id = ? AND status = 'QUEUED'
+        ORDER BY assigned_at, id
+      `),
+      list: this.db.prepare(`
+        SELECT ${JOB_COLUMNS} FROM jobs
+        WHERE (@machineId IS NULL OR machine_id = @machineId)
+          AND (@status IS NULL OR status = @status)
+        ORDER BY created_at DESC, id DESC
+        LIMIT @limit
+      `)
+    };
+  }
+
+  // ========================================
+  // TRACKING
+  // ========================================
+
+  track(machine) {
+    const current = this.tracked.get(machine.id);
+    if (current && current.machine === machine) return;
+    if (current) this.untrack(machine.id);
+
+    const listener = (event) => this._cycle(machine, event);
+    machine.on('cycle', listener);
+    this.tracked.set(machine.id, { machine, listener });
+
+    // Pick up where the last run (or the replaced instance) left off
+    const active = this.stmts.active.get(machine.id);
+    if (active) {
+      this._load(machine, active);
+    } else {
+      this._startNext(machine.id);
+    }
+  }
+
+  untrack(machineId) {
+    const entry = this.tracked.get(machineId);
+    if (!entry) return;
+
+    entry.machine.off('cycle', entry.listener);
+    this.tracked.delete(machineId);
+  }
+
+  _cycle(machine, event) {
+    const active = this.stmts.active.get(machine.id);
+    if (!active) return;
+
+    this.stmts.progress.run({ id: active.id, parts: event.parts, seconds: event.duration || 0 });
+    const job = this.stmts.get.get(active.id);
+    this._load(machine, job);
+
+    if (job.produced - job.scrapped >= job.quantity) {
+      this._finish(job.id, null);
+    }
+  }
+
+  // The machine runs the job's program on the job's material
+  _load(machine, row) {
+    machine.job = {
+      id: row.id,
+      workOrder: row.work_order,
+      partNumber: row.part_number,
+      quantity: row.quantity,
+      produced: row.produced,
+      scrapped: row.scrapped
+    };
+    machine.programRunning = row.program;
+    machine.material = row.material;
+  }
+
+  // Back to what the fleet config says when there's no work
+  _unload(machine) {
+    machine.job = null;
+    machine.programRunning = (machine.config && machine.config.programRunning) || null;
+    machine.material = (machine.config && machine.config.material) || null;
+  }
+
+  _startNext(machineId, at = clock.now()) {
+    const entry = this.tracked.get(machineId);
+    if (!entry || this.stmts.active.get(machineId)) return;
+
+    const next = this.stmts.queue.get(machineId);
+    if (!next) {
+      if (entry.machine.job) this._unload(entry.machine);
+      return;
+    }
+
+    this.stmts.start.run({ id: next.id, at });
+    this._load(entry.machine, this.stmts.get.get(next.id));
+    this.emit('updated', this.get(next.id));
+  }
+
+  _finish(id, by) {
+    const row = this.stmts.get.get(id);
+    this.stmts.complete.run({ id, at: clock.now(), by });
+
+    const job = this.get(id);
+    this.emit('updated', job);
+    this.emit('completed', job);
+
+    if (row.status === 'ACTIVE') this._startNext(row.machine_id);
+    return job;
+  }
+
+  // ========================================
+  // JOB ACTIONS
+  // ========================================
+
+  create({ workOrder, partNumber, program, material = null, quantity, dueAt = null, by = null }) {
+    if (this.stmts.byWorkOrder.get(workOrder)) {
+      throw new JobError(409, `Work order ${workOrder} already exists`);
+    }
+
+    const { lastInsertRowid } = this.stmts.insert.run({
+      workOrder, partNumber, program, material, quantity, dueAt, by, at: clock.now()
+    });
+    return this.get(lastInsertRowid);
+  }
+
+  // To the back of the machine's queue (or straight on if it's free)
+  assign(id, machineId) {
+    const row = this._require(id);
+    if (row.status !== 'PENDING' && row.status !== 'QUEUED') {
+      throw new JobError(409, `Job is ${row.status}`);
+    }
+    if (!this.tracked.has(machineId)) {
+      throw new JobError(404, 'Machine not found');
+    }
+
+    this.stmts.assign.run({ id, machineId, at: clock.now() });
+    this._startNext(machineId);
+    return this.get(id);
+  }
+
+  // Close a job before it reaches its quantity (short run)
+  complete(id, { by }) {
+    const row = this._require(id);
+    if (row.status !== 'ACTIVE') {
+      throw new JobError(409, `Only an ACTIVE job can be completed (job is ${row.status})`);
+    }
+    return this._finish(id, by);
+  }
+
+  cancel(id, { by, reason = null }) {
+    const row = this._require(id);
+    if (row.status === 'COMPLETED' || row.status === 'CANCELLED') {
+      throw new JobError(409, `Job is ${row.status}`);
+    }
+
+    this.stmts.cancel.run({ id, at: clock.now(), by, reason });
+    const job = this.get(id);
+    this.emit('updated', job);
+
+    if (row.status === 'ACTIVE') this._startNext(row.machine_id);
+    return job;
+  }
+
+  // Scrapped parts come off the good count (a finished job stays finished)
+  recordScrap(id, quantity) {
+    const row = this._require(id);
+    this.stmts.scrap.run({ id, quantity });
+
+    const entry = this.tracked.get(row.machine_id);
+    if (row.status === 'ACTIVE' && entry) this._load(entry.machine, this.stmts.get.get(id));
+
+    const job = this.get(id);
+    this.emit('updated', job);
+    return job;
+  }
+
+  _require(id) {
+    const row = this.stmts.get.get(id);
+    if (!row) throw new JobError(404, 'Job not found');
+    return row;
+  }
+
+  // First-run demo jobs; ignored once any job exists
+  seed(jobs) {
+    if (this.stmts.count.get().count > 0) return 0;
+
+    jobs.forEach(entry => {
+      const job = this.create(Object.assign({ by: 'seed' }, entry));
+      if (entry.machine && this.tracked.has(entry.machine)) this.assign(job.id, entry.machine);
+    });
+    return jobs.length;
+  }
+
+  // ========================================
+  // QUERIES
+  // ========================================
+
+  get(id, now = clock.now()) {
+    const row = this.stmts.get.get(id);
+    return row ? this._toJob(row, now) : null;
+  }
+
+  // Newest first
+  list({ machineId = null, status = null, limit = 100 } = {}, now = clock.now()) {
+    return this.stmts.list
+      .all({ machineId, status, limit })
+      .map(row => this._toJob(row, now));
+  }
+
+  // Active job and queue, with ETAs chained one after another
+  machineJobs(machineId, now = clock.now()) {
+    const active = this.stmts.active.get(machineId);
+    const activeJob = active ? this._toJob(active, now) : null;
+
+    let startAt = activeJob && activeJob.etaAt ? Date.parse(activeJob.etaAt) : now;
+    const queue = this.stmts.queue.all(machineId).map(row => {
+      const job = this._toJob(row, startAt);
+      if (startAt !== null && job.etaAt) {
+        startAt = Date.parse(job.etaAt);
+      } else {
+        startAt = null;
+        job.etaAt = null;
+      }
+      return job;
+    });
+
+    return { active: activeJob, queue: queue };
+  }
+
+  _toJob(row, now) {
+    const good = row.produced - row.scrapped;
+    const remaining = Math.max(0, row.quantity - good);
+    const avgCycleSec = row.produced > 0 ? row.cycle_seconds / row.produced : null;
+    const entry = this.tracked.get(row.machine_id);
+    const ideal = entry ? this.idealCycleTime(entry.machine, row.program) : null;
+
+    // Actual cycle time per part once parts are coming off, else ideal
+    const perPart = avgCycleSec || ideal;
+    const open = row.status === 'ACTIVE' || row.status === 'QUEUED';
+    const etaAt = open && perPart && now !== null ? now + remaining * perPart * 1000 : null;
+
+    return {
+      id: row.id,
+      workOrder: row.work_order,
+      partNumber: row.part_number,
+      program: row.program,
+      material: row.material,
+      quantity: row.quantity,
+      produced: row.produced,
+      scrapped: row.scrapped,
+      good: good,
+      remaining: remaining,
+      percent: parseFloat(Math.min(100, Math.max(0, good / row.quantity) * 100).toFixed(1)),
+      status: row.status,
+      machineId: row.machine_id,
+      dueAt: iso(row.due_at),
+      createdAt: iso(row.created_at),
+      createdBy: row.created_by,
+      assignedAt: iso(row.assigned_at),
+      startedAt: iso(row.started_at),
+      completedAt: iso(row.completed_at),
+      completedBy: row.completed_by,
+      cancelReason: row.cancel_reason,
+      cycles: row.cycles,
+      avgCycleSec: avgCycleSec === null ? null : parseFloat(avgCycleSec.toFixed(1)),
+      etaAt: iso(etaAt),
+      etaBasis: open && perPart ? (avgCycleSec ? 'actual' : 'ideal') : null,
+      late: row.due_at !== null && (
+        open ? etaAt !== null && etaAt > row.due_at : row.status === 'COMPLETED' && row.completed_at > row.due_at
+      )
+    };
+  }
+}
+
+function iso(ts) {
+  return ts === null || ts === undefined ? null : new Date(ts).toISOString();
+}
+
+JobTracker.JOB_STATUSES = JOB_STATUSES;
+JobTracker.JobError = JobError;
+
+module.exports = JobTracker;
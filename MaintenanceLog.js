@@ -0,0 +1,396 @@
+// MaintenanceLog.js - Preventive maintenance schedule and work orders
+// Works out which maintenance plans are due on each machine from its
+// hour meters and the last completed work order, opens work orders for
+// due tasks, and keeps the hour meters across restarts.
+//
+//   OPEN -> IN_PROGRESS -> COMPLETED
+//   (OPEN or IN_PROGRESS orders can also be CANCELLED)
+//
+// Starting a work order puts the machine in MAINTENANCE; completing or
+// cancelling the last one in progress hands it back to production.
+
+const { listPlans, getPlan } = require('./maintenancePlans');
+const clock = require('./clock');
+
+const ORDER_STATUSES = ['OPEN', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'];
+const TASK_STATUSES = ['ok', 'due', 'overdue'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CHECK_INTERVAL_MS = 60 * 1000;
+const DUE_SOON = 0.1; // due once 10% of any interval is left
+
+const ORDER_COLUMNS = `
+  id, machine_id, plan_id, title, status, created_at, created_by, assigned_to,
+  started_at, started_by, completed_at, completed_by, notes, machine_hours,
+  spindle_hours, cancelled_at, cancelled_by, cancel_reason
+`;
+
+class MaintenanceError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'MaintenanceError';
+    this.status = status;
+  }
+}
+
+class MaintenanceLog {
+  constructor(db) {
+    this.db = db;
+    this._createSchema();
+    this._prepareStatements();
+
+    this.tracked = new Map(); // machineId -> machine
+    this.lastCheck = 0;
+  }
+
+  _createSchema() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS machine_meters (
+        machine_id TEXT PRIMARY KEY,
+        machine_hours REAL NOT NULL,
+        spindle_hours REAL NOT NULL,
+        first_seen INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS work_orders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        machine_id TEXT NOT NULL,
+        plan_id TEXT,
+        title TEXT NOT NULL,
+        status TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        created_by TEXT,
+        assigned_to TEXT,
+        started_at INTEGER,
+        started_by TEXT,
+        completed_at INTEGER,
+        completed_by TEXT,
+        notes TEXT,
+        machine_hours REAL,
+        spindle_hours REAL,
+        cancelled_at INTEGER,
+        cancelled_by TEXT,
+        cancel_reason TEXT
+      );
+      CREATE INDEX IF NOT EXISTS work_orders_machine_plan ON work_orders (machine_id, plan_id, status);
+    `);
+  }
+
+  _prepareStatements() {
+    this.stmts = {
+      getMeters: this.db.prepare('SELECT machine_hours, spindle_hours, first_seen FROM machine_meters WHERE machine_id = ?'),
+      saveMeters: this.db.prepare(`
+        INSERT INTO machine_meters (machine_id, machine_hours, spindle_hours, first_seen, updated_at)
+        VALUES (@machineId, @machineHours, @spindleHours, @at, @at)
+        ON CONFLICT (machine_id) DO UPDATE SET
+          machine_hours = excluded.machine_hours,
+          spindle_hours = excluded.spindle_hours,
+          updated_at = excluded.updated_at
+      `),
+
+      insertOrder: this.db.prepare(`
+        INSERT INTO work_orders (machine_id, plan_id, title, status, created_at, created_by, assigned_to, notes)
+        VALUES (@machineId, @planId, @title, 'OPEN', @at, @by, @assignee, @notes)
+      `),
+      start: this.db.prepare(`
+        UPDATE work_orders SET status = 'IN_PROGRESS', started_at = @at, started_by = @by WHERE id = @id
+      `),
+      complete: this.db.prepare(`
+        UPDATE work_orders SET status = 'COMPLETED', completed_at = @at, completed_by = @by,
+          notes = COALESCE(@notes, notes), machine_hours = @machineHours, spindle_hours = @spindleHours
+        WHERE id = @id
+      `),
+      cancel: this.db.prepare(`
+        UPDATE work_orders SET status = 'CANCELLED', cancelled_at = @at, cancelled_by = @by, cancel_reason = @reason
+        WHERE id = @id
+      `),
+
+      get: this.db.prepare(`SELECT ${ORDER_COLUMNS} FROM work_orders WHERE id = ?`),
+      lastCompleted: this.db.prepare(`
+        SELECT ${ORDER_COLUMNS} FROM work_orders
+        WHERE machine_id = ? AND plan_id = ? AND status = 'COMPLETED'
+        ORDER BY completed_at DESC LIMIT 1
+      `),
+      openForPlan: this.db.prepare(`
+        SELECT id FROM work_orders
+        WHERE machine_id = ? AND plan_id = ? AND status IN ('OPEN', 'IN_PROGRESS')
+        LIMIT 1
+      `),
+      inProgress: this.db.prepare(`
+        SELECT id FROM work_orders WHERE machine_id = ? AND status = 'IN_PROGRESS'
+      `),
+      list: this.db.prepare(`
+        SELECT ${ORDER_COLUMNS} FROM work_orders
+        WHERE (@machineId IS NULL OR machine_id = @machineId)
+          AND (@status IS NULL OR status = @status)
+        ORDER BY created_at DESC, id DESC
+        LIMIT @limit
+      `)
+    };
+  }
+
+  // ========================================
+  // TRACKING
+  // ========================================
+
+  // Simulated hour meters start at zero, so carry them over from the
+  // last run (live controls report their own)
+  track(machine) {
+    const saved = this.stmts.getMeters.get(machine.id);
+    if (saved) {
+      machine.machineOnHours = Math.max(machine.machineOnHours, saved.machine_hours);
+      machine.spindleHours = Math.max(machine.spindleHours, saved.spindle_hours);
+    } else {
+      this._saveMeters(machine, clock.now());
+    }
+
+    this.tracked.set(machine.id, machine);
+
+    // Still under maintenance from before a restart or type change
+    if (this.stmts.inProgress.all(machine.id).length > 0 && !machine.maintenanceMode) {
+      machine.setMaintenance(true);
+    }
+  }
+
+  untrack(machineId) {
+    this.tracked.delete(machineId);
+  }
+
+  _saveMeters(machine, at) {
+    this.stmts.saveMeters.run({
+      machineId: machine.id,
+      machineHours: machine.machineOnHours,
+      spindleHours: machine.spindleHours,
+      at: at
+    });
+  }
+
+  // Called every tick: saves meters and, once a minute, opens work
+  // orders for tasks that have come due. Returns the new orders.
+  touch(now = clock.now()) {
+    this.db.transaction(() => {
+      this.tracked.forEach(machine => this._saveMeters(machine, now));
+    })();
+
+    if (now - this.lastCheck < CHECK_INTERVAL_MS) return [];
+    this.lastCheck = now;
+
+    const created = [];
+    this.tracked.forEach(machine => {
+      this.schedule(machine, now)
+        .filter(task => task.status !== 'ok' && task.openOrderId === null)
+        .forEach(task => {
+          created.push(this.createOrder(machine.id, { planId: task.planId, by: 'scheduler' }, now));
+        });
+    });
+    return created;
+  }
+
+  // ========================================
+  // SCHEDULE
+  // ========================================
+
+  // Every plan for the machine's type with how much of each interval is left
+  schedule(machine, now = clock.now()) {
+    const meters = this.stmts.getMeters.get(machine.id);
+    const firstSeen = meters ? meters.first_seen : now;
+
+    return listPlans({ machineType: machine.type }).map(plan => {
+      const last = this.stmts.lastCompleted.get(machine.id, plan.id);
+      const open = this.stmts.openForPlan.get(machine.id, plan.id);
+
+      // Never done: count from when the monitor first saw the machine
+      const since = last
+        ? { at: last.completed_at, machineHours: last.machine_hours, spindleHours: last.spindle_hours }
+        : { at: firstSeen, machineHours: 0, spindleHours: 0 };
+
+      const current = {
+        machineHours: machine.machineOnHours,
+        spindleHours: machine.spindleHours,
+        days: (now - since.at) / DAY_MS
+      };
+
+      const intervals = Object.entries(plan.every).map(([meter, interval]) => {
+        const used = meter === 'days' ? current.days : current[meter] - since[meter];
+        return {
+          meter: meter,
+          interval: interval,
+          used: round(used),
+          remaining: round(interval - used)
+        };
+      });
+
+      let status = 'ok';
+      if (intervals.some(i => i.remaining <= 0)) {
+        status = 'overdue';
+      } else if (intervals.some(i => i.remaining <= i.interval * DUE_SOON)) {
+        status = 'due';
+      }
+
+      return {
+        planId: plan.id,
+        title: plan.title,
+        category: plan.category,
+        every: plan.every,
+        status: status,
+        lastDoneAt: last ? iso(last.completed_at) : null,
+        lastOrderId: last ? last.id : null,
+        openOrderId: open ? open.id : null,
+        nextDueAt: plan.every.days ? iso(since.at + plan.every.days * DAY_MS) : null,
+        intervals: intervals
+      };
+    });
+  }
+
+  // ========================================
+  // WORK ORDERS
+  // ========================================
+
+  // From a plan (planId) or ad hoc (title)
+  createOrder(machineId, { planId = null, title = null, assignee = null, notes = null, by = null }, now = clock.now()) {
+    const machine = this.tracked.get(machineId);
+    if (!machine) throw new MaintenanceError(404, 'Machine not found');
+
+    if (planId) {
+      const plan = getPlan(planId);
+      if (!plan) {
+        throw new MaintenanceError(400, `Unknown maintenance plan "${planId}"`);
+      }
+      if (!plan.machineTypes.includes(machine.type)) {
+        throw new MaintenanceError(400, `Plan "${planId}" does not apply to ${machine.type} machines`);
+      }
+      const open = this.stmts.openForPlan.get(machineId, planId);
+      if (open) {
+        throw new MaintenanceError(409, `Work order ${open.id} for "${planId}" is already open`);
+      }
+      title = title || plan.title;
+    }
+
+    const { lastInsertRowid } = this.stmts.insertOrder.run({
+      machineId, planId, title, by, assignee, notes, at: now
+    });
+    return this.get(lastInsertRowid);
+  }
+
+  start(id, { by }) {
+    const order = this._require(id);
+    if (order.status !== 'OPEN') {
+      throw new MaintenanceError(409, `Work order is ${order.status}`);
+    }
+
+    this.stmts.start.run({ id, at: clock.now(), by });
+
+    const machine = this.tracked.get(order.machine_id);
+    if (machine && !machine.maintenanceMode) machine.setMaintenance(true);
+    return this.get(id);
+  }
+
+  // Sign-off: records who did the work and the meters it was done at
+  complete(id, { by, notes = null }) {
+    const order = this._require(id);
+    if (order.status !== 'OPEN' && order.status !== 'IN_PROGRESS') {
+      throw new MaintenanceError(409, `Work order is ${order.status}`);
+    }
+
+    const machine = this.tracked.get(order.machine_id);
+    this.stmts.complete.run({
+      id,
+      at: clock.now(),
+      by,
+      notes,
+      machineHours: machine ? machine.machineOnHours : null,
+      spindleHours: machine ? machine.spindleHours : null
+    });
+
+    this._release(order.machine_id);
+    return this.get(id);
+  }
+
+  cancel(id, { by, reason = null }) {
+    const order = this._require(id);
+    if (order.status !== 'OPEN' && order.status !== 'IN_PROGRESS') {
+      throw new MaintenanceError(409, `Work order is ${order.status}`);
+    }
+
+    this.stmts.cancel.run({ id, at: clock.now(), by, reason });
+    this._release(order.machine_id);
+    return this.get(id);
+  }
+
+  // Back to production once nothing is in progress on the machine
+  _release(machineId) {
+    const machine = this.tracked.get(machineId);
+    if (machine && machine.maintenanceMode && this.stmts.inProgress.all(machineId).length === 0) {
+      machine.setMaintenance(false);
+    }
+  }
+
+  // Orders keeping the machine in MAINTENANCE
+  inProgress(machineId) {
+    return this.stmts.inProgress.all(machineId).map(row => row.id);
+  }
+
+  _require(id) {
+    const row = this.stmts.get.get(id);
+    if (!row) throw new MaintenanceError(404, 'Work order not found');
+    return row;
+  }
+
+  // ========================================
+  // QUERIES
+  // ========================================
+
+  get(id) {
+    const row = this.stmts.get.get(id);
+    return row ? toOrder(row) : null;
+  }
+
+  // Newest first
+  list({ machineId = null, status = null, limit = 100 } = {}) {
+    return this.stmts.list
+      .all({ machineId, status, limit })
+      .map(toOrder);
+  }
+}
+
+function toOrder(row) {
+  const plan = row.plan_id ? getPlan(row.plan_id) : null;
+
+  return {
+    id: row.id,
+    machineId: row.machine_id,
+    planId: row.plan_id,
+    title: row.title,
+    status: row.status,
+    createdAt: iso(row.created_at),
+    createdBy: row.created_by,
+    assignedTo: row.assigned_to,
+    startedAt: iso(row.started_at),
+    startedBy: row.started_by,
+    completedAt: iso(row.completed_at),
+    completedBy: row.completed_by,
+    notes: row.notes,
+    machineHours: row.machine_hours === null ? null : round(row.machine_hours),
+    spindleHours: row.spindle_hours === null ? null : round(row.spindle_hours),
+    cancelledAt: iso(row.cancelled_at),
+    cancelledBy: row.cancelled_by,
+    cancelReason: row.cancel_reason,
+    estimatedMinutes: plan && plan.estimatedMinutes ? plan.estimatedMinutes : null,
+    steps: plan && plan.steps ? plan.steps : []
+  };
+}
+
+function iso(ts) {
+  return ts === null ? null : new Date(ts).toISOString();
+}
+
+function round(value) {
+  return parseFloat(value.toFixed(2));
+}
+
+MaintenanceLog.ORDER_STATUSES = ORDER_STATUSES;
+MaintenanceLog.TASK_STATUSES = TASK_STATUSES;
+MaintenanceLog.MaintenanceError = MaintenanceError;
+
+module.exports = MaintenanceLog;
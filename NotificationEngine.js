@@ -0,0 +1,290 @@
+// NotificationEngine.js - Alarm and warning notifications
+// Checks every machine once per simulation step against the configured
+// rules and sends to webhook / Slack / Teams / email channels. A
+// condition (one alarm or warning on one machine) is notified once per
+// rule after it has lasted minDurationSec, and escalated once if it is
+// still there (for an alarm: still unacknowledged) after
+// escalation.afterMinutes.
+//
+//   Dedup:        the same rule + condition is not re-sent within
+//                 cooldownMinutes, even if it clears and comes back
+//   Rate limit:   at most rateLimit.maxPerHour messages per channel
+//   Retry:        a failed send is tried again after each of
+//                 retryDelaysMs before it is logged as failed
+//   Quiet hours:  first notifications wait until quiet hours end
+//                 (escalations still go out)
+//
+// Durations, escalations, cooldowns and quiet hours run on plant time
+// (the now passed to evaluate), so they keep step with the simulation
+// at any speed. The rate limit and retries protect the channels
+// themselves and stay on wall time.
+
+const { createChannel } = require('./channels');
+const { localMinutes } = require('./shiftCalendar');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const LOG_SIZE = 100;
+const RETRY_DELAYS_MS = [10 * 1000, MINUTE_MS, 5 * MINUTE_MS];
+
+class NotificationEngine {
+  constructor(config, options = {}) {
+    this.rules = config.rules;
+    this.maxPerHour = config.rateLimit ? config.rateLimit.maxPerHour : 30;
+    this.alarmLog = options.alarmLog || null;
+    this.retryDelaysMs = options.retryDelaysMs || RETRY_DELAYS_MS;
+
+    this.channels = {};
+    Object.entries(config.channels).forEach(([name, channelConfig]) => {
+      this.channels[name] = createChannel(channelConfig);
+    });
+
+    this.conditions = new Map(); // conditionKey -> { since, notified: Set, escalated: Set }
+    this.lastSent = new Map();   // ruleId|conditionKey -> ms
+    this.sentAt = {};            // channel -> [wall ms, ...] within the last hour
+    this.log = [];
+  }
+
+  // ========================================
+  // EVALUATION
+  // ========================================
+
+  // Called every simulation step with the current fleet and plant time
+  evaluate(machineList, now) {
+    const present = new Set();
+
+    machineList.forEach(machine => {
+      this._conditionsFor(machine).forEach(condition => {
+        present.add(condition.key);
+
+        let state = this.conditions.get(condition.key);
+        if (!state) {
+          state = { since: now, notified: new Set(), escalated: new Set() };
+          this.conditions.set(condition.key, state);
+        }
+
+        this.rules
+          .filter(rule => this._matches(rule, machine, condition))
+          .forEach(rule => this._apply(rule, machine, condition, state, now));
+      });
+    });
+
+    // Conditions that went away start over next time they appear
+    Array.from(this.conditions.keys())
+      .filter(key => !present.has(key))
+      .forEach(key => this.conditions.delete(key));
+  }
+
+  _conditionsFor(machine) {
+    const conditions = [];
+
+    if (machine.alarm) {
+      const entry = machine.alarmHistory[machine.alarmHistory.length - 1] || {};
+      conditions.push({
+        key: `${machine.id}|alarm|${machine.alarmCode !== null ? machine.alarmCode : machine.alarm}`,
+        event: 'alarm',
+        code: machine.alarmCode,
+        name: machine.alarm,
+        title: entry.title || machine.alarm,
+        severity: machine.alarmSeverity
+      });
+    }
+
+    machine.warnings.forEach(warning => {
+      conditions.push({
+        key: `${machine.id}|warning|${warning.type}`,
+        event: 'warning',
+        code: null,
+        name: warning.type,
+        title: warning.message,
+        severity: warning.severity
+      });
+    });
+
+    return conditions;
+  }
+
+  _matches(rule, machine, condition) {
+    if (rule.event !== condition.event) return false;
+    if (rule.machines && !rule.machines.includes(machine.id)) return false;
+    if (rule.machineTypes && !rule.machineTypes.includes(machine.type)) return false;
+    if (rule.severities && !rule.severities.includes(condition.severity)) return false;
+    if (rule.warningTypes && !rule.warningTypes.includes(condition.name)) return false;
+    if (rule.codes && !rule.codes.some(code => code === condition.code || code === condition.name)) return false;
+    return true;
+  }
+
+  _apply(rule, machine, condition, state, now) {
+    const elapsedMs = now - state.since;
+
+    if (!state.notified.has(rule.id) &&
+        elapsedMs >= (rule.minDurationSec || 0) * 1000 &&
+        !(rule.quietHours && inQuietHours(rule.quietHours, now))) {
+      // Handled even when deduplicated, so it isn't retried every tick
+      state.notified.add(rule.id);
+
+      const dedupKey = `${rule.id}|${condition.key}`;
+      const cooldownMs = (rule.cooldownMinutes !== undefined ? rule.cooldownMinutes : 15) * MINUTE_MS;
+      const last = this.lastSent.get(dedupKey);
+
+      if (last === undefined || now - last >= cooldownMs) {
+        this.lastSent.set(dedupKey, now);
+        this._deliver(rule.channels, this._notification('notify', rule, machine, condition, state, now));
+      }
+    }
+
+    if (rule.escalation && !state.escalated.has(rule.id) && elapsedMs >= rule.escalation.afterMinutes * MINUTE_MS) {
+      // Acknowledging the machine's alarm only holds back alarm escalations
+      if (condition.event === 'alarm') {
+        const record = this.alarmLog ? this.alarmLog.current(machine.id) : null;
+        if (record && record.acknowledgedAt) return;
+      }
+
+      state.escalated.add(rule.id);
+      this._deliver(rule.escalation.channels, this._notification('escalation', rule, machine, condition, state, now));
+    }
+  }
+
+  _notification(kind, rule, machine, condition, state, now) {
+    const notification = {
+      kind: kind,
+      event: condition.event,
+      ruleId: rule.id,
+      machineId: machine.id,
+      machineName: machine.name,
+      model: machine.model,
+      machineType: machine.type,
+      code: condition.code,
+      name: condition.name,
+      title: condition.title,
+      severity: condition.severity,
+      since: new Date(state.since).toISOString(),
+      durationSec: Math.round((now - state.since) / 1000),
+      timestamp: new Date(now).toISOString()
+    };
+
+    if (condition.event === 'alarm' && this.alarmLog) {
+      const record = this.alarmLog.current(machine.id);
+      if (record) {
+        notification.alarmId = record.id;
+        notification.acknowledged = record.acknowledgedAt !== null;
+      }
+    }
+
+    return notification;
+  }
+
+  // ========================================
+  // DELIVERY
+  // ========================================
+
+  _deliver(channelNames, notification, now = Date.now()) {
+    channelNames.forEach(name => {
+      const recent = (this.sentAt[name] || []).filter(ts => now - ts < HOUR_MS);
+      this.sentAt[name] = recent;
+
+      if (recent.length >= this.maxPerHour) {
+        this._record(notification, name, 'rate-limited', null);
+        return;
+      }
+      recent.push(now);
+
+      this._send(name, notification, 1);
+    });
+  }
+
+  // A retry is the same message, so it doesn't count against the rate limit
+  _send(name, notification, attempt) {
+    this.channels[name].send(notification)
+      .then(() => this._record(notification, name, 'sent', null, attempt))
+      .catch(err => {
+        const delay = this.retryDelaysMs[attempt - 1];
+        if (delay === undefined) {
+          console.error(`⚠️  Notification to ${name} failed after ${attempt} attempts: ${err.message}`);
+          this._record(notification, name, 'failed', err.message, attempt);
+          return;
+        }
+        console.error(`⚠️  Notification to ${name} failed, retrying in ${delay / 1000}s: ${err.message}`);
+        setTimeout(() => this._send(name, notification, attempt + 1), delay).unref();
+      });
+  }
+
+  _record(notification, channel, status, error, attempts = 1) {
+    this.log.push({
+      at: new Date().toISOString(),
+      channel: channel,
+      status: status,
+      error: error,
+      attempts: attempts,
+      kind: notification.kind,
+      ruleId: notification.ruleId,
+      machineId: notification.machineId,
+      code: notification.code,
+      name: notification.name
+    });
+
+    if (this.log.length > LOG_SIZE) {
+      this.log = this.log.slice(-LOG_SIZE);
+    }
+  }
+
+  // Send a sample message straight to one channel (no rules, no limits)
+  async test(channelName) {
+    const channel = this.channels[channelName];
+    if (!channel) {
+      throw new Error(`Unknown channel "${channelName}"`);
+    }
+
+    const notification = {
+      kind: 'test',
+      event: 'alarm',
+      ruleId: null,
+      machineId: 'test',
+      machineName: 'Test Machine',
+      model: 'TEST',
+      machineType: 'CNC_MILL',
+      code: 103,
+      name: 'X AXIS FOLLOWING ERROR',
+      title: 'Test notification',
+      severity: 'info',
+      since: new Date().toISOString(),
+      durationSec: 0,
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      await channel.send(notification);
+      this._record(notification, channelName, 'sent', null);
+    } catch (err) {
+      this._record(notification, channelName, 'failed', err.message);
+      throw err;
+    }
+  }
+
+  describe() {
+    return {
+      channels: Object.entries(this.channels).map(([name, channel]) => Object.assign({ name }, channel.describe())),
+      rules: this.rules,
+      rateLimit: { maxPerHour: this.maxPerHour }
+    };
+  }
+}
+
+// Plant-local time (the shift calendar's timezone); a window like
+// 22:00-06:00 wraps past midnight
+function inQuietHours(quietHours, now) {
+  const minutes = localMinutes(now);
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+function toMinutes(clock) {
+  const [h, m] = clock.split(':').map(Number);
+  return h * 60 + m;
+}
+
+module.exports = NotificationEngine;
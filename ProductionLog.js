@@ -0,0 +1,476 @@
+// ProductionLog.js - Persistent time-in-state and cycle records
+// Listens to HaasMachine 'execution' and 'cycle' events and keeps
+// them in SQLite so availability and performance survive restarts.
+// Each state segment doubles as a transition event that operators
+// can tag with a downtime reason.
+//
+// Cycles also carry a quality flag: GOOD, or SUSPECT when the machine
+// saw high load/vibration during the cycle, until inspection marks the
+// part GOOD, SCRAP or REWORK. Scrap and rework recorded here count
+// against OEE quality. Emits 'suspect' (cycle) for each suspect part.
+
+const EventEmitter = require('events');
+const clock = require('./clock');
+
+// Reasons operators can attach to IDLE / STOPPED time
+const DOWNTIME_REASONS = {
+  SETUP: 'Setup / changeover',
+  WAITING_MATERIAL: 'Waiting for material',
+  MAINTENANCE: 'Maintenance',
+  NO_OPERATOR: 'No operator',
+  TOOL_CHANGE: 'Tool change',
+  QUALITY_CHECK: 'Quality check',
+  BREAK: 'Break / meeting',
+  OTHER: 'Other'
+};
+
+const DOWNTIME_STATES = ['IDLE', 'STOPPED'];
+
+// Reasons inspection can give for scrap and rework
+const QUALITY_REASONS = {
+  DIMENSIONAL: 'Out of tolerance',
+  SURFACE_FINISH: 'Surface finish',
+  CHATTER: 'Chatter marks',
+  BURRS: 'Burrs / edge condition',
+  TOOL_BREAKAGE: 'Tool breakage',
+  MATERIAL_DEFECT: 'Material defect',
+  SETUP_PART: 'Setup / first-off part',
+  HANDLING_DAMAGE: 'Handling damage',
+  OTHER: 'Other'
+};
+
+const QUALITY_KINDS = ['SCRAP', 'REWORK'];
+const CYCLE_QUALITIES = ['GOOD', 'SUSPECT', 'SCRAP', 'REWORK'];
+
+const EVENT_COLUMNS = `
+  id, machine_id, from_state, state, power, cycle_phase, alarm, alarm_code,
+  start_ts, end_ts, reason_code, reason_note, reason_by, reason_at
+`;
+
+const CYCLE_COLUMNS = `
+  id, machine_id, job_id, program, end_ts, duration_ms, parts, good_parts, quality,
+  suspect_reason, peak_load, peak_vibration, inspected_by, inspected_at
+`;
+
+const QUALITY_COLUMNS = `
+  id, machine_id, job_id, cycle_id, kind, quantity, reason_code, note, recorded_by, recorded_at
+`;
+
+class ProductionLog extends EventEmitter {
+  constructor(db) {
+    super();
+    this.db = db;
+    this._createSchema();
+    this._prepareStatements();
+
+    this.tracked = new Map(); // machineId -> { machine, listeners }
+
+    // Segments left open by the last run end where we last saw them
+    this.stmts.closeStale.run();
+  }
+
+  _createSchema() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS state_segments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        machine_id TEXT NOT NULL,
+        from_state TEXT,
+        state TEXT NOT NULL,
+        power INTEGER NOT NULL,
+        cycle_phase TEXT,
+        alarm TEXT,
+        alarm_code INTEGER,
+        start_ts INTEGER NOT NULL,
+        end_ts INTEGER,
+        last_seen_ts INTEGER NOT NULL,
+        reason_code TEXT,
+        reason_note TEXT,
+        reason_by TEXT,
+        reason_at INTEGER
+      );
+      CREATE INDEX IF NOT EXISTS state_segments_machine_time ON state_segments (machine_id, start_ts);
+
+      CREATE TABLE IF NOT EXISTS cycles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        machine_id TEXT NOT NULL,
+        job_id INTEGER,
+        program TEXT,
+        end_ts INTEGER NOT NULL,
+        duration_ms INTEGER,
+        parts INTEGER NOT NULL,
+        good_parts INTEGER NOT NULL,
+        quality TEXT NOT NULL DEFAULT 'GOOD',
+        suspect_reason TEXT,
+        peak_load REAL,
+        peak_vibration REAL,
+        inspected_by TEXT,
+        inspected_at INTEGER
+      );
+      CREATE INDEX IF NOT EXISTS cycles_machine_time ON cycles (machine_id, end_ts);
+
+      CREATE TABLE IF NOT EXISTS quality_records (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        machine_id TEXT NOT NULL,
+        job_id INTEGER,
+        cycle_id INTEGER,
+        kind TEXT NOT NULL,
+        quantity INTEGER NOT NULL,
+        reason_code TEXT NOT NULL,
+        note TEXT,
+        recorded_by TEXT,
+        recorded_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS quality_records_machine_time ON quality_records (machine_id, recorded_at);
+    `);
+  }
+
+  _prepareStatements() {
+    this.stmts = {
+      openSegment: this.db.prepare(`
+        INSERT INTO state_segments (machine_id, from_state, state, power, cycle_phase, alarm, alarm_code, start_ts, last_seen_ts)
+        VALUES (@machineId, @fromState, @state, @power, @cyclePhase, @alarm, @alarmCode, @at, @at)
+      `),
+      closeSegment: this.db.prepare('UPDATE state_segments SET end_ts = ? WHERE machine_id = ? AND end_ts IS NULL'),
+      closeStale: this.db.prepare('UPDATE state_segments SET end_ts = last_seen_ts WHERE end_ts IS NULL'),
+      touchOpen: this.db.prepare('UPDATE state_segments SET last_seen_ts = ? WHERE end_ts IS NULL'),
+
+      insertCycle: this.db.prepare(`
+        INSERT INTO cycles (machine_id, job_id, program, end_ts, duration_ms, parts, good_parts, quality,
+                            suspect_reason, peak_load, peak_vibration)
+        VALUES (@machineId, @jobId, @program, @at, @durationMs, @parts, @goodParts, @quality,
+                @suspectReason, @peakLoad, @peakVibration)
+      `),
+      cycle: this.db.prepare(`SELECT ${CYCLE_COLUMNS} FROM cycles WHERE id = ?`),
+      recentCycles: this.db.prepare(`
+        SELECT ${CYCLE_COLUMNS} FROM cycles
+        WHERE machine_id = @machineId AND (@quality IS NULL OR quality = @quality)
+        ORDER BY end_ts DESC, id DESC
+        LIMIT @limit
+      `),
+      inspectCycle: this.db.prepare(`
+        UPDATE cycles SET quality = @quality, inspected_by = @by, inspected_at = @at WHERE id = @id
+      `),
+
+      insertQuality: this.db.prepare(`
+        INSERT INTO quality_records (machine_id, job_id, cycle_id, kind, quantity, reason_code, note, recorded_by, recorded_at)
+        VALUES (@machineId, @jobId, @cycleId, @kind, @quantity, @reason, @note, @by, @at)
+      `),
+      qualityRecord: this.db.prepare(`SELECT ${QUALITY_COLUMNS} FROM quality_records WHERE id = ?`),
+      qualityRecords: this.db.prepare(`
+        SELECT ${QUALITY_COLUMNS} FROM quality_records
+        WHERE (@machineId IS NULL OR machine_id = @machineId)
+          AND (@jobId IS NULL OR job_id = @jobId)
+          AND recorded_at >= @from AND recorded_at < @to
+        ORDER BY recorded_at DESC, id DESC
+        LIMIT @limit
+      `),
+      rejected: this.db.prepare(`
+        SELECT COALESCE(SUM(quantity), 0) AS parts FROM quality_records
+        WHERE (@machineId IS NULL OR machine_id = @machineId) AND recorded_at >= @from AND recorded_at < @to
+      `),
+
+      segments: this.db.prepare(`
+        SELECT id, machine_id AS machineId, state, power, cycle_phase AS cyclePhase, alarm, alarm_code AS alarmCode,
+               start_ts AS start, COALESCE(end_ts, @now) AS end, end_ts IS NULL AS open
+        FROM state_segments
+        WHERE (@machineId IS NULL OR machine_id = @machineId)
+          AND start_ts < @to AND COALESCE(end_ts, @now) > @from
+        ORDER BY start_ts
+      `),
+      events: this.db.prepare(`
+        SELECT ${EVENT_COLUMNS}
+        FROM state_segments
+        WHERE (@machineId IS NULL OR machine_id = @machineId)
+          AND (@state IS NULL OR state = @state)
+          AND start_ts < @to AND COALESCE(end_ts, @now) > @from
+        ORDER BY start_ts DESC
+        LIMIT @limit
+      `),
+      event: this.db.prepare(`SELECT ${EVENT_COLUMNS} FROM state_segments WHERE id = @id`),
+      setReason: this.db.prepare(`
+        UPDATE state_segments SET reason_code = @code, reason_note = @note, reason_by = @by, reason_at = @at
+        WHERE id = @id
+      `),
+      cycles: this.db.prepare(`
+        SELECT id, machine_id AS machineId, program, end_ts AS at, duration_ms AS durationMs, parts, good_parts AS goodParts
+        FROM cycles
+        WHERE (@machineId IS NULL OR machine_id = @machineId) AND end_ts >= @from AND end_ts < @to
+        ORDER BY end_ts
+      `)
+    };
+  }
+
+  // ========================================
+  // TRACKING
+  // ========================================
+
+  track(machine) {
+    const current = this.tracked.get(machine.id);
+    if (current && current.machine === machine) return;
+    if (current) this.untrack(machine.id);
+
+    const listeners = {
+      execution: (event) => this._safely('record the state change', machine.id, () => this._transition(machine, event.at, event.from)),
+      cycle: (event) => this._safely('record the cycle', machine.id, () => this._cycle(event))
+    };
+    machine.on('execution', listeners.execution);
+    machine.on('cycle', listeners.cycle);
+
+    this.tracked.set(machine.id, { machine, listeners });
+    this._transition(machine, new Date(clock.now()), null);
+  }
+
+  untrack(machineId) {
+    const entry = this.tracked.get(machineId);
+    if (!entry) return;
+
+    entry.machine.off('execution', entry.listeners.execution);
+    entry.machine.off('cycle', entry.listeners.cycle);
+    this.tracked.delete(machineId);
+    this.stmts.closeSegment.run(clock.now(), machineId);
+  }
+
+  // Mark open segments as still current (called every tick)
+  touch(now = clock.now()) {
+    this.stmts.touchOpen.run(now);
+  }
+
+  // The listeners run inside the machine update; a failed write is
+  // logged and skipped instead of throwing out of the simulation step
+  _safely(what, machineId, write) {
+    try {
+      write();
+    } catch (err) {
+      console.error(`⚠️  Could not ${what} for ${machineId}: ${err.message}`);
+    }
+  }
+
+  _transition(machine, at, fromState) {
+    const ts = at.getTime();
+    this.db.transaction(() => {
+      this.stmts.closeSegment.run(ts, machine.id);
+      this.stmts.openSegment.run({
+        machineId: machine.id,
+        fromState: fromState,
+        state: machine.execution,
+        power: machine.power ? 1 : 0,
+        cyclePhase: machine.cyclePhase,
+        alarm: machine.alarm,
+        alarmCode: machine.alarmCode,
+        at: ts
+      });
+    })();
+  }
+
+  _cycle(event) {
+    const peaks = event.peaks || {};
+    const { lastInsertRowid } = this.stmts.insertCycle.run({
+      machineId: event.machineId,
+      jobId: event.jobId || null,
+      program: event.program || null,
+      at: event.at.getTime(),
+      durationMs: event.duration === null ? null : Math.round(event.duration * 1000),
+      parts: event.parts,
+      goodParts: event.good === false ? 0 : event.parts,
+      quality: event.quality || 'GOOD',
+      suspectReason: event.suspectReasons && event.suspectReasons.length > 0 ? event.suspectReasons.join('; ') : null,
+      peakLoad: peaks.spindleLoad === undefined ? null : peaks.spindleLoad,
+      peakVibration: peaks.vibration === undefined ? null : peaks.vibration
+    });
+
+    if (event.quality === 'SUSPECT') {
+      this.emit('suspect', this.getCycle(lastInsertRowid));
+    }
+  }
+
+  // ========================================
+  // QUERIES
+  // ========================================
+
+  // Segments overlapping [from, to); open segments end "now"
+  segments(machineId, from, to, now = clock.now()) {
+    return this.stmts.segments
+      .all({ machineId: machineId || null, from, to, now })
+      .map(row => Object.assign(row, { power: row.power === 1, open: row.open === 1 }));
+  }
+
+  cycles(machineId, from, to) {
+    return this.stmts.cycles.all({ machineId: machineId || null, from, to });
+  }
+
+  // ========================================
+  // QUALITY
+  // ========================================
+
+  getCycle(id) {
+    const row = this.stmts.cycle.get(id);
+    return row ? toCycle(row) : null;
+  }
+
+  // Newest first (quality to filter, e.g. SUSPECT parts awaiting inspection)
+  recentCycles(machineId, { quality = null, limit = 50 } = {}) {
+    return this.stmts.recentCycles.all({ machineId, quality, limit }).map(toCycle);
+  }
+
+  // Scrap or rework against a machine (and its job / a single cycle)
+  recordQuality(machineId, { kind, quantity, reason, note = null, jobId = null, cycleId = null, by = null }, now = clock.now()) {
+    const { lastInsertRowid } = this.stmts.insertQuality.run({
+      machineId, jobId, cycleId, kind, quantity, reason, note, by, at: now
+    });
+
+    const entry = this.tracked.get(machineId);
+    if (entry) entry.machine.recordQuality(kind, quantity);
+    return toQualityRecord(this.stmts.qualityRecord.get(lastInsertRowid));
+  }
+
+  // Disposition of one cycle's parts: GOOD, or SCRAP / REWORK with a reason
+  inspectCycle(id, { result, reason = null, note = null, by = null }, now = clock.now()) {
+    const cycle = this.getCycle(id);
+    const wasSuspect = cycle.quality === 'SUSPECT';
+    let record = null;
+
+    this.db.transaction(() => {
+      this.stmts.inspectCycle.run({ id, quality: result, by, at: now });
+      if (result !== 'GOOD') {
+        record = this.recordQuality(cycle.machineId, {
+          kind: result, quantity: cycle.parts, reason, note, jobId: cycle.jobId, cycleId: id, by
+        }, now);
+      }
+    })();
+
+    const entry = this.tracked.get(cycle.machineId);
+    if (entry && wasSuspect) entry.machine.recordQuality('GOOD', cycle.parts, true);
+    return { cycle: this.getCycle(id), record: record };
+  }
+
+  // Newest first
+  qualityRecords({ machineId = null, jobId = null, from, to, limit = 100 }) {
+    return this.stmts.qualityRecords.all({ machineId, jobId, from, to, limit }).map(toQualityRecord);
+  }
+
+  // Scrap + rework parts recorded in [from, to) - the OEE quality loss
+  rejectedParts(machineId, from, to) {
+    return this.stmts.rejected.get({ machineId: machineId || null, from, to }).parts;
+  }
+
+  // Rejected parts per kind and reason, largest first (Pareto)
+  qualityByReason({ machineId = null, jobId = null, from, to }) {
+    const totals = {};
+
+    this.qualityRecords({ machineId, jobId, from, to, limit: -1 }).forEach(record => {
+      const key = `${record.kind}:${record.reason.code}`;
+      totals[key] = totals[key] || { kind: record.kind, code: record.reason.code, label: record.reason.label, records: 0, parts: 0 };
+      totals[key].records++;
+      totals[key].parts += record.quantity;
+    });
+
+    return Object.values(totals).sort((a, b) => b.parts - a.parts);
+  }
+
+  // ========================================
+  // TRANSITION EVENTS & DOWNTIME REASONS
+  // ========================================
+
+  // Newest first
+  events({ machineId = null, state = null, from, to, limit = 100 }, now = clock.now()) {
+    return this.stmts.events
+      .all({ machineId, state, from, to, limit, now })
+      .map(row => toEvent(row, now));
+  }
+
+  getEvent(id, now = clock.now()) {
+    const row = this.stmts.event.get({ id });
+    return row ? toEvent(row, now) : null;
+  }
+
+  setDowntimeReason(id, { code, note = null, by = null }) {
+    this.stmts.setReason.run({ id, code, note, by, at: clock.now() });
+    return this.getEvent(id);
+  }
+
+  // Lost hours per reason, largest first (Pareto)
+  downtimeByReason(machineId, from, to, now = clock.now()) {
+    const totals = {};
+
+    this.events({ machineId, from, to, limit: -1 }, now)
+      .filter(event => DOWNTIME_STATES.includes(event.to))
+      .forEach(event => {
+        const start = Math.max(Date.parse(event.start), from);
+        const end = Math.min(event.end ? Date.parse(event.end) : now, to);
+        if (end <= start) return;
+
+        const code = event.reason ? event.reason.code : 'UNASSIGNED';
+        totals[code] = totals[code] || { code, label: DOWNTIME_REASONS[code] || 'Unassigned', events: 0, seconds: 0 };
+        totals[code].events++;
+        totals[code].seconds += (end - start) / 1000;
+      });
+
+    return Object.values(totals).sort((a, b) => b.seconds - a.seconds);
+  }
+}
+
+function toEvent(row, now) {
+  const end = row.end_ts === null ? now : row.end_ts;
+
+  return {
+    id: row.id,
+    machineId: row.machine_id,
+    from: row.from_state,
+    to: row.state,
+    power: row.power === 1,
+    start: new Date(row.start_ts).toISOString(),
+    end: row.end_ts === null ? null : new Date(row.end_ts).toISOString(),
+    durationSec: Math.round((end - row.start_ts) / 1000),
+    cyclePhase: row.cycle_phase,
+    alarm: row.alarm,
+    alarmCode: row.alarm_code,
+    reason: row.reason_code ? {
+      code: row.reason_code,
+      label: DOWNTIME_REASONS[row.reason_code] || row.reason_code,
+      note: row.reason_note,
+      by: row.reason_by,
+      at: new Date(row.reason_at).toISOString()
+    } : null
+  };
+}
+
+function toCycle(row) {
+  return {
+    id: row.id,
+    machineId: row.machine_id,
+    jobId: row.job_id,
+    program: row.program,
+    at: new Date(row.end_ts).toISOString(),
+    durationSec: row.duration_ms === null ? null : parseFloat((row.duration_ms / 1000).toFixed(1)),
+    parts: row.parts,
+    quality: row.quality,
+    suspectReason: row.suspect_reason,
+    peakSpindleLoad: row.peak_load,
+    peakVibration: row.peak_vibration,
+    inspectedBy: row.inspected_by,
+    inspectedAt: row.inspected_at === null ? null : new Date(row.inspected_at).toISOString()
+  };
+}
+
+function toQualityRecord(row) {
+  return {
+    id: row.id,
+    machineId: row.machine_id,
+    jobId: row.job_id,
+    cycleId: row.cycle_id,
+    kind: row.kind,
+    quantity: row.quantity,
+    reason: { code: row.reason_code, label: QUALITY_REASONS[row.reason_code] || row.reason_code },
+    note: row.note,
+    by: row.recorded_by,
+    at: new Date(row.recorded_at).toISOString()
+  };
+}
+
+ProductionLog.DOWNTIME_REASONS = DOWNTIME_REASONS;
+ProductionLog.DOWNTIME_STATES = DOWNTIME_STATES;
+ProductionLog.QUALITY_REASONS = QUALITY_REASONS;
+ProductionLog.QUALITY_KINDS = QUALITY_KINDS;
+ProductionLog.CYCLE_QUALITIES = CYCLE_QUALITIES;
+
+module.exports = ProductionLog;
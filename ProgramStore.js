@@ -0,0 +1,256 @@
+// ProgramStore.js - NC program library
+// Every upload of a program number (O1234) is kept as a numbered version;
+// uploading the same source again doesn't make a new one. Each program is
+// tagged with the machine models it's written for (none = any model).
+//
+// Approving a version locks it for production: machines run the approved
+// version, and later uploads are drafts until one of them is approved.
+// A program that has never been approved runs its latest version, for
+// prove-out.
+//
+//   version > approved  DRAFT
+//   version = approved  APPROVED
+//   version < approved  SUPERSEDED
+//
+// Sources are parsed before they get here (see gcode.js), so every
+// version stored will run.
+
+const clock = require('./clock');
+
+const PROGRAM_COLUMNS = `
+  p.number, p.models, p.approved_version, p.approved_at, p.approved_by, p.created_at,
+  v.version, v.comment, v.lines, v.tools, v.max_rpm, v.uploaded_at, v.uploaded_by
+`;
+const VERSION_COLUMNS = 'number, version, comment, lines, tools, max_rpm, uploaded_at, uploaded_by';
+
+class LibraryError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'LibraryError';
+    this.status = status;
+  }
+}
+
+class ProgramStore {
+  constructor(db) {
+    this.db = db;
+    this._createSchema();
+    this._prepareStatements();
+  }
+
+  _createSchema() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS programs (
+        number TEXT PRIMARY KEY,
+        models TEXT NOT NULL DEFAULT '[]',
+        approved_version INTEGER,
+        approved_at INTEGER,
+        approved_by TEXT,
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS program_versions (
+        number TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        comment TEXT,
+        source TEXT NOT NULL,
+        lines INTEGER NOT NULL,
+        tools TEXT NOT NULL,
+        max_rpm INTEGER NOT NULL,
+        uploaded_at INTEGER NOT NULL,
+        uploaded_by TEXT,
+        PRIMARY KEY (number, version)
+      );
+    `);
+  }
+
+  _prepareStatements() {
+    // Programs are listed with their latest version
+    const latest = `
+      FROM programs p
+      JOIN program_versions v ON v.number = p.number
+        AND v.version = (SELECT MAX(version) FROM program_versions WHERE number = p.number)
+    `;
+
+    this.stmts = {
+      insertProgram: this.db.prepare(`
+        INSERT INTO programs (number, models, created_at) VALUES (@number, @models, @at)
+      `),
+      insertVersion: this.db.prepare(`
+        INSERT INTO program_versions (number, version, comment, source, lines, tools, max_rpm, uploaded_at, uploaded_by)
+        VALUES (@number, @version, @comment, @source, @lines, @tools, @maxRPM, @at, @by)
+      `),
+      setModels: this.db.prepare('UPDATE programs SET models = @models WHERE number = @number'),
+      approve: this.db.prepare(`
+        UPDATE programs SET approved_version = @version, approved_at = @at, approved_by = @by WHERE number = @number
+      `),
+      get: this.db.prepare(`SELECT ${PROGRAM_COLUMNS} ${latest} WHERE p.number = ?`),
+      list: this.db.prepare(`SELECT ${PROGRAM_COLUMNS} ${latest} ORDER BY p.number`),
+      versions: this.db.prepare(`SELECT ${VERSION_COLUMNS} FROM program_versions WHERE number = ? ORDER BY version`),
+      version: this.db.prepare(`SELECT ${VERSION_COLUMNS}, source FROM program_versions WHERE number = ? AND version = ?`),
+      latestSource: this.db.prepare(`
+        SELECT version, source FROM program_versions WHERE number = ? ORDER BY version DESC LIMIT 1
+      `),
+      // The approved version, else the latest
+      runVersion: this.db.prepare(`
+        SELECT v.version, v.source FROM programs p
+        JOIN program_versions v ON v.number = p.number
+        WHERE p.number = ?
+        ORDER BY v.version = p.approved_version DESC, v.version DESC
+        LIMIT 1
+      `),
+      count: this.db.prepare('SELECT COUNT(*) AS count FROM programs')
+    };
+  }
+
+  // program: parsed by gcode.parseProgram. A new program is tagged with
+  // models; an existing one keeps its tags unless models is given.
+  // Returns { program, version, created } - version is null when the
+  // source matches the latest version.
+  save(program, source, { by = null, models } = {}) {
+    const number = program.number;
+    const created = !this.has(number);
+    let version = null;
+
+    this.db.transaction(() => {
+      const at = clock.now();
+      if (created) {
+        this.stmts.insertProgram.run({ number, models: JSON.stringify(models || []), at });
+      } else if (models !== undefined) {
+        this.stmts.setModels.run({ number, models: JSON.stringify(models) });
+      }
+
+      const latest = this.stmts.latestSource.get(number);
+      if (latest && latest.source === source) return;
+
+      version = latest ? latest.version + 1 : 1;
+      this.stmts.insertVersion.run({
+        number: number,
+        version: version,
+        comment: program.comment,
+        source: source,
+        lines: program.lines,
+        tools: JSON.stringify(program.tools),
+        maxRPM: program.maxRPM,
+        at: at,
+        by: by
+      });
+    })();
+
+    const saved = this.get(number);
+    return {
+      program: saved,
+      version: version === null ? null : saved.versions.find(v => v.version === version),
+      created: created
+    };
+  }
+
+  setModels(number, models) {
+    if (!this.has(number)) throw new LibraryError(404, 'Program not found');
+    this.stmts.setModels.run({ number, models: JSON.stringify(models) });
+    return this.get(number);
+  }
+
+  // Lock a version for production; an earlier approval is superseded
+  approve(number, version, { by = null } = {}) {
+    const program = this.get(number);
+    if (!program) throw new LibraryError(404, 'Program not found');
+    if (!program.versions.some(v => v.version === version)) {
+      throw new LibraryError(404, `${number} has no version ${version}`);
+    }
+    if (program.approvedVersion === version) {
+      throw new LibraryError(409, `${number} version ${version} is already approved`);
+    }
+
+    this.stmts.approve.run({ number, version, at: clock.now(), by });
+    return this.get(number);
+  }
+
+  has(number) {
+    return Boolean(this.stmts.get.get(number));
+  }
+
+  // Latest version's details, plus every version (without sources)
+  get(number) {
+    const row = this.stmts.get.get(number);
+    if (!row) return null;
+    const versions = this.stmts.versions.all(number).map(v => toVersion(v, row.approved_version));
+    return Object.assign(toProgram(row), { versions: versions });
+  }
+
+  // One version with its source
+  version(number, version) {
+    const row = this.stmts.version.get(number, version);
+    if (!row) return null;
+    const program = this.stmts.get.get(number);
+    return Object.assign({ number: number }, toVersion(row, program.approved_version), { source: row.source });
+  }
+
+  // The version machines run, with its source
+  runVersion(number) {
+    const row = this.stmts.runVersion.get(number);
+    return row ? this.version(number, row.version) : null;
+  }
+
+  // Just the G-code the machines run
+  source(number) {
+    const row = this.stmts.runVersion.get(number);
+    return row ? row.source : null;
+  }
+
+  // model: only programs tagged for it (or untagged)
+  list({ model } = {}) {
+    const programs = this.stmts.list.all().map(toProgram);
+    return model === undefined ? programs : programs.filter(program => fitsModel(program, model));
+  }
+
+  count() {
+    return this.stmts.count.get().count;
+  }
+}
+
+// Untagged programs fit any model
+function fitsModel(program, model) {
+  return program.models.length === 0 || program.models.includes(model);
+}
+
+function toProgram(row) {
+  return {
+    number: row.number,
+    comment: row.comment,
+    models: JSON.parse(row.models),
+    version: row.version,
+    approvedVersion: row.approved_version,
+    approvedAt: row.approved_at ? new Date(row.approved_at).toISOString() : null,
+    approvedBy: row.approved_by,
+    lines: row.lines,
+    tools: JSON.parse(row.tools),
+    maxRPM: row.max_rpm,
+    createdAt: new Date(row.created_at).toISOString(),
+    uploadedAt: new Date(row.uploaded_at).toISOString(),
+    uploadedBy: row.uploaded_by
+  };
+}
+
+function toVersion(row, approvedVersion) {
+  return {
+    version: row.version,
+    status: versionStatus(row.version, approvedVersion),
+    comment: row.comment,
+    lines: row.lines,
+    tools: JSON.parse(row.tools),
+    maxRPM: row.max_rpm,
+    uploadedAt: new Date(row.uploaded_at).toISOString(),
+    uploadedBy: row.uploaded_by
+  };
+}
+
+function versionStatus(version, approvedVersion) {
+  if (approvedVersion === null || version > approvedVersion) return 'DRAFT';
+  return version === approvedVersion ? 'APPROVED' : 'SUPERSEDED';
+}
+
+ProgramStore.LibraryError = LibraryError;
+ProgramStore.fitsModel = fitsModel;
+
+module.exports = ProgramStore;
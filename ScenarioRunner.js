@@ -0,0 +1,43 @@
+// ScenarioRunner.js - Plays a loaded scenario (see scenarios.js)
+// Event times count from startedAt in simulation time; the simulation
+// loop asks for the events that are due before each step, so an event
+// fires in the first step at or after its time whatever the speed.
+
+class ScenarioRunner {
+  constructor(scenario, startedAt) {
+    this.scenario = scenario;
+    this.startedAt = startedAt;
+    this.fired = 0;
+  }
+
+  // Events due at simulation time now, in order (each only once)
+  due(now) {
+    const events = [];
+    const list = this.scenario.events;
+    while (this.fired < list.length && this.startedAt + list[this.fired].at * 1000 <= now) {
+      events.push(list[this.fired]);
+      this.fired++;
+    }
+    return events;
+  }
+
+  get finished() {
+    return this.fired >= this.scenario.events.length;
+  }
+
+  status(now) {
+    const next = this.scenario.events[this.fired] || null;
+    return {
+      id: this.scenario.id,
+      name: this.scenario.name,
+      startedAt: new Date(this.startedAt).toISOString(),
+      elapsedSeconds: (now - this.startedAt) / 1000,
+      fired: this.fired,
+      events: this.scenario.events.length,
+      finished: this.finished,
+      nextEvent: next
+    };
+  }
+}
+
+module.exports = ScenarioRunner;
@@ -0,0 +1,83 @@
+// ShiftReportStore.js - End-of-shift report snapshots
+// When a shift ends its report (parts, cycles, run/alarm time and OEE
+// per machine) is frozen here, so later config changes, retention or a
+// replaced machine don't rewrite what the shift actually did.
+
+const clock = require('./clock');
+
+const REPORT_COLUMNS = 'id, date, shift, from_ts, to_ts, created_at, report';
+
+class ShiftReportStore {
+  constructor(db) {
+    this.db = db;
+    this._createSchema();
+    this._prepareStatements();
+  }
+
+  _createSchema() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS shift_reports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        date TEXT NOT NULL,
+        shift TEXT NOT NULL,
+        from_ts INTEGER NOT NULL,
+        to_ts INTEGER NOT NULL,
+        created_at INTEGER NOT NULL,
+        report TEXT NOT NULL,
+        UNIQUE (date, shift)
+      );
+      CREATE INDEX IF NOT EXISTS shift_reports_time ON shift_reports (from_ts);
+    `);
+  }
+
+  _prepareStatements() {
+    this.stmts = {
+      insert: this.db.prepare(`
+        INSERT OR IGNORE INTO shift_reports (date, shift, from_ts, to_ts, created_at, report)
+        VALUES (@date, @shift, @from, @to, @at, @report)
+      `),
+      get: this.db.prepare(`SELECT ${REPORT_COLUMNS} FROM shift_reports WHERE date = ? AND shift = ?`),
+      has: this.db.prepare('SELECT 1 FROM shift_reports WHERE date = ? AND shift = ?'),
+      list: this.db.prepare(`
+        SELECT ${REPORT_COLUMNS} FROM shift_reports
+        WHERE from_ts < @to AND to_ts > @from
+        ORDER BY from_ts
+      `)
+    };
+  }
+
+  // First snapshot wins; returns false if the shift was already stored
+  save(report, now = clock.now()) {
+    const { changes } = this.stmts.insert.run({
+      date: report.date,
+      shift: report.shift,
+      from: Date.parse(report.from),
+      to: Date.parse(report.to),
+      at: now,
+      report: JSON.stringify(report)
+    });
+    return changes > 0;
+  }
+
+  has(date, shift) {
+    return Boolean(this.stmts.has.get(date, shift));
+  }
+
+  get(date, shift) {
+    const row = this.stmts.get.get(date, shift);
+    return row ? toReport(row) : null;
+  }
+
+  // Snapshots of shifts overlapping [from, to), oldest first
+  list(from, to) {
+    return this.stmts.list.all({ from, to }).map(toReport);
+  }
+}
+
+function toReport(row) {
+  return Object.assign(JSON.parse(row.report), {
+    snapshotAt: new Date(row.created_at).toISOString()
+  });
+}
+
+module.exports = ShiftReportStore;
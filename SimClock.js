@@ -0,0 +1,77 @@
+// SimClock.js - Simulation time
+// Simulation time moves in fixed steps (one machine update each) and is
+// only loosely tied to wall time: at speed 1 a step is taken every
+// stepMs of wall time, at speed 10 ten of them, and while paused none -
+// time only moves when stepped by hand. Within a step the time stands
+// still, so a run with the same seed and the same steps replays exactly.
+
+const MAX_SPEED = 100;
+
+class SimClock {
+  constructor({ stepMs = 2000, speed = 1, start = Date.now() } = {}) {
+    this.stepMs = stepMs;
+    this.startedAt = start;
+    this.time = start;
+    this.steps = 0;
+    this.speed = speed;
+    this.paused = false;
+    this._anchor = { wall: Date.now(), steps: 0 };
+  }
+
+  static isSpeed(value) {
+    return typeof value === 'number' && value >= 0.1 && value <= MAX_SPEED;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  // How many steps are owed at wall time wallNow (0 while paused)
+  due(wallNow = Date.now()) {
+    if (this.paused) return 0;
+    const target = Math.floor((wallNow - this._anchor.wall) * this.speed / this.stepMs);
+    return Math.max(0, target - (this.steps - this._anchor.steps));
+  }
+
+  tick() {
+    this.time += this.stepMs;
+    this.steps++;
+  }
+
+  // Forget steps that were owed but not taken (a stalled event loop or a
+  // step limit), so the clock doesn't race to catch up
+  resync(wallNow = Date.now()) {
+    this._anchor = { wall: wallNow, steps: this.steps };
+  }
+
+  setSpeed(speed) {
+    this.resync();
+    this.speed = speed;
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    this.resync();
+  }
+
+  status() {
+    return {
+      time: new Date(this.time).toISOString(),
+      startedAt: new Date(this.startedAt).toISOString(),
+      elapsedSeconds: (this.time - this.startedAt) / 1000,
+      steps: this.steps,
+      stepSeconds: this.stepMs / 1000,
+      speed: this.speed,
+      paused: this.paused
+    };
+  }
+}
+
+SimClock.MAX_SPEED = MAX_SPEED;
+
+module.exports = SimClock;
@@ -0,0 +1,320 @@
+// SubscriptionHub.js - WebSocket subscriptions and delta updates
+// A client subscribes to machines and channels:
+//
+//   { "type": "subscribe", "machines": ["haas_vf2"], "channels": ["alarms", "production"] }
+//   { "type": "unsubscribe", "machines": ["haas_vf2"] }
+//
+// (machines defaults to "*" - the whole fleet - and channels to all of
+// them). It then gets a SNAPSHOT of those machines' fields for its
+// channels, and after that only the fields that changed, as DELTA
+// messages each update tick. Events (alarm updates, jobs, work orders,
+// ...) are only sent for the channels and machines it subscribed to.
+//
+// Clients that never subscribe get the full PLANT_UPDATE every tick and
+// every event, as before.
+//
+// Dead clients (no pong to a ping within one heartbeat) are terminated.
+
+const WebSocket = require('ws');
+const clock = require('./clock');
+
+const CHANNELS = ['telemetry', 'alarms', 'warnings', 'production', 'maintenance', 'fleet'];
+
+// Machine fields always sent for a subscribed machine
+const STATUS_FIELDS = ['id', 'name', 'model', 'type', 'power', 'execution', 'maintenanceMode'];
+
+// Machine fields per channel; anything not listed is telemetry
+const CHANNEL_FIELDS = {
+  alarms: ['alarm', 'alarmCode', 'alarmSeverity', 'alarmHistory'],
+  warnings: ['warnings', 'faults'],
+  production: [
+    'partCount', 'totalCycles', 'productionRate', 'goodParts', 'scrapParts', 'reworkParts',
+    'suspectParts', 'lastCycleQuality', 'job', 'programRunning', 'material', 'bendDeviation'
+  ],
+  maintenance: [],
+  fleet: []
+};
+
+// Which channel an event belongs to and the machine it is about
+const EVENT_ROUTES = {
+  ALARM_UPDATED: { channel: 'alarms', machineId: data => data.alarm.machineId },
+  SUSPECT_PART: { channel: 'production', machineId: data => data.cycle.machineId },
+  QUALITY_RECORDED: { channel: 'production', machineId: data => data.record.machineId },
+  JOB_UPDATED: { channel: 'production', machineId: data => data.job.machineId },
+  JOB_COMPLETED: { channel: 'production', machineId: data => data.job.machineId },
+  SHIFT_REPORT: { channel: 'production', machineId: () => null },
+  WORK_ORDER_UPDATED: { channel: 'maintenance', machineId: data => data.workOrder.machineId },
+  MACHINE_ADDED: { channel: 'fleet', machineId: data => data.machine.id },
+  MACHINE_UPDATED: { channel: 'fleet', machineId: data => data.machine.id },
+  MACHINE_REMOVED: { channel: 'fleet', machineId: data => data.machineId }
+};
+
+const CLASSIFIED = new Set(STATUS_FIELDS.concat(...Object.values(CHANNEL_FIELDS), 'timestamp'));
+
+class SubscriptionHub {
+  constructor({ heartbeatMs = 30000 } = {}) {
+    this.clients = new Map(); // ws -> { machines: '*' | Set, channels: Set } or null until it subscribes
+    this.last = new Map();    // machineId -> snapshot sent on the last tick
+    this.heartbeatMs = heartbeatMs;
+    this.heartbeat = null;
+  }
+
+  // ========================================
+  // CLIENTS
+  // ========================================
+
+  add(ws) {
+    this.clients.set(ws, null);
+    ws.isAlive = true;
+    ws.on('pong', () => { ws.isAlive = true; });
+    ws.on('message', raw => this._handleMessage(ws, raw));
+    ws.on('close', () => this.clients.delete(ws));
+
+    if (!this.heartbeat) this._startHeartbeat();
+  }
+
+  subscribe(ws, { machines = '*', channels = CHANNELS } = {}) {
+    const previous = this.clients.get(ws);
+    const had = previous && {
+      machines: previous.machines === '*' ? '*' : new Set(previous.machines),
+      channels: new Set(previous.channels)
+    };
+    const current = previous || { machines: new Set(), channels: new Set() };
+
+    if (machines === '*') current.machines = '*';
+    else if (current.machines !== '*') machines.forEach(id => current.machines.add(id));
+    channels.forEach(channel => current.channels.add(channel));
+    this.clients.set(ws, current);
+
+    this._send(ws, this._describe('SUBSCRIBED', current));
+
+    // Snapshot of what is new to this client: new machines on every
+    // subscribed channel, new channels on machines it already had
+    const newChannels = new Set(channels.filter(channel => !had || !had.channels.has(channel)));
+    const snapshot = [];
+    this.last.forEach((data, id) => {
+      if (!wants(current.machines, id)) return;
+      if (!had || !wants(had.machines, id)) snapshot.push(pick(data, current.channels));
+      else if (newChannels.size > 0) snapshot.push(pick(data, newChannels));
+    });
+    if (snapshot.length > 0) {
+      this._send(ws, { type: 'SNAPSHOT', timestamp: new Date(clock.now()).toISOString(), machines: snapshot });
+    }
+  }
+
+  // Without machines or channels, drops everything
+  unsubscribe(ws, { machines = null, channels = null } = {}) {
+    const current = this.clients.get(ws);
+    if (!current) return;
+
+    if (machines === '*') {
+      current.machines = new Set();
+    } else if (machines) {
+      // Leaving one machine of "the whole fleet" keeps the rest of the current fleet
+      if (current.machines === '*') current.machines = new Set(this.last.keys());
+      machines.forEach(id => current.machines.delete(id));
+    }
+    if (channels) channels.forEach(channel => current.channels.delete(channel));
+    if (!machines && !channels) {
+      current.machines = new Set();
+      current.channels = new Set();
+    }
+
+    this._send(ws, this._describe('UNSUBSCRIBED', current));
+  }
+
+  _handleMessage(ws, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (err) {
+      return this._send(ws, { type: 'ERROR', error: 'Messages must be JSON' });
+    }
+    this.handle(ws, message);
+  }
+
+  // A parsed client message (also used for subscriptions in the connection URL)
+  handle(ws, message) {
+    if (!message || typeof message !== 'object') {
+      return this._send(ws, { type: 'ERROR', error: 'Messages must be JSON objects' });
+    }
+    if (message.type === 'ping') {
+      return this._send(ws, { type: 'pong', timestamp: new Date().toISOString() });
+    }
+    if (message.type !== 'subscribe' && message.type !== 'unsubscribe') {
+      return this._send(ws, { type: 'ERROR', error: 'type must be subscribe, unsubscribe or ping' });
+    }
+
+    const errors = validateSubscription(message);
+    if (errors.length > 0) {
+      return this._send(ws, { type: 'ERROR', error: `Invalid ${message.type}`, details: errors });
+    }
+
+    if (message.type === 'subscribe') {
+      this.subscribe(ws, {
+        machines: message.machines === undefined ? '*' : message.machines,
+        channels: message.channels === undefined ? CHANNELS : message.channels
+      });
+    } else {
+      this.unsubscribe(ws, {
+        machines: message.machines === undefined ? null : message.machines,
+        channels: message.channels === undefined ? null : message.channels
+      });
+    }
+  }
+
+  _describe(type, subscription) {
+    return {
+      type: type,
+      machines: subscription.machines === '*' ? '*' : Array.from(subscription.machines),
+      channels: Array.from(subscription.channels)
+    };
+  }
+
+  // ========================================
+  // PUBLISHING
+  // ========================================
+
+  // Each update tick: full state for legacy clients, changes for subscribers
+  publishMachines(snapshots) {
+    const timestamp = new Date(clock.now()).toISOString();
+    const changes = new Map(); // machineId -> changed fields
+
+    snapshots.forEach(data => {
+      const before = this.last.get(data.id);
+      const changed = before ? diff(before, data) : data;
+      if (Object.keys(changed).length > 0) changes.set(data.id, changed);
+    });
+    const current = new Set(snapshots.map(data => data.id));
+    this.last.forEach((data, id) => { if (!current.has(id)) this.last.delete(id); });
+    snapshots.forEach(data => this.last.set(data.id, data));
+
+    let full = null;
+    this.clients.forEach((subscription, ws) => {
+      if (!subscription) {
+        full = full || JSON.stringify({ type: 'PLANT_UPDATE', timestamp: timestamp, machines: snapshots });
+        return this._send(ws, full);
+      }
+
+      const machines = [];
+      changes.forEach((changed, id) => {
+        if (!wants(subscription.machines, id)) return;
+        const fields = pick(changed, subscription.channels);
+        if (Object.keys(fields).length > 0) machines.push(Object.assign({ id: id }, fields));
+      });
+      if (machines.length > 0) {
+        this._send(ws, { type: 'DELTA', timestamp: timestamp, machines: machines });
+      }
+    });
+  }
+
+  // Events go to legacy clients and to subscribers of their channel and machine
+  publish(data) {
+    const route = EVENT_ROUTES[data.type];
+    const machineId = route ? route.machineId(data) : null;
+    const message = JSON.stringify(data);
+
+    this.clients.forEach((subscription, ws) => {
+      if (subscription && route) {
+        if (!subscription.channels.has(route.channel)) return;
+        if (machineId !== null && !wants(subscription.machines, machineId)) return;
+      }
+      this._send(ws, message);
+    });
+  }
+
+  _send(ws, data) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(typeof data === 'string' ? data : JSON.stringify(data));
+    }
+  }
+
+  // ========================================
+  // HEARTBEAT
+  // ========================================
+
+  _startHeartbeat() {
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach((subscription, ws) => {
+        if (!ws.isAlive) {
+          this.clients.delete(ws);
+          return ws.terminate();
+        }
+        ws.isAlive = false;
+        if (ws.readyState === WebSocket.OPEN) ws.ping();
+      });
+    }, this.heartbeatMs);
+    this.heartbeat.unref();
+  }
+
+  stop() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+}
+
+function validateSubscription(message) {
+  const errors = [];
+  const { machines, channels } = message;
+
+  if (machines !== undefined && machines !== '*' &&
+      !(Array.isArray(machines) && machines.every(id => typeof id === 'string'))) {
+    errors.push('machines must be "*" or a list of machine ids');
+  }
+  if (channels !== undefined &&
+      !(Array.isArray(channels) && channels.every(channel => CHANNELS.includes(channel)))) {
+    errors.push(`channels must be a list of ${CHANNELS.join(', ')}`);
+  }
+
+  return errors;
+}
+
+function wants(machines, id) {
+  return machines === '*' || machines.has(id);
+}
+
+// Status fields plus the fields of the given channels
+function pick(data, channels) {
+  const fields = {};
+  Object.keys(data).forEach(key => {
+    if (key !== 'timestamp' && (STATUS_FIELDS.includes(key) || channels.has(channelOf(key)))) {
+      fields[key] = data[key];
+    }
+  });
+  return fields;
+}
+
+function channelOf(key) {
+  if (!CLASSIFIED.has(key)) return 'telemetry';
+  return Object.keys(CHANNEL_FIELDS).find(channel => CHANNEL_FIELDS[channel].includes(key)) || null;
+}
+
+// Top-level fields that changed; nested values are sent whole, removed
+// fields as null
+function diff(before, after) {
+  const changed = {};
+  Object.keys(after).forEach(key => {
+    if (key !== 'timestamp' && !same(before[key], after[key])) {
+      changed[key] = after[key];
+    }
+  });
+  Object.keys(before).forEach(key => {
+    if (!(key in after)) changed[key] = null;
+  });
+  return changed;
+}
+
+// Deep equality, object by object and key by key (key order doesn't matter)
+function same(a, b) {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && same(a[key], b[key]));
+}
+
+SubscriptionHub.CHANNELS = CHANNELS;
+
+module.exports = SubscriptionHub;
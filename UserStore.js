@@ -0,0 +1,257 @@
+// UserStore.js - User accounts and API keys
+// People sign in with a username and password; integrations (MES, ERP,
+// scripts) use API keys, which don't expire but can be revoked.
+// Passwords are stored as scrypt hashes and keys as SHA-256 hashes, so
+// neither can be read back - a key is only shown when it is created.
+//
+// Roles, from least to most access:
+//   viewer -> operator -> maintenance -> admin
+
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'operator', 'maintenance', 'admin'];
+const KEY_PREFIX = 'hfm_';
+const KEY_TOUCH_MS = 60 * 1000; // last_used_at is updated at most once a minute
+
+const USER_COLUMNS = 'username, name, role, password_hash, disabled, created_at, created_by, last_login_at';
+const KEY_COLUMNS = 'id, name, role, prefix, created_at, created_by, last_used_at, revoked_at, revoked_by';
+
+class UserError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'UserError';
+    this.status = status;
+  }
+}
+
+class UserStore {
+  constructor(db) {
+    this.db = db;
+    this._createSchema();
+    this._prepareStatements();
+  }
+
+  _createSchema() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        username TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        role TEXT NOT NULL,
+        password_hash TEXT NOT NULL,
+        disabled INTEGER NOT NULL DEFAULT 0,
+        created_at INTEGER NOT NULL,
+        created_by TEXT,
+        last_login_at INTEGER
+      );
+
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        role TEXT NOT NULL,
+        prefix TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        created_at INTEGER NOT NULL,
+        created_by TEXT,
+        last_used_at INTEGER,
+        revoked_at INTEGER,
+        revoked_by TEXT
+      );
+    `);
+  }
+
+  _prepareStatements() {
+    this.stmts = {
+      count: this.db.prepare('SELECT COUNT(*) AS n FROM users'),
+      users: this.db.prepare(`SELECT ${USER_COLUMNS} FROM users ORDER BY username`),
+      user: this.db.prepare(`SELECT ${USER_COLUMNS} FROM users WHERE username = ?`),
+      admins: this.db.prepare("SELECT username FROM users WHERE role = 'admin' AND disabled = 0"),
+      insertUser: this.db.prepare(`
+        INSERT INTO users (username, name, role, password_hash, created_at, created_by)
+        VALUES (@username, @name, @role, @hash, @at, @by)
+      `),
+      updateUser: this.db.prepare(`
+        UPDATE users SET name = @name, role = @role, password_hash = @hash, disabled = @disabled
+        WHERE username = @username
+      `),
+      login: this.db.prepare('UPDATE users SET last_login_at = ? WHERE username = ?'),
+      keys: this.db.prepare(`SELECT ${KEY_COLUMNS} FROM api_keys ORDER BY id DESC`),
+      key: this.db.prepare(`SELECT ${KEY_COLUMNS} FROM api_keys WHERE id = ?`),
+      keyByHash: this.db.prepare(`SELECT ${KEY_COLUMNS} FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL`),
+      insertKey: this.db.prepare(`
+        INSERT INTO api_keys (name, role, prefix, key_hash, created_at, created_by)
+        VALUES (@name, @role, @prefix, @hash, @at, @by)
+      `),
+      touchKey: this.db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?'),
+      revokeKey: this.db.prepare('UPDATE api_keys SET revoked_at = @at, revoked_by = @by WHERE id = @id AND revoked_at IS NULL')
+    };
+  }
+
+  // ========================================
+  // USERS
+  // ========================================
+
+  count() {
+    return this.stmts.count.get().n;
+  }
+
+  list() {
+    return this.stmts.users.all().map(toUser);
+  }
+
+  get(username) {
+    const row = this.stmts.user.get(username);
+    return row ? toUser(row) : null;
+  }
+
+  create({ username, name = null, role, password, by = null }, now = Date.now()) {
+    if (this.stmts.user.get(username)) {
+      throw new UserError(409, `User ${username} already exists`);
+    }
+
+    this.stmts.insertUser.run({
+      username: username,
+      name: name || username,
+      role: role,
+      hash: hashPassword(password),
+      at: now,
+      by: by
+    });
+    return this.get(username);
+  }
+
+  // Change name, role, password or disabled; keeps at least one active admin
+  update(username, changes) {
+    const row = this.stmts.user.get(username);
+    if (!row) throw new UserError(404, 'User not found');
+
+    const next = {
+      username: username,
+      name: changes.name !== undefined ? changes.name : row.name,
+      role: changes.role !== undefined ? changes.role : row.role,
+      hash: changes.password !== undefined ? hashPassword(changes.password) : row.password_hash,
+      disabled: changes.disabled !== undefined ? (changes.disabled ? 1 : 0) : row.disabled
+    };
+
+    const stillAdmin = next.role === 'admin' && !next.disabled;
+    const admins = this.stmts.admins.all().map(admin => admin.username);
+    if (!stillAdmin && admins.length === 1 && admins[0] === username) {
+      throw new UserError(409, 'Cannot remove the last active admin');
+    }
+
+    this.stmts.updateUser.run(next);
+    return this.get(username);
+  }
+
+  // The user if the password matches and the account is enabled
+  checkPassword(username, password, now = Date.now()) {
+    const row = this.stmts.user.get(username);
+
+    // Hash anyway so unknown usernames take as long as wrong passwords
+    const valid = verifyPassword(password, row ? row.password_hash : DUMMY_HASH);
+    if (!row || !valid || row.disabled) return null;
+
+    this.stmts.login.run(now, username);
+    return this.get(username);
+  }
+
+  // ========================================
+  // API KEYS
+  // ========================================
+
+  keys() {
+    return this.stmts.keys.all().map(toKey);
+  }
+
+  getKey(id) {
+    const row = this.stmts.key.get(id);
+    return row ? toKey(row) : null;
+  }
+
+  // Returns the key itself once, alongside its record
+  createKey({ name, role, by = null }, now = Date.now()) {
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+    const { lastInsertRowid } = this.stmts.insertKey.run({
+      name: name,
+      role: role,
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      hash: hashKey(key),
+      at: now,
+      by: by
+    });
+    return { key: key, apiKey: this.getKey(lastInsertRowid) };
+  }
+
+  // The active key record for a presented key, or null
+  findKey(key, now = Date.now()) {
+    const row = this.stmts.keyByHash.get(hashKey(key));
+    if (!row) return null;
+
+    if (!row.last_used_at || now - row.last_used_at >= KEY_TOUCH_MS) {
+      this.stmts.touchKey.run(now, row.id);
+      row.last_used_at = now;
+    }
+    return toKey(row);
+  }
+
+  revokeKey(id, { by = null } = {}, now = Date.now()) {
+    const key = this.getKey(id);
+    if (!key) throw new UserError(404, 'API key not found');
+    if (key.revokedAt) throw new UserError(409, 'API key already revoked');
+
+    this.stmts.revokeKey.run({ id, by, at: now });
+    return this.getKey(id);
+  }
+}
+
+// scrypt$<salt>$<hash>, hex encoded
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return `scrypt$${salt.toString('hex')}$${crypto.scryptSync(password, salt, 64).toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || typeof password !== 'string') return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function toUser(row) {
+  return {
+    username: row.username,
+    name: row.name,
+    role: row.role,
+    disabled: Boolean(row.disabled),
+    createdAt: new Date(row.created_at).toISOString(),
+    createdBy: row.created_by,
+    lastLoginAt: row.last_login_at ? new Date(row.last_login_at).toISOString() : null
+  };
+}
+
+function toKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    role: row.role,
+    prefix: row.prefix,
+    createdAt: new Date(row.created_at).toISOString(),
+    createdBy: row.created_by,
+    lastUsedAt: row.last_used_at ? new Date(row.last_used_at).toISOString() : null,
+    revokedAt: row.revoked_at ? new Date(row.revoked_at).toISOString() : null,
+    revokedBy: row.revoked_by
+  };
+}
+
+UserStore.ROLES = ROLES;
+UserStore.KEY_PREFIX = KEY_PREFIX;
+UserStore.UserError = UserError;
+
+module.exports = UserStore;
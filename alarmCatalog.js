@@ -0,0 +1,141 @@
+// alarmCatalog.js - Alarm code reference data
+// Titles, severity, probable causes and recommended actions for every
+// alarm the fleet can raise, loaded from config/alarm-codes.json (or
+// ALARM_CATALOG). Haas alarms are keyed by number; alarms the monitor
+// raises itself have no number and are keyed by name.
+
+const fs = require('fs');
+const path = require('path');
+const { MACHINE_TYPES } = require('./machineTypes');
+
+const DEFAULT_FILE = path.join(__dirname, 'config', 'alarm-codes.json');
+const SEVERITIES = ['critical', 'warning', 'info'];
+
+let entries = null;
+
+class AlarmCatalogError extends Error {
+  constructor(file, errors) {
+    super(`Invalid alarm catalog ${file}:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'AlarmCatalogError';
+    this.errors = errors;
+  }
+}
+
+// ========================================
+// LOADING
+// ========================================
+
+function loadAlarmCatalog(file = DEFAULT_FILE) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new AlarmCatalogError(file, [err.code ? `cannot read file (${err.code})` : `parse error: ${err.message}`]);
+  }
+
+  const errors = validateAlarmCatalog(data);
+  if (errors.length > 0) {
+    throw new AlarmCatalogError(file, errors);
+  }
+
+  entries = data.alarms;
+  return entries;
+}
+
+function validateAlarmCatalog(data) {
+  if (!data || !Array.isArray(data.alarms)) {
+    return ['"alarms" must be a list'];
+  }
+
+  const errors = [];
+  const codes = new Set();
+  const names = new Set();
+
+  data.alarms.forEach((entry, index) => {
+    const where = `alarms[${index}]${entry && entry.name ? ` (${entry.name})` : ''}`;
+
+    if (entry.code !== null && !(Number.isInteger(entry.code) && entry.code > 0)) {
+      errors.push(`${where}.code: must be a Haas alarm number or null`);
+    } else if (entry.code !== null) {
+      if (codes.has(entry.code)) errors.push(`${where}.code: duplicate alarm ${entry.code}`);
+      codes.add(entry.code);
+    }
+
+    ['name', 'title', 'category'].forEach(field => {
+      if (typeof entry[field] !== 'string' || entry[field].trim() === '') {
+        errors.push(`${where}.${field}: required string`);
+      }
+    });
+    if (typeof entry.name === 'string') {
+      if (names.has(entry.name)) errors.push(`${where}.name: duplicate alarm name`);
+      names.add(entry.name);
+    }
+
+    if (!SEVERITIES.includes(entry.severity)) {
+      errors.push(`${where}.severity: must be one of ${SEVERITIES.join(', ')}`);
+    }
+    if (!Array.isArray(entry.machineTypes) || !entry.machineTypes.every(type => MACHINE_TYPES.includes(type))) {
+      errors.push(`${where}.machineTypes: must be a list of ${MACHINE_TYPES.join(', ')}`);
+    }
+    ['causes', 'actions'].forEach(field => {
+      if (!Array.isArray(entry[field]) || !entry[field].every(line => typeof line === 'string')) {
+        errors.push(`${where}.${field}: must be a list of strings`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+// ========================================
+// LOOKUP
+// ========================================
+
+function catalog() {
+  return entries || loadAlarmCatalog();
+}
+
+// By Haas alarm number, or by name for alarms without one
+function lookupAlarm(code, name) {
+  if (code !== null && code !== undefined) {
+    const number = Number(code);
+    const byCode = catalog().find(entry => entry.code === number);
+    if (byCode) return byCode;
+  }
+  if (name) {
+    const key = String(name).toUpperCase();
+    return catalog().find(entry => entry.name === key) || null;
+  }
+  return null;
+}
+
+// Reason an injected alarm isn't valid for this machine type, or null
+function checkAlarmCode(code, machineType) {
+  const entry = lookupAlarm(code);
+  if (!entry) {
+    return `Unknown alarm code ${code}`;
+  }
+  if (!entry.machineTypes.includes(machineType)) {
+    return `Alarm ${code} (${entry.title}) does not apply to ${machineType} machines`;
+  }
+  return null;
+}
+
+// Optional filters: machineType, severity, category
+function listAlarmCodes(filter = {}) {
+  return catalog().filter(entry =>
+    (!filter.machineType || entry.machineTypes.includes(filter.machineType)) &&
+    (!filter.severity || entry.severity === filter.severity) &&
+    (!filter.category || entry.category === filter.category)
+  );
+}
+
+module.exports = {
+  AlarmCatalogError,
+  SEVERITIES,
+  loadAlarmCatalog,
+  validateAlarmCatalog,
+  lookupAlarm,
+  checkAlarmCode,
+  listAlarmCodes
+};
@@ -0,0 +1,254 @@
+// bendPrograms.js - Press brake bend programs
+// Sheet, tooling and the sequence of bends for a part, loaded from
+// config/bend-programs.json (or BEND_PROGRAMS) and keyed by program
+// number like the G-code library. A press brake running one of these
+// numbers bends to it: the back gauge moves to each bend's position, then
+// the ram comes down with the force the bend needs.
+//
+// Force is the standard air-bending formula:
+//
+//   P (kN) = 1.42 x Rm x S^2 x L / V
+//
+//   Rm  tensile strength (N/mm2) - from the material, or tensileStrength
+//   S   sheet thickness (mm)
+//   L   bend length (m)
+//   V   die V-opening (mm)
+//
+// and tonnage is P / 9.81. A bend is over tonnage when it needs more than
+// the press (maxTonnage) or the punch and die (rated in tonnes per metre,
+// times the bend length) can take.
+
+const fs = require('fs');
+const path = require('path');
+const { PROGRAM_NUMBER_PATTERN } = require('./gcode');
+
+const DEFAULT_FILE = path.join(__dirname, 'config', 'bend-programs.json');
+
+// Tensile strength (N/mm2) and springback scatter (mild steel = 1)
+const MATERIALS = {
+  'Mild Steel': { tensileStrength: 450, springback: 1.0 },
+  'Galvanized Steel': { tensileStrength: 400, springback: 1.0 },
+  'Stainless 304': { tensileStrength: 620, springback: 2.0 },
+  'Aluminum 5052': { tensileStrength: 230, springback: 1.5 },
+  'Aluminum 6061': { tensileStrength: 310, springback: 1.8 }
+};
+
+const KN_PER_TONNE = 9.80665;
+const DEFAULT_ANGLE_TOLERANCE = 1.0; // degrees
+
+// Timing for one bend: the operator positions the part while the back
+// gauge moves, then the ram comes down and goes back up
+const BACK_GAUGE_SPEED = 250; // mm/s
+const HANDLING_SECONDS = 3;
+const BEND_SECONDS = 1.5;
+const RETURN_SECONDS = 1.0;
+
+let programs = null;
+
+class BendProgramError extends Error {
+  constructor(file, errors) {
+    super(`Invalid bend programs ${file}:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'BendProgramError';
+    this.errors = errors;
+  }
+}
+
+// ========================================
+// LOADING
+// ========================================
+
+function loadBendPrograms(file = DEFAULT_FILE) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new BendProgramError(file, [err.code ? `cannot read file (${err.code})` : `parse error: ${err.message}`]);
+  }
+
+  const errors = validateBendPrograms(data);
+  if (errors.length > 0) {
+    throw new BendProgramError(file, errors);
+  }
+
+  programs = data.programs;
+  return programs;
+}
+
+function validateBendPrograms(data) {
+  if (!data || !Array.isArray(data.programs)) {
+    return ['"programs" must be a list'];
+  }
+
+  const errors = [];
+  const numbers = new Set();
+
+  data.programs.forEach((program, index) => {
+    const where = `programs[${index}]${program && program.number ? ` (${program.number})` : ''}`;
+    if (!program || typeof program !== 'object') {
+      errors.push(`${where}: must be an object`);
+      return;
+    }
+
+    if (typeof program.number !== 'string' || !PROGRAM_NUMBER_PATTERN.test(program.number)) {
+      errors.push(`${where}.number: must be a Haas program number like "O6001"`);
+    } else {
+      if (numbers.has(program.number)) errors.push(`${where}.number: duplicate program number`);
+      numbers.add(program.number);
+    }
+
+    if (program.description !== undefined && typeof program.description !== 'string') {
+      errors.push(`${where}.description: must be a string`);
+    }
+    if (program.tensileStrength !== undefined) {
+      if (!isPositive(program.tensileStrength)) errors.push(`${where}.tensileStrength: must be a positive number (N/mm2)`);
+    } else if (!MATERIALS[program.material]) {
+      errors.push(`${where}.material: must be one of ${Object.keys(MATERIALS).join(', ')} (or set tensileStrength)`);
+    }
+    ['thickness', 'length'].forEach(field => {
+      if (!isPositive(program[field])) errors.push(`${where}.${field}: must be a positive number (mm)`);
+    });
+    if (program.angleTolerance !== undefined && !isPositive(program.angleTolerance)) {
+      errors.push(`${where}.angleTolerance: must be a positive number of degrees`);
+    }
+
+    const tooling = program.tooling;
+    if (!tooling || typeof tooling !== 'object') {
+      errors.push(`${where}.tooling: must be an object with vOpening and maxTonnagePerMeter`);
+    } else {
+      ['punch', 'die'].forEach(field => {
+        if (tooling[field] !== undefined && typeof tooling[field] !== 'string') {
+          errors.push(`${where}.tooling.${field}: must be a string`);
+        }
+      });
+      if (!isPositive(tooling.vOpening)) {
+        errors.push(`${where}.tooling.vOpening: must be a positive number (mm)`);
+      }
+      if (!isPositive(tooling.maxTonnagePerMeter)) {
+        errors.push(`${where}.tooling.maxTonnagePerMeter: must be a positive number (tonnes per metre)`);
+      }
+    }
+
+    if (!Array.isArray(program.bends) || program.bends.length === 0) {
+      errors.push(`${where}.bends: must be a list of at least one bend`);
+    } else {
+      program.bends.forEach((bend, i) => {
+        const at = `${where}.bends[${i}]`;
+        if (!bend || typeof bend !== 'object') {
+          errors.push(`${at}: must be an object`);
+          return;
+        }
+        if (!(typeof bend.angle === 'number' && bend.angle > 0 && bend.angle < 180)) {
+          errors.push(`${at}.angle: must be a number of degrees between 0 and 180`);
+        }
+        if (!(typeof bend.backGauge === 'number' && bend.backGauge >= 0)) {
+          errors.push(`${at}.backGauge: must be a number of mm, 0 or more`);
+        }
+        if (bend.length !== undefined && !isPositive(bend.length)) {
+          errors.push(`${at}.length: must be a positive number (mm)`);
+        }
+      });
+    }
+  });
+
+  return errors;
+}
+
+function isPositive(value) {
+  return typeof value === 'number' && value > 0;
+}
+
+// ========================================
+// LOOKUP
+// ========================================
+
+function allBendPrograms() {
+  return programs || loadBendPrograms();
+}
+
+function getBendProgram(number) {
+  return allBendPrograms().find(program => program.number === number) || null;
+}
+
+function listBendPrograms() {
+  return allBendPrograms();
+}
+
+// ========================================
+// PLANNING
+// ========================================
+
+// Tonnes to air bend length (mm) of the program's sheet
+function bendTonnage(program, length) {
+  const strength = program.tensileStrength || MATERIALS[program.material].tensileStrength;
+  const kN = 1.42 * strength * program.thickness ** 2 * (length / 1000) / program.tooling.vOpening;
+  return kN / KN_PER_TONNE;
+}
+
+// Each bend on a press with this maxTonnage and back gauge travel
+// (axisLimits.X), starting from backGauge: { bend, angle, backGauge,
+// length, tonnage, limit, limitedBy, overTonnage, overtravel, seconds }
+// plus the problems that would stop it
+function planBends(program, { maxTonnage, axisLimits }, { backGauge = 0 } = {}) {
+  const travel = axisLimits.X;
+  let position = backGauge;
+  const problems = [];
+
+  const bends = program.bends.map((bend, index) => {
+    const length = bend.length || program.length;
+    const tonnage = bendTonnage(program, length);
+    const toolingLimit = program.tooling.maxTonnagePerMeter * length / 1000;
+    const limit = Math.min(maxTonnage, toolingLimit);
+    const limitedBy = toolingLimit < maxTonnage ? 'tooling' : 'press';
+    const overtravel = bend.backGauge < travel[0] || bend.backGauge > travel[1];
+
+    if (overtravel) {
+      problems.push(`bend ${index + 1}: back gauge ${bend.backGauge}mm is outside the ${travel[0]} to ${travel[1]}mm travel`);
+    }
+    if (tonnage > limit) {
+      problems.push(`bend ${index + 1}: needs ${round(tonnage, 1)} t, the ${limitedBy} takes ${round(limit, 1)} t`);
+    }
+
+    const gaugeSeconds = Math.max(HANDLING_SECONDS, Math.abs(bend.backGauge - position) / BACK_GAUGE_SPEED);
+    position = bend.backGauge;
+
+    return {
+      bend: index + 1,
+      angle: bend.angle,
+      backGauge: bend.backGauge,
+      length: length,
+      tonnage: round(tonnage, 1),
+      limit: round(limit, 1),
+      limitedBy: limitedBy,
+      overTonnage: tonnage > limit,
+      overtravel: overtravel,
+      seconds: { gauge: round(gaugeSeconds, 2), bend: BEND_SECONDS, return: RETURN_SECONDS }
+    };
+  });
+
+  const cycleSeconds = bends.reduce((sum, bend) => sum + bend.seconds.gauge + bend.seconds.bend + bend.seconds.return, 0);
+
+  return {
+    number: program.number,
+    bends: bends,
+    cycleSeconds: round(cycleSeconds, 1),
+    peakTonnage: Math.max(...bends.map(bend => bend.tonnage)),
+    angleTolerance: program.angleTolerance || DEFAULT_ANGLE_TOLERANCE,
+    springback: MATERIALS[program.material] ? MATERIALS[program.material].springback : 1.0,
+    problems: problems
+  };
+}
+
+function round(value, places) {
+  return parseFloat(value.toFixed(places));
+}
+
+module.exports = {
+  BendProgramError,
+  MATERIALS,
+  loadBendPrograms,
+  validateBendPrograms,
+  getBendProgram,
+  listBendPrograms,
+  bendTonnage,
+  planBends
+};
@@ -0,0 +1,43 @@
+// EmailChannel.js - SMTP email via nodemailer
+
+const nodemailer = require('nodemailer');
+const { formatSubject, formatText } = require('./common');
+
+class EmailChannel {
+  constructor(options = {}) {
+    if (!options.host) {
+      throw new Error('Email channel requires an SMTP host');
+    }
+    if (!options.to || options.to.length === 0) {
+      throw new Error('Email channel requires at least one recipient');
+    }
+
+    this.host = options.host;
+    this.port = options.port || 587;
+    this.from = options.from || 'haas-monitor@localhost';
+    this.to = [].concat(options.to);
+
+    this.transport = nodemailer.createTransport({
+      host: this.host,
+      port: this.port,
+      secure: options.secure === true, // true for 465, STARTTLS otherwise
+      auth: options.user ? { user: options.user, pass: options.pass } : undefined,
+      connectionTimeout: options.timeoutMs || 10000
+    });
+  }
+
+  async send(notification) {
+    await this.transport.sendMail({
+      from: this.from,
+      to: this.to.join(', '),
+      subject: formatSubject(notification),
+      text: formatText(notification)
+    });
+  }
+
+  describe() {
+    return { type: 'email', host: `${this.host}:${this.port}`, to: this.to };
+  }
+}
+
+module.exports = EmailChannel;
@@ -0,0 +1,31 @@
+// SlackChannel.js - Slack incoming webhook
+// Also works with Mattermost / Rocket.Chat, which accept the same payload
+
+const { SEVERITY_COLORS, formatSubject, formatFields, postJSON } = require('./common');
+
+class SlackChannel {
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new Error('Slack channel requires an incoming webhook url');
+    }
+
+    this.url = options.url;
+    this.timeoutMs = options.timeoutMs || 5000;
+  }
+
+  async send(notification) {
+    await postJSON(this.url, {
+      text: formatSubject(notification),
+      attachments: [{
+        color: SEVERITY_COLORS[notification.severity] || SEVERITY_COLORS.info,
+        fields: formatFields(notification).map(([title, value]) => ({ title, value, short: true }))
+      }]
+    }, {}, this.timeoutMs);
+  }
+
+  describe() {
+    return { type: 'slack', host: new URL(this.url).host };
+  }
+}
+
+module.exports = SlackChannel;
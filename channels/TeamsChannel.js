@@ -0,0 +1,35 @@
+// TeamsChannel.js - Microsoft Teams incoming webhook (MessageCard)
+
+const { SEVERITY_COLORS, formatSubject, formatFields, postJSON } = require('./common');
+
+class TeamsChannel {
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new Error('Teams channel requires an incoming webhook url');
+    }
+
+    this.url = options.url;
+    this.timeoutMs = options.timeoutMs || 5000;
+  }
+
+  async send(notification) {
+    const subject = formatSubject(notification);
+
+    await postJSON(this.url, {
+      '@type': 'MessageCard',
+      '@context': 'https://schema.org/extensions',
+      themeColor: (SEVERITY_COLORS[notification.severity] || SEVERITY_COLORS.info).slice(1),
+      summary: subject,
+      title: subject,
+      sections: [{
+        facts: formatFields(notification).map(([name, value]) => ({ name, value }))
+      }]
+    }, {}, this.timeoutMs);
+  }
+
+  describe() {
+    return { type: 'teams', host: new URL(this.url).host };
+  }
+}
+
+module.exports = TeamsChannel;
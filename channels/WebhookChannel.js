@@ -0,0 +1,26 @@
+// WebhookChannel.js - Generic JSON webhook
+// POSTs the raw notification object for MES / ticketing integrations
+
+const { postJSON } = require('./common');
+
+class WebhookChannel {
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new Error('Webhook channel requires a url');
+    }
+
+    this.url = options.url;
+    this.headers = options.headers || {};
+    this.timeoutMs = options.timeoutMs || 5000;
+  }
+
+  async send(notification) {
+    await postJSON(this.url, notification, this.headers, this.timeoutMs);
+  }
+
+  describe() {
+    return { type: 'webhook', host: new URL(this.url).host };
+  }
+}
+
+module.exports = WebhookChannel;
@@ -0,0 +1,57 @@
+// common.js - Shared helpers for notification channels
+// Message text and HTTP delivery used by every channel type
+
+const SEVERITY_COLORS = {
+  critical: '#d32f2f',
+  warning: '#f9a825',
+  caution: '#f9a825',
+  info: '#1976d2'
+};
+
+// "[CRITICAL] Haas VF-2: X Axis Following Error (103)"
+function formatSubject(notification) {
+  const prefix = notification.kind === 'escalation' ? 'ESCALATION ' : '';
+  const severity = notification.severity ? `[${notification.severity.toUpperCase()}] ` : '';
+  const code = notification.code !== null && notification.code !== undefined ? ` (${notification.code})` : '';
+  return `${prefix}${severity}${notification.machineName}: ${notification.title}${code}`;
+}
+
+// Label/value pairs for the message body
+function formatFields(notification) {
+  const fields = [
+    ['Machine', `${notification.machineName} (${notification.model})`],
+    ['Event', notification.kind],
+    ['Since', notification.since],
+    ['Duration', `${Math.round(notification.durationSec / 60)} min`]
+  ];
+  if (notification.severity) fields.push(['Severity', notification.severity]);
+  if (notification.alarmId) fields.push(['Alarm ID', String(notification.alarmId)]);
+  if (notification.acknowledged !== undefined) fields.push(['Acknowledged', notification.acknowledged ? 'yes' : 'no']);
+  return fields;
+}
+
+function formatText(notification) {
+  return [formatSubject(notification), '']
+    .concat(formatFields(notification).map(([label, value]) => `${label}: ${value}`))
+    .join('\n');
+}
+
+async function postJSON(url, body, headers = {}, timeoutMs = 5000) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: Object.assign({ 'Content-Type': 'application/json' }, headers),
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} from ${new URL(url).host}`);
+  }
+}
+
+module.exports = {
+  SEVERITY_COLORS,
+  formatSubject,
+  formatFields,
+  formatText,
+  postJSON
+};
@@ -0,0 +1,29 @@
+// channels/index.js - Notification delivery channels
+// Each channel takes a notification object and delivers it somewhere:
+// a generic webhook, a chat incoming-webhook or an SMTP mailbox
+
+const WebhookChannel = require('./WebhookChannel');
+const SlackChannel = require('./SlackChannel');
+const TeamsChannel = require('./TeamsChannel');
+const EmailChannel = require('./EmailChannel');
+
+const CHANNEL_TYPES = {
+  webhook: WebhookChannel,
+  slack: SlackChannel,
+  teams: TeamsChannel,
+  email: EmailChannel
+};
+
+function createChannel(config) {
+  const Channel = CHANNEL_TYPES[config.type];
+  if (!Channel) {
+    throw new Error(`Unknown channel type "${config.type}" (expected: ${Object.keys(CHANNEL_TYPES).join(', ')})`);
+  }
+
+  return new Channel(config);
+}
+
+module.exports = {
+  createChannel,
+  CHANNEL_TYPES
+};
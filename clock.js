@@ -0,0 +1,23 @@
+// clock.js - Plant time
+// Everything that happens on the shop floor - machine timestamps, cycles,
+// alarms, history samples, jobs, work orders, shifts - takes the time from
+// here instead of Date.now(), so the simulation can run faster than real
+// time, pause or step (see SimClock.js). Notification timing follows it
+// too; sign-in tokens, API keys, the audit log and notification rate
+// limits stay on wall time.
+
+let source = Date.now;
+
+function now() {
+  return source();
+}
+
+// fn() -> epoch ms; null goes back to wall time
+function useClock(fn) {
+  source = fn || Date.now;
+}
+
+module.exports = {
+  now,
+  useClock
+};
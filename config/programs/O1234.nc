@@ -0,0 +1,42 @@
+%
+O01234 (BRK-2210 BRACKET OP1)
+(T1 50MM FACE MILL, T2 10MM END MILL, T3 6.8MM DRILL)
+G21 G90 G17 G40 G80 G94
+G28 G91 Z0.
+G90
+N10 T1 M06 (FACE TOP)
+G54 G00 X270. Y200. S6000 M03
+G43 H01 Z160. M08
+G01 Z150. F1500.
+X430. F3000.
+Y160.
+X270.
+G00 Z160.
+N20 T2 M06 (OUTSIDE PROFILE)
+G00 X290. Y140. S8000 M03
+G43 H02 Z155. M08
+G01 Z140. F600.
+X410. F2400.
+G03 X420. Y150. R10.
+G01 Y210.
+G03 X410. Y220. R10.
+G01 X290.
+G03 X280. Y210. R10.
+G01 Y150.
+G03 X290. Y140. R10.
+G00 Z160.
+N30 T3 M06 (DRILL 2 HOLES)
+G00 X300. Y160. S3500 M03
+G43 H03 Z155. M08
+G01 Z135. F500.
+G00 Z155.
+X400.
+G01 Z135. F500.
+G00 Z155.
+G04 P0.5
+M09
+M05
+G28 G91 Z0.
+G90
+M30
+%
@@ -0,0 +1,40 @@
+%
+O02040 (HSG-0450 HOUSING OP1)
+(T5 16MM END MILL, T8 12MM DRILL)
+G21 G90 G17 G40 G80 G94
+N10 T5 M06 (BORE POCKET - FULL CIRCLES)
+G00 X600. Y250. S2800 M03
+G43 H05 Z210. M08
+G01 Z200. F300.
+G02 I-40. F450.
+G01 Z190. F300.
+G02 I-40. F450.
+G01 Z180. F300.
+G02 I-40. F450.
+G00 Z215.
+N20 T8 M06 (DRILL 4 HOLES, INCREMENTAL)
+G00 X500. Y150. S1800 M03
+G43 H08 Z210. M08
+G91
+G01 Z-30. F180.
+G04 P300
+G00 Z30.
+X200.
+G01 Z-30.
+G04 P300
+G00 Z30.
+Y200.
+G01 Z-30.
+G04 P300
+G00 Z30.
+X-200.
+G01 Z-30.
+G04 P300
+G00 Z30.
+G90
+M09
+M05
+G28 G91 Z0.
+G90
+M30
+%
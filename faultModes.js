@@ -0,0 +1,87 @@
+// faultModes.js - Simulated fault modes
+// A fault degrades the machine model itself rather than just setting an
+// alarm: it ramps from nothing to its full effect over rampMinutes
+// (scaled by severity, 0-1) and the machine's own alarm checks fire when
+// the readings cross their limits. Used for operator training and for
+// checking that notification rules catch the problem.
+//
+//   BEARING_WEAR            vibration and spindle temperature climb
+//                           (HIGH_VIBRATION, alarm 200 SPINDLE OVER TEMP)
+//   COOLANT_LEAK            coolant tank drains (COOLANT_LOW, alarm 115)
+//   SERVO_DRIFT             following error grows on one axis (alarm 103-105)
+//   BATTERY_FAILURE         control battery voltage drops (BATTERY_LOW, alarm 9100);
+//                           any machine type, since every control has one
+//   RESONATOR_COOLING_LOSS  laser resonator overheats (RESONATOR_OVERHEAT)
+
+const { MACHINE_TYPES, CNC_TYPES } = require('./machineTypes');
+
+const FAULT_MODES = {
+  BEARING_WEAR: {
+    machineTypes: CNC_TYPES,
+    rampMinutes: 60,
+    description: 'Spindle bearing wear - vibration and spindle temperature climb while the spindle runs'
+  },
+  COOLANT_LEAK: {
+    machineTypes: CNC_TYPES,
+    rampMinutes: 5,
+    description: 'Coolant leak - the tank drains whether or not the machine is cutting'
+  },
+  SERVO_DRIFT: {
+    machineTypes: CNC_TYPES,
+    rampMinutes: 30,
+    description: 'Servo tuning drift - following error grows on one axis (axis: X, Y or Z)'
+  },
+  BATTERY_FAILURE: {
+    machineTypes: MACHINE_TYPES,
+    rampMinutes: 30,
+    description: 'Failing control battery - voltage drops towards the LOW BATTERY alarm'
+  },
+  RESONATOR_COOLING_LOSS: {
+    machineTypes: ['LASER'],
+    rampMinutes: 10,
+    description: 'Resonator chiller loss - resonator temperature climbs instead of cooling down'
+  }
+};
+
+const AXES = ['X', 'Y', 'Z'];
+
+// Problem with running this mode on a machine type, or null
+function checkFaultMode(mode, machineType) {
+  const fault = FAULT_MODES[mode];
+  if (!fault) {
+    return `Unknown fault mode ${mode} (use ${Object.keys(FAULT_MODES).join(', ')})`;
+  }
+  if (!fault.machineTypes.includes(machineType)) {
+    return `${mode} does not apply to ${machineType} machines`;
+  }
+  return null;
+}
+
+// Options for starting a fault: severity, rampMinutes, axis
+function validateFaultOptions({ mode, severity, rampMinutes, axis }) {
+  const errors = [];
+  if (severity !== undefined && !(typeof severity === 'number' && severity > 0 && severity <= 1)) {
+    errors.push('severity must be a number above 0, up to 1');
+  }
+  if (rampMinutes !== undefined && !(typeof rampMinutes === 'number' && rampMinutes >= 0)) {
+    errors.push('rampMinutes must be a number, 0 or more (0 = full effect at once)');
+  }
+  if (axis !== undefined && (mode !== 'SERVO_DRIFT' || !AXES.includes(axis))) {
+    errors.push(`axis only applies to SERVO_DRIFT and must be one of ${AXES.join(', ')}`);
+  }
+  return errors;
+}
+
+// Fault modes for one machine type, for the API
+function listFaultModes(machineType) {
+  return Object.keys(FAULT_MODES)
+    .filter(mode => FAULT_MODES[mode].machineTypes.includes(machineType))
+    .map(mode => ({ mode: mode, rampMinutes: FAULT_MODES[mode].rampMinutes, description: FAULT_MODES[mode].description }));
+}
+
+module.exports = {
+  FAULT_MODES,
+  checkFaultMode,
+  validateFaultOptions,
+  listFaultModes
+};
@@ -0,0 +1,350 @@
+// fleetConfig.js - Config-driven fleet definition
+// Loads the fleet from a JSON or YAML file, validates every entry and
+// keeps the live machines object in sync when the file changes
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const HaasMachine = require('./HaasMachine');
+const { createRandom, machineSeed } = require('./random');
+const { createDataSource, SOURCE_TYPES } = require('./sources');
+const { MACHINE_TYPES, CNC_TYPES } = require('./machineTypes');
+
+// Spec field -> machine types it applies to
+const SPEC_FIELDS = {
+  spindlePower: CNC_TYPES,
+  maxRPM: CNC_TYPES,
+  rapidTraverse: CNC_TYPES,
+  toolCapacity: CNC_TYPES,
+  toolChangeTime: CNC_TYPES,
+  maxTonnage: ['PRESS_BRAKE'],
+  maxLaserPower: ['LASER']
+};
+
+// Source type -> required string options
+const SOURCE_REQUIRED = {
+  mtconnect: ['url'],
+  'haas-q': ['host']
+};
+
+class FleetConfigError extends Error {
+  constructor(file, errors) {
+    super(`Invalid fleet config ${file}:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'FleetConfigError';
+    this.errors = errors;
+  }
+}
+
+// ========================================
+// LOADING
+// ========================================
+
+function readFleetConfig(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new FleetConfigError(file, [`cannot read file (${err.code || err.message})`]);
+  }
+
+  try {
+    const ext = path.extname(file).toLowerCase();
+    return ext === '.yaml' || ext === '.yml' ? yaml.load(raw) : JSON.parse(raw);
+  } catch (err) {
+    throw new FleetConfigError(file, [`parse error: ${err.message}`]);
+  }
+}
+
+function loadFleetConfig(file) {
+  const config = readFleetConfig(file);
+  const errors = validateFleetConfig(config);
+  if (errors.length > 0) {
+    throw new FleetConfigError(file, errors);
+  }
+  return config;
+}
+
+// Write the fleet back (API edits) in the file's own format
+function saveFleetConfig(file, config) {
+  const ext = path.extname(file).toLowerCase();
+  const raw = ext === '.yaml' || ext === '.yml'
+    ? yaml.dump(config, { lineWidth: 120 })
+    : JSON.stringify(config, null, 2) + '\n';
+
+  // Write-then-rename so the watcher never sees a half-written file
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, raw);
+  fs.renameSync(tmp, file);
+}
+
+// ========================================
+// VALIDATION
+// ========================================
+
+function validateFleetConfig(config) {
+  if (!isObject(config)) {
+    return ['root must be an object with a "machines" list'];
+  }
+  if (!Array.isArray(config.machines)) {
+    return ['"machines" must be a list'];
+  }
+
+  const errors = [];
+  const seen = new Set();
+
+  if (config.idealCycleTimes !== undefined) {
+    if (!isObject(config.idealCycleTimes)) {
+      errors.push('idealCycleTimes: must map program numbers to seconds');
+    } else {
+      Object.entries(config.idealCycleTimes).forEach(([program, seconds]) => {
+        if (!/^O\d{4,5}$/.test(program)) errors.push(`idealCycleTimes.${program}: not a Haas program number like "O1234"`);
+        if (typeof seconds !== 'number' || !(seconds > 0)) errors.push(`idealCycleTimes.${program}: must be a positive number of seconds`);
+      });
+    }
+  }
+
+  config.machines.forEach((entry, index) => {
+    const where = `machines[${index}]${entry && entry.id ? ` (${entry.id})` : ''}`;
+    errors.push(...validateMachineConfig(entry, where));
+
+    if (entry && typeof entry.id === 'string') {
+      if (seen.has(entry.id)) errors.push(`${where}.id: duplicate machine id "${entry.id}"`);
+      seen.add(entry.id);
+    }
+  });
+
+  return errors;
+}
+
+function validateMachineConfig(entry, where = 'machine') {
+  if (!isObject(entry)) {
+    return [`${where}: must be an object`];
+  }
+
+  const errors = [];
+
+  if (typeof entry.id !== 'string' || !/^[A-Za-z0-9_-]+$/.test(entry.id)) {
+    errors.push(`${where}.id: required, letters/digits/underscore/dash only`);
+  }
+  ['name', 'model'].forEach(field => {
+    if (typeof entry[field] !== 'string' || entry[field].trim() === '') {
+      errors.push(`${where}.${field}: required string`);
+    }
+  });
+  if (!MACHINE_TYPES.includes(entry.type)) {
+    errors.push(`${where}.type: must be one of ${MACHINE_TYPES.join(', ')}`);
+  }
+
+  errors.push(...validateSpecs(entry.specs, entry.type, `${where}.specs`));
+  errors.push(...validateSource(entry.source, `${where}.source`));
+
+  ['material', 'programRunning'].forEach(field => {
+    if (entry[field] !== undefined && entry[field] !== null && typeof entry[field] !== 'string') {
+      errors.push(`${where}.${field}: must be a string`);
+    }
+  });
+  if (typeof entry.programRunning === 'string' && !/^O\d{4,5}$/.test(entry.programRunning)) {
+    errors.push(`${where}.programRunning: must be a Haas program number like "O1234"`);
+  }
+  if (entry.idealCycleTime !== undefined && !(typeof entry.idealCycleTime === 'number' && entry.idealCycleTime > 0)) {
+    errors.push(`${where}.idealCycleTime: must be a positive number of seconds`);
+  }
+
+  return errors;
+}
+
+function validateSpecs(specs, type, where) {
+  if (specs === undefined) return [];
+  if (!isObject(specs)) return [`${where}: must be an object`];
+
+  const errors = [];
+
+  if (specs.axisLimits !== undefined) {
+    if (!isObject(specs.axisLimits)) {
+      errors.push(`${where}.axisLimits: must be an object with X, Y and Z`);
+    } else {
+      ['X', 'Y', 'Z'].forEach(axis => {
+        const range = specs.axisLimits[axis];
+        if (!Array.isArray(range) || range.length !== 2 || !range.every(Number.isFinite)) {
+          errors.push(`${where}.axisLimits.${axis}: must be [min, max] in mm`);
+        } else if (range[0] >= range[1]) {
+          errors.push(`${where}.axisLimits.${axis}: min (${range[0]}) must be below max (${range[1]})`);
+        }
+      });
+    }
+  }
+
+  Object.keys(specs).forEach(field => {
+    if (field === 'axisLimits') return;
+
+    const types = SPEC_FIELDS[field];
+    if (!types) {
+      errors.push(`${where}.${field}: unknown spec`);
+    } else if (MACHINE_TYPES.includes(type) && !types.includes(type)) {
+      errors.push(`${where}.${field}: only valid for ${types.join(', ')} machines`);
+    } else if (typeof specs[field] !== 'number' || !(specs[field] > 0)) {
+      errors.push(`${where}.${field}: must be a positive number`);
+    }
+  });
+
+  if (specs.toolCapacity !== undefined && !Number.isInteger(specs.toolCapacity)) {
+    errors.push(`${where}.toolCapacity: must be a whole number of pockets`);
+  }
+
+  return errors;
+}
+
+function validateSource(source, where) {
+  if (source === undefined || source === null) return [];
+  if (!isObject(source)) return [`${where}: must be an object`];
+
+  const types = ['simulator'].concat(Object.keys(SOURCE_TYPES));
+  if (!types.includes(source.type)) {
+    return [`${where}.type: must be one of ${types.join(', ')}`];
+  }
+
+  const errors = [];
+  (SOURCE_REQUIRED[source.type] || []).forEach(field => {
+    if (typeof source[field] !== 'string' || source[field] === '') {
+      errors.push(`${where}.${field}: required for ${source.type} sources`);
+    }
+  });
+  if (source.port !== undefined && !(Number.isInteger(source.port) && source.port > 0 && source.port < 65536)) {
+    errors.push(`${where}.port: must be a TCP port number`);
+  }
+  if (source.pollIntervalMs !== undefined && !(typeof source.pollIntervalMs === 'number' && source.pollIntervalMs >= 100)) {
+    errors.push(`${where}.pollIntervalMs: must be at least 100`);
+  }
+
+  return errors;
+}
+
+// ========================================
+// APPLYING TO THE LIVE FLEET
+// ========================================
+
+// With a seed, each machine simulates from its own reproducible stream
+function createMachine(entry, { seed, programs, bendPrograms }) {
+  const machine = new HaasMachine(entry.id, entry.name, entry.model, entry.type, entry.specs || {}, {
+    random: seed !== null ? createRandom(machineSeed(seed, entry.id)) : Math.random,
+    programs: programs,
+    bendPrograms: bendPrograms
+  });
+  machine.material = entry.material || null;
+  machine.programRunning = entry.programRunning || null;
+  machine.config = entry;
+  machine.attachDataSource(createDataSource(entry.source));
+  return machine;
+}
+
+function updateMachine(machine, entry) {
+  const previous = machine.config || {};
+
+  machine.name = entry.name;
+  machine.model = entry.model;
+
+  if (!sameJSON(previous.specs, entry.specs)) {
+    machine.applySpecs(entry.specs || {});
+  }
+  // Only touch material/program when the config itself changed, so a
+  // reload doesn't stomp on what the machine is running right now (an
+  // active job always wins)
+  if (previous.material !== entry.material && !machine.job) {
+    machine.material = entry.material || null;
+  }
+  if (previous.programRunning !== entry.programRunning && !machine.job) {
+    machine.programRunning = entry.programRunning || null;
+  }
+  if (!sameJSON(previous.source, entry.source)) {
+    machine.attachDataSource(createDataSource(entry.source));
+  }
+
+  machine.config = entry;
+}
+
+// Sync `machines` (id -> HaasMachine) with a validated config in place
+function applyFleetConfig(machines, config, { seed = null, programs = () => null, bendPrograms = () => null } = {}) {
+  const changes = { added: [], updated: [], removed: [] };
+  const ids = new Set(config.machines.map(entry => entry.id));
+
+  Object.keys(machines).forEach(id => {
+    if (!ids.has(id)) {
+      machines[id].detachDataSource();
+      delete machines[id];
+      changes.removed.push(id);
+    }
+  });
+
+  config.machines.forEach(entry => {
+    const existing = machines[entry.id];
+
+    if (!existing) {
+      machines[entry.id] = createMachine(entry, { seed, programs, bendPrograms });
+      changes.added.push(entry.id);
+    } else if (existing.type !== entry.type) {
+      // A different machine type needs a fresh model
+      existing.detachDataSource();
+      machines[entry.id] = createMachine(entry, { seed, programs, bendPrograms });
+      changes.updated.push(entry.id);
+    } else if (!sameJSON(existing.config, entry)) {
+      updateMachine(existing, entry);
+      changes.updated.push(entry.id);
+    }
+  });
+
+  return changes;
+}
+
+// ========================================
+// HOT RELOAD
+// ========================================
+
+// Calls onChange(config) with each valid new version of the file and
+// onError(err) for invalid ones (the running fleet is left untouched)
+function watchFleetConfig(file, onChange, onError) {
+  const dir = path.dirname(file);
+  const base = path.basename(file);
+  let timer = null;
+
+  // Watch the directory: editors often save by replacing the file
+  const watcher = fs.watch(dir, (event, filename) => {
+    if (filename && filename !== base) return;
+
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      try {
+        onChange(loadFleetConfig(file));
+      } catch (err) {
+        onError(err);
+      }
+    }, 300);
+  });
+
+  return () => {
+    clearTimeout(timer);
+    watcher.close();
+  };
+}
+
+// ========================================
+// HELPERS
+// ========================================
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function sameJSON(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+module.exports = {
+  FleetConfigError,
+  MACHINE_TYPES,
+  loadFleetConfig,
+  saveFleetConfig,
+  validateFleetConfig,
+  validateMachineConfig,
+  applyFleetConfig,
+  watchFleetConfig
+};
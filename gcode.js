@@ -0,0 +1,541 @@
+// gcode.js - G-code programs
+// Parses Haas-style G-code into operations and plans them for one
+// machine: where every move goes, how long it takes (path length over
+// the feed, rapids at the machine's rapid traverse) and which moves run
+// past the axis travel (soft limits). checkProgramFit decides whether a
+// program can be assigned to a machine at all.
+//
+// Supported:
+//   G0 G1 G2 G3    rapid, feed, clockwise / counter-clockwise arcs (I/J/K or R)
+//   G4 P           dwell (P1.5 = 1.5 seconds, P1500 = 1500 milliseconds)
+//   G17 G18 G19    arc plane XY / ZX / YZ
+//   G20 G21        inch / metric (metric by default)
+//   G90 G91        absolute / incremental
+//   G28            return to machine home through the given point
+//   G40 G43 G49 G53 G54-G59 G80 G94   accepted, no effect
+//   M0 M1 M2 M30   stop (no effect) / program end
+//   M3 M4 M5 S     spindle CW / CCW / stop and speed
+//   M6 T           tool change
+//   M8 M9          coolant on / off
+//
+// Positions are machine coordinates within specs.axisLimits (mm); work
+// offsets and tool length compensation are accepted but not applied.
+// Machine home is the low end of X and Y travel with Z at the top.
+
+const MM_PER_INCH = 25.4;
+const SPINDLE_ACCEL = 4000; // rpm per second, up and down
+
+// Haas program numbers as used by jobs: O1234 / O12345
+const PROGRAM_NUMBER_PATTERN = /^O\d{4,5}$/;
+
+const AXES = ['X', 'Y', 'Z'];
+const WORD_LETTERS = 'NOGMXYZIJKRFSTPHD';
+
+const G_CODES = [0, 1, 2, 3, 4, 17, 18, 19, 20, 21, 28, 40, 43, 49, 53, 54, 55, 56, 57, 58, 59, 80, 90, 91, 94];
+const M_CODES = [0, 1, 2, 3, 4, 5, 6, 8, 9, 30];
+
+// Arc plane -> [first, second, linear] axes and the centre offset words
+const PLANES = {
+  17: { axes: ['X', 'Y', 'Z'], offsets: ['I', 'J'] },
+  18: { axes: ['Z', 'X', 'Y'], offsets: ['K', 'I'] },
+  19: { axes: ['Y', 'Z', 'X'], offsets: ['J', 'K'] }
+};
+
+class ProgramError extends Error {
+  constructor(errors) {
+    super(`Invalid program:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'ProgramError';
+    this.errors = errors;
+  }
+}
+
+// ========================================
+// PARSING
+// ========================================
+
+// -> { number, comment, lines, blocks, tools, maxRPM, operations }
+// Every problem is collected and thrown together as a ProgramError
+function parseProgram(source) {
+  const errors = [];
+  const lines = String(source).replace(/\r?\n$/, '').split(/\r?\n/);
+  const state = { motion: 0, plane: 17, inch: false, incremental: false, feed: null, rpm: 0, spindle: null, tool: null };
+  const operations = [];
+  const tools = [];
+  const blocks = {};
+  let number = null;
+  let comment = null;
+  let maxRPM = 0;
+  let ended = false;
+
+  lines.forEach((text, index) => {
+    const line = index + 1;
+    if (ended) return; // Nothing after M30 runs
+
+    const comments = [];
+    let code = text.replace(/;.*$/, '').replace(/\(([^)]*)\)/g, (match, inner) => {
+      comments.push(inner.trim());
+      return ' ';
+    });
+    if (code.includes('(') || code.includes(')')) {
+      errors.push(`line ${line}: unclosed comment`);
+      return;
+    }
+    code = code.replace(/\s+/g, '').toUpperCase();
+    if (code === '%' || code === '') return;
+    if (code.startsWith('/')) code = code.slice(1); // Block delete is off
+
+    const words = readWords(code, line, errors);
+    if (!words) return;
+
+    const problems = [];
+    const block = checkBlock(words, problems);
+    problems.forEach(problem => errors.push(`line ${line}: ${problem}`));
+    if (problems.length > 0) return;
+
+    blocks[line] = text.trim();
+
+    if (block.O !== undefined) {
+      if (number !== null) {
+        errors.push(`line ${line}: only one program (O number) per file`);
+      } else {
+        number = `O${String(block.O).padStart(4, '0')}`;
+        if (!PROGRAM_NUMBER_PATTERN.test(number)) errors.push(`line ${line}: program number ${number} is too long`);
+        if (comments.length > 0) comment = comments[0];
+      }
+    }
+
+    // Modes first, then feed / speed / tool, then the block's actions
+    block.G.forEach(g => {
+      if (g === 20 || g === 21) state.inch = g === 20;
+      if (g === 90 || g === 91) state.incremental = g === 91;
+      if (PLANES[g]) state.plane = g;
+      if (g <= 3) state.motion = g;
+    });
+    const scale = state.inch ? MM_PER_INCH : 1;
+    const at = { line: line };
+
+    if (block.F !== undefined) {
+      if (block.F <= 0) errors.push(`line ${line}: F must be above 0`);
+      else state.feed = block.F * scale;
+    }
+    if (block.S !== undefined) {
+      if (block.S < 0) {
+        errors.push(`line ${line}: S can't be negative`);
+      } else {
+        state.rpm = block.S;
+        maxRPM = Math.max(maxRPM, block.S);
+        // A new speed with the spindle turning changes it straight away
+        if (state.spindle && !block.M.some(m => m >= 3 && m <= 5)) {
+          operations.push(Object.assign({ type: 'spindle', rpm: state.rpm, direction: state.spindle }, at));
+        }
+      }
+    }
+    if (block.T !== undefined) {
+      if (!Number.isInteger(block.T) || block.T < 1) errors.push(`line ${line}: T must be a tool number`);
+      else state.tool = block.T;
+    }
+
+    if (block.M.includes(6)) {
+      if (state.tool === null) {
+        errors.push(`line ${line}: M6 without a tool (T)`);
+      } else {
+        operations.push(Object.assign({ type: 'toolChange', tool: state.tool }, at));
+        if (!tools.includes(state.tool)) tools.push(state.tool);
+        state.spindle = null; // The spindle stops for the change
+      }
+    }
+    if (block.M.includes(3) || block.M.includes(4)) {
+      if (!state.rpm) {
+        errors.push(`line ${line}: spindle started without a speed (S)`);
+      } else {
+        state.spindle = block.M.includes(3) ? 'CW' : 'CCW';
+        operations.push(Object.assign({ type: 'spindle', rpm: state.rpm, direction: state.spindle }, at));
+      }
+    }
+    if (block.M.includes(5)) {
+      state.spindle = null;
+      operations.push(Object.assign({ type: 'spindle', rpm: 0, direction: null }, at));
+    }
+    if (block.M.includes(8) || block.M.includes(9)) {
+      operations.push(Object.assign({ type: 'coolant', on: block.M.includes(8) }, at));
+    }
+
+    const axes = {};
+    AXES.filter(axis => block[axis] !== undefined).forEach(axis => { axes[axis] = block[axis] * scale; });
+    const moving = Object.keys(axes).length > 0;
+
+    if (block.G.includes(4)) {
+      if (block.P === undefined || block.P < 0) {
+        errors.push(`line ${line}: G4 dwell needs a P time`);
+      } else {
+        const seconds = block.raw.P.includes('.') ? block.P : block.P / 1000;
+        operations.push(Object.assign({ type: 'dwell', seconds: seconds }, at));
+      }
+    } else if (block.G.includes(28)) {
+      operations.push(Object.assign({ type: 'home', axes: axes, incremental: state.incremental }, at));
+    } else if (moving && state.motion === 0) {
+      operations.push(Object.assign({ type: 'rapid', axes: axes, incremental: state.incremental }, at));
+    } else if (moving || (block.G.some(g => g === 2 || g === 3) && hasArcWords(block))) {
+      if (state.feed === null) {
+        errors.push(`line ${line}: G${state.motion} move without a feed rate (F)`);
+      } else if (state.motion === 1) {
+        operations.push(Object.assign({ type: 'feed', axes: axes, incremental: state.incremental, feed: state.feed }, at));
+      } else {
+        const arc = arcOperation(block, state, scale);
+        if (typeof arc === 'string') errors.push(`line ${line}: ${arc}`);
+        else operations.push(Object.assign(arc, { axes: axes, incremental: state.incremental, feed: state.feed }, at));
+      }
+    }
+
+    if (block.M.includes(2) || block.M.includes(30)) {
+      operations.push(Object.assign({ type: 'end' }, at));
+      ended = true;
+    }
+  });
+
+  if (number === null) {
+    errors.push('program number (O word, e.g. O1234) missing');
+  }
+  if (errors.length > 0) {
+    throw new ProgramError(errors);
+  }
+
+  return {
+    number: number,
+    comment: comment,
+    lines: lines.length,
+    blocks: blocks,
+    tools: tools,
+    maxRPM: maxRPM,
+    operations: operations
+  };
+}
+
+// "G1X10.5F200" -> [{ letter, value, raw }], or null (errors pushed)
+function readWords(code, line, errors) {
+  const pattern = /([A-Z])([-+]?(?:\d+\.?\d*|\.\d+))/y;
+  const words = [];
+
+  while (pattern.lastIndex < code.length) {
+    const start = pattern.lastIndex;
+    const match = pattern.exec(code);
+    if (!match) {
+      errors.push(`line ${line}: can't read "${code.slice(start)}"`);
+      return null;
+    }
+    words.push({ letter: match[1], value: parseFloat(match[2]), raw: match[2] });
+  }
+  return words;
+}
+
+// Words -> { G: [], M: [], raw: {}, X: 10, ... }; problems pushed
+function checkBlock(words, problems) {
+  const block = { G: [], M: [], raw: {} };
+  let motions = 0;
+
+  words.forEach(({ letter, value, raw }) => {
+    if (!WORD_LETTERS.includes(letter)) {
+      problems.push(`${letter} words are not supported`);
+    } else if (letter === 'G' || letter === 'M') {
+      const codes = letter === 'G' ? G_CODES : M_CODES;
+      if (!Number.isInteger(value) || !codes.includes(value)) {
+        problems.push(`${letter}${raw} is not supported`);
+      } else {
+        block[letter].push(value);
+        if (letter === 'G' && value <= 3) motions++;
+      }
+    } else if (block[letter] !== undefined) {
+      problems.push(`${letter} given twice`);
+    } else {
+      block[letter] = value;
+      block.raw[letter] = raw;
+    }
+  });
+
+  if (motions > 1) problems.push('more than one of G0 / G1 / G2 / G3');
+  if (block.O !== undefined && !Number.isInteger(block.O)) problems.push('O must be a whole number');
+  return block;
+}
+
+function hasArcWords(block) {
+  return ['I', 'J', 'K', 'R'].some(letter => block[letter] !== undefined);
+}
+
+// Arc in the current plane from I/J/K (centre offsets from the start
+// point) or R (negative R = the long way round), or a problem string
+function arcOperation(block, state, scale) {
+  const plane = PLANES[state.plane];
+  const arc = { type: 'arc', clockwise: state.motion === 2, plane: state.plane };
+
+  if (block.R !== undefined) {
+    if (block.R === 0) return 'R must not be 0';
+    arc.radius = block.R * scale;
+  } else if (plane.offsets.some(letter => block[letter] !== undefined)) {
+    arc.center = plane.offsets.map(letter => (block[letter] || 0) * scale);
+  } else {
+    return `G${state.motion} needs ${plane.offsets.join('/')} or R`;
+  }
+  return arc;
+}
+
+// ========================================
+// PLANNING
+// ========================================
+
+// Steps for one machine, starting from its current position and tool.
+// Each step: { line, phase, seconds, from, to, arc, cutting, feed,
+// rpm, fromRpm, coolant, tool, overtravel }
+function planProgram(program, specs, { position, tool = null }) {
+  const limits = specs.axisLimits;
+  const rapidRate = specs.rapidTraverse * MM_PER_INCH; // mm/min
+  const home = { X: limits.X[0], Y: limits.Y[0], Z: limits.Z[1] };
+  const steps = [];
+  const overtravel = [];
+  const extents = {};
+  const distance = { rapid: 0, feed: 0 };
+  const state = { position: Object.assign({}, position), tool: tool, rpm: 0, coolant: false };
+
+  const add = (step) => {
+    const full = Object.assign({ phase: null, seconds: 0, cutting: false, feed: 0, rpm: state.rpm, coolant: state.coolant }, step);
+    // The tool change position is the machine's own, not the program's
+    if (full.to && full.phase !== 'TOOL_CHANGE') {
+      const problem = travelProblem(full, limits, extents);
+      if (problem) {
+        full.overtravel = problem;
+        overtravel.push(Object.assign({ line: full.line }, problem));
+      }
+    }
+    if (full.to) state.position = full.to;
+    steps.push(full);
+  };
+
+  const move = (line, to, type, feed) => {
+    const from = state.position;
+    if (type === 'rapid') {
+      const longest = Math.max(...AXES.map(axis => Math.abs(to[axis] - from[axis])));
+      const retract = AXES.every(axis => axis === 'Z' ? to.Z >= from.Z : to[axis] === from[axis]);
+      distance.rapid += pathLength(from, to);
+      add({ line, phase: retract ? 'RETRACT' : 'RAPID', seconds: longest / rapidRate * 60, from, to });
+    } else {
+      const length = pathLength(from, to);
+      const rate = Math.min(feed, rapidRate);
+      distance.feed += length;
+      add({ line, phase: 'CUTTING', seconds: length / rate * 60, from, to, cutting: true, feed: rate });
+    }
+  };
+
+  for (const op of program.operations) {
+    const line = op.line;
+
+    if (op.type === 'end') {
+      add({ line, phase: 'FINISH' });
+      break;
+    }
+
+    switch (op.type) {
+      case 'toolChange': {
+        if (op.tool === state.tool) break;
+        const from = state.position;
+        const to = Object.assign({}, from, { Z: limits.Z[1] });
+        const rpm = state.rpm;
+        state.rpm = 0;
+        state.tool = op.tool;
+        add({
+          line, phase: 'TOOL_CHANGE', from, to, tool: op.tool, rpm: 0, fromRpm: rpm,
+          seconds: specs.toolChangeTime + Math.abs(to.Z - from.Z) / rapidRate * 60
+        });
+        break;
+      }
+      case 'spindle': {
+        const rpm = Math.min(op.rpm, specs.maxRPM);
+        const fromRpm = state.rpm;
+        state.rpm = rpm;
+        add({ line, phase: 'SPINDLE_RAMP', seconds: Math.abs(rpm - fromRpm) / SPINDLE_ACCEL, fromRpm });
+        break;
+      }
+      case 'coolant':
+        state.coolant = op.on;
+        add({ line });
+        break;
+      case 'dwell':
+        add({ line, phase: 'DWELL', seconds: op.seconds });
+        break;
+      case 'rapid':
+        move(line, target(state.position, op), 'rapid');
+        break;
+      case 'feed':
+        move(line, target(state.position, op), 'feed', op.feed);
+        break;
+      case 'arc': {
+        const from = state.position;
+        const to = target(from, op);
+        const arc = arcGeometry(op, from, to);
+        const length = Math.hypot(arc.radius * arc.sweep, to[arc.axes[2]] - from[arc.axes[2]]);
+        const rate = Math.min(op.feed, rapidRate);
+        distance.feed += length;
+        add({ line, phase: 'CUTTING', seconds: length / rate * 60, from, to, arc, cutting: true, feed: rate });
+        break;
+      }
+      case 'home': {
+        // Through the intermediate point, then home on the named axes (all if none)
+        const named = Object.keys(op.axes).length > 0 ? Object.keys(op.axes) : AXES;
+        const via = target(state.position, op);
+        if (Object.keys(op.axes).length > 0) move(line, via, 'rapid');
+        const to = Object.assign({}, via);
+        named.forEach(axis => { to[axis] = home[axis]; });
+        move(line, to, 'rapid');
+        break;
+      }
+    }
+  }
+
+  const cycleSeconds = steps.reduce((sum, step) => sum + step.seconds, 0);
+
+  return {
+    number: program.number,
+    steps: steps,
+    cycleSeconds: round(cycleSeconds, 1),
+    distance: { rapid: round(distance.rapid, 1), feed: round(distance.feed, 1) },
+    extents: extents,
+    overtravel: overtravel
+  };
+}
+
+function target(from, { axes, incremental }) {
+  const to = Object.assign({}, from);
+  Object.keys(axes).forEach(axis => {
+    to[axis] = incremental ? from[axis] + axes[axis] : axes[axis];
+  });
+  return to;
+}
+
+function pathLength(from, to) {
+  return Math.hypot(...AXES.map(axis => to[axis] - from[axis]));
+}
+
+// Centre, radius, start angle and signed sweep (radians) in the arc's plane.
+// An R too small for the chord is taken as a half circle.
+function arcGeometry(op, from, to) {
+  const axes = PLANES[op.plane].axes;
+  const [a, b] = axes;
+  let center;
+
+  if (op.radius !== undefined) {
+    const dx = to[a] - from[a];
+    const dy = to[b] - from[b];
+    const chord = Math.hypot(dx, dy);
+    if (chord === 0) {
+      return { axes, center: [from[a], from[b]], radius: 0, start: 0, sweep: 0 };
+    }
+    const radius = Math.max(Math.abs(op.radius), chord / 2);
+    const height = Math.sqrt(Math.max(0, radius * radius - chord * chord / 4));
+    // Clockwise arcs under 180 degrees curve round a centre right of the chord
+    const side = (op.clockwise ? -1 : 1) * (op.radius < 0 ? -1 : 1);
+    center = [
+      from[a] + dx / 2 - side * height * dy / chord,
+      from[b] + dy / 2 + side * height * dx / chord
+    ];
+  } else {
+    center = [from[a] + op.center[0], from[b] + op.center[1]];
+  }
+
+  const radius = Math.hypot(from[a] - center[0], from[b] - center[1]);
+  const start = Math.atan2(from[b] - center[1], from[a] - center[0]);
+  const end = Math.atan2(to[b] - center[1], to[a] - center[0]);
+
+  // Same start and end point = full circle
+  let sweep = op.clockwise ? start - end : end - start;
+  if (sweep <= 1e-9) sweep += 2 * Math.PI;
+
+  return { axes, center, radius, start, sweep: op.clockwise ? -sweep : sweep };
+}
+
+// Where a step has the axes after fraction (0-1) of its time
+function positionAt(step, fraction) {
+  if (fraction >= 1 || !step.from) return step.to || null;
+
+  const position = {};
+  AXES.forEach(axis => {
+    position[axis] = step.from[axis] + (step.to[axis] - step.from[axis]) * fraction;
+  });
+
+  if (step.arc) {
+    const { axes, center, radius, start, sweep } = step.arc;
+    const angle = start + sweep * fraction;
+    position[axes[0]] = center[0] + radius * Math.cos(angle);
+    position[axes[1]] = center[1] + radius * Math.sin(angle);
+  }
+  return position;
+}
+
+// First axis a move takes past its travel ({ axis, position, limits })
+// or null; widens extents to cover the move
+function travelProblem(step, limits, extents) {
+  const points = [step.to];
+  if (step.arc) {
+    const count = Math.max(8, Math.ceil(Math.abs(step.arc.sweep) / (Math.PI / 18)));
+    for (let i = 1; i < count; i++) points.push(positionAt(step, i / count));
+  }
+
+  let problem = null;
+  points.forEach(point => {
+    AXES.forEach(axis => {
+      const value = point[axis];
+      extents[axis] = extents[axis]
+        ? [Math.min(extents[axis][0], round(value, 3)), Math.max(extents[axis][1], round(value, 3))]
+        : [round(value, 3), round(value, 3)];
+
+      const [min, max] = limits[axis];
+      if (!problem && (value < min - 1e-6 || value > max + 1e-6)) {
+        problem = { axis: axis, position: round(value, 3), limits: [min, max] };
+      }
+    });
+  });
+  return problem;
+}
+
+// ========================================
+// MACHINE FIT
+// ========================================
+
+// Reasons the program can't run on a machine with these specs, run from
+// machine home with no tool in the spindle: moves past the axis travel,
+// spindle speeds above maxRPM (the control would clamp them) and tool
+// numbers past the tool changer's pockets. Empty when it fits.
+function checkProgramFit(program, specs) {
+  const limits = specs.axisLimits;
+  const home = { X: limits.X[0], Y: limits.Y[0], Z: limits.Z[1] };
+  const plan = planProgram(program, specs, { position: home });
+  const problems = [];
+
+  AXES.forEach(axis => {
+    const first = plan.overtravel.find(problem => problem.axis === axis);
+    if (first) {
+      const [low, high] = plan.extents[axis];
+      problems.push(`${axis} needs ${low} to ${high}mm of travel, the machine has ${limits[axis][0]} to ${limits[axis][1]}mm (first past it at line ${first.line})`);
+    }
+  });
+
+  if (program.maxRPM > specs.maxRPM) {
+    problems.push(`S${program.maxRPM} is above the ${specs.maxRPM} rpm spindle`);
+  }
+  const missing = program.tools.filter(tool => tool > specs.toolCapacity);
+  if (missing.length > 0) {
+    problems.push(`${missing.map(tool => `T${tool}`).join(', ')} ${missing.length === 1 ? 'is' : 'are'} past the ${specs.toolCapacity}-pocket tool changer`);
+  }
+
+  return problems;
+}
+
+function round(value, places) {
+  return parseFloat(value.toFixed(places));
+}
+
+module.exports = {
+  PROGRAM_NUMBER_PATTERN,
+  ProgramError,
+  parseProgram,
+  planProgram,
+  positionAt,
+  checkProgramFit
+};
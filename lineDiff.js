@@ -0,0 +1,127 @@
+// lineDiff.js - Line-by-line text diff
+// Longest common subsequence over the lines that differ (the common head
+// and tail are matched first), written out as a unified diff with three
+// lines of context. Programs are small enough that the quadratic table
+// is fine; past MAX_CELLS the changed middle is shown as one replaced block.
+
+const CONTEXT = 3;
+const MAX_CELLS = 4000000;
+
+// -> { added, removed, diff }
+function diffLines(fromText, toText, { fromLabel = 'a', toLabel = 'b' } = {}) {
+  const a = splitLines(fromText);
+  const b = splitLines(toText);
+  const edits = editScript(a, b);
+
+  const added = edits.filter(edit => edit.op === '+').length;
+  const removed = edits.filter(edit => edit.op === '-').length;
+  if (added === 0 && removed === 0) {
+    return { added: 0, removed: 0, diff: '' };
+  }
+
+  const out = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  hunks(edits).forEach(hunk => {
+    out.push(`@@ -${range(hunk.fromStart, hunk.fromCount)} +${range(hunk.toStart, hunk.toCount)} @@`);
+    hunk.edits.forEach(edit => out.push(`${edit.op === '=' ? ' ' : edit.op}${edit.text}`));
+  });
+
+  return { added: added, removed: removed, diff: out.join('\n') + '\n' };
+}
+
+function splitLines(text) {
+  const lines = text.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+  return text === '' ? [] : lines;
+}
+
+// [{ op: '=' | '-' | '+', text, a, b }] with a / b the 0-based line in each side
+function editScript(a, b) {
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+
+  const edits = [];
+  for (let i = 0; i < head; i++) edits.push({ op: '=', text: a[i], a: i, b: i });
+
+  const midA = a.slice(head, a.length - tail);
+  const midB = b.slice(head, b.length - tail);
+  middleEdits(midA, midB).forEach(edit => {
+    edits.push(Object.assign(edit, {
+      a: edit.a === null ? null : edit.a + head,
+      b: edit.b === null ? null : edit.b + head
+    }));
+  });
+
+  for (let i = tail; i > 0; i--) {
+    edits.push({ op: '=', text: a[a.length - i], a: a.length - i, b: b.length - i });
+  }
+  return edits;
+}
+
+function middleEdits(a, b) {
+  if ((a.length + 1) * (b.length + 1) > MAX_CELLS) {
+    return a.map((text, i) => ({ op: '-', text, a: i, b: null }))
+      .concat(b.map((text, j) => ({ op: '+', text, a: null, b: j })));
+  }
+
+  // lcs[i][j]: common lines between a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const edits = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      edits.push({ op: '=', text: a[i], a: i++, b: j++ });
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      edits.push({ op: '-', text: a[i], a: i++, b: null });
+    } else {
+      edits.push({ op: '+', text: b[j], a: null, b: j++ });
+    }
+  }
+  return edits;
+}
+
+// Changes with CONTEXT unchanged lines either side, merged where they touch
+function hunks(edits) {
+  const changed = edits.map((edit, index) => (edit.op === '=' ? -1 : index)).filter(index => index >= 0);
+  const groups = [];
+  changed.forEach(index => {
+    const last = groups[groups.length - 1];
+    if (last && index - last.end <= CONTEXT * 2 + 1) {
+      last.end = index;
+    } else {
+      groups.push({ start: index, end: index });
+    }
+  });
+
+  return groups.map(group => {
+    const slice = edits.slice(Math.max(0, group.start - CONTEXT), Math.min(edits.length, group.end + CONTEXT + 1));
+    return {
+      fromStart: startLine(slice, 'a', edits),
+      fromCount: slice.filter(edit => edit.op !== '+').length,
+      toStart: startLine(slice, 'b', edits),
+      toCount: slice.filter(edit => edit.op !== '-').length,
+      edits: slice
+    };
+  });
+}
+
+// 1-based first line of a hunk on one side; with no lines on that side,
+// the line it comes after
+function startLine(slice, side, edits) {
+  const first = slice.find(edit => edit[side] !== null);
+  if (first) return first[side] + 1;
+  return edits.slice(0, edits.indexOf(slice[0])).filter(edit => edit[side] !== null).length;
+}
+
+function range(start, count) {
+  return count === 1 ? `${start}` : `${start},${count}`;
+}
+
+module.exports = { diffLines };
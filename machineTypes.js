@@ -0,0 +1,7 @@
+// machineTypes.js - Machine types the fleet supports
+// Shared by the fleet config and alarm catalog validation
+
+const MACHINE_TYPES = ['CNC_MILL', 'LATHE', 'PRESS_BRAKE', 'LASER'];
+const CNC_TYPES = ['CNC_MILL', 'LATHE'];
+
+module.exports = { MACHINE_TYPES, CNC_TYPES };
@@ -0,0 +1,131 @@
+// maintenancePlans.js - Preventive maintenance plans
+// Tasks each machine type needs and how often, loaded from
+// config/maintenance-plans.json (or MAINTENANCE_PLANS). An interval can
+// combine meters - the task is due when the first one runs out:
+//
+//   "every": { "machineHours": 500 }          power-on hours
+//   "every": { "spindleHours": 2000 }         spindle running hours
+//   "every": { "days": 14 }                   calendar time
+
+const fs = require('fs');
+const path = require('path');
+const { MACHINE_TYPES } = require('./machineTypes');
+
+const DEFAULT_FILE = path.join(__dirname, 'config', 'maintenance-plans.json');
+const METERS = ['machineHours', 'spindleHours', 'days'];
+
+let plans = null;
+
+class MaintenancePlanError extends Error {
+  constructor(file, errors) {
+    super(`Invalid maintenance plans ${file}:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'MaintenancePlanError';
+    this.errors = errors;
+  }
+}
+
+// ========================================
+// LOADING
+// ========================================
+
+function loadMaintenancePlans(file = DEFAULT_FILE) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new MaintenancePlanError(file, [err.code ? `cannot read file (${err.code})` : `parse error: ${err.message}`]);
+  }
+
+  const errors = validateMaintenancePlans(data);
+  if (errors.length > 0) {
+    throw new MaintenancePlanError(file, errors);
+  }
+
+  plans = data.plans;
+  return plans;
+}
+
+function validateMaintenancePlans(data) {
+  if (!data || !Array.isArray(data.plans)) {
+    return ['"plans" must be a list'];
+  }
+
+  const errors = [];
+  const ids = new Set();
+
+  data.plans.forEach((plan, index) => {
+    const where = `plans[${index}]${plan && plan.id ? ` (${plan.id})` : ''}`;
+    if (!plan || typeof plan !== 'object') {
+      errors.push(`${where}: must be an object`);
+      return;
+    }
+
+    if (typeof plan.id !== 'string' || !/^[a-z0-9-]+$/.test(plan.id)) {
+      errors.push(`${where}.id: required, lowercase letters/digits/dash only`);
+    } else {
+      if (ids.has(plan.id)) errors.push(`${where}.id: duplicate plan id`);
+      ids.add(plan.id);
+    }
+
+    ['title', 'category'].forEach(field => {
+      if (typeof plan[field] !== 'string' || plan[field].trim() === '') {
+        errors.push(`${where}.${field}: required string`);
+      }
+    });
+    if (!Array.isArray(plan.machineTypes) || plan.machineTypes.length === 0 ||
+        !plan.machineTypes.every(type => MACHINE_TYPES.includes(type))) {
+      errors.push(`${where}.machineTypes: must be a list of ${MACHINE_TYPES.join(', ')}`);
+    }
+
+    const every = plan.every;
+    if (!every || typeof every !== 'object' || Object.keys(every).length === 0) {
+      errors.push(`${where}.every: must set at least one of ${METERS.join(', ')}`);
+    } else {
+      Object.keys(every).forEach(meter => {
+        if (!METERS.includes(meter)) {
+          errors.push(`${where}.every.${meter}: unknown meter (use ${METERS.join(', ')})`);
+        } else if (!(typeof every[meter] === 'number' && every[meter] > 0)) {
+          errors.push(`${where}.every.${meter}: must be a positive number`);
+        }
+      });
+    }
+
+    if (plan.estimatedMinutes !== undefined && !(typeof plan.estimatedMinutes === 'number' && plan.estimatedMinutes > 0)) {
+      errors.push(`${where}.estimatedMinutes: must be a positive number`);
+    }
+    if (plan.steps !== undefined && !(Array.isArray(plan.steps) && plan.steps.every(step => typeof step === 'string'))) {
+      errors.push(`${where}.steps: must be a list of strings`);
+    }
+  });
+
+  return errors;
+}
+
+// ========================================
+// LOOKUP
+// ========================================
+
+function allPlans() {
+  return plans || loadMaintenancePlans();
+}
+
+function getPlan(id) {
+  return allPlans().find(plan => plan.id === id) || null;
+}
+
+// Optional filters: machineType, category
+function listPlans(filter = {}) {
+  return allPlans().filter(plan =>
+    (!filter.machineType || plan.machineTypes.includes(filter.machineType)) &&
+    (!filter.category || plan.category === filter.category)
+  );
+}
+
+module.exports = {
+  MaintenancePlanError,
+  METERS,
+  loadMaintenancePlans,
+  validateMaintenancePlans,
+  getPlan,
+  listPlans
+};
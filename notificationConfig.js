@@ -0,0 +1,209 @@
+// notificationConfig.js - Notification channels and rules
+// Loads config/notifications.json (or NOTIFICATIONS_CONFIG, JSON or
+// YAML) and validates it the same way as the fleet config
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { CHANNEL_TYPES } = require('./channels');
+const { MACHINE_TYPES } = require('./machineTypes');
+
+const RULE_EVENTS = ['alarm', 'warning'];
+
+// Channel type -> required options
+const CHANNEL_REQUIRED = {
+  webhook: ['url'],
+  slack: ['url'],
+  teams: ['url'],
+  email: ['host', 'to']
+};
+
+class NotificationConfigError extends Error {
+  constructor(file, errors) {
+    super(`Invalid notification config ${file}:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'NotificationConfigError';
+    this.errors = errors;
+  }
+}
+
+// ========================================
+// LOADING
+// ========================================
+
+function loadNotificationConfig(file) {
+  let config;
+  try {
+    const raw = fs.readFileSync(file, 'utf8');
+    const ext = path.extname(file).toLowerCase();
+    config = ext === '.yaml' || ext === '.yml' ? yaml.load(raw) : JSON.parse(raw);
+  } catch (err) {
+    throw new NotificationConfigError(file, [err.code ? `cannot read file (${err.code})` : `parse error: ${err.message}`]);
+  }
+
+  const errors = validateNotificationConfig(config);
+  if (errors.length > 0) {
+    throw new NotificationConfigError(file, errors);
+  }
+  return config;
+}
+
+// ========================================
+// VALIDATION
+// ========================================
+
+function validateNotificationConfig(config) {
+  if (!isObject(config)) {
+    return ['root must be an object with "channels" and "rules"'];
+  }
+  if (!isObject(config.channels)) {
+    return ['"channels" must map channel names to channel settings'];
+  }
+  if (!Array.isArray(config.rules)) {
+    return ['"rules" must be a list'];
+  }
+
+  const errors = [];
+  const channelNames = Object.keys(config.channels);
+
+  channelNames.forEach(name => {
+    errors.push(...validateChannel(config.channels[name], `channels.${name}`));
+  });
+
+  if (config.rateLimit !== undefined) {
+    if (!isObject(config.rateLimit) || !isPositiveInteger(config.rateLimit.maxPerHour)) {
+      errors.push('rateLimit.maxPerHour: must be a positive whole number');
+    }
+  }
+
+  const seen = new Set();
+  config.rules.forEach((rule, index) => {
+    const where = `rules[${index}]${rule && rule.id ? ` (${rule.id})` : ''}`;
+    errors.push(...validateRule(rule, where, channelNames));
+
+    if (rule && typeof rule.id === 'string') {
+      if (seen.has(rule.id)) errors.push(`${where}.id: duplicate rule id "${rule.id}"`);
+      seen.add(rule.id);
+    }
+  });
+
+  return errors;
+}
+
+function validateChannel(channel, where) {
+  if (!isObject(channel)) return [`${where}: must be an object`];
+
+  const types = Object.keys(CHANNEL_TYPES);
+  if (!types.includes(channel.type)) {
+    return [`${where}.type: must be one of ${types.join(', ')}`];
+  }
+
+  const errors = [];
+  CHANNEL_REQUIRED[channel.type].forEach(field => {
+    const value = channel[field];
+    const present = Array.isArray(value) ? value.length > 0 : typeof value === 'string' && value !== '';
+    if (!present) errors.push(`${where}.${field}: required for ${channel.type} channels`);
+  });
+  if (channel.url !== undefined && !/^https?:\/\//.test(channel.url)) {
+    errors.push(`${where}.url: must be an http(s) URL`);
+  }
+  if (channel.port !== undefined && !(Number.isInteger(channel.port) && channel.port > 0 && channel.port < 65536)) {
+    errors.push(`${where}.port: must be a TCP port number`);
+  }
+
+  return errors;
+}
+
+function validateRule(rule, where, channelNames) {
+  if (!isObject(rule)) return [`${where}: must be an object`];
+
+  const errors = [];
+
+  if (typeof rule.id !== 'string' || !/^[A-Za-z0-9_-]+$/.test(rule.id)) {
+    errors.push(`${where}.id: required, letters/digits/underscore/dash only`);
+  }
+  if (!RULE_EVENTS.includes(rule.event)) {
+    errors.push(`${where}.event: must be one of ${RULE_EVENTS.join(', ')}`);
+  }
+
+  errors.push(...validateChannelList(rule.channels, `${where}.channels`, channelNames));
+
+  ['machines', 'severities', 'warningTypes'].forEach(field => {
+    if (rule[field] !== undefined && !isStringList(rule[field])) {
+      errors.push(`${where}.${field}: must be a list of strings`);
+    }
+  });
+  if (rule.machineTypes !== undefined &&
+      !(Array.isArray(rule.machineTypes) && rule.machineTypes.every(type => MACHINE_TYPES.includes(type)))) {
+    errors.push(`${where}.machineTypes: must be a list of ${MACHINE_TYPES.join(', ')}`);
+  }
+  if (rule.codes !== undefined &&
+      !(Array.isArray(rule.codes) && rule.codes.every(code => Number.isInteger(code) || typeof code === 'string'))) {
+    errors.push(`${where}.codes: must be a list of alarm numbers or names`);
+  }
+  if (rule.event === 'alarm' && rule.warningTypes !== undefined) {
+    errors.push(`${where}.warningTypes: only valid for warning rules`);
+  }
+  if (rule.event === 'warning' && rule.codes !== undefined) {
+    errors.push(`${where}.codes: only valid for alarm rules`);
+  }
+
+  ['minDurationSec', 'cooldownMinutes'].forEach(field => {
+    if (rule[field] !== undefined && !(typeof rule[field] === 'number' && rule[field] >= 0)) {
+      errors.push(`${where}.${field}: must be a number >= 0`);
+    }
+  });
+
+  if (rule.quietHours !== undefined) {
+    if (!isObject(rule.quietHours) || !isClockTime(rule.quietHours.start) || !isClockTime(rule.quietHours.end)) {
+      errors.push(`${where}.quietHours: must be { "start": "HH:MM", "end": "HH:MM" }`);
+    }
+  }
+
+  if (rule.escalation !== undefined) {
+    if (rule.event !== 'alarm') {
+      errors.push(`${where}.escalation: only alarms can be acknowledged, so only alarm rules escalate`);
+    } else if (!isObject(rule.escalation) || !(typeof rule.escalation.afterMinutes === 'number' && rule.escalation.afterMinutes > 0)) {
+      errors.push(`${where}.escalation.afterMinutes: must be a positive number`);
+    } else {
+      errors.push(...validateChannelList(rule.escalation.channels, `${where}.escalation.channels`, channelNames));
+    }
+  }
+
+  return errors;
+}
+
+function validateChannelList(list, where, channelNames) {
+  if (!isStringList(list) || list.length === 0) {
+    return [`${where}: must list at least one channel`];
+  }
+  return list
+    .filter(name => !channelNames.includes(name))
+    .map(name => `${where}: unknown channel "${name}"`);
+}
+
+// ========================================
+// HELPERS
+// ========================================
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+function isClockTime(value) {
+  return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+module.exports = {
+  NotificationConfigError,
+  RULE_EVENTS,
+  loadNotificationConfig,
+  validateNotificationConfig
+};
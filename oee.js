@@ -0,0 +1,155 @@
+// oee.js - Overall Equipment Effectiveness
+// OEE = Availability × Performance × Quality, from recorded
+// time-in-state segments and completed cycles
+//
+//   Availability = run time / planned production time
+//   Performance  = (ideal cycle time × parts) / run time
+//   Quality      = good parts / total parts
+//
+// Good parts are cycle parts less the scrap and rework recorded by
+// inspection in the same window (first-pass yield); rejectedParts is
+// the rest.
+//
+// Planned production time is every second the machine is powered on,
+// except time under planned maintenance (MAINTENANCE state) - that is
+// scheduled downtime, not an availability loss - and shift breaks.
+
+const { DAYS, localDate, zonedTime, addDays, weekday, currentShift, lastEndedShift } = require('./shiftCalendar');
+const clock = require('./clock');
+
+const WINDOWS = ['shift', 'day', 'week'];
+
+// ========================================
+// TIME WINDOWS
+// ========================================
+
+// Current shift/day/week in the plant timezone, up to now. Between
+// shifts the 'shift' window is the last shift worked.
+function resolveWindow(window, now = clock.now()) {
+  if (window === 'shift') {
+    const shift = currentShift(now) || lastEndedShift(now);
+    if (shift) return { from: shift.from, to: Math.min(shift.to, now) };
+  }
+
+  let date = localDate(now);
+  if (window === 'week') {
+    date = addDays(date, -((DAYS.indexOf(weekday(date)) + 6) % 7));
+  }
+
+  return { from: zonedTime(date, '00:00'), to: now };
+}
+
+// ========================================
+// CALCULATION
+// ========================================
+
+// Seconds spent in each state inside [from, to)
+function timeInState(segments, from, to) {
+  const seconds = { RUNNING: 0, IDLE: 0, ALARM: 0, STOPPED: 0, MAINTENANCE: 0, OFF: 0 };
+
+  segments.forEach(segment => {
+    const overlap = Math.min(segment.end, to) - Math.max(segment.start, from);
+    if (overlap <= 0) return;
+
+    const state = segment.power ? segment.state : 'OFF';
+    seconds[state] = (seconds[state] || 0) + overlap / 1000;
+  });
+
+  return seconds;
+}
+
+// idealCycleTime(program) -> seconds per part, or null if unknown.
+// Unknown programs fall back to their fastest observed cycle.
+function calculateOee({ segments, cycles, from, to, idealCycleTime, rejectedParts = 0, breaks = [] }) {
+  const states = timeInState(segments, from, to);
+  breaks.forEach(entry => {
+    const during = timeInState(segments, Math.max(entry.from, from), Math.min(entry.to, to));
+    Object.keys(during).forEach(state => { states[state] -= during[state]; });
+  });
+  const plannedSec = Object.keys(states)
+    .filter(state => state !== 'OFF' && state !== 'MAINTENANCE')
+    .reduce((sum, state) => sum + states[state], 0);
+  const runSec = states.RUNNING;
+
+  const bestObserved = {};
+  cycles.forEach(cycle => {
+    if (!cycle.durationMs || !cycle.parts) return;
+    const perPart = cycle.durationMs / 1000 / cycle.parts;
+    const key = cycle.program || '';
+    if (bestObserved[key] === undefined || perPart < bestObserved[key]) {
+      bestObserved[key] = perPart;
+    }
+  });
+
+  let totalParts = 0;
+  let goodParts = 0;
+  let idealSec = 0;
+  let observedIdeal = false;
+
+  cycles.forEach(cycle => {
+    totalParts += cycle.parts;
+    goodParts += cycle.goodParts;
+
+    let ideal = idealCycleTime(cycle.program);
+    if (!ideal) {
+      ideal = bestObserved[cycle.program || ''];
+      observedIdeal = true;
+    }
+    idealSec += (ideal || 0) * cycle.parts;
+  });
+  goodParts = Math.max(0, goodParts - rejectedParts);
+
+  const result = Object.assign(summarize({ plannedSec, runSec, idealSec, totalParts, goodParts }), {
+    timeInState: Object.fromEntries(Object.entries(states).map(([state, sec]) => [state, hours(sec)])),
+    idealCycleSource: cycles.length === 0 ? null : (observedIdeal ? 'observed' : 'configured')
+  });
+
+  // Raw sums (kept out of JSON) so plant totals can be weighted correctly
+  Object.defineProperty(result, 'sums', { value: { plannedSec, runSec, idealSec, totalParts, goodParts } });
+  return result;
+}
+
+// Plant OEE from per-machine results (time-weighted, not an average of percentages)
+function combineOee(results) {
+  const sums = { plannedSec: 0, runSec: 0, idealSec: 0, totalParts: 0, goodParts: 0 };
+  results.forEach(result => {
+    Object.keys(sums).forEach(key => { sums[key] += result.sums[key]; });
+  });
+  return summarize(sums);
+}
+
+function summarize({ plannedSec, runSec, idealSec, totalParts, goodParts }) {
+  const availability = plannedSec > 0 ? runSec / plannedSec : null;
+  const performance = runSec > 0 ? Math.min(1, idealSec / runSec) : null;
+  const quality = totalParts > 0 ? goodParts / totalParts : null;
+
+  return {
+    availability: percent(availability),
+    performance: percent(performance),
+    quality: percent(quality),
+    oee: availability !== null && performance !== null && quality !== null
+      ? percent(availability * performance * quality)
+      : null,
+    plannedHours: hours(plannedSec),
+    runHours: hours(runSec),
+    totalParts: totalParts,
+    goodParts: goodParts,
+    rejectedParts: totalParts - goodParts
+  };
+}
+
+function percent(ratio) {
+  return ratio === null ? null : parseFloat((ratio * 100).toFixed(1));
+}
+
+function hours(sec) {
+  return parseFloat((sec / 3600).toFixed(3));
+}
+
+module.exports = {
+  WINDOWS,
+  resolveWindow,
+  timeInState,
+  calculateOee,
+  combineOee
+};
@@ -0,0 +1,242 @@
+// predictiveMaintenance.js - Component health and remaining useful life
+// Looks at telemetry trends instead of single readings: each component
+// is watched through a few indicators, and each indicator is scored
+// from its recorded history
+//
+//   Degradation  = rolling mean position between nominal and limit
+//   Trend        = least-squares slope; only extrapolated to the limit
+//                  when it explains at least half the variance (r²)
+//   Anomaly      = latest reading more than 3 standard deviations from
+//                  the window mean
+//
+// Remaining useful life (RUL) is the time until the first indicator of
+// a component reaches its limit at the current trend.
+
+const { MACHINE_TYPES, CNC_TYPES } = require('./machineTypes');
+
+const RISK_LEVELS = ['critical', 'warning', 'ok', 'unknown'];
+
+const MIN_POINTS = 10;
+const MIN_R2 = 0.5;
+const ANOMALY_Z = 3;
+const ANOMALY_PENALTY = 15;
+
+// Limits match the thresholds the machine raises alarms at
+const COMPONENTS = {
+  battery: {
+    label: 'Control battery',
+    machineTypes: MACHINE_TYPES,
+    action: 'Replace the control battery with power ON so settings and offsets are kept',
+    indicators: [
+      { metric: 'batteryVoltage', unit: 'V', nominal: 3.6, limit: 3.0 }
+    ]
+  },
+  spindleBearings: {
+    label: 'Spindle bearings',
+    machineTypes: CNC_TYPES,
+    action: 'Schedule a spindle bearing inspection and vibration analysis',
+    indicators: [
+      { metric: 'vibration', unit: 'mm/s', nominal: 0.5, limit: 5.0 },
+      { metric: 'spindleTemp', unit: '°C', nominal: 40, limit: 85 }
+    ]
+  },
+  servoX: servoComponent('X'),
+  servoY: servoComponent('Y'),
+  servoZ: servoComponent('Z')
+};
+
+function servoComponent(axis) {
+  return {
+    label: `${axis} axis servo`,
+    machineTypes: CNC_TYPES,
+    action: `Check the ${axis} ballscrew, way lube and servo motor before the following error alarms`,
+    indicators: [
+      { metric: `servoFollowingError.${axis}`, unit: 'mm', nominal: 0.001, limit: 0.005 },
+      { metric: `servoTemp.${axis}`, unit: '°C', nominal: 45, limit: 80 }
+    ]
+  };
+}
+
+// ========================================
+// TREND STATISTICS
+// ========================================
+
+// points: [{ t (ms), value }] oldest first
+function trendStats(points) {
+  const n = points.length;
+  if (n === 0) return null;
+
+  const t0 = points[0].t;
+  const xs = points.map(p => (p.t - t0) / 3600000); // hours
+  const ys = points.map(p => p.value);
+
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+  const mean = ys.reduce((sum, y) => sum + y, 0) / n;
+
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxx += (xs[i] - meanX) ** 2;
+    sxy += (xs[i] - meanX) * (ys[i] - mean);
+    syy += (ys[i] - mean) ** 2;
+  }
+
+  const slope = sxx > 0 ? sxy / sxx : 0;
+  return {
+    count: n,
+    mean: mean,
+    std: Math.sqrt(syy / n),
+    slopePerHour: slope,
+    r2: sxx > 0 && syy > 0 ? (sxy * sxy) / (sxx * syy) : 0,
+    // Regression line at the last point - less noisy than the raw reading
+    fitted: mean + slope * (xs[n - 1] - meanX)
+  };
+}
+
+// ========================================
+// SCORING
+// ========================================
+
+function scoreIndicator(indicator, points, latest) {
+  const stats = trendStats(points);
+  const result = {
+    metric: indicator.metric,
+    unit: indicator.unit,
+    limit: indicator.limit,
+    latest: latest === undefined ? null : round(latest),
+    points: stats ? stats.count : 0
+  };
+  if (!stats || stats.count < MIN_POINTS) return result;
+
+  // +1 when the limit is above nominal, -1 when below (battery voltage)
+  const direction = Math.sign(indicator.limit - indicator.nominal);
+  const span = Math.abs(indicator.limit - indicator.nominal);
+  const current = latest === undefined ? stats.fitted : latest;
+
+  const degradation = clamp(((stats.mean - indicator.nominal) * direction) / span, 0, 1);
+  const zScore = stats.std > 0 ? (current - stats.mean) / stats.std : 0;
+
+  let hoursToLimit = null;
+  if ((indicator.limit - current) * direction <= 0) {
+    hoursToLimit = 0;
+  } else if (stats.slopePerHour * direction > 0 && stats.r2 >= MIN_R2) {
+    hoursToLimit = (indicator.limit - stats.fitted) / stats.slopePerHour;
+  }
+
+  return Object.assign(result, {
+    mean: round(stats.mean),
+    std: round(stats.std),
+    slopePerHour: round(stats.slopePerHour),
+    r2: round(stats.r2),
+    zScore: round(zScore),
+    anomaly: Math.abs(zScore) >= ANOMALY_Z,
+    degradation: percent(degradation),
+    hoursToLimit: hoursToLimit === null ? null : parseFloat(Math.max(0, hoursToLimit).toFixed(1))
+  });
+}
+
+function scoreComponent(key, component, series, latest) {
+  const indicators = component.indicators.map(indicator =>
+    scoreIndicator(indicator, series(indicator.metric), latest[indicator.metric])
+  );
+  const scored = indicators.filter(indicator => indicator.degradation !== undefined);
+
+  const result = {
+    component: key,
+    label: component.label,
+    healthScore: null,
+    risk: 'unknown',
+    rulHours: null,
+    limitingMetric: null,
+    anomalies: scored.filter(indicator => indicator.anomaly).map(indicator => indicator.metric),
+    action: null,
+    indicators: indicators
+  };
+  if (scored.length === 0) return result;
+
+  const worst = Math.max(...scored.map(indicator => indicator.degradation));
+  result.healthScore = Math.max(0, Math.round(100 - worst - ANOMALY_PENALTY * result.anomalies.length));
+
+  scored
+    .filter(indicator => indicator.hoursToLimit !== null)
+    .forEach(indicator => {
+      if (result.rulHours === null || indicator.hoursToLimit < result.rulHours) {
+        result.rulHours = indicator.hoursToLimit;
+        result.limitingMetric = indicator.metric;
+      }
+    });
+
+  result.risk = riskLevel(result.healthScore, result.rulHours);
+  if (result.risk !== 'ok') result.action = component.action;
+  return result;
+}
+
+function riskLevel(healthScore, rulHours) {
+  if (healthScore < 40 || (rulHours !== null && rulHours <= 24)) return 'critical';
+  if (healthScore < 70 || (rulHours !== null && rulHours <= 7 * 24)) return 'warning';
+  return 'ok';
+}
+
+// series(metric) -> [{ t, value }] oldest first; latest is the live
+// flattened snapshot (HistoryStore.flatten)
+function predictMachine({ machine, series, latest = {} }) {
+  const components = Object.entries(COMPONENTS)
+    .filter(([, component]) => component.machineTypes.includes(machine.type))
+    .map(([key, component]) => scoreComponent(key, component, series, latest));
+
+  const scored = components.filter(component => component.healthScore !== null);
+  const worst = scored.length > 0 ? scored.slice().sort(compareRisk)[0] : null;
+
+  return {
+    machineId: machine.id,
+    healthScore: worst ? worst.healthScore : null,
+    risk: worst ? worst.risk : 'unknown',
+    rulHours: worst ? worst.rulHours : null,
+    worstComponent: worst ? worst.component : null,
+    components: components
+  };
+}
+
+// Most at risk first: risk level, then remaining life, then health score
+function compareRisk(a, b) {
+  const byRisk = RISK_LEVELS.indexOf(a.risk) - RISK_LEVELS.indexOf(b.risk);
+  if (byRisk !== 0) return byRisk;
+
+  const rulA = a.rulHours === null ? Infinity : a.rulHours;
+  const rulB = b.rulHours === null ? Infinity : b.rulHours;
+  if (rulA !== rulB) return rulA - rulB;
+
+  return (a.healthScore === null ? 101 : a.healthScore) - (b.healthScore === null ? 101 : b.healthScore);
+}
+
+function rankFleet(predictions) {
+  return predictions.slice().sort(compareRisk).map((prediction, index) => ({
+    rank: index + 1,
+    machineId: prediction.machineId,
+    healthScore: prediction.healthScore,
+    risk: prediction.risk,
+    rulHours: prediction.rulHours,
+    worstComponent: prediction.worstComponent
+  }));
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function round(value) {
+  return parseFloat(value.toPrecision(4));
+}
+
+function percent(ratio) {
+  return parseFloat((ratio * 100).toFixed(1));
+}
+
+module.exports = {
+  COMPONENTS,
+  RISK_LEVELS,
+  trendStats,
+  predictMachine,
+  rankFleet
+};
@@ -0,0 +1,44 @@
+// random.js - Seeded random numbers for the simulator
+// createRandom(seed) returns a drop-in replacement for Math.random()
+// (mulberry32) that produces the same sequence for the same seed. Each
+// machine gets its own stream, seeded from the run seed and its id, so
+// adding a machine or reordering the fleet doesn't change the others.
+
+const crypto = require('crypto');
+
+// A short random seed for runs that weren't given one (logged so the
+// run can be replayed)
+function randomSeed() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+function createRandom(seed) {
+  let state = hashSeed(String(seed));
+  return function random() {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// FNV-1a: string -> 32-bit state
+function hashSeed(text) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function machineSeed(seed, machineId) {
+  return `${seed}:${machineId}`;
+}
+
+module.exports = {
+  randomSeed,
+  createRandom,
+  machineSeed
+};
@@ -0,0 +1,271 @@
+// reportExport.js - Report exports (CSV, XLSX, PDF)
+// Each report has one column definition that every format renders
+// from, so a column has the same name, order and units in the CSV,
+// the spreadsheet and the printout. Rows are plain objects keyed by
+// column key; the server builds them from the production, alarm and
+// state logs.
+//
+// Column types:
+//   text, integer, number   as-is
+//   hours                   decimal hours
+//   percent                 0-100
+
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+
+const EXPORT_FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+const REPORTS = {
+  production: {
+    title: 'Production',
+    description: 'Parts, quality and OEE per machine',
+    columns: [
+      { key: 'machineId', label: 'Machine ID', type: 'text', width: 14 },
+      { key: 'machine', label: 'Machine', type: 'text', width: 18 },
+      { key: 'model', label: 'Model', type: 'text', width: 8 },
+      { key: 'parts', label: 'Parts', type: 'integer', width: 8 },
+      { key: 'goodParts', label: 'Good', type: 'integer', width: 8 },
+      { key: 'scrapParts', label: 'Scrap', type: 'integer', width: 8 },
+      { key: 'reworkParts', label: 'Rework', type: 'integer', width: 8 },
+      { key: 'cycles', label: 'Cycles', type: 'integer', width: 8 },
+      { key: 'runHours', label: 'Run hours', type: 'hours', width: 10 },
+      { key: 'avgCycleSec', label: 'Avg cycle (s)', type: 'number', width: 11 },
+      { key: 'availability', label: 'Availability %', type: 'percent', width: 12 },
+      { key: 'performance', label: 'Performance %', type: 'percent', width: 12 },
+      { key: 'quality', label: 'Quality %', type: 'percent', width: 10 },
+      { key: 'oee', label: 'OEE %', type: 'percent', width: 8 }
+    ]
+  },
+  alarms: {
+    title: 'Alarm Frequency',
+    description: 'Alarms by type with response times',
+    columns: [
+      { key: 'alarm', label: 'Alarm', type: 'text', width: 26 },
+      { key: 'code', label: 'Code', type: 'integer', width: 7 },
+      { key: 'severity', label: 'Severity', type: 'text', width: 10 },
+      { key: 'count', label: 'Count', type: 'integer', width: 7 },
+      { key: 'machines', label: 'Machines', type: 'text', width: 30 },
+      { key: 'avgTimeToAcknowledgeSec', label: 'Avg to acknowledge (s)', type: 'integer', width: 14 },
+      { key: 'avgTimeToResolveSec', label: 'Avg to resolve (s)', type: 'integer', width: 14 }
+    ]
+  },
+  downtime: {
+    title: 'Downtime',
+    description: 'IDLE/STOPPED time per machine by reason code',
+    columns: [
+      { key: 'machineId', label: 'Machine ID', type: 'text', width: 14 },
+      { key: 'machine', label: 'Machine', type: 'text', width: 18 },
+      { key: 'reason', label: 'Reason code', type: 'text', width: 18 },
+      { key: 'label', label: 'Reason', type: 'text', width: 22 },
+      { key: 'events', label: 'Events', type: 'integer', width: 8 },
+      { key: 'hours', label: 'Hours', type: 'hours', width: 9 },
+      { key: 'percent', label: 'Share of machine downtime %', type: 'percent', width: 14 }
+    ]
+  },
+  utilization: {
+    title: 'Utilization',
+    description: 'Time in each state per machine',
+    columns: [
+      { key: 'machineId', label: 'Machine ID', type: 'text', width: 14 },
+      { key: 'machine', label: 'Machine', type: 'text', width: 18 },
+      { key: 'model', label: 'Model', type: 'text', width: 8 },
+      { key: 'poweredHours', label: 'Powered hours', type: 'hours', width: 10 },
+      { key: 'runHours', label: 'Run hours', type: 'hours', width: 9 },
+      { key: 'idleHours', label: 'Idle hours', type: 'hours', width: 9 },
+      { key: 'alarmHours', label: 'Alarm hours', type: 'hours', width: 9 },
+      { key: 'stoppedHours', label: 'Stopped hours', type: 'hours', width: 9 },
+      { key: 'maintenanceHours', label: 'Maintenance hours', type: 'hours', width: 11 },
+      { key: 'offHours', label: 'Off hours', type: 'hours', width: 9 },
+      { key: 'uptime', label: 'Uptime %', type: 'percent', width: 9 },
+      { key: 'utilization', label: 'Utilization %', type: 'percent', width: 10 }
+    ]
+  }
+};
+
+// ========================================
+// RENDERING
+// ========================================
+
+// meta: { from, to, timezone, machines (filter or null), generatedAt }
+async function renderReport(format, reportId, rows, meta) {
+  const report = REPORTS[reportId];
+  if (format === 'csv') return renderCsv(report, rows);
+  if (format === 'xlsx') return renderXlsx(report, rows, meta);
+  if (format === 'pdf') return renderPdf(report, rows, meta);
+
+  return JSON.stringify({
+    report: reportId,
+    title: report.title,
+    from: new Date(meta.from).toISOString(),
+    to: new Date(meta.to).toISOString(),
+    timezone: meta.timezone,
+    machines: meta.machines,
+    columns: report.columns.map(({ key, label, type }) => ({ key, label, type })),
+    count: rows.length,
+    rows: rows
+  });
+}
+
+// RFC 4180, with a BOM so Excel opens it as UTF-8
+function renderCsv(report, rows) {
+  const lines = [report.columns.map(column => csvField(column.label)).join(',')];
+  rows.forEach(row => {
+    lines.push(report.columns.map(column => csvField(csvValue(column, row[column.key]))).join(','));
+  });
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+// Text that Excel would take for a formula (machine names, alarm text
+// and reason labels are user input) gets a leading ' so it opens as text
+function csvValue(column, value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return column.type === 'text' && /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+}
+
+function csvField(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+const XLSX_FORMATS = {
+  text: '@',
+  integer: '0',
+  number: '0.0',
+  hours: '0.00',
+  percent: '0.0'
+};
+
+async function renderXlsx(report, rows, meta) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Haas CNC Fleet Monitor';
+  workbook.created = new Date(meta.generatedAt);
+
+  const sheet = workbook.addWorksheet(report.title, { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = report.columns.map(column => ({
+    header: column.label,
+    key: column.key,
+    width: Math.max(column.width, column.label.length + 2),
+    style: { numFmt: XLSX_FORMATS[column.type] }
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  rows.forEach(row => {
+    const values = {};
+    report.columns.forEach(column => { values[column.key] = row[column.key]; });
+    sheet.addRow(values);
+  });
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: report.columns.length } };
+
+  // What the numbers cover, on its own sheet so the data stays a clean table
+  const about = workbook.addWorksheet('About');
+  about.columns = [{ width: 14 }, { width: 40 }];
+  metaLines(report, meta).forEach(([label, value]) => about.addRow([label, value]));
+  about.getColumn(1).font = { bold: true };
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Landscape table, header repeated on every page
+function renderPdf(report, rows, meta) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', layout: 'landscape', margin: 36, bufferPages: true });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const tableWidth = doc.page.width - left - doc.page.margins.right;
+    const totalWidth = report.columns.reduce((sum, column) => sum + column.width, 0);
+    const widths = report.columns.map(column => tableWidth * column.width / totalWidth);
+    const bottom = doc.page.height - doc.page.margins.bottom - 20;
+
+    doc.font('Helvetica-Bold').fontSize(16).text(`${report.title} Report`);
+    doc.font('Helvetica').fontSize(9).fillColor('#444444');
+    metaLines(report, meta).slice(1).forEach(([label, value]) => doc.text(`${label}: ${value}`));
+    doc.fillColor('black').moveDown(0.8);
+
+    const drawRow = (cells, options) => {
+      doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+      const height = Math.max(...cells.map((cell, i) => doc.heightOfString(cell, { width: widths[i] - 6 }))) + 6;
+      if (doc.y + height > bottom) {
+        doc.addPage();
+        if (!options.header) drawRow(report.columns.map(column => column.label), { bold: true, header: true, fill: '#dddddd' });
+      }
+
+      const top = doc.y;
+      if (options.fill) doc.rect(left, top, tableWidth, height).fill(options.fill).fillColor('black');
+      let x = left;
+      cells.forEach((cell, i) => {
+        const align = options.header || report.columns[i].type === 'text' ? 'left' : 'right';
+        doc.text(cell, x + 3, top + 3, { width: widths[i] - 6, align: align });
+        x += widths[i];
+      });
+      doc.x = left;
+      doc.y = top + height;
+    };
+
+    drawRow(report.columns.map(column => column.label), { bold: true, header: true, fill: '#dddddd' });
+    rows.forEach((row, index) => {
+      const cells = report.columns.map(column => pdfValue(column, row[column.key]));
+      drawRow(cells, { fill: index % 2 === 1 ? '#f4f4f4' : null });
+    });
+    if (rows.length === 0) {
+      doc.moveDown().font('Helvetica-Oblique').fontSize(9).text('No data in this range.', left);
+    }
+
+    // Page numbers once the page count is known
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      doc.font('Helvetica').fontSize(8).fillColor('#666666').text(
+        `Page ${i + 1} of ${range.count}`,
+        left, doc.page.height - doc.page.margins.bottom - 10,
+        { width: tableWidth, align: 'right', lineBreak: false }
+      );
+    }
+    doc.end();
+  });
+}
+
+function pdfValue(column, value) {
+  if (value === null || value === undefined) return '—';
+  if (column.type === 'percent') return `${Number(value).toFixed(1)}%`;
+  if (column.type === 'hours') return Number(value).toFixed(2);
+  if (column.type === 'number') return Number(value).toFixed(1);
+  return String(value);
+}
+
+function metaLines(report, meta) {
+  return [
+    ['Report', report.title],
+    ['From', formatTime(meta.from, meta.timezone)],
+    ['To', formatTime(meta.to, meta.timezone)],
+    ['Timezone', meta.timezone],
+    ['Machines', meta.machines ? meta.machines.join(', ') : 'All'],
+    ['Generated', formatTime(meta.generatedAt, meta.timezone)]
+  ];
+}
+
+// 'YYYY-MM-DD HH:MM' in the plant timezone
+function formatTime(value, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit'
+  }).formatToParts(new Date(value)).forEach(part => { parts[part.type] = part.value; });
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  REPORTS,
+  renderReport
+};
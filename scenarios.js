@@ -0,0 +1,245 @@
+// scenarios.js - Scripted simulation scenarios
+// A scenario is a JSON or YAML file (config/scenarios/, or SIM_SCENARIOS)
+// listing events at simulation times, in seconds from when it starts:
+//
+//   { "name": "Coolant loss on the VF-4", "seed": "coolant-drill", "speed": 10,
+//     "events": [
+//       { "at": 300, "machine": "haas_vf4", "action": "set", "field": "coolant.level", "value": 15 },
+//       { "at": 420, "machine": "haas_vf4", "action": "alarm", "code": 115 },
+//       { "at": 600, "action": "pause" } ] }
+//
+// Actions: alarm (code and/or message), clearAlarm, power (on),
+// maintenance (active), set (field, value - see HaasMachine
+// SETTABLE_READINGS), fault (mode, active, severity, rampMinutes, axis -
+// see faultModes.js), speed (speed) and pause. seed and speed apply when
+// the scenario is loaded at startup (SIM_SCENARIO).
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const HaasMachine = require('./HaasMachine');
+const SimClock = require('./SimClock');
+const { checkAlarmCode } = require('./alarmCatalog');
+const { checkFaultMode, validateFaultOptions } = require('./faultModes');
+
+const EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Action -> fields it needs; machine actions also need "machine"
+const SCENARIO_ACTIONS = {
+  alarm: { machine: true },
+  clearAlarm: { machine: true },
+  power: { machine: true },
+  maintenance: { machine: true },
+  set: { machine: true },
+  fault: { machine: true },
+  speed: { machine: false },
+  pause: { machine: false }
+};
+
+class ScenarioError extends Error {
+  constructor(file, errors) {
+    super(`Invalid scenario ${file}:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'ScenarioError';
+    this.errors = errors;
+  }
+}
+
+// ========================================
+// LOADING
+// ========================================
+
+function loadScenario(file) {
+  let data;
+  try {
+    const raw = fs.readFileSync(file, 'utf8');
+    const ext = path.extname(file).toLowerCase();
+    data = ext === '.yaml' || ext === '.yml' ? yaml.load(raw) : JSON.parse(raw);
+  } catch (err) {
+    throw new ScenarioError(file, [err.code ? `cannot read file (${err.code})` : `parse error: ${err.message}`]);
+  }
+
+  const errors = validateScenario(data);
+  if (errors.length > 0) {
+    throw new ScenarioError(file, errors);
+  }
+
+  return {
+    id: path.basename(file, path.extname(file)),
+    name: data.name,
+    description: data.description || null,
+    seed: data.seed !== undefined ? String(data.seed) : null,
+    speed: data.speed !== undefined ? data.speed : null,
+    // Stable sort keeps the file order for events at the same time
+    events: data.events
+      .map((event, index) => ({ event, index }))
+      .sort((a, b) => a.event.at - b.event.at || a.index - b.index)
+      .map(({ event }) => event)
+  };
+}
+
+function validateScenario(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['must be an object with "name" and "events"'];
+  }
+
+  const errors = [];
+
+  if (typeof data.name !== 'string' || data.name.trim() === '') {
+    errors.push('name: required string');
+  }
+  if (data.description !== undefined && typeof data.description !== 'string') {
+    errors.push('description: must be a string');
+  }
+  if (data.seed !== undefined && !(typeof data.seed === 'string' || Number.isInteger(data.seed))) {
+    errors.push('seed: must be a string or an integer');
+  }
+  if (data.speed !== undefined && !SimClock.isSpeed(data.speed)) {
+    errors.push(`speed: must be a number from 0.1 to ${SimClock.MAX_SPEED}`);
+  }
+  if (!Array.isArray(data.events) || data.events.length === 0) {
+    errors.push('events: must be a non-empty list');
+    return errors;
+  }
+
+  data.events.forEach((event, index) => {
+    const where = `events[${index}]`;
+    if (!event || typeof event !== 'object') {
+      errors.push(`${where}: must be an object`);
+      return;
+    }
+
+    if (!(typeof event.at === 'number' && event.at >= 0)) {
+      errors.push(`${where}.at: seconds from the start, 0 or more`);
+    }
+    const action = SCENARIO_ACTIONS[event.action];
+    if (!action) {
+      errors.push(`${where}.action: must be one of ${Object.keys(SCENARIO_ACTIONS).join(', ')}`);
+      return;
+    }
+    if (action.machine && (typeof event.machine !== 'string' || event.machine === '')) {
+      errors.push(`${where}.machine: required for ${event.action}`);
+    }
+
+    switch (event.action) {
+      case 'alarm':
+        if (event.code === undefined && event.message === undefined) {
+          errors.push(`${where}: alarm needs a code or a message`);
+        }
+        if (event.code !== undefined && !Number.isInteger(event.code)) {
+          errors.push(`${where}.code: must be an integer`);
+        }
+        if (event.message !== undefined && typeof event.message !== 'string') {
+          errors.push(`${where}.message: must be a string`);
+        }
+        break;
+      case 'power':
+        if (typeof event.on !== 'boolean') errors.push(`${where}.on: must be true or false`);
+        break;
+      case 'maintenance':
+        if (typeof event.active !== 'boolean') errors.push(`${where}.active: must be true or false`);
+        break;
+      case 'set':
+        if (!HaasMachine.SETTABLE_READINGS.includes(event.field)) {
+          errors.push(`${where}.field: must be one of ${HaasMachine.SETTABLE_READINGS.join(', ')}`);
+        }
+        if (!(typeof event.value === 'number' && Number.isFinite(event.value))) {
+          errors.push(`${where}.value: must be a number`);
+        }
+        break;
+      case 'fault':
+        if (typeof event.mode !== 'string' || event.mode === '') {
+          errors.push(`${where}.mode: required for fault`);
+        }
+        if (event.active !== undefined && typeof event.active !== 'boolean') {
+          errors.push(`${where}.active: must be true or false`);
+        }
+        validateFaultOptions(event).forEach(error => errors.push(`${where}: ${error}`));
+        break;
+      case 'speed':
+        if (!SimClock.isSpeed(event.speed)) {
+          errors.push(`${where}.speed: must be a number from 0.1 to ${SimClock.MAX_SPEED}`);
+        }
+        break;
+    }
+  });
+
+  return errors;
+}
+
+// Against the running fleet (machines: id -> HaasMachine)
+function checkScenarioFleet(scenario, machines) {
+  const errors = [];
+
+  scenario.events.forEach(event => {
+    if (!SCENARIO_ACTIONS[event.action].machine) return;
+
+    const where = `event at ${event.at}s (${event.action})`;
+    const machine = machines[event.machine];
+    if (!machine) {
+      errors.push(`${where}: no machine ${event.machine} in the fleet`);
+    } else if (machine.dataSource) {
+      errors.push(`${where}: ${event.machine} is a live machine, not simulated`);
+    } else if (event.action === 'alarm' && event.code !== undefined) {
+      const problem = checkAlarmCode(event.code, machine.type);
+      if (problem) errors.push(`${where}: ${problem}`);
+    } else if (event.action === 'fault') {
+      const problem = checkFaultMode(event.mode, machine.type);
+      if (problem) errors.push(`${where}: ${problem}`);
+    } else if (event.action === 'set' && event.field.split('.').reduce((value, key) => value && value[key], machine) === undefined) {
+      errors.push(`${where}: ${event.machine} has no ${event.field} reading`);
+    }
+  });
+
+  return errors;
+}
+
+// ========================================
+// LOOKUP
+// ========================================
+
+// A scenario id in dir (file name without extension), or a file path
+function scenarioFile(dir, name) {
+  if (EXTENSIONS.includes(path.extname(name).toLowerCase())) {
+    return path.resolve(name);
+  }
+  const found = EXTENSIONS.map(ext => path.join(dir, name + ext)).find(file => fs.existsSync(file));
+  return found || null;
+}
+
+// Every scenario in dir; broken files are listed with their errors
+function listScenarios(dir) {
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter(file => EXTENSIONS.includes(path.extname(file).toLowerCase())).sort();
+  } catch (err) {
+    return [];
+  }
+
+  return files.map(file => {
+    const id = path.basename(file, path.extname(file));
+    try {
+      const scenario = loadScenario(path.join(dir, file));
+      return {
+        id: id,
+        name: scenario.name,
+        description: scenario.description,
+        seed: scenario.seed,
+        speed: scenario.speed,
+        events: scenario.events.length,
+        durationSeconds: scenario.events[scenario.events.length - 1].at
+      };
+    } catch (err) {
+      return { id: id, errors: err.errors || [err.message] };
+    }
+  });
+}
+
+module.exports = {
+  SCENARIO_ACTIONS,
+  ScenarioError,
+  loadScenario,
+  validateScenario,
+  checkScenarioFleet,
+  scenarioFile,
+  listScenarios
+};
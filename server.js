@@ -6,134 +6,536 @@ const express = require('express');
 const cors = require('cors');
 const http = require('http');
 const WebSocket = require('ws');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const {
+  loadFleetConfig,
+  saveFleetConfig,
+  validateFleetConfig,
+  validateMachineConfig,
+  applyFleetConfig,
+  watchFleetConfig
+} = require('./fleetConfig');
 const HaasMachine = require('./HaasMachine');
+const HistoryStore = require('./HistoryStore');
+const ProductionLog = require('./ProductionLog');
+const AlarmLog = require('./AlarmLog');
+const MaintenanceLog = require('./MaintenanceLog');
+const JobTracker = require('./JobTracker');
+const ShiftReportStore = require('./ShiftReportStore');
+const ProgramStore = require('./ProgramStore');
+const UserStore = require('./UserStore');
+const AuditLog = require('./AuditLog');
+const SubscriptionHub = require('./SubscriptionHub');
+const Authenticator = require('./Authenticator');
+const NotificationEngine = require('./NotificationEngine');
+const { loadNotificationConfig } = require('./notificationConfig');
+const { loadAlarmCatalog, lookupAlarm, checkAlarmCode, listAlarmCodes, SEVERITIES } = require('./alarmCatalog');
+const { checkFaultMode, validateFaultOptions, listFaultModes } = require('./faultModes');
+const { CNC_TYPES } = require('./machineTypes');
+const { PROGRAM_NUMBER_PATTERN, ProgramError, parseProgram, planProgram, checkProgramFit } = require('./gcode');
+const { diffLines } = require('./lineDiff');
+const { WINDOWS, resolveWindow, timeInState, calculateOee, combineOee } = require('./oee');
+const { predictMachine, rankFleet } = require('./predictiveMaintenance');
+const { EXPORT_FORMATS, REPORTS, renderReport } = require('./reportExport');
+const { loadMaintenancePlans, listPlans } = require('./maintenancePlans');
+const { MATERIALS, loadBendPrograms, getBendProgram, listBendPrograms, bendTonnage, planBends } = require('./bendPrograms');
+const { loadScenario, checkScenarioFleet, scenarioFile, listScenarios } = require('./scenarios');
+const ScenarioRunner = require('./ScenarioRunner');
+const { randomSeed } = require('./random');
+const SimClock = require('./SimClock');
+const clock = require('./clock');
+const {
+  loadShiftCalendar,
+  getShiftCalendar,
+  shiftInstance,
+  shiftsOn,
+  shiftsBetween,
+  breaksBetween,
+  currentShift,
+  lastEndedShift,
+  localDate
+} = require('./shiftCalendar');
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocket.Server({ server, verifyClient: verifyWebSocket });
+const hub = new SubscriptionHub({ heartbeatMs: parseInt(process.env.WS_HEARTBEAT_MS, 10) || 30000 });
 
 // Middleware
-app.use(cors());
+if (process.env.TRUST_PROXY) {
+  // Behind a load balancer: take the client IP from X-Forwarded-For
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY, 10) : process.env.TRUST_PROXY);
+}
+app.use(cors(process.env.CORS_ORIGINS ? { origin: process.env.CORS_ORIGINS.split(',').map(o => o.trim()) } : {}));
 app.use(express.json());
 
+// ========================================
+// ALARM CATALOG
+// ========================================
+
+try {
+  loadAlarmCatalog(process.env.ALARM_CATALOG || path.join(__dirname, 'config', 'alarm-codes.json'));
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+// ========================================
+// MAINTENANCE PLANS
+// ========================================
+
+try {
+  loadMaintenancePlans(process.env.MAINTENANCE_PLANS || path.join(__dirname, 'config', 'maintenance-plans.json'));
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+// ========================================
+// BEND PROGRAMS
+// ========================================
+
+try {
+  loadBendPrograms(process.env.BEND_PROGRAMS || path.join(__dirname, 'config', 'bend-programs.json'));
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+// ========================================
+// SHIFT CALENDAR
+// ========================================
+
+try {
+  loadShiftCalendar(process.env.SHIFT_CALENDAR || path.join(__dirname, 'config', 'shifts.json'));
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+// ========================================
+// SIMULATION CLOCK & SEED
+// Plant time comes from the simulation clock, which can run faster than
+// real time, pause and step. The simulated fleet draws from SIM_SEED (or
+// a logged random seed), so any run can be replayed.
+// ========================================
+
+const SIM_STEP_MS = 2000; // simulation time per machine update
+const SCENARIO_DIR = process.env.SIM_SCENARIOS || path.join(__dirname, 'config', 'scenarios');
+
+// Scenario played from startup (SIM_SCENARIO: an id in SCENARIO_DIR or a file)
+let startupScenario = null;
+if (process.env.SIM_SCENARIO) {
+  try {
+    const file = scenarioFile(SCENARIO_DIR, process.env.SIM_SCENARIO);
+    if (!file) throw new Error(`Scenario ${process.env.SIM_SCENARIO} not found in ${SCENARIO_DIR}`);
+    startupScenario = loadScenario(file);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+}
+
+const simSpeed = process.env.SIM_SPEED !== undefined
+  ? parseFloat(process.env.SIM_SPEED)
+  : (startupScenario && startupScenario.speed) || 1;
+if (!SimClock.isSpeed(simSpeed)) {
+  console.error(`❌ SIM_SPEED must be a number from 0.1 to ${SimClock.MAX_SPEED}`);
+  process.exit(1);
+}
+
+// SIM_START (ISO time) pins the starting plant time for repeatable runs
+const simStart = process.env.SIM_START ? Date.parse(process.env.SIM_START) : Date.now();
+if (Number.isNaN(simStart)) {
+  console.error('❌ SIM_START must be an ISO 8601 time');
+  process.exit(1);
+}
+
+const simSeed = process.env.SIM_SEED || (startupScenario && startupScenario.seed) || randomSeed();
+const simClock = new SimClock({ stepMs: SIM_STEP_MS, speed: simSpeed, start: simStart });
+if (process.env.SIM_PAUSED === '1' || process.env.SIM_PAUSED === 'true') simClock.pause();
+clock.useClock(() => simClock.now());
+console.log(`🎲 Simulation seed ${simSeed} (SIM_SEED=${simSeed} replays this run)`);
+
+// ========================================
+// TELEMETRY & PRODUCTION HISTORY
+// ========================================
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const history = new HistoryStore({
+  file: process.env.HISTORY_DB || path.join(__dirname, 'data', 'history.db'),
+  sampleIntervalMs: parseInt(process.env.HISTORY_SAMPLE_MS, 10) || 2000,
+  retention: {
+    raw: (parseFloat(process.env.HISTORY_RAW_HOURS) || 24) * HOUR_MS,
+    '1m': (parseFloat(process.env.HISTORY_1M_DAYS) || 30) * 24 * HOUR_MS,
+    '1h': (parseFloat(process.env.HISTORY_1H_DAYS) || 365) * 24 * HOUR_MS
+  }
+});
+history.start();
+
+// Time-in-state, cycle and quality records for OEE (same database)
+const productionLog = new ProductionLog(history.db);
+
+productionLog.on('suspect', cycle => broadcast({ type: 'SUSPECT_PART', cycle: cycle }));
+
+// Alarm lifecycle (ack / assign / resolve) and its audit trail
+const alarmLog = new AlarmLog(history.db);
+
+// Preventive maintenance schedule, work orders and hour meters
+const maintenanceLog = new MaintenanceLog(history.db);
+
+// Jobs (work order, part, program, quantity) and their progress
+const jobTracker = new JobTracker(history.db, { idealCycleTime: idealCycleTimeFor });
+
+// End-of-shift report snapshots
+const shiftReports = new ShiftReportStore(history.db);
+let lastShiftCheck = 0;
+
+// Who changed what through the API (hash-chained)
+const auditLog = new AuditLog(history.db);
+
+// NC program library: versions, model tags and approval (G-code in gcode.js)
+const programStore = new ProgramStore(history.db);
+
+jobTracker.on('updated', job => broadcast({ type: 'JOB_UPDATED', job: job }));
+jobTracker.on('completed', job => {
+  console.log(`✅ Job ${job.workOrder} complete on ${job.machineId}: ${job.good}/${job.quantity} ${job.partNumber}`);
+  broadcast({ type: 'JOB_COMPLETED', job: job });
+});
+
 // ========================================
 // MACHINE FLEET INITIALIZATION
-// Based on your actual machines
-// ========================================
-
-const machines = {
-  haas_vf2: new HaasMachine(
-    'haas_vf2',
-    'Haas VF-2',
-    'VF-2',
-    'CNC_MILL',
-    {
-      axisLimits: { X: [0, 762], Y: [0, 406], Z: [0, 508] },
-      spindlePower: 30,
-      maxRPM: 8100,
-      rapidTraverse: 1000,
-      toolCapacity: 24
-    }
-  ),
-  
-  haas_vf4: new HaasMachine(
-    'haas_vf4',
-    'Haas VF-4',
-    'VF-4',
-    'CNC_MILL',
-    {
-      axisLimits: { X: [0, 1270], Y: [0, 508], Z: [0, 635] },
-      spindlePower: 30,
-      maxRPM: 8100,
-      rapidTraverse: 1000,
-      toolCapacity: 24
-    }
-  ),
-  
-  toyoda_hmc: new HaasMachine(
-    'toyoda_hmc',
-    'Toyoda HMC',
-    'HMC',
-    'CNC_MILL',
-    {
-      axisLimits: { X: [0, 800], Y: [0, 700], Z: [0, 600] },
-      spindlePower: 40,
-      maxRPM: 12000,
-      rapidTraverse: 1200,
-      toolCapacity: 40
-    }
-  ),
-  
-  cnc_lathe: new HaasMachine(
-    'cnc_lathe',
-    'CNC Lathe',
-    'LATHE',
-    'LATHE',
-    {
-      axisLimits: { X: [0, 300], Y: [0, 200], Z: [0, 500] },
-      spindlePower: 20,
-      maxRPM: 4000,
-      rapidTraverse: 800,
-      toolCapacity: 12
-    }
-  ),
-  
-  durma_press: new HaasMachine(
-    'durma_press',
-    'Durma Press Brake',
-    'PRESS',
-    'PRESS_BRAKE',
-    {
-      axisLimits: { X: [0, 100], Y: [0, 2000], Z: [0, 300] },
-      maxTonnage: 200
+// Loaded from config/fleet.json (or FLEET_CONFIG, JSON or YAML)
+// and hot-reloaded when the file changes
+// ========================================
+
+const FLEET_CONFIG = process.env.FLEET_CONFIG || path.join(__dirname, 'config', 'fleet.json');
+const machines = {};
+let fleetConfig;
+
+try {
+  fleetConfig = loadFleetConfig(FLEET_CONFIG);
+  updateFleet(fleetConfig);
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+// Apply a new fleet definition and tell dashboards which tiles changed
+function updateFleet(config) {
+  const changes = applyFleetConfig(machines, config, {
+    seed: simSeed,
+    programs: number => programStore.source(number),
+    bendPrograms: number => getBendProgram(number)
+  });
+  fleetConfig = config;
+  
+  // Replaced machines (type change) are new instances, so re-track those too
+  changes.added.concat(changes.updated).forEach(id => {
+    productionLog.track(machines[id]);
+    alarmLog.track(machines[id]);
+    maintenanceLog.track(machines[id]);
+    jobTracker.track(machines[id]);
+  });
+  changes.removed.forEach(id => {
+    productionLog.untrack(id);
+    alarmLog.untrack(id);
+    maintenanceLog.untrack(id);
+    jobTracker.untrack(id);
+  });
+  
+  changes.added.forEach(id => broadcast({ type: 'MACHINE_ADDED', machine: machines[id].toJSON() }));
+  changes.updated.forEach(id => broadcast({ type: 'MACHINE_UPDATED', machine: machines[id].toJSON() }));
+  changes.removed.forEach(id => broadcast({ type: 'MACHINE_REMOVED', machineId: id }));
+  
+  return changes;
+}
+
+watchFleetConfig(
+  FLEET_CONFIG,
+  (config) => {
+    const { added, updated, removed } = updateFleet(config);
+    if (added.length + updated.length + removed.length > 0) {
+      console.log(`🔄 Fleet config reloaded: ${added.length} added, ${updated.length} updated, ${removed.length} removed`);
     }
-  ),
-  
-  fiber_laser: new HaasMachine(
-    'fiber_laser',
-    'Fiber Laser',
-    'LASER',
-    'LASER',
-    {
-      axisLimits: { X: [0, 1500], Y: [0, 3000], Z: [0, 100] },
-      maxLaserPower: 6000
+  },
+  (err) => {
+    console.error(`⚠️  Fleet config not reloaded - keeping current fleet\n${err.message}`);
+  }
+);
+
+// ========================================
+// PROGRAM SEED
+// Demo G-code from config/programs (or PROGRAMS_SEED), one .nc file per
+// program, loaded only while the program library is empty. Seeded
+// programs are approved; library.json tags them with machine models.
+// ========================================
+
+const PROGRAMS_SEED = process.env.PROGRAMS_SEED || path.join(__dirname, 'config', 'programs');
+
+if (fs.existsSync(PROGRAMS_SEED) && programStore.count() === 0) {
+  try {
+    const manifestFile = path.join(PROGRAMS_SEED, 'library.json');
+    const manifest = fs.existsSync(manifestFile) ? JSON.parse(fs.readFileSync(manifestFile, 'utf8')).programs || {} : {};
+    const files = fs.readdirSync(PROGRAMS_SEED).filter(file => path.extname(file).toLowerCase() === '.nc').sort();
+    files.forEach(file => {
+      const source = fs.readFileSync(path.join(PROGRAMS_SEED, file), 'utf8');
+      let program;
+      try {
+        program = parseProgram(source);
+      } catch (err) {
+        if (!(err instanceof ProgramError)) throw err;
+        throw new Error(`Invalid program seed ${path.join(PROGRAMS_SEED, file)}:\n  - ${err.errors.join('\n  - ')}`);
+      }
+      
+      const models = (manifest[program.number] || {}).models || [];
+      const modelErrors = validateModels(models);
+      if (modelErrors.length > 0) {
+        throw new Error(`Invalid program seed ${manifestFile}:\n  - ${program.number} ${modelErrors.join(`\n  - ${program.number} `)}`);
+      }
+      
+      const { version } = programStore.save(program, source, { by: 'seed', models: models });
+      programStore.approve(program.number, version.version, { by: 'seed' });
+    });
+    if (files.length > 0) console.log(`📄 Seeded ${files.length} programs from ${PROGRAMS_SEED}`);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// ========================================
+// JOB SEED
+// Demo jobs from config/jobs.json (or JOBS_SEED), loaded only while
+// the job table is empty
+// ========================================
+
+const JOBS_SEED = process.env.JOBS_SEED || path.join(__dirname, 'config', 'jobs.json');
+
+if (fs.existsSync(JOBS_SEED)) {
+  try {
+    const seed = JSON.parse(fs.readFileSync(JOBS_SEED, 'utf8'));
+    const jobs = Array.isArray(seed.jobs) ? seed.jobs : [];
+    const errors = [];
+    jobs.forEach((job, index) => {
+      validateJob(job).forEach(error => errors.push(`jobs[${index}]: ${error}`));
+    });
+    if (errors.length > 0) {
+      throw new Error(`Invalid job seed ${JOBS_SEED}:\n  - ${errors.join('\n  - ')}`);
     }
-  )
-};
+    
+    const count = jobTracker.seed(jobs.map(toJobFields));
+    if (count > 0) console.log(`📋 Seeded ${count} jobs from ${JOBS_SEED}`);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// ========================================
+// NOTIFICATIONS
+// Optional - enabled when config/notifications.json (or
+// NOTIFICATIONS_CONFIG) exists
+// ========================================
 
-// Set initial materials
-machines.haas_vf2.material = 'Aluminum 6061';
-machines.haas_vf2.programRunning = 'O1234';
-machines.haas_vf4.material = 'Steel 4140';
-machines.toyoda_hmc.material = 'Stainless 316';
-machines.cnc_lathe.material = 'Brass C360';
+const NOTIFICATIONS_CONFIG = process.env.NOTIFICATIONS_CONFIG || path.join(__dirname, 'config', 'notifications.json');
+let notifier = null;
+
+if (process.env.NOTIFICATIONS_CONFIG || fs.existsSync(NOTIFICATIONS_CONFIG)) {
+  try {
+    notifier = new NotificationEngine(loadNotificationConfig(NOTIFICATIONS_CONFIG), { alarmLog });
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+}
 
 // ========================================
 // SIMULATION LOOP
+// Every SIM_UPDATE_PERIOD_MS the steps owed by the simulation clock are
+// run (speed x one per period, none while paused); dashboards get one
+// update per period whatever the speed
 // ========================================
 
 const SIM_UPDATE_PERIOD_MS = 2000; // 2 seconds
+const SIM_MAX_STEPS_PER_UPDATE = SimClock.MAX_SPEED * SIM_UPDATE_PERIOD_MS / SIM_STEP_MS;
+
+let scenarioRunner = null;
+
+if (startupScenario) {
+  const errors = startScenario(startupScenario);
+  if (errors.length > 0) {
+    console.error(`❌ Scenario ${startupScenario.id} does not fit the fleet:\n  - ${errors.join('\n  - ')}`);
+    process.exit(1);
+  }
+}
 
 setInterval(() => {
-  const dtSec = SIM_UPDATE_PERIOD_MS / 1000.0;
+  const steps = Math.min(simClock.due(), SIM_MAX_STEPS_PER_UPDATE);
+  if (steps === 0) return;
   
-  Object.values(machines).forEach(machine => {
-    machine.update(dtSec);
-  });
+  advanceSimulation(steps);
   
-  // Broadcast to WebSocket clients
-  const plantData = {
-    type: 'PLANT_UPDATE',
-    timestamp: new Date().toISOString(),
-    machines: Object.values(machines).map(m => m.toJSON())
-  };
+  // Too far behind (blocked event loop) - carry on from here
+  if (simClock.due() > 0) simClock.resync();
+}, SIM_UPDATE_PERIOD_MS);
+
+// Run `steps` steps, stopping early if a scenario pauses the clock
+function advanceSimulation(steps) {
+  const dtSec = SIM_STEP_MS / 1000.0;
+  const wasPaused = simClock.paused;
+  let snapshots = [];
+  let taken = 0;
   
-  wss.clients.forEach(client => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(JSON.stringify(plantData));
-    }
+  while (taken < steps && (wasPaused || !simClock.paused)) {
+    simClock.tick();
+    taken++;
+    if (scenarioRunner) scenarioRunner.due(simClock.now()).forEach(applyScenarioEvent);
+    
+    Object.values(machines).forEach(machine => {
+      machine.update(dtSec);
+    });
+    
+    snapshots = Object.values(machines).map(m => m.toJSON());
+    history.record(snapshots);
+    productionLog.touch();
+    maintenanceLog.touch().forEach(order => broadcast({ type: 'WORK_ORDER_UPDATED', workOrder: order }));
+    snapshotEndedShift();
+    if (notifier) notifier.evaluate(Object.values(machines), clock.now());
+  }
+  
+  // Full state to legacy clients, changed fields to subscribers
+  hub.publishMachines(snapshots);
+  return taken;
+}
+
+// Plays a scenario from the current simulation time; returns what
+// doesn't fit the fleet (nothing is started then)
+function startScenario(scenario) {
+  const errors = checkScenarioFleet(scenario, machines);
+  if (errors.length > 0) return errors;
+  
+  scenarioRunner = new ScenarioRunner(scenario, simClock.now());
+  console.log(`🎬 Scenario ${scenario.id} started: ${scenario.name} (${scenario.events.length} events)`);
+  return [];
+}
+
+function applyScenarioEvent(event) {
+  const machine = event.machine ? machines[event.machine] : null;
+  if (event.machine && !machine) {
+    console.error(`⚠️  Scenario event at ${event.at}s skipped - ${event.machine} is no longer in the fleet`);
+    return;
+  }
+  
+  switch (event.action) {
+    case 'alarm':
+      machine.injectAlarm(event.code !== undefined ? event.code : null, event.message || null);
+      break;
+    case 'clearAlarm':
+      machine.clearAlarm('scenario');
+      break;
+    case 'power':
+      machine.setPower(event.on);
+      break;
+    case 'maintenance':
+      machine.setMaintenance(event.active);
+      break;
+    case 'set':
+      machine.setReading(event.field, event.value);
+      break;
+    case 'fault':
+      if (event.active === false) machine.stopFault(event.mode);
+      else machine.startFault(event.mode, event, 'scenario');
+      break;
+    case 'speed':
+      simClock.setSpeed(event.speed);
+      break;
+    case 'pause':
+      simClock.pause();
+      break;
+  }
+  
+  console.log(`🎬 ${scenarioRunner.scenario.id} +${event.at}s: ${event.action}${machine ? ` on ${machine.id}` : ''}`);
+  broadcast({
+    type: 'SCENARIO_EVENT',
+    scenario: scenarioRunner.scenario.id,
+    event: event,
+    timestamp: new Date(clock.now()).toISOString()
   });
-}, SIM_UPDATE_PERIOD_MS);
+  if (event.action === 'speed' || event.action === 'pause') {
+    broadcast({ type: 'SIMULATION_UPDATED', simulation: simulationStatus() });
+  }
+}
+
+// Events go to clients subscribed to their channel and machine
+function broadcast(data) {
+  hub.publish(data);
+}
+
+// ========================================
+// AUTHENTICATION
+// Every /api route needs a signed-in user or an API key. Reading is
+// open to every role; changes need at least the role named on the route:
+//   viewer -> operator -> maintenance -> admin
+// ========================================
+
+const users = new UserStore(history.db);
+const { requireRole } = Authenticator;
+
+// First start: an admin account so someone can sign in
+if (users.count() === 0) {
+  const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+  users.create({ username: 'admin', name: 'Administrator', role: 'admin', password: password, by: 'setup' });
+  console.log(process.env.ADMIN_PASSWORD
+    ? '🔑 Created user "admin" with ADMIN_PASSWORD'
+    : `🔑 Created user "admin" with password ${password} - change it after signing in`);
+}
+
+if (!process.env.JWT_SECRET) {
+  console.warn('⚠️  JWT_SECRET not set - using a random secret, so sign-ins end when the server restarts');
+}
+
+const auth = new Authenticator({
+  users: users,
+  secret: process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex'),
+  tokenTtl: Math.round((parseFloat(process.env.AUTH_TOKEN_HOURS) || 12) * 3600)
+});
+
+// Username and password for a token
+app.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body;
+  if (!isText(username) || typeof password !== 'string') {
+    return res.status(400).json({ error: 'Username and password required' });
+  }
+  
+  const session = auth.login(username, password);
+  if (!session) {
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+  res.json(session);
+});
+
+app.use('/api', auth.authenticate());
+
+// Who is acting: the signed-in user, or for an API key the `user` it
+// names (an integration acting for an operator), otherwise the key
+function actorOf(req) {
+  if (req.auth.type === 'key') return onBehalfOf(req) || `key:${req.auth.name}`;
+  return req.auth.id;
+}
+
+// Who authenticated, whatever the request body says: the audit log's actor
+function principalOf(req) {
+  return req.auth.type === 'key' ? `key:${req.auth.id}:${req.auth.name}` : req.auth.id;
+}
+
+// The person an API key says it is acting for, if any
+function onBehalfOf(req) {
+  return req.auth.type === 'key' && isText(req.body.user) ? req.body.user : null;
+}
 
 // ========================================
 // API ROUTES
@@ -146,26 +548,125 @@ app.get('/', (req, res) => {
     version: '2.0.0',
     description: 'Professional monitoring with model-specific dashboards and real Haas alarms',
     endpoints: {
+      auth: {
+        'POST /api/auth/login': 'Sign in with username and password for a token',
+        'GET /api/auth/me': 'Your identity and role',
+        'POST /api/auth/password': 'Change your password',
+        'GET /api/users': 'User accounts (admin)',
+        'POST /api/users': 'Add a user (admin)',
+        'PATCH /api/users/:username': 'Rename a user, change their role or password, or disable them (admin)',
+        'GET /api/api-keys': 'API keys (admin)',
+        'POST /api/api-keys': 'Create an API key for an integration (admin)',
+        'DELETE /api/api-keys/:keyId': 'Revoke an API key (admin)',
+        'GET /api/audit': 'Audit log of control actions (?actor=&machine=&action=&from=&to=&limit=) (admin)',
+        'GET /api/audit/verify': 'Check the audit log hash chain (admin)'
+      },
       machines: {
         'GET /api/machines': 'List all machines',
+        'POST /api/machines': 'Add a machine',
         'GET /api/machines/:id': 'Get specific machine',
+        'PATCH /api/machines/:id': 'Edit a machine',
+        'DELETE /api/machines/:id': 'Decommission a machine',
         'GET /api/machines/:id/dashboard': 'Model-specific dashboard data',
+        'GET /api/machines/:id/history': 'Telemetry history (?metric=&from=&to=&resolution=)',
+        'GET /api/machines/:id/predictions': 'Component health and remaining useful life (?hours=)',
+        'GET /api/machines/:id/tools': 'Tool table with life and offsets',
+        'PATCH /api/machines/:id/tools/:number': 'Set tool life limits, offsets or description',
+        'POST /api/machines/:id/tools/:number/replace': 'Register a replacement tool (resets life)',
+        'GET /api/machines/:id/events': 'State transition events (?from=&to=&state=&limit=)',
+        'POST /api/machines/:id/downtime/:eventId/reason': 'Tag an IDLE/STOPPED event with a reason code',
+        'GET /api/machines/:id/cycles': 'Recent cycles with quality flags (?quality=&limit=)',
+        'POST /api/machines/:id/cycles/:cycleId/inspect': 'Inspection result for a cycle (GOOD, SCRAP or REWORK)',
+        'POST /api/machines/:id/quality': 'Record scrap or rework with a reason code',
+        'GET /api/machines/:id/jobs': 'Active job and queue with ETAs',
+        'GET /api/machines/:id/maintenance': 'Maintenance schedule with due/overdue tasks',
+        'POST /api/machines/:id/maintenance/orders': 'Open a work order (plan or ad hoc)',
+        'POST /api/machines/:id/maintenance-mode': 'Put a machine in or out of MAINTENANCE',
         'POST /api/machines/:id/power': 'Toggle power',
         'POST /api/machines/:id/alarm': 'Inject alarm (testing)',
-        'DELETE /api/machines/:id/alarm': 'Clear alarm'
+        'DELETE /api/machines/:id/alarm': 'Clear alarm',
+        'GET /api/machines/:id/faults': 'Simulated fault modes, active and available',
+        'POST /api/machines/:id/faults': 'Start or stop a simulated fault (admin)'
       },
       plant: {
         'GET /api/plant/status': 'Overall plant status',
         'GET /api/plant/alarms': 'Active alarms',
         'GET /api/plant/production': 'Production summary',
-        'GET /api/plant/health': 'Fleet health metrics'
+        'GET /api/plant/health': 'Fleet health metrics and predictive risk ranking',
+        'GET /api/plant/events': 'State transition events for all machines',
+        'GET /api/tools/due': 'Tools due for replacement across the fleet (?threshold=)',
+        'GET /api/downtime/reasons': 'Downtime reason codes',
+        'GET /api/quality': 'Scrap and rework records by reason (?machine=&job=&from=&to=)',
+        'GET /api/quality/reasons': 'Scrap and rework reason codes'
+      },
+      alarms: {
+        'GET /api/alarm-codes': 'Alarm code catalog (?machineType=&severity=&category=)',
+        'GET /api/alarm-codes/:code': 'Alarm code details, causes and recommended actions',
+        'GET /api/alarms': 'Alarm records (?state=&machine=&from=&to=&limit=)',
+        'GET /api/alarms/:alarmId': 'Alarm with its activity trail',
+        'POST /api/alarms/:alarmId/ack': 'Acknowledge an alarm',
+        'POST /api/alarms/:alarmId/assign': 'Assign an alarm',
+        'POST /api/alarms/:alarmId/resolve': 'Resolve a cleared alarm with a root cause',
+        'GET /api/alarms/:alarmId/comments': 'Alarm notes',
+        'POST /api/alarms/:alarmId/comments': 'Add a note to an alarm'
+      },
+      jobs: {
+        'GET /api/jobs': 'Jobs (?status=&machine=&limit=)',
+        'POST /api/jobs': 'Create a job (optionally assigned to a machine)',
+        'GET /api/jobs/:jobId': 'One job with progress and ETA',
+        'POST /api/jobs/:jobId/assign': 'Queue a job on a machine',
+        'POST /api/jobs/:jobId/complete': 'Close an active job early',
+        'POST /api/jobs/:jobId/cancel': 'Cancel a job'
+      },
+      programs: {
+        'GET /api/programs': 'NC program library (?model= for one machine model)',
+        'POST /api/programs': 'Upload a G-code program as a new version (text/plain or { source, models })',
+        'GET /api/programs/:number': 'One program and its versions (?machine= plans it and checks the fit)',
+        'PATCH /api/programs/:number': 'Tag a program with the machine models it is for',
+        'GET /api/programs/:number/versions/:version': 'One version with its source',
+        'GET /api/programs/:number/download': 'The G-code as an .nc file (?version=)',
+        'GET /api/programs/:number/diff': 'Unified diff between two versions (?from= &to=)',
+        'POST /api/programs/:number/versions/:version/approve': 'Approve a version for production',
+        'GET /api/bend-programs': 'Press brake bend programs and materials',
+        'GET /api/bend-programs/:number': 'One bend program with tonnage per bend (?machine= plans it on that press)'
+      },
+      maintenance: {
+        'GET /api/maintenance/plans': 'Maintenance plans (?machineType=)',
+        'GET /api/maintenance/due': 'Due and overdue tasks across the fleet',
+        'GET /api/maintenance/orders': 'Work orders (?machine=&status=&limit=)',
+        'GET /api/maintenance/orders/:orderId': 'One work order',
+        'POST /api/maintenance/orders/:orderId/start': 'Start work (machine goes into MAINTENANCE)',
+        'POST /api/maintenance/orders/:orderId/complete': 'Sign off a work order',
+        'POST /api/maintenance/orders/:orderId/cancel': 'Cancel a work order'
+      },
+      notifications: {
+        'GET /api/notifications': 'Notification channels and rules',
+        'GET /api/notifications/log': 'Recent notification deliveries',
+        'POST /api/notifications/test': 'Send a test message to a channel'
       },
       analytics: {
         'GET /api/analytics/uptime': 'Uptime statistics',
-        'GET /api/analytics/alarms': 'Alarm frequency analysis'
+        'GET /api/analytics/oee': 'OEE per machine and plant (?window=shift|day|week)',
+        'GET /api/analytics/downtime': 'Downtime Pareto by reason code (?window=&machine=)',
+        'GET /api/analytics/alarms': 'Alarm frequency and response times (?window=&machine=)'
+      },
+      reports: {
+        'GET /api/shifts': 'Shift calendar and the shift running now',
+        'GET /api/reports/shift': 'Shift report - parts, cycles, run/alarm time and OEE (?date=&shift=)',
+        'GET /api/reports/shifts': 'Totals per shift (?from=&to=)',
+        'GET /api/reports/export': 'Exportable reports and their columns',
+        'GET /api/reports/export/:report': 'Export production, alarms, downtime or utilization (?format=csv|xlsx|pdf|json&window=&from=&to=&machine=)'
+      },
+      simulation: {
+        'GET /api/simulation': 'Simulation clock, seed and running scenario',
+        'POST /api/simulation': 'Change speed or pause / resume (admin)',
+        'POST /api/simulation/step': 'Advance a paused simulation (admin)',
+        'GET /api/simulation/scenarios': 'Scenario files',
+        'POST /api/simulation/scenario': 'Start a scenario (admin)',
+        'DELETE /api/simulation/scenario': 'Stop the running scenario (admin)'
       }
     },
-    websocket: 'ws://[host]/ws for real-time updates',
+    websocket: 'ws://[host]/ws?token=<token or API key> for real-time updates; send subscribe/unsubscribe for per-machine channels and deltas',
     fleet: {
       total: Object.keys(machines).length,
       models: Object.values(machines).map(m => ({ id: m.id, model: m.model, type: m.type }))
@@ -192,6 +693,117 @@ app.get('/api/machines/:id', (req, res) => {
   res.json(machine.toJSON());
 });
 
+// ========================================
+// FLEET MANAGEMENT
+// Edits are validated like the config file and written back to it
+// ========================================
+
+// Fields a client may set on a machine
+const MACHINE_FIELDS = ['id', 'name', 'model', 'type', 'specs', 'material', 'programRunning', 'idealCycleTime', 'source'];
+
+function pickMachineFields(body) {
+  const entry = {};
+  MACHINE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) entry[field] = body[field];
+  });
+  return entry;
+}
+
+// Validate, persist and apply a new machines list
+function commitFleet(machineEntries, res, onSuccess) {
+  const config = Object.assign({}, fleetConfig, { machines: machineEntries });
+  
+  const errors = validateFleetConfig(config);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid machine definition', details: errors });
+  }
+  
+  try {
+    saveFleetConfig(FLEET_CONFIG, config);
+  } catch (err) {
+    // Keep running with the change; it just won't survive a restart
+    console.error(`⚠️  Could not write ${FLEET_CONFIG}: ${err.message}`);
+  }
+  
+  updateFleet(config);
+  onSuccess();
+}
+
+// Add a machine
+app.post('/api/machines', requireRole('admin'), (req, res) => {
+  const entry = pickMachineFields(req.body || {});
+  
+  const errors = validateMachineConfig(entry);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid machine definition', details: errors });
+  }
+  if (machines[entry.id]) {
+    return res.status(409).json({ error: `Machine ${entry.id} already exists` });
+  }
+  const problems = entry.programRunning ? assignmentProblems(entry.programRunning, machineTarget(entry)) : [];
+  if (problems.length > 0) {
+    return res.status(409).json({ error: `${entry.programRunning} can't be assigned to ${entry.id}`, details: problems });
+  }
+  
+  commitFleet(fleetConfig.machines.concat(entry), res, () => {
+    audit(req, 'MACHINE_ADDED', { machineId: entry.id, after: entry });
+    res.status(201).json(machines[entry.id].toJSON());
+  });
+});
+
+// Edit a machine (specs are merged, other fields replaced)
+app.patch('/api/machines/:id', requireRole('admin'), (req, res) => {
+  const machine = machines[req.params.id];
+  if (!machine) {
+    return res.status(404).json({ error: 'Machine not found' });
+  }
+  
+  const changes = pickMachineFields(req.body || {});
+  if (changes.id !== undefined && changes.id !== machine.id) {
+    return res.status(400).json({ error: 'Machine id cannot be changed' });
+  }
+  
+  const current = fleetConfig.machines.find(entry => entry.id === machine.id);
+  const entry = Object.assign({}, current, changes);
+  if (changes.specs && current.specs) {
+    entry.specs = Object.assign({}, current.specs, changes.specs);
+  }
+  
+  const errors = validateMachineConfig(entry);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid machine definition', details: errors });
+  }
+  // The program has to fit the machine as it will be
+  const refit = ['programRunning', 'model', 'type', 'specs'].some(field => changes[field] !== undefined);
+  const problems = entry.programRunning && refit ? assignmentProblems(entry.programRunning, machineTarget(entry)) : [];
+  if (problems.length > 0) {
+    return res.status(409).json({ error: `${entry.programRunning} can't be assigned to ${machine.id}`, details: problems });
+  }
+  
+  commitFleet(fleetConfig.machines.map(e => (e.id === machine.id ? entry : e)), res, () => {
+    audit(req, 'MACHINE_UPDATED', { machineId: machine.id, before: current, after: entry });
+    res.json(machines[machine.id].toJSON());
+  });
+});
+
+// Decommission a machine
+app.delete('/api/machines/:id', requireRole('admin'), (req, res) => {
+  const machine = machines[req.params.id];
+  if (!machine) {
+    return res.status(404).json({ error: 'Machine not found' });
+  }
+  
+  const current = fleetConfig.machines.find(entry => entry.id === machine.id);
+  commitFleet(fleetConfig.machines.filter(e => e.id !== machine.id), res, () => {
+    audit(req, 'MACHINE_REMOVED', { machineId: machine.id, before: current });
+    res.json({
+      success: true,
+      machine: req.params.id,
+      message: 'Machine decommissioned'
+    });
+  });
+});
+
 // Model-specific dashboard data
 app.get('/api/machines/:id/dashboard', (req, res) => {
   const machine = machines[req.params.id];
@@ -268,122 +880,706 @@ app.get('/api/machines/:id/dashboard', (req, res) => {
   res.json(dashboard);
 });
 
-// Toggle power
-app.post('/api/machines/:id/power', (req, res) => {
+// Telemetry history for one metric
+app.get('/api/machines/:id/history', (req, res) => {
   const machine = machines[req.params.id];
   if (!machine) {
     return res.status(404).json({ error: 'Machine not found' });
   }
   
-  const { power } = req.body;
-  if (typeof power !== 'boolean') {
-    return res.status(400).json({ error: 'Invalid power state' });
+  const { metric, resolution = 'auto' } = req.query;
+  if (!metric || !/^[A-Za-z0-9_.]+$/.test(metric)) {
+    return res.status(400).json({ error: 'Metric required (e.g. spindleLoad, axisPositions.X)' });
+  }
+  if (resolution !== 'auto' && !HistoryStore.RESOLUTIONS.includes(resolution)) {
+    return res.status(400).json({ error: `Resolution must be auto, ${HistoryStore.RESOLUTIONS.join(', ')}` });
   }
   
-  machine.setPower(power);
+  const to = req.query.to ? parseTime(req.query.to) : clock.now();
+  const from = req.query.from ? parseTime(req.query.from) : to - HOUR_MS;
+  if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+    return res.status(400).json({ error: 'Invalid time range' });
+  }
+  
+  const result = history.query(machine.id, metric, from, to, resolution);
   
   res.json({
-    success: true,
-    machine: req.params.id,
-    power: power
+    machine: machine.id,
+    metric: metric,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    resolution: result.resolution,
+    points: result.points
   });
 });
 
-// Inject alarm (testing)
-app.post('/api/machines/:id/alarm', (req, res) => {
+// ISO date or epoch milliseconds
+function parseTime(value) {
+  return /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+}
+
+// ========================================
+// PREDICTIVE MAINTENANCE
+// ========================================
+
+const PREDICTION_HOURS = 24;
+
+// Trends come from the rolled-up history, so noise within a minute
+// (and the per-tool wear sawtooth) doesn't swamp slow degradation
+function predictionsFor(machine, hours = PREDICTION_HOURS, now = clock.now()) {
+  const from = now - hours * HOUR_MS;
+  const resolution = hours <= 72 ? '1m' : '1h';
+
+  return predictMachine({
+    machine: machine,
+    series: metric => history.query(machine.id, metric, from, now, resolution).points
+      .map(point => ({ t: Date.parse(point.t), value: point.avg })),
+    latest: HistoryStore.flatten(machine.toJSON())
+  });
+}
+
+// Component health scores and remaining useful life
+app.get('/api/machines/:id/predictions', (req, res) => {
   const machine = machines[req.params.id];
   if (!machine) {
     return res.status(404).json({ error: 'Machine not found' });
   }
-  
-  const { code, message } = req.body;
-  if (!message) {
-    return res.status(400).json({ error: 'Alarm message required' });
+
+  const hours = req.query.hours !== undefined ? parseFloat(req.query.hours) : PREDICTION_HOURS;
+  if (Number.isNaN(hours) || hours < 1 || hours > 720) {
+    return res.status(400).json({ error: 'Hours must be a lookback between 1 and 720' });
   }
+
+  const { machineId, ...prediction } = predictionsFor(machine, hours);
   
-  machine.injectAlarm(code || null, message);
+  res.json(Object.assign({
+    machine: machineId,
+    name: machine.name,
+    lookbackHours: hours
+  }, prediction));
+});
+
+// ========================================
+// TOOL MANAGEMENT
+// ========================================
+
+// Tool table with life and offsets
+app.get('/api/machines/:id/tools', (req, res) => {
+  const machine = machines[req.params.id];
+  if (!machine) {
+    return res.status(404).json({ error: 'Machine not found' });
+  }
+  if (!machine.tools) {
+    return res.status(400).json({ error: `${machine.type} machines have no tool table` });
+  }
   
   res.json({
-    success: true,
-    machine: req.params.id,
-    alarm: { code, message }
+    machine: machine.id,
+    currentTool: machine.currentTool,
+    toolChangeCount: machine.toolChangeCount,
+    toolSequence: machine.toolSequence,
+    tools: machine.tools
   });
 });
 
-// Clear alarm
-app.delete('/api/machines/:id/alarm', (req, res) => {
+// Set life limits, offsets or description
+app.patch('/api/machines/:id/tools/:number', requireRole('operator'), (req, res) => {
   const machine = machines[req.params.id];
   if (!machine) {
     return res.status(404).json({ error: 'Machine not found' });
   }
+  const number = parseInt(req.params.number, 10);
+  if (!machine.getTool || !machine.getTool(number)) {
+    return res.status(404).json({ error: 'Tool not found' });
+  }
   
-  machine.clearAlarm();
+  const errors = validateToolChanges(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid tool settings', details: errors });
+  }
+  
+  const before = toolState(machine.getTool(number));
+  const tool = machine.updateTool(number, req.body);
+  audit(req, 'TOOL_UPDATED', { machineId: machine.id, before, after: toolState(tool) });
   
   res.json({
     success: true,
-    machine: req.params.id,
-    message: 'Alarm cleared'
+    machine: machine.id,
+    tool: tool
   });
 });
 
-// ========================================
-// PLANT ENDPOINTS
-// ========================================
-
-// Overall plant status
-app.get('/api/plant/status', (req, res) => {
-  const machineList = Object.values(machines);
+// Register a new tool in the pocket (resets life and wear)
+app.post('/api/machines/:id/tools/:number/replace', requireRole('maintenance'), (req, res) => {
+  const machine = machines[req.params.id];
+  if (!machine) {
+    return res.status(404).json({ error: 'Machine not found' });
+  }
+  const number = parseInt(req.params.number, 10);
+  if (!machine.getTool || !machine.getTool(number)) {
+    return res.status(404).json({ error: 'Tool not found' });
+  }
   
-  const status = {
-    total: machineList.length,
-    running: machineList.filter(m => m.execution === 'RUNNING').length,
-    idle: machineList.filter(m => m.execution === 'IDLE').length,
-    alarm: machineList.filter(m => m.execution === 'ALARM').length,
-    stopped: machineList.filter(m => !m.power).length,
-    totalParts: machineList.reduce((sum, m) => sum + m.partCount, 0),
-    totalCycles: machineList.reduce((sum, m) => sum + m.totalCycles, 0),
-    avgProductionRate: Math.round(
-      machineList.reduce((sum, m) => sum + m.productionRate, 0) / machineList.length
-    ),
-    timestamp: new Date().toISOString()
-  };
+  const { type, description, diameter, length } = req.body;
+  const errors = [];
+  if (type !== undefined && !HaasMachine.TOOL_TYPES.includes(type)) {
+    errors.push(`type must be one of ${HaasMachine.TOOL_TYPES.join(', ')}`);
+  }
+  if (description !== undefined && typeof description !== 'string') errors.push('description must be a string');
+  if (diameter !== undefined && !(typeof diameter === 'number' && diameter > 0)) errors.push('diameter must be a positive number (mm)');
+  if (length !== undefined && !(typeof length === 'number' && length > 0)) errors.push('length must be a positive number (mm)');
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid replacement tool', details: errors });
+  }
   
-  res.json(status);
+  const before = toolState(machine.getTool(number));
+  const tool = machine.replaceTool(number, { type, description, diameter, length });
+  audit(req, 'TOOL_REPLACED', { machineId: machine.id, before, after: toolState(tool) });
+  
+  res.json({
+    success: true,
+    machine: machine.id,
+    tool: tool
+  });
 });
 
-// Active alarms
-app.get('/api/plant/alarms', (req, res) => {
-  const alarms = [];
+// Tools at or below a life threshold across the fleet, most worn first
+app.get('/api/tools/due', (req, res) => {
+  const threshold = req.query.threshold !== undefined ? parseFloat(req.query.threshold) : 15;
+  if (Number.isNaN(threshold) || threshold < 0 || threshold > 100) {
+    return res.status(400).json({ error: 'Threshold must be a life percentage between 0 and 100' });
+  }
   
+  const due = [];
   Object.values(machines).forEach(machine => {
-    if (machine.alarm) {
-      alarms.push({
+    (machine.tools || []).forEach(tool => {
+      if (tool.currentLife > threshold) return;
+      due.push({
         machineId: machine.id,
         machineName: machine.name,
-        model: machine.model,
-        alarmCode: machine.alarmCode,
-        alarm: machine.alarm,
-        execution: machine.execution,
-        timestamp: machine.timestamp
+        tool: tool.number,
+        type: tool.type,
+        description: tool.description,
+        currentLife: tool.currentLife,
+        minutesLeft: tool.life.limitMinutes
+          ? parseFloat(Math.max(0, tool.life.limitMinutes - tool.life.usedMinutes).toFixed(1))
+          : null,
+        cutsLeft: tool.life.limitCuts ? Math.max(0, tool.life.limitCuts - tool.life.usedCuts) : null,
+        inSpindle: machine.currentTool === tool.number
       });
-    }
+    });
+  });
+  
+  due.sort((a, b) => a.currentLife - b.currentLife);
+  
+  res.json({
+    threshold: threshold,
+    count: due.length,
+    tools: due
+  });
+});
+
+function validateToolChanges(changes) {
+  const errors = [];
+  const isLimit = value => value === null || (typeof value === 'number' && value > 0);
+  
+  if (changes.description !== undefined && typeof changes.description !== 'string') {
+    errors.push('description must be a string');
+  }
+  if (changes.limitMinutes !== undefined && !isLimit(changes.limitMinutes)) {
+    errors.push('limitMinutes must be a positive number of cutting minutes, or null for no limit');
+  }
+  if (changes.limitCuts !== undefined && !(changes.limitCuts === null || (Number.isInteger(changes.limitCuts) && changes.limitCuts > 0))) {
+    errors.push('limitCuts must be a positive whole number, or null for no limit');
+  }
+  if (changes.offsets !== undefined) {
+    if (!changes.offsets || typeof changes.offsets !== 'object') {
+      errors.push('offsets must be an object');
+    } else {
+      Object.keys(changes.offsets).forEach(field => {
+        if (!['length', 'lengthWear', 'diameter', 'diameterWear'].includes(field)) {
+          errors.push(`offsets.${field}: unknown offset`);
+        } else if (!Number.isFinite(changes.offsets[field])) {
+          errors.push(`offsets.${field}: must be a number (mm)`);
+        }
+      });
+    }
+  }
+  
+  return errors;
+}
+
+// ========================================
+// STATE EVENTS & DOWNTIME REASONS
+// ========================================
+
+// State transitions (newest first)
+app.get('/api/machines/:id/events', (req, res) => {
+  const machine = machines[req.params.id];
+  if (!machine) {
+    return res.status(404).json({ error: 'Machine not found' });
+  }
+  
+  listEvents(req, res, machine.id);
+});
+
+// State transitions across the plant (?machine= to filter)
+app.get('/api/plant/events', (req, res) => {
+  listEvents(req, res, req.query.machine || null);
+});
+
+function listEvents(req, res, machineId) {
+  const to = req.query.to ? parseTime(req.query.to) : clock.now();
+  const from = req.query.from ? parseTime(req.query.from) : to - 24 * HOUR_MS;
+  if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+    return res.status(400).json({ error: 'Invalid time range' });
+  }
+  
+  const state = req.query.state ? String(req.query.state).toUpperCase() : null;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  
+  const events = productionLog.events({ machineId, state, from, to, limit });
+  
+  res.json({
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    count: events.length,
+    events: events
+  });
+}
+
+// Reason codes operators can pick from
+app.get('/api/downtime/reasons', (req, res) => {
+  res.json(Object.entries(ProductionLog.DOWNTIME_REASONS).map(([code, label]) => ({ code, label })));
+});
+
+// Tag an IDLE/STOPPED period with why the machine wasn't cutting
+app.post('/api/machines/:id/downtime/:eventId/reason', requireRole('operator'), (req, res) => {
+  const machine = machines[req.params.id];
+  if (!machine) {
+    return res.status(404).json({ error: 'Machine not found' });
+  }
+  
+  const event = productionLog.getEvent(parseInt(req.params.eventId, 10));
+  if (!event || event.machineId !== machine.id) {
+    return res.status(404).json({ error: 'Event not found' });
+  }
+  if (!ProductionLog.DOWNTIME_STATES.includes(event.to)) {
+    return res.status(400).json({
+      error: `Only ${ProductionLog.DOWNTIME_STATES.join('/')} periods take a downtime reason (event is ${event.to})`
+    });
+  }
+  
+  const { reason, note } = req.body;
+  const code = typeof reason === 'string' ? reason.toUpperCase() : null;
+  if (!ProductionLog.DOWNTIME_REASONS[code]) {
+    return res.status(400).json({
+      error: 'Invalid downtime reason',
+      details: [`reason must be one of ${Object.keys(ProductionLog.DOWNTIME_REASONS).join(', ')}`]
+    });
+  }
+  
+  const updated = productionLog.setDowntimeReason(event.id, {
+    code: code,
+    note: typeof note === 'string' ? note : null,
+    by: actorOf(req)
+  });
+  
+  res.json({
+    success: true,
+    machine: machine.id,
+    event: updated
+  });
+});
+
+// Toggle power
+app.post('/api/machines/:id/power', requireRole('admin'), (req, res) => {
+  const machine = machines[req.params.id];
+  if (!machine) {
+    return res.status(404).json({ error: 'Machine not found' });
+  }
+  
+  const { power } = req.body;
+  if (typeof power !== 'boolean') {
+    return res.status(400).json({ error: 'Invalid power state' });
+  }
+  
+  const before = controlState(machine);
+  machine.setPower(power);
+  audit(req, power ? 'POWER_ON' : 'POWER_OFF', { machineId: machine.id, before, after: controlState(machine) });
+  
+  res.json({
+    success: true,
+    machine: req.params.id,
+    power: power
+  });
+});
+
+// Inject alarm (testing)
+app.post('/api/machines/:id/alarm', requireRole('admin'), (req, res) => {
+  const machine = machines[req.params.id];
+  if (!machine) {
+    return res.status(404).json({ error: 'Machine not found' });
+  }
+  
+  const { code, message } = req.body;
+  if (message !== undefined && message !== null && (typeof message !== 'string' || message.trim() === '')) {
+    return res.status(400).json({ error: 'Alarm message must be a non-empty string' });
+  }
+  if (code !== undefined && code !== null) {
+    const problem = Number.isInteger(code) ? checkAlarmCode(code, machine.type) : 'Alarm code must be a number';
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+  } else if (!message) {
+    return res.status(400).json({ error: 'Alarm code or message required' });
+  }
+  
+  const before = controlState(machine);
+  machine.injectAlarm(Number.isInteger(code) ? code : null, message || null);
+  audit(req, 'ALARM_INJECTED', { machineId: machine.id, before, after: controlState(machine) });
+  
+  res.json({
+    success: true,
+    machine: req.params.id,
+    alarm: {
+      code: machine.alarmCode,
+      message: machine.alarm,
+      severity: machine.alarmSeverity
+    }
+  });
+});
+
+// Clear alarm
+app.delete('/api/machines/:id/alarm', requireRole('maintenance'), (req, res) => {
+  const machine = machines[req.params.id];
+  if (!machine) {
+    return res.status(404).json({ error: 'Machine not found' });
+  }
+  
+  const before = controlState(machine);
+  machine.clearAlarm(actorOf(req));
+  audit(req, 'ALARM_CLEARED', { machineId: machine.id, before, after: controlState(machine) });
+  
+  res.json({
+    success: true,
+    machine: req.params.id,
+    message: 'Alarm cleared'
+  });
+});
+
+// Simulated faults - active ones and the modes this machine can run
+app.get('/api/machines/:id/faults', (req, res) => {
+  const machine = machines[req.params.id];
+  if (!machine) {
+    return res.status(404).json({ error: 'Machine not found' });
+  }
+  
+  res.json({
+    machine: machine.id,
+    active: Object.keys(machine.faults).map(mode => machine.describeFault(mode)),
+    available: listFaultModes(machine.type)
+  });
+});
+
+// Start or stop a fault: { mode, active, severity, rampMinutes, axis }
+app.post('/api/machines/:id/faults', requireRole('admin'), (req, res) => {
+  const machine = machines[req.params.id];
+  if (!machine) {
+    return res.status(404).json({ error: 'Machine not found' });
+  }
+  
+  const { mode, active = true, severity, rampMinutes, axis } = req.body;
+  if (!isText(mode)) {
+    return res.status(400).json({ error: 'mode required' });
+  }
+  const problem = checkFaultMode(mode, machine.type);
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+  if (typeof active !== 'boolean') {
+    return res.status(400).json({ error: 'active must be true or false' });
+  }
+  if (machine.dataSource) {
+    return res.status(409).json({ error: 'Faults can only be injected into simulated machines' });
+  }
+  
+  if (!active) {
+    if (!machine.faults[mode]) {
+      return res.status(404).json({ error: `${mode} is not active on this machine` });
+    }
+    const before = machine.describeFault(mode);
+    machine.stopFault(mode);
+    audit(req, 'FAULT_STOPPED', { machineId: machine.id, before });
+    return res.json({ success: true, machine: machine.id, stopped: mode });
+  }
+  
+  const errors = validateFaultOptions({ mode, severity, rampMinutes, axis });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid fault', details: errors });
+  }
+  if (machine.faults[mode]) {
+    return res.status(409).json({ error: `${mode} is already active - stop it first` });
+  }
+  
+  const fault = machine.startFault(mode, { severity, rampMinutes, axis }, actorOf(req));
+  audit(req, 'FAULT_STARTED', { machineId: machine.id, after: fault });
+  
+  res.status(201).json({ success: true, machine: machine.id, fault: fault });
+});
+
+// ========================================
+// QUALITY
+// Cycles are flagged SUSPECT on high load/vibration; inspection marks
+// them GOOD, SCRAP or REWORK
+// ========================================
+
+// Reason codes for scrap and rework
+app.get('/api/quality/reasons', (req, res) => {
+  res.json(Object.entries(ProductionLog.QUALITY_REASONS).map(([code, label]) => ({ code, label })));
+});
+
+// Recent cycles with their quality flag (?quality=SUSPECT for parts awaiting inspection)
+app.get('/api/machines/:id/cycles', (req, res) => {
+  const machine = machines[req.params.id];
+  if (!machine) {
+    return res.status(404).json({ error: 'Machine not found' });
+  }
+  
+  const quality = req.query.quality ? String(req.query.quality).toUpperCase() : null;
+  if (quality && !ProductionLog.CYCLE_QUALITIES.includes(quality)) {
+    return res.status(400).json({ error: `Quality must be one of ${ProductionLog.CYCLE_QUALITIES.join(', ')}` });
+  }
+  
+  const cycles = productionLog.recentCycles(machine.id, {
+    quality: quality,
+    limit: Math.min(parseInt(req.query.limit, 10) || 50, 1000)
+  });
+  
+  res.json({
+    machine: machine.id,
+    count: cycles.length,
+    cycles: cycles
+  });
+});
+
+// Inspection result for one cycle's parts
+app.post('/api/machines/:id/cycles/:cycleId/inspect', requireRole('operator'), (req, res) => {
+  const machine = machines[req.params.id];
+  if (!machine) {
+    return res.status(404).json({ error: 'Machine not found' });
+  }
+  
+  const cycle = productionLog.getCycle(parseInt(req.params.cycleId, 10));
+  if (!cycle || cycle.machineId !== machine.id) {
+    return res.status(404).json({ error: 'Cycle not found' });
+  }
+  if (cycle.quality === 'SCRAP' || cycle.quality === 'REWORK') {
+    return res.status(409).json({ error: `Cycle already recorded as ${cycle.quality}` });
+  }
+  
+  const { result, reason, note } = req.body;
+  const user = actorOf(req);
+  
+  const outcome = typeof result === 'string' ? result.toUpperCase() : null;
+  const errors = [];
+  if (outcome !== 'GOOD' && !ProductionLog.QUALITY_KINDS.includes(outcome)) {
+    errors.push(`result must be one of GOOD, ${ProductionLog.QUALITY_KINDS.join(', ')}`);
+  }
+  const code = typeof reason === 'string' ? reason.toUpperCase() : null;
+  if (outcome !== 'GOOD' && !ProductionLog.QUALITY_REASONS[code]) {
+    errors.push(`reason must be one of ${Object.keys(ProductionLog.QUALITY_REASONS).join(', ')}`);
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid inspection', details: errors });
+  }
+  
+  const inspected = productionLog.inspectCycle(cycle.id, {
+    result: outcome,
+    reason: outcome === 'GOOD' ? null : code,
+    note: isText(note) ? note : null,
+    by: user
+  });
+  if (inspected.record) qualityRecorded(inspected.record);
+  
+  res.json({
+    success: true,
+    machine: machine.id,
+    cycle: inspected.cycle,
+    record: inspected.record
+  });
+});
+
+// Scrap or rework found outside a single cycle (counts against the active job unless one is given)
+app.post('/api/machines/:id/quality', requireRole('operator'), (req, res) => {
+  const machine = machines[req.params.id];
+  if (!machine) {
+    return res.status(404).json({ error: 'Machine not found' });
+  }
+  
+  const { kind, quantity = 1, reason, note, job } = req.body;
+  const user = actorOf(req);
+  
+  const type = typeof kind === 'string' ? kind.toUpperCase() : null;
+  const code = typeof reason === 'string' ? reason.toUpperCase() : null;
+  const errors = [];
+  if (!ProductionLog.QUALITY_KINDS.includes(type)) {
+    errors.push(`kind must be one of ${ProductionLog.QUALITY_KINDS.join(', ')}`);
+  }
+  if (!(Number.isInteger(quantity) && quantity > 0)) {
+    errors.push('quantity must be a positive whole number');
+  }
+  if (!ProductionLog.QUALITY_REASONS[code]) {
+    errors.push(`reason must be one of ${Object.keys(ProductionLog.QUALITY_REASONS).join(', ')}`);
+  }
+  if (job !== undefined && !Number.isInteger(job)) {
+    errors.push('job must be a job id');
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid quality record', details: errors });
+  }
+  
+  const jobId = job !== undefined ? job : (machine.job ? machine.job.id : null);
+  if (jobId !== null) {
+    const record = jobTracker.get(jobId);
+    if (!record) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (record.machineId !== machine.id) {
+      return res.status(400).json({ error: `Job ${record.workOrder} is not on ${machine.id}` });
+    }
+  }
+  
+  const record = productionLog.recordQuality(machine.id, {
+    kind: type,
+    quantity: quantity,
+    reason: code,
+    note: isText(note) ? note : null,
+    jobId: jobId,
+    by: user
+  });
+  qualityRecorded(record);
+  
+  res.status(201).json({
+    success: true,
+    machine: machine.id,
+    record: record
+  });
+});
+
+// Scrap and rework records with a Pareto by reason (?machine=&job=&from=&to=)
+app.get('/api/quality', (req, res) => {
+  const to = req.query.to ? parseTime(req.query.to) : clock.now();
+  const from = req.query.from ? parseTime(req.query.from) : to - 24 * HOUR_MS;
+  if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+    return res.status(400).json({ error: 'Invalid time range' });
+  }
+  
+  const filter = {
+    machineId: req.query.machine || null,
+    jobId: req.query.job ? parseInt(req.query.job, 10) : null,
+    from: from,
+    to: to
+  };
+  const records = productionLog.qualityRecords(Object.assign({
+    limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000)
+  }, filter));
+  const byReason = productionLog.qualityByReason(filter);
+  
+  res.json({
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    scrapParts: byReason.filter(r => r.kind === 'SCRAP').reduce((sum, r) => sum + r.parts, 0),
+    reworkParts: byReason.filter(r => r.kind === 'REWORK').reduce((sum, r) => sum + r.parts, 0),
+    byReason: byReason,
+    count: records.length,
+    records: records
+  });
+});
+
+// Scrap comes off the job's good count (rework parts still ship)
+function qualityRecorded(record) {
+  if (record.kind === 'SCRAP' && record.jobId !== null) {
+    jobTracker.recordScrap(record.jobId, record.quantity);
+  }
+  broadcast({ type: 'QUALITY_RECORDED', record: record });
+}
+
+// ========================================
+// PLANT ENDPOINTS
+// ========================================
+
+// Overall plant status
+app.get('/api/plant/status', (req, res) => {
+  const machineList = Object.values(machines);
+  
+  const status = {
+    total: machineList.length,
+    running: machineList.filter(m => m.execution === 'RUNNING').length,
+    idle: machineList.filter(m => m.execution === 'IDLE').length,
+    alarm: machineList.filter(m => m.execution === 'ALARM').length,
+    maintenance: machineList.filter(m => m.execution === 'MAINTENANCE').length,
+    stopped: machineList.filter(m => !m.power).length,
+    totalParts: machineList.reduce((sum, m) => sum + m.partCount, 0),
+    totalCycles: machineList.reduce((sum, m) => sum + m.totalCycles, 0),
+    // The fleet can be emptied by decommissioning every machine
+    avgProductionRate: machineList.length > 0
+      ? Math.round(machineList.reduce((sum, m) => sum + m.productionRate, 0) / machineList.length)
+      : 0,
+    timestamp: new Date(clock.now()).toISOString()
+  };
+  
+  res.json(status);
+});
+
+// Active alarms
+app.get('/api/plant/alarms', (req, res) => {
+  const alarms = [];
+  
+  Object.values(machines).forEach(machine => {
+    if (machine.alarm) {
+      const record = alarmLog.current(machine.id);
+      alarms.push({
+        alarmId: record ? record.id : null,
+        machineId: machine.id,
+        machineName: machine.name,
+        model: machine.model,
+        alarmCode: machine.alarmCode,
+        alarm: machine.alarm,
+        severity: machine.alarmSeverity,
+        state: record ? record.state : 'ACTIVE',
+        raisedAt: record ? record.raisedAt : null,
+        acknowledgedAt: record ? record.acknowledgedAt : null,
+        acknowledgedBy: record ? record.acknowledgedBy : null,
+        assignedTo: record ? record.assignedTo : null,
+        execution: machine.execution,
+        timestamp: machine.timestamp
+      });
+    }
   });
   
   res.json({
     count: alarms.length,
+    unacknowledged: alarms.filter(a => a.state === 'ACTIVE').length,
     alarms: alarms
   });
 });
 
-// Production summary
+// Production summary (since start, plus the running shift)
 app.get('/api/plant/production', (req, res) => {
   const machineList = Object.values(machines);
+  const shift = currentShift();
   
   const production = machineList.map(m => ({
     id: m.id,
     name: m.name,
     model: m.model,
     partCount: m.partCount,
+    goodParts: m.goodPartCount(),
+    scrapParts: m.scrapParts,
+    reworkParts: m.reworkParts,
+    suspectParts: m.suspectParts,
+    yield: m.partCount > 0 ? parseFloat((m.goodPartCount() / m.partCount * 100).toFixed(1)) : null,
     totalCycles: m.totalCycles,
     productionRate: m.productionRate,
     machineOnHours: parseFloat(m.machineOnHours.toFixed(2)),
@@ -391,56 +1587,1031 @@ app.get('/api/plant/production', (req, res) => {
   }));
   
   res.json({
-    machines: production,
-    totals: {
-      parts: machineList.reduce((sum, m) => sum + m.partCount, 0),
-      cycles: machineList.reduce((sum, m) => sum + m.totalCycles, 0),
-      hours: parseFloat(
-        machineList.reduce((sum, m) => sum + m.machineOnHours, 0).toFixed(2)
-      )
-    }
+    machines: production,
+    totals: {
+      parts: machineList.reduce((sum, m) => sum + m.partCount, 0),
+      good: machineList.reduce((sum, m) => sum + m.goodPartCount(), 0),
+      scrap: machineList.reduce((sum, m) => sum + m.scrapParts, 0),
+      rework: machineList.reduce((sum, m) => sum + m.reworkParts, 0),
+      suspect: machineList.reduce((sum, m) => sum + m.suspectParts, 0),
+      cycles: machineList.reduce((sum, m) => sum + m.totalCycles, 0),
+      hours: parseFloat(
+        machineList.reduce((sum, m) => sum + m.machineOnHours, 0).toFixed(2)
+      )
+    },
+    shift: shift ? shiftSummary(buildShiftReport(shift), 'live') : null
+  });
+});
+
+// Fleet health metrics
+app.get('/api/plant/health', (req, res) => {
+  const machineList = Object.values(machines);
+  
+  const health = {
+    batteryWarnings: machineList.filter(m => m.batteryVoltage < 3.2).length,
+    temperatureWarnings: machineList.filter(m => m.temperature > 100).length,
+    coolantWarnings: machineList.filter(m => m.coolant && m.coolant.level < 20).length,
+    toolWarnings: machineList.filter(m => {
+      if (!m.tools || !m.currentTool) return false;
+      const tool = m.tools[m.currentTool - 1];
+      return tool && tool.currentLife < 15;
+    }).length,
+    avgBatteryVoltage: machineList.length > 0
+      ? parseFloat((machineList.reduce((sum, m) => sum + m.batteryVoltage, 0) / machineList.length).toFixed(2))
+      : 0,
+    avgTemperature: machineList.length > 0
+      ? Math.round(machineList.reduce((sum, m) => sum + m.temperature, 0) / machineList.length)
+      : 0,
+    machines: machineList.map(m => ({
+      id: m.id,
+      name: m.name,
+      warnings: m.warnings
+    }))
+  };
+  
+  // Predictive risk ranking, most at risk first
+  const predictions = machineList.map(m => predictionsFor(m));
+  health.atRisk = predictions.filter(p => p.risk === 'critical' || p.risk === 'warning').length;
+  health.riskRanking = rankFleet(predictions).map(entry => Object.assign(entry, {
+    name: machines[entry.machineId].name
+  }));
+  
+  res.json(health);
+});
+
+// ========================================
+// SIMULATION
+// Speed, pause and step for the simulated fleet, and scripted scenarios
+// for rehearsing operator responses
+// ========================================
+
+const SIM_MAX_STEP_SECONDS = 60 * 60; // one request steps at most an hour
+const SCENARIO_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Clock, seed and the running scenario
+app.get('/api/simulation', (req, res) => {
+  res.json(simulationStatus());
+});
+
+// { speed, paused } (admin)
+app.post('/api/simulation', requireRole('admin'), (req, res) => {
+  const { speed, paused } = req.body;
+  const errors = [];
+  if (speed === undefined && paused === undefined) {
+    errors.push('speed or paused required');
+  }
+  if (speed !== undefined && !SimClock.isSpeed(speed)) {
+    errors.push(`speed must be a number from 0.1 to ${SimClock.MAX_SPEED}`);
+  }
+  if (paused !== undefined && typeof paused !== 'boolean') {
+    errors.push('paused must be true or false');
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid simulation settings', details: errors });
+  }
+  if (!simulationControllable(res)) return;
+
+  const before = simulationState();
+  if (speed !== undefined) simClock.setSpeed(speed);
+  if (paused === true) simClock.pause();
+  if (paused === false) simClock.resume();
+  audit(req, 'SIMULATION_UPDATED', { before, after: simulationState() });
+
+  broadcast({ type: 'SIMULATION_UPDATED', simulation: simulationStatus() });
+  res.json(simulationStatus());
+});
+
+// Advance a paused simulation by { seconds } (default one step) (admin)
+app.post('/api/simulation/step', requireRole('admin'), (req, res) => {
+  const seconds = req.body.seconds !== undefined ? req.body.seconds : SIM_STEP_MS / 1000;
+  if (!(typeof seconds === 'number' && seconds > 0 && seconds <= SIM_MAX_STEP_SECONDS)) {
+    return res.status(400).json({ error: `seconds must be a positive number up to ${SIM_MAX_STEP_SECONDS}` });
+  }
+  if (!simClock.paused) {
+    return res.status(409).json({ error: 'Pause the simulation before stepping it' });
+  }
+  if (!simulationControllable(res)) return;
+
+  const before = simulationState();
+  const steps = advanceSimulation(Math.ceil(seconds * 1000 / SIM_STEP_MS));
+  audit(req, 'SIMULATION_STEPPED', { before, after: simulationState() });
+
+  broadcast({ type: 'SIMULATION_UPDATED', simulation: simulationStatus() });
+  res.json(Object.assign({ steps: steps }, simulationStatus()));
+});
+
+// Scenario files in config/scenarios (or SIM_SCENARIOS)
+app.get('/api/simulation/scenarios', (req, res) => {
+  res.json(listScenarios(SCENARIO_DIR));
+});
+
+// Start a scenario from now: { scenario: id } (admin). Its seed and
+// speed only apply when loaded at startup with SIM_SCENARIO.
+app.post('/api/simulation/scenario', requireRole('admin'), (req, res) => {
+  const id = req.body.scenario;
+  if (!isText(id) || !SCENARIO_ID_PATTERN.test(id)) {
+    return res.status(400).json({ error: 'scenario must be a scenario id' });
+  }
+  const file = scenarioFile(SCENARIO_DIR, id);
+  if (!file) {
+    return res.status(404).json({ error: 'Scenario not found' });
+  }
+  if (scenarioRunner && !scenarioRunner.finished) {
+    return res.status(409).json({ error: `Scenario ${scenarioRunner.scenario.id} is still running - stop it first` });
+  }
+
+  let scenario;
+  try {
+    scenario = loadScenario(file);
+  } catch (err) {
+    return res.status(400).json({ error: `Invalid scenario ${id}`, details: err.errors || [err.message] });
+  }
+  const errors = startScenario(scenario);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: `Scenario ${id} does not fit the fleet`, details: errors });
+  }
+  audit(req, 'SCENARIO_STARTED', { after: { scenario: scenario.id, events: scenario.events.length } });
+
+  broadcast({ type: 'SIMULATION_UPDATED', simulation: simulationStatus() });
+  res.json(simulationStatus());
+});
+
+// Stop the running scenario; what it already did stays (admin)
+app.delete('/api/simulation/scenario', requireRole('admin'), (req, res) => {
+  if (!scenarioRunner || scenarioRunner.finished) {
+    return res.status(404).json({ error: 'No scenario running' });
+  }
+
+  const before = scenarioRunner.status(simClock.now());
+  console.log(`🎬 Scenario ${scenarioRunner.scenario.id} stopped`);
+  scenarioRunner = null;
+  audit(req, 'SCENARIO_STOPPED', { before: { scenario: before.id, fired: before.fired, events: before.events } });
+
+  broadcast({ type: 'SIMULATION_UPDATED', simulation: simulationStatus() });
+  res.json(simulationStatus());
+});
+
+function simulationStatus() {
+  return Object.assign({ seed: simSeed }, simClock.status(), {
+    liveMachines: liveMachineIds(),
+    scenario: scenarioRunner ? scenarioRunner.status(simClock.now()) : null
+  });
+}
+
+function liveMachineIds() {
+  return Object.values(machines).filter(machine => machine.dataSource).map(machine => machine.id);
+}
+
+// Live machines follow the real control's clock, so the simulation
+// clock can only be changed for an all-simulated fleet
+function simulationControllable(res) {
+  const live = liveMachineIds();
+  if (live.length > 0) {
+    res.status(409).json({ error: `Simulation time can't be changed with live machines in the fleet (${live.join(', ')})` });
+    return false;
+  }
+  return true;
+}
+
+// ========================================
+// ALARM CODE CATALOG
+// ========================================
+
+// Catalog (?machineType=&severity=&category=)
+app.get('/api/alarm-codes', (req, res) => {
+  const { machineType, severity, category } = req.query;
+  if (severity && !SEVERITIES.includes(severity)) {
+    return res.status(400).json({ error: `Severity must be one of ${SEVERITIES.join(', ')}` });
+  }
+  
+  const codes = listAlarmCodes({ machineType, severity, category });
+  res.json({
+    count: codes.length,
+    alarmCodes: codes
+  });
+});
+
+// One entry - Haas alarm number, or name for alarms without one
+app.get('/api/alarm-codes/:code', (req, res) => {
+  const { code } = req.params;
+  const entry = /^\d+$/.test(code) ? lookupAlarm(parseInt(code, 10)) : lookupAlarm(null, code);
+  if (!entry) {
+    return res.status(404).json({ error: 'Alarm code not found' });
+  }
+  res.json(entry);
+});
+
+// ========================================
+// ALARM LIFECYCLE
+// ACTIVE -> ACKNOWLEDGED -> CLEARED -> RESOLVED
+// ========================================
+
+// Alarm records (newest first)
+app.get('/api/alarms', (req, res) => {
+  const state = req.query.state ? String(req.query.state).toUpperCase() : null;
+  if (state && !AlarmLog.ALARM_STATES.includes(state)) {
+    return res.status(400).json({ error: `State must be one of ${AlarmLog.ALARM_STATES.join(', ')}` });
+  }
+  
+  const to = req.query.to ? parseTime(req.query.to) : clock.now();
+  const from = req.query.from ? parseTime(req.query.from) : to - 7 * 24 * HOUR_MS;
+  if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+    return res.status(400).json({ error: 'Invalid time range' });
+  }
+  
+  const alarms = alarmLog.list({
+    machineId: req.query.machine || null,
+    state: state,
+    from: from,
+    to: to,
+    limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000)
+  });
+  
+  res.json({
+    count: alarms.length,
+    alarms: alarms
+  });
+});
+
+// One alarm with its activity trail
+app.get('/api/alarms/:alarmId', (req, res) => {
+  const alarm = alarmLog.get(parseInt(req.params.alarmId, 10));
+  if (!alarm) {
+    return res.status(404).json({ error: 'Alarm not found' });
+  }
+  res.json(alarm);
+});
+
+// Acknowledge
+app.post('/api/alarms/:alarmId/ack', requireRole('operator'), (req, res) => {
+  const { note } = req.body;
+  
+  alarmAction(req, res, 'ALARM_ACKNOWLEDGED', id => alarmLog.acknowledge(id, {
+    by: actorOf(req),
+    note: isText(note) ? note : null
+  }));
+});
+
+// Assign to someone for follow-up
+app.post('/api/alarms/:alarmId/assign', requireRole('maintenance'), (req, res) => {
+  const { assignee } = req.body;
+  if (!isText(assignee)) {
+    return res.status(400).json({ error: 'Assignee required' });
+  }
+  
+  alarmAction(req, res, 'ALARM_ASSIGNED', id => alarmLog.assign(id, { by: actorOf(req), assignee }));
+});
+
+// Resolve with a root cause (once cleared on the machine)
+app.post('/api/alarms/:alarmId/resolve', requireRole('maintenance'), (req, res) => {
+  const { rootCause, note } = req.body;
+  if (!isText(rootCause)) {
+    return res.status(400).json({ error: 'Root cause required' });
+  }
+  
+  alarmAction(req, res, 'ALARM_RESOLVED', id => alarmLog.resolve(id, {
+    by: actorOf(req),
+    rootCause: rootCause,
+    note: isText(note) ? note : null
+  }));
+});
+
+// Free-text notes
+app.get('/api/alarms/:alarmId/comments', (req, res) => {
+  const id = parseInt(req.params.alarmId, 10);
+  if (!alarmLog.get(id)) {
+    return res.status(404).json({ error: 'Alarm not found' });
+  }
+  res.json(alarmLog.comments(id));
+});
+
+app.post('/api/alarms/:alarmId/comments', requireRole('operator'), (req, res) => {
+  const { text } = req.body;
+  if (!isText(text)) {
+    return res.status(400).json({ error: 'Text required' });
+  }
+  
+  try {
+    const comments = alarmLog.comment(parseInt(req.params.alarmId, 10), { by: actorOf(req), text });
+    res.status(201).json(comments);
+  } catch (err) {
+    if (!(err instanceof AlarmLog.AlarmError)) throw err;
+    res.status(err.status).json({ error: err.message });
+  }
+});
+
+// Run a lifecycle change, audit it and tell dashboards about it
+function alarmAction(req, res, action, change) {
+  const id = parseInt(req.params.alarmId, 10);
+  const before = alarmLog.get(id);
+  try {
+    const alarm = change(id);
+    audit(req, action, { machineId: alarm.machineId, before: alarmState(before), after: alarmState(alarm) });
+    broadcast({ type: 'ALARM_UPDATED', alarm: alarm });
+    res.json({ success: true, alarm: alarm });
+  } catch (err) {
+    if (!(err instanceof AlarmLog.AlarmError)) throw err;
+    res.status(err.status).json({ error: err.message });
+  }
+}
+
+function isText(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+// ========================================
+// JOBS
+// PENDING -> QUEUED -> ACTIVE -> COMPLETED (or CANCELLED)
+// ========================================
+
+// Jobs (newest first)
+app.get('/api/jobs', (req, res) => {
+  const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+  if (status && !JobTracker.JOB_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of ${JobTracker.JOB_STATUSES.join(', ')}` });
+  }
+  
+  const jobs = jobTracker.list({
+    machineId: req.query.machine || null,
+    status: status,
+    limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000)
+  });
+  
+  res.json({
+    count: jobs.length,
+    jobs: jobs
+  });
+});
+
+app.get('/api/jobs/:jobId', (req, res) => {
+  const job = jobTracker.get(parseInt(req.params.jobId, 10));
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(job);
+});
+
+// Create a job, optionally straight onto a machine's queue
+app.post('/api/jobs', requireRole('operator'), (req, res) => {
+  const { machine: machineId } = req.body;
+  const errors = validateJob(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid job', details: errors });
+  }
+  if (machineId !== undefined && !machines[machineId]) {
+    return res.status(404).json({ error: 'Machine not found' });
+  }
+  if (machineId !== undefined) {
+    const problems = assignmentProblems(req.body.program, machines[machineId]);
+    if (problems.length > 0) {
+      return res.status(409).json({ error: `${req.body.program} can't be assigned to ${machineId}`, details: problems });
+    }
+  }
+  
+  jobAction(req, res, 'JOB_CREATED', () => {
+    const job = jobTracker.create(Object.assign(toJobFields(req.body), { by: actorOf(req) }));
+    return machineId !== undefined ? jobTracker.assign(job.id, machineId) : job;
+  }, 201);
+});
+
+// Queue on a machine (a QUEUED job can be moved to another machine)
+app.post('/api/jobs/:jobId/assign', requireRole('operator'), (req, res) => {
+  const { machine: machineId } = req.body;
+  if (!isText(machineId)) {
+    return res.status(400).json({ error: 'Machine required' });
+  }
+  
+  const job = jobTracker.get(parseInt(req.params.jobId, 10));
+  if (job && machines[machineId]) {
+    const problems = assignmentProblems(job.program, machines[machineId]);
+    if (problems.length > 0) {
+      return res.status(409).json({ error: `${job.program} can't be assigned to ${machineId}`, details: problems });
+    }
+  }
+  
+  jobAction(req, res, 'JOB_ASSIGNED', id => jobTracker.assign(id, machineId));
+});
+
+// Close an active job before its quantity is reached
+app.post('/api/jobs/:jobId/complete', requireRole('operator'), (req, res) => {
+  jobAction(req, res, 'JOB_COMPLETED', id => jobTracker.complete(id, { by: actorOf(req) }));
+});
+
+app.post('/api/jobs/:jobId/cancel', requireRole('operator'), (req, res) => {
+  const { reason } = req.body;
+  
+  jobAction(req, res, 'JOB_CANCELLED', id => jobTracker.cancel(id, {
+    by: actorOf(req),
+    reason: isText(reason) ? reason : null
+  }));
+});
+
+// Active job and queue for one machine
+app.get('/api/machines/:id/jobs', (req, res) => {
+  const machine = machines[req.params.id];
+  if (!machine) {
+    return res.status(404).json({ error: 'Machine not found' });
+  }
+  
+  res.json(Object.assign({ machine: machine.id }, jobTracker.machineJobs(machine.id)));
+});
+
+// Status changes are broadcast by the tracker's 'updated' event
+function jobAction(req, res, action, change, status = 200) {
+  const id = parseInt(req.params.jobId, 10);
+  const before = req.params.jobId !== undefined ? jobTracker.get(id) : null;
+  try {
+    const job = change(id);
+    audit(req, action, { machineId: job.machineId, before: jobState(before), after: jobState(job) });
+    res.status(status).json({ success: true, job: job });
+  } catch (err) {
+    if (!(err instanceof JobTracker.JobError)) throw err;
+    res.status(err.status).json({ error: err.message });
+  }
+}
+
+function validateJob(job) {
+  const errors = [];
+  
+  ['workOrder', 'partNumber'].forEach(field => {
+    if (!isText(job[field])) errors.push(`${field} required`);
+  });
+  if (typeof job.program !== 'string' || !PROGRAM_NUMBER_PATTERN.test(job.program)) {
+    errors.push('program must be a Haas program number like "O1234"');
+  }
+  if (job.material !== undefined && job.material !== null && typeof job.material !== 'string') {
+    errors.push('material must be a string');
+  }
+  if (!(Number.isInteger(job.quantity) && job.quantity > 0)) {
+    errors.push('quantity must be a positive whole number');
+  }
+  if (job.dueAt !== undefined && job.dueAt !== null && Number.isNaN(Date.parse(job.dueAt))) {
+    errors.push('dueAt must be an ISO date');
+  }
+  if (job.machine !== undefined && typeof job.machine !== 'string') {
+    errors.push('machine must be a machine id');
+  }
+  
+  return errors;
+}
+
+function toJobFields(job) {
+  return {
+    workOrder: job.workOrder,
+    partNumber: job.partNumber,
+    program: job.program,
+    material: job.material || null,
+    quantity: job.quantity,
+    dueAt: job.dueAt ? Date.parse(job.dueAt) : null,
+    machine: job.machine
+  };
+}
+
+// ========================================
+// G-CODE PROGRAMS
+// The NC program library. Machines running a program from it execute the
+// approved version block by block (the latest until one is approved);
+// other program numbers get a made-up cycle
+// ========================================
+
+// ?model= only programs tagged for that model (or untagged)
+app.get('/api/programs', (req, res) => {
+  const programs = programStore.list({ model: req.query.model });
+  res.json({
+    count: programs.length,
+    programs: programs
+  });
+});
+
+// With ?machine=, how the version machines run goes there: cycle time,
+// path length, the travel it needs and whether it fits
+app.get('/api/programs/:number', (req, res) => {
+  const program = programStore.get(req.params.number);
+  if (!program) {
+    return res.status(404).json({ error: 'Program not found' });
+  }
+  if (req.query.machine === undefined) {
+    return res.json(program);
+  }
+  
+  const machine = machines[req.query.machine];
+  if (!machine) {
+    return res.status(404).json({ error: 'Machine not found' });
+  }
+  if (!CNC_TYPES.includes(machine.type)) {
+    return res.status(400).json({ error: `${machine.type} machines don't run G-code programs` });
+  }
+  
+  const run = programStore.runVersion(program.number);
+  const plan = planProgram(parseProgram(run.source), machine.specs, {
+    position: machine.axisPositions,
+    tool: machine.currentTool
+  });
+  const problems = fitProblems(program, run.source, machine);
+  res.json(Object.assign(program, {
+    plan: {
+      machine: machine.id,
+      version: run.version,
+      cycleSeconds: plan.cycleSeconds,
+      distance: plan.distance,
+      extents: plan.extents,
+      overtravel: plan.overtravel,
+      fits: problems.length === 0,
+      problems: problems
+    }
+  }));
+});
+
+app.get('/api/programs/:number/versions/:version', (req, res) => {
+  const version = programStore.version(req.params.number, parseInt(req.params.version, 10));
+  if (!version) {
+    return res.status(404).json({ error: 'Program version not found' });
+  }
+  res.json(version);
+});
+
+// The G-code as an .nc file (?version=, default the version machines run)
+app.get('/api/programs/:number/download', (req, res) => {
+  const version = req.query.version !== undefined
+    ? programStore.version(req.params.number, parseInt(req.query.version, 10))
+    : programStore.runVersion(req.params.number);
+  if (!version) {
+    return res.status(404).json({ error: 'Program version not found' });
+  }
+  
+  res.set('Content-Type', 'text/plain; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${version.number}.nc"`);
+  res.send(version.source);
+});
+
+// Unified diff between two versions: ?from= (default the approved
+// version, else the one before) ?to= (default the latest)
+app.get('/api/programs/:number/diff', (req, res) => {
+  const program = programStore.get(req.params.number);
+  if (!program) {
+    return res.status(404).json({ error: 'Program not found' });
+  }
+  
+  const to = req.query.to !== undefined ? parseInt(req.query.to, 10) : program.version;
+  const from = req.query.from !== undefined
+    ? parseInt(req.query.from, 10)
+    : (program.approvedVersion !== null && program.approvedVersion !== to ? program.approvedVersion : to - 1);
+  const fromVersion = programStore.version(program.number, from);
+  const toVersion = programStore.version(program.number, to);
+  if (!fromVersion || !toVersion) {
+    return res.status(404).json({ error: `${program.number} has no version ${!fromVersion ? from : to}` });
+  }
+  
+  const diff = diffLines(fromVersion.source, toVersion.source, {
+    fromLabel: `${program.number} version ${from}`,
+    toLabel: `${program.number} version ${to}`
+  });
+  res.json(Object.assign({ number: program.number, from: from, to: to }, diff));
+});
+
+// The G-code as text/plain, or JSON { source, models }. The number comes
+// from the program's O word; uploading a number again adds a version
+// (a draft until approved). Model tags: models in JSON, ?models=VF-2,VF-4
+// with text/plain
+app.post('/api/programs', requireRole('operator'), express.text({ type: 'text/*', limit: '1mb' }), (req, res) => {
+  const body = typeof req.body === 'string' ? { source: req.body } : req.body;
+  const source = body.source;
+  if (!isText(source)) {
+    return res.status(400).json({ error: 'G-code required (text/plain body or JSON { source })' });
+  }
+  const models = body.models !== undefined ? body.models
+    : (req.query.models !== undefined ? String(req.query.models).split(',').map(model => model.trim()) : undefined);
+  const modelErrors = models !== undefined ? validateModels(models) : [];
+  if (modelErrors.length > 0) {
+    return res.status(400).json({ error: 'Invalid models', details: modelErrors });
+  }
+  
+  let program;
+  try {
+    program = parseProgram(source);
+  } catch (err) {
+    if (!(err instanceof ProgramError)) throw err;
+    return res.status(400).json({ error: 'Invalid program', details: err.errors });
+  }
+  
+  const before = programStore.get(program.number);
+  // Until a version is approved, machines run the latest upload
+  const runs = before && before.approvedVersion !== null
+    ? programStore.version(program.number, before.approvedVersion).source
+    : source;
+  const tagged = { number: program.number, models: models !== undefined ? models : (before ? before.models : []) };
+  const problems = usageProblems(tagged, runs);
+  if (problems.length > 0) {
+    return res.status(409).json({ error: `${program.number} doesn't fit the machines that run it`, details: problems });
+  }
+  
+  const { program: saved, version } = programStore.save(program, source, { by: actorOf(req), models: models });
+  if (version || models !== undefined) {
+    audit(req, 'PROGRAM_UPLOADED', {
+      before: before ? programState(before) : null,
+      after: programState(saved)
+    });
+  }
+  
+  res.status(version ? 201 : 200).json({ success: true, program: saved, version: version });
+});
+
+// Re-tag a program with the models it's written for ([] = any model)
+app.patch('/api/programs/:number', requireRole('operator'), (req, res) => {
+  const { models } = req.body;
+  const errors = validateModels(models);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid models', details: errors });
+  }
+  
+  const before = programStore.get(req.params.number);
+  if (!before) {
+    return res.status(404).json({ error: 'Program not found' });
+  }
+  const problems = usageProblems(Object.assign({}, before, { models }), programStore.runVersion(before.number).source);
+  if (problems.length > 0) {
+    return res.status(409).json({ error: `${before.number} doesn't fit the machines that run it`, details: problems });
+  }
+  
+  programAction(res, () => {
+    const program = programStore.setModels(req.params.number, models);
+    audit(req, 'PROGRAM_UPDATED', { before: programState(before), after: programState(program) });
+    return program;
+  });
+});
+
+// Lock a version for production: machines run it from their next cycle
+// and jobs can be assigned the program
+app.post('/api/programs/:number/versions/:version/approve', requireRole('admin'), (req, res) => {
+  const before = programStore.get(req.params.number);
+  if (!before) {
+    return res.status(404).json({ error: 'Program not found' });
+  }
+  const version = programStore.version(before.number, parseInt(req.params.version, 10));
+  const problems = version ? usageProblems(before, version.source) : [];
+  if (problems.length > 0) {
+    return res.status(409).json({ error: `${before.number} version ${version.version} doesn't fit the machines that run it`, details: problems });
+  }
+  
+  programAction(res, () => {
+    const program = programStore.approve(req.params.number, parseInt(req.params.version, 10), { by: actorOf(req) });
+    audit(req, 'PROGRAM_APPROVED', { before: programState(before), after: programState(program) });
+    return program;
+  });
+});
+
+function programAction(res, action) {
+  try {
+    res.json({ success: true, program: action() });
+  } catch (err) {
+    if (!(err instanceof ProgramStore.LibraryError)) throw err;
+    res.status(err.status).json({ error: err.message });
+  }
+}
+
+function validateModels(models) {
+  if (!Array.isArray(models)) {
+    return ['models must be a list of machine models like ["VF-2", "VF-4"] ([] = any model)'];
+  }
+  return models.filter(model => !isText(model)).map(model => `models: ${JSON.stringify(model)} is not a machine model`);
+}
+
+// Why a machine can't be given a program, [] when it can. Programs the
+// library doesn't have (kept on the control) aren't checked; the
+// library's own need an approved version that fits the machine.
+function assignmentProblems(number, machine) {
+  const program = programStore.get(number);
+  if (!program) return [];
+  if (program.approvedVersion === null) {
+    return [`${number} has no approved version`];
+  }
+  return fitProblems(program, programStore.version(number, program.approvedVersion).source, machine);
+}
+
+// Why `source` under `program`'s model tags wouldn't fit what runs the
+// program number: CNC machines running it now and machines with a job
+// for it queued or active. [] when it fits them all.
+function usageProblems(program, source) {
+  const users = new Map(); // machineId -> job ids
+  Object.values(machines).forEach(machine => {
+    if (CNC_TYPES.includes(machine.type) && machine.programRunning === program.number) users.set(machine.id, []);
+  });
+  ['ACTIVE', 'QUEUED'].forEach(status => {
+    jobTracker.list({ status: status, limit: -1 })
+      .filter(job => job.program === program.number && machines[job.machineId])
+      .forEach(job => users.set(job.machineId, (users.get(job.machineId) || []).concat(job.id)));
+  });
+  
+  const problems = [];
+  users.forEach((jobIds, machineId) => {
+    const who = jobIds.length > 0 ? `${machineId} (job ${jobIds.join(', ')})` : machineId;
+    fitProblems(program, source, machines[machineId]).forEach(problem => problems.push(`${who}: ${problem}`));
+  });
+  return problems;
+}
+
+// Model tags, then travel, spindle speed and tool pockets
+function fitProblems(program, source, machine) {
+  if (!CNC_TYPES.includes(machine.type)) {
+    return [`${machine.type} machines don't run G-code programs`];
+  }
+  const problems = [];
+  if (!ProgramStore.fitsModel(program, machine.model)) {
+    problems.push(`${program.number} is for ${program.models.join(', ')}, not ${machine.model}`);
+  }
+  return problems.concat(checkProgramFit(parseProgram(source), machine.specs));
+}
+
+// A machine definition as the fit check sees it, before it's applied
+function machineTarget(entry) {
+  return { model: entry.model, type: entry.type, specs: HaasMachine.normalizeSpecs(entry.specs) };
+}
+
+function programState(program) {
+  return {
+    number: program.number,
+    comment: program.comment,
+    models: program.models,
+    version: program.version,
+    approvedVersion: program.approvedVersion,
+    lines: program.lines,
+    tools: program.tools
+  };
+}
+
+// ========================================
+// BEND PROGRAMS
+// Press brakes running one of these program numbers bend to it (see
+// bendPrograms.js); config/bend-programs.json (or BEND_PROGRAMS)
+// ========================================
+
+app.get('/api/bend-programs', (req, res) => {
+  const programs = listBendPrograms();
+  res.json({
+    count: programs.length,
+    programs: programs,
+    materials: MATERIALS
+  });
+});
+
+// Tonnage per bend. With ?machine=, the plan on that press: cycle time,
+// the limit each bend runs against (press or tooling) and whether it fits
+app.get('/api/bend-programs/:number', (req, res) => {
+  const program = getBendProgram(req.params.number);
+  if (!program) {
+    return res.status(404).json({ error: 'Bend program not found' });
+  }
+  if (req.query.machine === undefined) {
+    return res.json(Object.assign({}, program, {
+      bends: program.bends.map(bend => Object.assign({}, bend, {
+        tonnage: parseFloat(bendTonnage(program, bend.length || program.length).toFixed(1))
+      }))
+    }));
+  }
+  
+  const machine = machines[req.query.machine];
+  if (!machine) {
+    return res.status(404).json({ error: 'Machine not found' });
+  }
+  if (machine.type !== 'PRESS_BRAKE') {
+    return res.status(400).json({ error: `${machine.type} machines don't run bend programs` });
+  }
+  
+  const plan = planBends(program, { maxTonnage: machine.maxTonnage, axisLimits: machine.specs.axisLimits }, {
+    backGauge: machine.backGauge
+  });
+  res.json(Object.assign({}, program, {
+    plan: {
+      machine: machine.id,
+      cycleSeconds: plan.cycleSeconds,
+      peakTonnage: plan.peakTonnage,
+      angleTolerance: plan.angleTolerance,
+      bends: plan.bends,
+      fits: plan.problems.length === 0,
+      problems: plan.problems
+    }
+  }));
+});
+
+// ========================================
+// PREVENTIVE MAINTENANCE
+// OPEN -> IN_PROGRESS -> COMPLETED (or CANCELLED)
+// ========================================
+
+// Plans (?machineType=)
+app.get('/api/maintenance/plans', (req, res) => {
+  res.json(listPlans({ machineType: req.query.machineType }));
+});
+
+// Schedule for one machine
+app.get('/api/machines/:id/maintenance', (req, res) => {
+  const machine = machines[req.params.id];
+  if (!machine) {
+    return res.status(404).json({ error: 'Machine not found' });
+  }
+  
+  res.json({
+    machine: machine.id,
+    maintenanceMode: machine.maintenanceMode,
+    machineOnHours: parseFloat(machine.machineOnHours.toFixed(2)),
+    spindleHours: parseFloat(machine.spindleHours.toFixed(2)),
+    tasks: maintenanceLog.schedule(machine),
+    openOrders: maintenanceLog.list({ machineId: machine.id, status: 'OPEN' })
+      .concat(maintenanceLog.list({ machineId: machine.id, status: 'IN_PROGRESS' }))
+  });
+});
+
+// Due and overdue tasks across the fleet, overdue first
+app.get('/api/maintenance/due', (req, res) => {
+  const tasks = [];
+  Object.values(machines).forEach(machine => {
+    maintenanceLog.schedule(machine)
+      .filter(task => task.status !== 'ok')
+      .forEach(task => tasks.push(Object.assign({ machineId: machine.id, machineName: machine.name }, task)));
+  });
+  
+  tasks.sort((a, b) => {
+    if (a.status !== b.status) return a.status === 'overdue' ? -1 : 1;
+    return Math.min(...a.intervals.map(i => i.remaining / i.interval)) -
+      Math.min(...b.intervals.map(i => i.remaining / i.interval));
+  });
+  
+  res.json({
+    overdue: tasks.filter(task => task.status === 'overdue').length,
+    due: tasks.filter(task => task.status === 'due').length,
+    tasks: tasks
+  });
+});
+
+// Work orders (newest first)
+app.get('/api/maintenance/orders', (req, res) => {
+  const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+  if (status && !MaintenanceLog.ORDER_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of ${MaintenanceLog.ORDER_STATUSES.join(', ')}` });
+  }
+  
+  const orders = maintenanceLog.list({
+    machineId: req.query.machine || null,
+    status: status,
+    limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000)
+  });
+  
+  res.json({
+    count: orders.length,
+    orders: orders
+  });
+});
+
+app.get('/api/maintenance/orders/:orderId', (req, res) => {
+  const order = maintenanceLog.get(parseInt(req.params.orderId, 10));
+  if (!order) {
+    return res.status(404).json({ error: 'Work order not found' });
+  }
+  res.json(order);
+});
+
+// Open a work order from a plan (planId) or ad hoc (title)
+app.post('/api/machines/:id/maintenance/orders', requireRole('maintenance'), (req, res) => {
+  const machine = machines[req.params.id];
+  if (!machine) {
+    return res.status(404).json({ error: 'Machine not found' });
+  }
+  
+  const { planId, title, assignee, notes } = req.body;
+  if (!isText(planId) && !isText(title)) {
+    return res.status(400).json({ error: 'planId or title required' });
+  }
+  
+  workOrderAction(req, res, 'WORK_ORDER_CREATED', () => maintenanceLog.createOrder(machine.id, {
+    planId: isText(planId) ? planId : null,
+    title: isText(title) ? title : null,
+    assignee: isText(assignee) ? assignee : null,
+    notes: isText(notes) ? notes : null,
+    by: actorOf(req)
+  }), 201);
+});
+
+// Start work - the machine goes into MAINTENANCE
+app.post('/api/maintenance/orders/:orderId/start', requireRole('maintenance'), (req, res) => {
+  workOrderAction(req, res, 'WORK_ORDER_STARTED', id => maintenanceLog.start(id, { by: actorOf(req) }));
+});
+
+// Sign off - records the hour meters the work was done at
+app.post('/api/maintenance/orders/:orderId/complete', requireRole('maintenance'), (req, res) => {
+  const { notes } = req.body;
+  
+  workOrderAction(req, res, 'WORK_ORDER_COMPLETED', id => maintenanceLog.complete(id, {
+    by: actorOf(req),
+    notes: isText(notes) ? notes : null
+  }));
+});
+
+app.post('/api/maintenance/orders/:orderId/cancel', requireRole('maintenance'), (req, res) => {
+  const { reason } = req.body;
+  
+  workOrderAction(req, res, 'WORK_ORDER_CANCELLED', id => maintenanceLog.cancel(id, {
+    by: actorOf(req),
+    reason: isText(reason) ? reason : null
+  }));
+});
+
+// Manual MAINTENANCE state, e.g. for unplanned repairs
+app.post('/api/machines/:id/maintenance-mode', requireRole('maintenance'), (req, res) => {
+  const machine = machines[req.params.id];
+  if (!machine) {
+    return res.status(404).json({ error: 'Machine not found' });
+  }
+  
+  const { active } = req.body;
+  if (typeof active !== 'boolean') {
+    return res.status(400).json({ error: 'active must be true or false' });
+  }
+  
+  const busy = maintenanceLog.inProgress(machine.id);
+  if (!active && busy.length > 0) {
+    return res.status(409).json({ error: `Complete or cancel work order ${busy.join(', ')} first` });
+  }
+  
+  const before = controlState(machine);
+  machine.setMaintenance(active);
+  audit(req, active ? 'MAINTENANCE_MODE_ON' : 'MAINTENANCE_MODE_OFF', { machineId: machine.id, before, after: controlState(machine) });
+  
+  res.json({
+    success: true,
+    machine: machine.id,
+    maintenanceMode: machine.maintenanceMode,
+    execution: machine.execution
   });
 });
 
-// Fleet health metrics
-app.get('/api/plant/health', (req, res) => {
-  const machineList = Object.values(machines);
+// Run a work order change and tell dashboards about it
+// Starting, completing or cancelling an order can move the machine in or
+// out of MAINTENANCE, so its state is audited with the order's
+function workOrderAction(req, res, action, change, status = 200) {
+  const id = parseInt(req.params.orderId, 10);
+  const current = req.params.orderId !== undefined ? maintenanceLog.get(id) : null;
+  const machine = () => machines[current ? current.machineId : req.params.id];
+  const before = current ? workOrderState(current, machine()) : null;
+  try {
+    const order = change(id);
+    audit(req, action, { machineId: order.machineId, before, after: workOrderState(order, machine()) });
+    broadcast({ type: 'WORK_ORDER_UPDATED', workOrder: order });
+    res.status(status).json({ success: true, workOrder: order });
+  } catch (err) {
+    if (!(err instanceof MaintenanceLog.MaintenanceError)) throw err;
+    res.status(err.status).json({ error: err.message });
+  }
+}
+
+// ========================================
+// NOTIFICATION ENDPOINTS
+// ========================================
+
+// Channels (without secrets) and rules
+app.get('/api/notifications', (req, res) => {
+  if (!notifier) {
+    return res.json({ enabled: false });
+  }
+  res.json(Object.assign({ enabled: true }, notifier.describe()));
+});
+
+// Recent deliveries (sent, failed, rate-limited)
+app.get('/api/notifications/log', (req, res) => {
+  res.json(notifier ? notifier.log.slice().reverse() : []);
+});
+
+// Send a sample message to one channel
+app.post('/api/notifications/test', requireRole('admin'), async (req, res) => {
+  if (!notifier) {
+    return res.status(404).json({ error: 'Notifications are not configured' });
+  }
   
-  const health = {
-    batteryWarnings: machineList.filter(m => m.batteryVoltage < 3.2).length,
-    temperatureWarnings: machineList.filter(m => m.temperature > 100).length,
-    coolantWarnings: machineList.filter(m => m.coolant && m.coolant.level < 20).length,
-    toolWarnings: machineList.filter(m => {
-      if (!m.tools || !m.currentTool) return false;
-      const tool = m.tools[m.currentTool - 1];
-      return tool && tool.currentLife < 15;
-    }).length,
-    avgBatteryVoltage: parseFloat(
-      (machineList.reduce((sum, m) => sum + m.batteryVoltage, 0) / machineList.length).toFixed(2)
-    ),
-    avgTemperature: Math.round(
-      machineList.reduce((sum, m) => sum + m.temperature, 0) / machineList.length
-    ),
-    machines: machineList.map(m => ({
-      id: m.id,
-      name: m.name,
-      warnings: m.warnings
-    }))
-  };
+  const { channel } = req.body;
+  if (!notifier.channels[channel]) {
+    return res.status(400).json({ error: `Channel must be one of ${Object.keys(notifier.channels).join(', ')}` });
+  }
   
-  res.json(health);
+  try {
+    await notifier.test(channel);
+    res.json({ success: true, channel: channel });
+  } catch (err) {
+    res.status(502).json({ error: `Delivery failed: ${err.message}` });
+  }
 });
 
 // ========================================
 // ANALYTICS ENDPOINTS
 // ========================================
 
-// Uptime statistics
+// Uptime statistics (powered-on time spent RUNNING, since midnight)
 app.get('/api/analytics/uptime', (req, res) => {
   const machineList = Object.values(machines);
+  const { from, to } = resolveWindow('day');
   
   const analytics = machineList.map(m => {
-    const uptime = m.power ? (m.execution === 'RUNNING' ? 100 : 50) : 0;
+    const states = timeInState(productionLog.segments(m.id, from, to), from, to);
+    const poweredSec = states.RUNNING + states.IDLE + states.ALARM + states.STOPPED;
+    const uptime = poweredSec > 0 ? Math.round((states.RUNNING / poweredSec) * 100) : 0;
     
     return {
       id: m.id,
@@ -457,67 +2628,820 @@ app.get('/api/analytics/uptime', (req, res) => {
   
   res.json({
     machines: analytics,
-    fleetAvgUptime: Math.round(
-      analytics.reduce((sum, a) => sum + a.uptime, 0) / analytics.length
-    )
+    fleetAvgUptime: analytics.length > 0
+      ? Math.round(analytics.reduce((sum, a) => sum + a.uptime, 0) / analytics.length)
+      : 0
+  });
+});
+
+// OEE per machine and for the plant
+app.get('/api/analytics/oee', (req, res) => {
+  const window = req.query.window || 'day';
+  if (!WINDOWS.includes(window)) {
+    return res.status(400).json({ error: `Window must be one of ${WINDOWS.join(', ')}` });
+  }
+  
+  let { from, to } = resolveWindow(window);
+  if (req.query.from) from = parseTime(req.query.from);
+  if (req.query.to) to = parseTime(req.query.to);
+  if (Number.isNaN(from) || Number.isNaN(to) || from >= to) {
+    return res.status(400).json({ error: 'Invalid time range' });
+  }
+  
+  const machineList = Object.values(machines);
+  const results = machineList.map(m => machineOee(m, from, to));
+  
+  res.json({
+    window: req.query.from || req.query.to ? 'custom' : window,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    plant: combineOee(results),
+    machines: machineList.map((m, i) => Object.assign({ id: m.id, name: m.name, model: m.model }, results[i]))
+  });
+});
+
+// OEE for one machine over [from, to); shift breaks are not planned time
+function machineOee(machine, from, to) {
+  return calculateOee({
+    segments: productionLog.segments(machine.id, from, to),
+    cycles: productionLog.cycles(machine.id, from, to),
+    from: from,
+    to: to,
+    idealCycleTime: program => idealCycleTimeFor(machine, program),
+    rejectedParts: productionLog.rejectedParts(machine.id, from, to),
+    breaks: breaksBetween(from, to)
+  });
+}
+
+// Seconds per part from the fleet config: per program, then per machine
+function idealCycleTimeFor(machine, program) {
+  const idealCycleTimes = fleetConfig.idealCycleTimes || {};
+  return idealCycleTimes[program] || (machine.config && machine.config.idealCycleTime) || null;
+}
+
+// Downtime Pareto - IDLE/STOPPED hours by reason code
+app.get('/api/analytics/downtime', (req, res) => {
+  const window = req.query.window || 'day';
+  if (!WINDOWS.includes(window)) {
+    return res.status(400).json({ error: `Window must be one of ${WINDOWS.join(', ')}` });
+  }
+  
+  let { from, to } = resolveWindow(window);
+  if (req.query.from) from = parseTime(req.query.from);
+  if (req.query.to) to = parseTime(req.query.to);
+  if (Number.isNaN(from) || Number.isNaN(to) || from >= to) {
+    return res.status(400).json({ error: 'Invalid time range' });
+  }
+  
+  const reasons = productionLog.downtimeByReason(req.query.machine || null, from, to);
+  const totalSec = reasons.reduce((sum, r) => sum + r.seconds, 0);
+  
+  let cumulative = 0;
+  res.json({
+    window: req.query.from || req.query.to ? 'custom' : window,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    totalHours: parseFloat((totalSec / 3600).toFixed(3)),
+    reasons: reasons.map(r => {
+      cumulative += r.seconds;
+      return {
+        code: r.code,
+        label: r.label,
+        events: r.events,
+        hours: parseFloat((r.seconds / 3600).toFixed(3)),
+        percent: totalSec > 0 ? parseFloat((r.seconds / totalSec * 100).toFixed(1)) : 0,
+        cumulativePercent: totalSec > 0 ? parseFloat((cumulative / totalSec * 100).toFixed(1)) : 0
+      };
+    })
   });
 });
 
-// Alarm frequency analysis
+// Alarm frequency and response times (MTTA / MTTR)
 app.get('/api/analytics/alarms', (req, res) => {
+  const window = req.query.window || 'week';
+  if (!WINDOWS.includes(window)) {
+    return res.status(400).json({ error: `Window must be one of ${WINDOWS.join(', ')}` });
+  }
+  
+  let { from, to } = resolveWindow(window);
+  if (req.query.from) from = parseTime(req.query.from);
+  if (req.query.to) to = parseTime(req.query.to);
+  if (Number.isNaN(from) || Number.isNaN(to) || from >= to) {
+    return res.status(400).json({ error: 'Invalid time range' });
+  }
+  
+  const alarms = alarmLog.list({ machineId: req.query.machine || null, from, to, limit: -1 });
+  const sortedAlarms = alarmFrequency(alarms);
+  
+  const byState = {};
+  AlarmLog.ALARM_STATES.forEach(state => { byState[state] = 0; });
+  alarms.forEach(alarm => { byState[alarm.state]++; });
+  
+  res.json({
+    window: req.query.from || req.query.to ? 'custom' : window,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    totalAlarms: alarms.length,
+    uniqueAlarmTypes: sortedAlarms.length,
+    byState: byState,
+    avgTimeToAcknowledgeSec: average(alarms.map(a => a.timeToAcknowledgeSec).filter(t => t !== null)),
+    avgTimeToResolveSec: average(alarms.map(a => a.timeToResolveSec).filter(t => t !== null)),
+    topAlarms: sortedAlarms.slice(0, 10)
+  });
+});
+
+// Alarms grouped by message, most frequent first
+function alarmFrequency(alarms) {
   const alarmStats = {};
   
-  Object.values(machines).forEach(machine => {
-    machine.alarmHistory.forEach(alarm => {
-      const key = alarm.message || 'UNKNOWN';
-      if (!alarmStats[key]) {
-        alarmStats[key] = {
-          message: key,
-          code: alarm.code,
-          count: 0,
-          machines: new Set()
-        };
-      }
-      alarmStats[key].count++;
-      alarmStats[key].machines.add(machine.name);
-    });
+  alarms.forEach(alarm => {
+    const key = alarm.message || 'UNKNOWN';
+    if (!alarmStats[key]) {
+      alarmStats[key] = {
+        message: key,
+        code: alarm.code,
+        severity: alarm.severity,
+        count: 0,
+        machines: new Set(),
+        ackTimes: [],
+        resolveTimes: []
+      };
+    }
+    alarmStats[key].count++;
+    alarmStats[key].machines.add(machines[alarm.machineId] ? machines[alarm.machineId].name : alarm.machineId);
+    if (alarm.timeToAcknowledgeSec !== null) alarmStats[key].ackTimes.push(alarm.timeToAcknowledgeSec);
+    if (alarm.timeToResolveSec !== null) alarmStats[key].resolveTimes.push(alarm.timeToResolveSec);
   });
   
-  const sortedAlarms = Object.values(alarmStats)
+  return Object.values(alarmStats)
     .map(stat => ({
       message: stat.message,
       code: stat.code,
+      severity: stat.severity,
       count: stat.count,
-      machines: Array.from(stat.machines)
+      machines: Array.from(stat.machines),
+      avgTimeToAcknowledgeSec: average(stat.ackTimes),
+      avgTimeToResolveSec: average(stat.resolveTimes)
     }))
     .sort((a, b) => b.count - a.count);
+}
+
+function average(values) {
+  return values.length > 0
+    ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length)
+    : null;
+}
+
+// ========================================
+// SHIFT REPORTS
+// Shifts come from config/shifts.json (or SHIFT_CALENDAR), in the
+// plant timezone
+// ========================================
+
+const SHIFT_REPORT_MAX_DAYS = 31;
+
+// Calendar with the shift running now and today's shifts
+app.get('/api/shifts', (req, res) => {
+  const now = clock.now();
+  const calendar = getShiftCalendar();
+  const current = currentShift(now);
   
   res.json({
-    totalAlarms: sortedAlarms.reduce((sum, a) => sum + a.count, 0),
-    uniqueAlarmTypes: sortedAlarms.length,
-    topAlarms: sortedAlarms.slice(0, 10)
+    timezone: calendar.timezone,
+    shifts: calendar.shifts,
+    holidays: calendar.holidays,
+    current: current ? toShiftTimes(current) : null,
+    today: shiftsOn(localDate(now)).map(toShiftTimes)
+  });
+});
+
+// One shift's report (?date=&shift=); defaults to the running shift,
+// or the last one between shifts. Ended shifts come from their snapshot.
+app.get('/api/reports/shift', (req, res) => {
+  const now = clock.now();
+  const { date, shift } = req.query;
+  const names = getShiftCalendar().shifts.map(s => s.name);
+  let instance;
+  
+  if (date === undefined && shift === undefined) {
+    instance = currentShift(now) || lastEndedShift(now);
+  } else {
+    if (!names.includes(shift)) {
+      return res.status(400).json({ error: `Shift must be one of ${names.join(', ')}` });
+    }
+    if (date !== undefined && !(/^\d{4}-\d{2}-\d{2}$/.test(date) && !Number.isNaN(Date.parse(date)))) {
+      return res.status(400).json({ error: 'Date must be YYYY-MM-DD' });
+    }
+  
+    // Without a date: the latest time that shift was worked
+    instance = date !== undefined
+      ? shiftInstance(date, shift)
+      : shiftsBetween(now - SHIFT_REPORT_MAX_DAYS * 24 * HOUR_MS, now)
+        .filter(s => s.shift === shift && s.from <= now)
+        .pop();
+  }
+  
+  if (!instance) {
+    return res.status(404).json({ error: date ? `No ${shift} shift on ${date}` : 'No shift found' });
+  }
+  if (instance.from > now) {
+    return res.status(400).json({ error: 'Shift has not started yet' });
+  }
+  
+  const snapshot = instance.to <= now ? shiftReports.get(instance.date, instance.shift) : null;
+  res.json(snapshot
+    ? Object.assign({ source: 'snapshot' }, snapshot)
+    : Object.assign({ source: 'live' }, buildShiftReport(instance, now)));
+});
+
+// Totals per shift over a range (?from=&to=, default the last 7 days)
+app.get('/api/reports/shifts', (req, res) => {
+  const now = clock.now();
+  const to = req.query.to ? parseTime(req.query.to) : now;
+  const from = req.query.from ? parseTime(req.query.from) : to - 7 * 24 * HOUR_MS;
+  if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+    return res.status(400).json({ error: 'Invalid time range' });
+  }
+  if (to - from > SHIFT_REPORT_MAX_DAYS * 24 * HOUR_MS) {
+    return res.status(400).json({ error: `Range must be ${SHIFT_REPORT_MAX_DAYS} days or less` });
+  }
+  
+  const snapshots = {};
+  shiftReports.list(from, to).forEach(report => { snapshots[`${report.date}/${report.shift}`] = report; });
+  
+  const shifts = shiftsBetween(from, to)
+    .filter(instance => instance.from <= now)
+    .map(instance => {
+      const snapshot = snapshots[`${instance.date}/${instance.shift}`];
+      return snapshot
+        ? shiftSummary(snapshot, 'snapshot')
+        : shiftSummary(buildShiftReport(instance, now), 'live');
+    });
+  
+  res.json({
+    timezone: getShiftCalendar().timezone,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    count: shifts.length,
+    shifts: shifts
+  });
+});
+
+// Parts, cycles, run/alarm time and OEE per machine for one shift
+// (up to now while it's running)
+function buildShiftReport(instance, now = clock.now()) {
+  const from = instance.from;
+  const to = Math.min(instance.to, now);
+  const machineList = Object.values(machines);
+  const results = machineList.map(m => machineOee(m, from, to));
+  const cycles = machineList.map(m => productionLog.cycles(m.id, from, to).length);
+  const breakMs = instance.breaks.reduce((sum, b) => sum + (b.to - b.from), 0);
+  
+  return Object.assign(toShiftTimes(instance), {
+    timezone: getShiftCalendar().timezone,
+    status: now >= instance.to ? 'COMPLETED' : 'IN_PROGRESS',
+    scheduledHours: parseFloat(((instance.to - instance.from - breakMs) / HOUR_MS).toFixed(3)),
+    plant: Object.assign(combineOee(results), {
+      cycles: cycles.reduce((sum, n) => sum + n, 0),
+      alarmHours: parseFloat(results.reduce((sum, r) => sum + r.timeInState.ALARM, 0).toFixed(3))
+    }),
+    machines: machineList.map((m, i) => Object.assign({
+      id: m.id,
+      name: m.name,
+      model: m.model,
+      cycles: cycles[i],
+      alarmHours: results[i].timeInState.ALARM
+    }, results[i]))
+  });
+}
+
+function shiftSummary(report, source) {
+  const plant = report.plant;
+  return {
+    date: report.date,
+    shift: report.shift,
+    from: report.from,
+    to: report.to,
+    status: report.status,
+    source: source,
+    totalParts: plant.totalParts,
+    goodParts: plant.goodParts,
+    rejectedParts: plant.rejectedParts,
+    cycles: plant.cycles,
+    runHours: plant.runHours,
+    alarmHours: plant.alarmHours,
+    availability: plant.availability,
+    performance: plant.performance,
+    quality: plant.quality,
+    oee: plant.oee
+  };
+}
+
+function toShiftTimes(instance) {
+  return {
+    date: instance.date,
+    shift: instance.shift,
+    from: new Date(instance.from).toISOString(),
+    to: new Date(instance.to).toISOString(),
+    breaks: instance.breaks.map(b => ({
+      name: b.name,
+      from: new Date(b.from).toISOString(),
+      to: new Date(b.to).toISOString()
+    }))
+  };
+}
+
+// Freeze the last shift's report once it has ended (checked once a minute)
+function snapshotEndedShift(now = clock.now()) {
+  if (now - lastShiftCheck < 60 * 1000) return;
+  lastShiftCheck = now;
+  
+  const instance = lastEndedShift(now);
+  if (!instance || shiftReports.has(instance.date, instance.shift)) return;
+  
+  const report = buildShiftReport(instance, now);
+  shiftReports.save(report, now);
+  
+  const oee = report.plant.oee === null ? 'n/a' : `${report.plant.oee}%`;
+  console.log(`📊 ${instance.shift} shift ${instance.date} closed: ${report.plant.totalParts} parts, OEE ${oee}`);
+  broadcast({ type: 'SHIFT_REPORT', report: report });
+}
+
+// ========================================
+// REPORT EXPORTS
+// Production, alarm, downtime and utilization reports as JSON, CSV,
+// XLSX or PDF, with the same columns in every format
+// ========================================
+
+// Reports with their column definitions
+app.get('/api/reports/export', (req, res) => {
+  res.json({
+    formats: Object.keys(EXPORT_FORMATS),
+    reports: Object.entries(REPORTS).map(([id, report]) => ({
+      id: id,
+      title: report.title,
+      description: report.description,
+      columns: report.columns.map(({ key, label, type }) => ({ key, label, type }))
+    }))
+  });
+});
+
+// ?format=csv|xlsx|pdf|json&window=shift|day|week&from=&to=&machine=id[,id]
+app.get('/api/reports/export/:report', async (req, res) => {
+  const reportId = req.params.report;
+  if (!REPORTS[reportId]) {
+    return res.status(404).json({ error: `Unknown report (use ${Object.keys(REPORTS).join(', ')})` });
+  }
+  
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `Format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+  
+  const window = req.query.window || 'week';
+  if (!WINDOWS.includes(window)) {
+    return res.status(400).json({ error: `Window must be one of ${WINDOWS.join(', ')}` });
+  }
+  
+  let { from, to } = resolveWindow(window);
+  if (req.query.from) from = parseTime(req.query.from);
+  if (req.query.to) to = parseTime(req.query.to);
+  if (Number.isNaN(from) || Number.isNaN(to) || from >= to) {
+    return res.status(400).json({ error: 'Invalid time range' });
+  }
+  
+  const filter = req.query.machine
+    ? String(req.query.machine).split(',').map(id => id.trim()).filter(Boolean)
+    : null;
+  const unknown = (filter || []).filter(id => !machines[id]);
+  if (unknown.length > 0) {
+    return res.status(404).json({ error: `Machine not found: ${unknown.join(', ')}` });
+  }
+  
+  const machineList = filter ? filter.map(id => machines[id]) : Object.values(machines);
+  const timezone = getShiftCalendar().timezone;
+  
+  try {
+    const body = await renderReport(format, reportId, exportRows(reportId, machineList, filter, from, to), {
+      from: from,
+      to: to,
+      timezone: timezone,
+      machines: filter,
+      generatedAt: clock.now()
+    });
+    
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    res.set('Content-Type', contentType);
+    if (format !== 'json') {
+      const filename = `${reportId}_${localDate(from)}_${localDate(to)}.${extension}`;
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    }
+    res.send(body);
+  } catch (err) {
+    res.status(500).json({ error: `Export failed: ${err.message}` });
+  }
+});
+
+// Rows keyed by the report's column keys
+function exportRows(reportId, machineList, filter, from, to) {
+  if (reportId === 'production') {
+    return machineList.map(m => {
+      const oee = machineOee(m, from, to);
+      const cycles = productionLog.cycles(m.id, from, to);
+      const rejected = productionLog.qualityByReason({ machineId: m.id, from, to });
+      const rejectedOf = kind => rejected.filter(r => r.kind === kind).reduce((sum, r) => sum + r.parts, 0);
+      const timed = cycles.filter(c => c.durationMs && c.parts);
+      const timedParts = timed.reduce((sum, c) => sum + c.parts, 0);
+      
+      return {
+        machineId: m.id,
+        machine: m.name,
+        model: m.model,
+        parts: oee.totalParts,
+        goodParts: oee.goodParts,
+        scrapParts: rejectedOf('SCRAP'),
+        reworkParts: rejectedOf('REWORK'),
+        cycles: cycles.length,
+        runHours: oee.runHours,
+        avgCycleSec: timedParts > 0
+          ? parseFloat((timed.reduce((sum, c) => sum + c.durationMs, 0) / 1000 / timedParts).toFixed(1))
+          : null,
+        availability: oee.availability,
+        performance: oee.performance,
+        quality: oee.quality,
+        oee: oee.oee
+      };
+    });
+  }
+  
+  if (reportId === 'alarms') {
+    const alarms = alarmLog.list({ machineId: null, from, to, limit: -1 })
+      .filter(alarm => !filter || filter.includes(alarm.machineId));
+    return alarmFrequency(alarms).map(stat => ({
+      alarm: stat.message,
+      code: stat.code,
+      severity: stat.severity,
+      count: stat.count,
+      machines: stat.machines.join('; '),
+      avgTimeToAcknowledgeSec: stat.avgTimeToAcknowledgeSec,
+      avgTimeToResolveSec: stat.avgTimeToResolveSec
+    }));
+  }
+  
+  if (reportId === 'downtime') {
+    return machineList.reduce((rows, m) => {
+      const reasons = productionLog.downtimeByReason(m.id, from, to);
+      const totalSec = reasons.reduce((sum, r) => sum + r.seconds, 0);
+      return rows.concat(reasons.map(r => ({
+        machineId: m.id,
+        machine: m.name,
+        reason: r.code,
+        label: r.label,
+        events: r.events,
+        hours: parseFloat((r.seconds / 3600).toFixed(3)),
+        percent: totalSec > 0 ? parseFloat((r.seconds / totalSec * 100).toFixed(1)) : 0
+      })));
+    }, []);
+  }
+  
+  // utilization
+  return machineList.map(m => {
+    const states = timeInState(productionLog.segments(m.id, from, to), from, to);
+    const hours = sec => parseFloat((sec / 3600).toFixed(3));
+    const availableSec = states.RUNNING + states.IDLE + states.ALARM + states.STOPPED;
+    
+    return {
+      machineId: m.id,
+      machine: m.name,
+      model: m.model,
+      poweredHours: hours(availableSec + states.MAINTENANCE),
+      runHours: hours(states.RUNNING),
+      idleHours: hours(states.IDLE),
+      alarmHours: hours(states.ALARM),
+      stoppedHours: hours(states.STOPPED),
+      maintenanceHours: hours(states.MAINTENANCE),
+      offHours: hours(states.OFF),
+      uptime: availableSec > 0 ? parseFloat((states.RUNNING / availableSec * 100).toFixed(1)) : null,
+      utilization: parseFloat((states.RUNNING / ((to - from) / 1000) * 100).toFixed(1))
+    };
+  });
+}
+
+// ========================================
+// USERS & API KEYS
+// ========================================
+
+const USERNAME_PATTERN = /^[A-Za-z0-9._-]{2,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// The caller's identity and role
+app.get('/api/auth/me', (req, res) => {
+  res.json(Object.assign({}, req.auth, {
+    user: req.auth.type === 'user' ? users.get(req.auth.id) : null
+  }));
+});
+
+// Change your own password
+app.post('/api/auth/password', (req, res) => {
+  if (req.auth.type !== 'user') {
+    return res.status(400).json({ error: 'API keys have no password' });
+  }
+  
+  const { currentPassword, newPassword } = req.body;
+  if (!users.checkPassword(req.auth.id, currentPassword)) {
+    return res.status(401).json({ error: 'Current password is wrong' });
+  }
+  if (!isPassword(newPassword)) {
+    return res.status(400).json({ error: `New password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  
+  userAction(res, () => {
+    const user = users.update(req.auth.id, { password: newPassword });
+    audit(req, 'PASSWORD_CHANGED', {});
+    return user;
+  });
+});
+
+app.get('/api/users', requireRole('admin'), (req, res) => {
+  res.json(users.list());
+});
+
+app.post('/api/users', requireRole('admin'), (req, res) => {
+  const errors = validateUser(req.body, false);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid user', details: errors });
+  }
+  
+  const { username, name, role, password } = req.body;
+  userAction(res, () => {
+    const user = users.create({ username, name, role, password, by: actorOf(req) });
+    audit(req, 'USER_CREATED', { after: accountState(user) });
+    return user;
+  }, 201);
+});
+
+// Name, role, password or disabled
+app.patch('/api/users/:username', requireRole('admin'), (req, res) => {
+  const errors = validateUser(req.body, true);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid user', details: errors });
+  }
+  
+  const { name, role, password, disabled } = req.body;
+  userAction(res, () => {
+    const before = users.get(req.params.username);
+    const user = users.update(req.params.username, { name, role, password, disabled });
+    if (user.disabled) disconnect('user', user.username);
+    audit(req, 'USER_UPDATED', {
+      before: accountState(before),
+      after: Object.assign(accountState(user), { passwordChanged: password !== undefined })
+    });
+    return user;
+  });
+});
+
+app.get('/api/api-keys', requireRole('admin'), (req, res) => {
+  res.json(users.keys());
+});
+
+// The key is only in this response - it can't be looked up later
+app.post('/api/api-keys', requireRole('admin'), (req, res) => {
+  const { name, role } = req.body;
+  const errors = [];
+  if (!isText(name)) errors.push('name required');
+  if (!UserStore.ROLES.includes(role)) errors.push(`role must be one of ${UserStore.ROLES.join(', ')}`);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid API key', details: errors });
+  }
+  
+  const created = users.createKey({ name, role, by: actorOf(req) });
+  audit(req, 'API_KEY_CREATED', { after: keyState(created.apiKey) });
+  res.status(201).json(Object.assign({ key: created.key }, created.apiKey));
+});
+
+app.delete('/api/api-keys/:keyId', requireRole('admin'), (req, res) => {
+  userAction(res, () => {
+    const key = users.revokeKey(parseInt(req.params.keyId, 10), { by: actorOf(req) });
+    disconnect('key', key.id);
+    audit(req, 'API_KEY_REVOKED', { after: keyState(key) });
+    return key;
+  });
+});
+
+function validateUser(user, partial) {
+  const errors = [];
+  
+  if (!partial && !(typeof user.username === 'string' && USERNAME_PATTERN.test(user.username))) {
+    errors.push('username must be 2-32 letters, digits, dots, dashes or underscores');
+  }
+  if (user.name !== undefined && !isText(user.name)) {
+    errors.push('name must be text');
+  }
+  if ((!partial || user.role !== undefined) && !UserStore.ROLES.includes(user.role)) {
+    errors.push(`role must be one of ${UserStore.ROLES.join(', ')}`);
+  }
+  if ((!partial || user.password !== undefined) && !isPassword(user.password)) {
+    errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (user.disabled !== undefined && typeof user.disabled !== 'boolean') {
+    errors.push('disabled must be true or false');
+  }
+  
+  return errors;
+}
+
+function isPassword(value) {
+  return typeof value === 'string' && value.length >= MIN_PASSWORD_LENGTH;
+}
+
+function userAction(res, action, status = 200) {
+  try {
+    res.status(status).json(action());
+  } catch (err) {
+    if (!(err instanceof UserStore.UserError)) throw err;
+    res.status(err.status).json({ error: err.message });
+  }
+}
+
+// ========================================
+// AUDIT LOG
+// Control actions (power, alarms, maintenance mode, fleet and account
+// changes) with who, from where, and the state before and after.
+// Any of those routes take an optional `reason`.
+// ========================================
+
+app.get('/api/audit', requireRole('admin'), (req, res) => {
+  // Entries are stamped on wall time, not plant time
+  const to = req.query.to ? parseTime(req.query.to) : Date.now();
+  const from = req.query.from ? parseTime(req.query.from) : to - 30 * 24 * HOUR_MS;
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({ error: 'Invalid time range' });
+  }
+  
+  const entries = auditLog.list({
+    actor: req.query.actor || null,
+    machineId: req.query.machine || null,
+    action: req.query.action ? String(req.query.action).toUpperCase() : null,
+    from: from,
+    to: to,
+    limit: Math.min(parseInt(req.query.limit, 10) || 100, 1000)
   });
+  
+  res.json({ count: entries.length, entries: entries });
+});
+
+// Recomputes the hash chain from the first entry
+app.get('/api/audit/verify', requireRole('admin'), (req, res) => {
+  res.json(auditLog.verify());
 });
 
+function audit(req, action, { machineId = null, before = null, after = null }) {
+  auditLog.record({
+    actor: principalOf(req),
+    actorType: req.auth.type,
+    onBehalfOf: onBehalfOf(req),
+    role: req.auth.role,
+    ip: req.ip || null,
+    method: req.method,
+    route: req.baseUrl + req.route.path,
+    machineId: machineId,
+    action: action,
+    reason: isText(req.body.reason) ? req.body.reason : null,
+    before: before,
+    after: after
+  });
+}
+
+function controlState(machine) {
+  return {
+    power: machine.power,
+    execution: machine.execution,
+    alarmCode: machine.alarmCode,
+    alarm: machine.alarm,
+    maintenanceMode: machine.maintenanceMode
+  };
+}
+
+function toolState(tool) {
+  return {
+    number: tool.number,
+    type: tool.type,
+    description: tool.description,
+    offsets: Object.assign({}, tool.offsets),
+    life: Object.assign({}, tool.life),
+    currentLife: tool.currentLife,
+    replacements: tool.replacements
+  };
+}
+
+function alarmState(alarm) {
+  if (!alarm) return null;
+  return {
+    id: alarm.id,
+    code: alarm.code,
+    state: alarm.state,
+    acknowledgedBy: alarm.acknowledgedBy,
+    assignedTo: alarm.assignedTo,
+    resolvedBy: alarm.resolvedBy,
+    rootCause: alarm.rootCause
+  };
+}
+
+function jobState(job) {
+  if (!job) return null;
+  return {
+    id: job.id,
+    workOrder: job.workOrder,
+    program: job.program,
+    status: job.status,
+    machineId: job.machineId,
+    quantity: job.quantity,
+    good: job.good
+  };
+}
+
+function workOrderState(order, machine) {
+  return {
+    id: order.id,
+    title: order.title,
+    status: order.status,
+    assignedTo: order.assignedTo,
+    machine: machine ? controlState(machine) : null
+  };
+}
+
+function simulationState() {
+  return {
+    time: new Date(simClock.now()).toISOString(),
+    speed: simClock.speed,
+    paused: simClock.paused
+  };
+}
+
+function accountState(user) {
+  return { username: user.username, name: user.name, role: user.role, disabled: user.disabled };
+}
+
+function keyState(key) {
+  return { id: key.id, name: key.name, role: key.role, prefix: key.prefix, revoked: Boolean(key.revokedAt) };
+}
+
 // ========================================
 // WEBSOCKET
+// Clients authenticate like the API: a sign-in token or API key as
+// ?token= (browsers can't set headers on a WebSocket), or in the
+// Authorization / X-API-Key header
 // ========================================
 
-wss.on('connection', (ws) => {
-  console.log('✅ WebSocket client connected');
+function verifyWebSocket(info, done) {
+  const token = new URL(info.req.url, 'http://localhost').searchParams.get('token');
+  const identity = auth.identify(token || auth.credentialFrom(info.req));
+  if (!identity) {
+    return done(false, 401, 'Authentication required');
+  }
+  info.req.auth = identity;
+  done(true);
+}
+
+wss.on('connection', (ws, req) => {
+  ws.auth = req.auth;
+  console.log(`✅ WebSocket client connected (${ws.auth.name})`);
+  hub.add(ws);
   
-  // Send current state immediately
-  ws.send(JSON.stringify({
-    type: 'PLANT_UPDATE',
-    timestamp: new Date().toISOString(),
-    machines: Object.values(machines).map(m => m.toJSON())
-  }));
+  // Closed when the token runs out; the client signs in again and reconnects
+  const expiry = ws.auth.expiresAt
+    ? setTimeout(() => ws.close(4401, 'Token expired'), Math.min(Date.parse(ws.auth.expiresAt) - Date.now(), 2 ** 31 - 1))
+    : null;
+  
+  // Subscribe straight away with ?machines=&channels=, otherwise send
+  // the full state like before
+  const params = new URL(req.url, 'http://localhost').searchParams;
+  if (params.has('machines') || params.has('channels')) {
+    const list = name => (params.get(name) && params.get(name) !== '*' ? params.get(name).split(',') : undefined);
+    hub.handle(ws, { type: 'subscribe', machines: list('machines'), channels: list('channels') });
+  } else {
+    ws.send(JSON.stringify({
+      type: 'PLANT_UPDATE',
+      timestamp: new Date(clock.now()).toISOString(),
+      machines: Object.values(machines).map(m => m.toJSON())
+    }));
+  }
   
   ws.on('close', () => {
+    clearTimeout(expiry);
     console.log('❌ WebSocket client disconnected');
   });
 });
 
+// Drop sockets of a user that was disabled or a key that was revoked
+function disconnect(type, id) {
+  wss.clients.forEach(client => {
+    if (client.auth && client.auth.type === type && client.auth.id === id) {
+      client.close(4403, 'Access revoked');
+    }
+  });
+}
+
 // ========================================
 // START SERVER
 // ========================================
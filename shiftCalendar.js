@@ -0,0 +1,311 @@
+// shiftCalendar.js - Plant shift calendar
+// Named shifts with breaks, working days, holidays and the plant
+// timezone, loaded from config/shifts.json (or SHIFT_CALENDAR).
+// Times are wall-clock times in the plant timezone; a shift whose end
+// is before its start runs past midnight and belongs to the day it
+// starts on.
+//
+// A shift instance is one shift on one date:
+//   { date: '2025-11-27', shift: '1st', from, to, breaks: [{ name, from, to }] }
+// with from/to in epoch ms.
+
+const fs = require('fs');
+const path = require('path');
+const clock = require('./clock');
+
+const DEFAULT_FILE = path.join(__dirname, 'config', 'shifts.json');
+const DAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far back to look for the last shift (covers long weekends)
+const LOOKBACK_DAYS = 10;
+
+let calendar = null;
+const formatters = new Map(); // timezone -> Intl.DateTimeFormat
+
+class ShiftCalendarError extends Error {
+  constructor(file, errors) {
+    super(`Invalid shift calendar ${file}:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'ShiftCalendarError';
+    this.errors = errors;
+  }
+}
+
+// ========================================
+// LOADING
+// ========================================
+
+function loadShiftCalendar(file = DEFAULT_FILE) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new ShiftCalendarError(file, [err.code ? `cannot read file (${err.code})` : `parse error: ${err.message}`]);
+  }
+
+  const errors = validateShiftCalendar(data);
+  if (errors.length > 0) {
+    throw new ShiftCalendarError(file, errors);
+  }
+
+  calendar = {
+    timezone: data.timezone,
+    shifts: data.shifts.map(shift => ({
+      name: shift.name,
+      start: shift.start,
+      end: shift.end,
+      days: shift.days || DAYS.slice(),
+      breaks: shift.breaks || []
+    })),
+    holidays: data.holidays || []
+  };
+  return calendar;
+}
+
+function validateShiftCalendar(data) {
+  if (!data || typeof data !== 'object') {
+    return ['must be an object'];
+  }
+
+  const errors = [];
+
+  if (typeof data.timezone !== 'string' || !isTimezone(data.timezone)) {
+    errors.push('timezone: required IANA timezone, e.g. "America/Chicago"');
+  }
+
+  if (!Array.isArray(data.shifts) || data.shifts.length === 0) {
+    errors.push('shifts: must be a non-empty list');
+  } else {
+    const names = new Set();
+
+    data.shifts.forEach((shift, index) => {
+      const where = `shifts[${index}]${shift && shift.name ? ` (${shift.name})` : ''}`;
+      if (!shift || typeof shift !== 'object') {
+        errors.push(`${where}: must be an object`);
+        return;
+      }
+
+      if (typeof shift.name !== 'string' || shift.name.trim() === '') {
+        errors.push(`${where}.name: required string`);
+      } else {
+        if (names.has(shift.name)) errors.push(`${where}.name: duplicate shift name`);
+        names.add(shift.name);
+      }
+
+      ['start', 'end'].forEach(field => {
+        if (!isClock(shift[field])) errors.push(`${where}.${field}: must be a time like "06:00"`);
+      });
+      if (isClock(shift.start) && shift.start === shift.end) {
+        errors.push(`${where}: start and end must differ`);
+      }
+
+      if (shift.days !== undefined && !(Array.isArray(shift.days) && shift.days.every(day => DAYS.includes(day)))) {
+        errors.push(`${where}.days: must be a list of ${DAYS.join(', ')}`);
+      }
+
+      if (shift.breaks !== undefined && !Array.isArray(shift.breaks)) {
+        errors.push(`${where}.breaks: must be a list`);
+      } else if (shift.breaks && isClock(shift.start) && isClock(shift.end)) {
+        const length = shiftMinutes(shift.start, shift.end);
+        shift.breaks.forEach((entry, b) => {
+          if (!entry || !isClock(entry.start) || !isClock(entry.end)) {
+            errors.push(`${where}.breaks[${b}]: needs start and end times like "10:00"`);
+            return;
+          }
+          const offset = shiftMinutes(shift.start, entry.start) % (24 * 60);
+          if (offset + shiftMinutes(entry.start, entry.end) > length) {
+            errors.push(`${where}.breaks[${b}]: must fall inside the shift`);
+          }
+        });
+      }
+    });
+  }
+
+  if (data.holidays !== undefined && !(Array.isArray(data.holidays) && data.holidays.every(isDate))) {
+    errors.push('holidays: must be a list of dates like "2025-12-25"');
+  }
+
+  return errors;
+}
+
+function isClock(value) {
+  return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+function isDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+function isTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Minutes from one wall-clock time to the next occurrence of another
+function shiftMinutes(start, end) {
+  const minutes = toMinutes(end) - toMinutes(start);
+  return minutes > 0 ? minutes : minutes + 24 * 60;
+}
+
+function toMinutes(clock) {
+  const [hours, minutes] = clock.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// ========================================
+// PLANT TIME
+// ========================================
+
+function getShiftCalendar() {
+  return calendar || loadShiftCalendar();
+}
+
+// Local calendar date ('YYYY-MM-DD') at an instant
+function localDate(ts, timezone = getShiftCalendar().timezone) {
+  const parts = zonedParts(ts, timezone);
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+// Minutes past local midnight at an instant
+function localMinutes(ts, timezone = getShiftCalendar().timezone) {
+  const parts = zonedParts(ts, timezone);
+  return Number(parts.hour) * 60 + Number(parts.minute);
+}
+
+// Epoch ms of a wall-clock time on a local date (DST-aware)
+function zonedTime(date, clock, timezone = getShiftCalendar().timezone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = clock.split(':').map(Number);
+  const wall = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // Offset at the guess, then again at the corrected instant in case
+  // the guess fell on the other side of a DST change
+  const first = wall - offsetAt(wall, timezone);
+  return wall - offsetAt(first, timezone);
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function weekday(date) {
+  return DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+}
+
+function offsetAt(ts, timezone) {
+  const parts = zonedParts(ts, timezone);
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - Math.floor(ts / 1000) * 1000;
+}
+
+function zonedParts(ts, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+
+  const parts = {};
+  formatters.get(timezone).formatToParts(ts).forEach(part => { parts[part.type] = part.value; });
+  return parts;
+}
+
+// ========================================
+// SHIFT INSTANCES
+// ========================================
+
+// One shift on one date, or null if it isn't worked that day
+function shiftInstance(date, name) {
+  const { timezone, shifts, holidays } = getShiftCalendar();
+  const shift = shifts.find(s => s.name === name);
+  if (!shift || holidays.includes(date) || !shift.days.includes(weekday(date))) return null;
+
+  // Times before the shift start are on the next day
+  const startMinutes = toMinutes(shift.start);
+  const at = (clock) => zonedTime(toMinutes(clock) < startMinutes ? addDays(date, 1) : date, clock, timezone);
+
+  return {
+    date: date,
+    shift: shift.name,
+    from: at(shift.start),
+    to: at(shift.end),
+    breaks: shift.breaks.map(entry => ({
+      name: entry.name || 'Break',
+      from: at(entry.start),
+      to: at(entry.end)
+    }))
+  };
+}
+
+// Shifts worked on a date, in order
+function shiftsOn(date) {
+  return getShiftCalendar().shifts
+    .map(shift => shiftInstance(date, shift.name))
+    .filter(Boolean)
+    .sort((a, b) => a.from - b.from);
+}
+
+// Shifts overlapping [from, to), oldest first
+function shiftsBetween(from, to) {
+  const instances = [];
+  let date = addDays(localDate(from), -1);
+  const last = localDate(to);
+
+  while (date <= last) {
+    shiftsOn(date).forEach(instance => {
+      if (instance.from < to && instance.to > from) instances.push(instance);
+    });
+    date = addDays(date, 1);
+  }
+  return instances;
+}
+
+// The shift running at an instant, or null between shifts
+function currentShift(now = clock.now()) {
+  return shiftsBetween(now, now + 1).find(instance => instance.from <= now) || null;
+}
+
+// The most recent shift that has ended
+function lastEndedShift(now = clock.now()) {
+  const ended = shiftsBetween(now - LOOKBACK_DAYS * DAY_MS, now).filter(instance => instance.to <= now);
+  return ended.length > 0 ? ended[ended.length - 1] : null;
+}
+
+// Breaks overlapping [from, to) - not planned production time
+function breaksBetween(from, to) {
+  return shiftsBetween(from, to)
+    .reduce((all, instance) => all.concat(instance.breaks), [])
+    .filter(entry => entry.from < to && entry.to > from);
+}
+
+// Start of the local day containing an instant
+function startOfDay(ts, timezone = getShiftCalendar().timezone) {
+  return zonedTime(localDate(ts, timezone), '00:00', timezone);
+}
+
+module.exports = {
+  ShiftCalendarError,
+  DAYS,
+  loadShiftCalendar,
+  validateShiftCalendar,
+  getShiftCalendar,
+  localDate,
+  localMinutes,
+  zonedTime,
+  addDays,
+  weekday,
+  startOfDay,
+  shiftInstance,
+  shiftsOn,
+  shiftsBetween,
+  breaksBetween,
+  currentShift,
+  lastEndedShift
+};
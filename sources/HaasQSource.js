@@ -0,0 +1,270 @@
+// HaasQSource.js - Haas Machine Data Collection (MDC) data source
+// Polls a Haas NGC control over TCP with ?Q commands and macro
+// variable reads (?Q600 nnnn)
+//
+// Setting 143 (Machine Data Collect) must be ON on the control;
+// the default port is 5051.
+
+const net = require('net');
+
+// Q500 status -> HaasMachine execution states
+const STATUS_MAP = {
+  IDLE: 'IDLE',
+  BUSY: 'RUNNING',
+  'FEED HOLD': 'STOPPED',
+  'ALARM ON': 'ALARM'
+};
+
+// Macro variables read with ?Q600 on every poll (NGC numbering)
+const DEFAULT_MACROS = {
+  spindleSpeed: 3027,   // Spindle RPM
+  spindleLoad: 1098,    // Spindle load %
+  X: 5021,              // Machine position X
+  Y: 5022,              // Machine position Y
+  Z: 5023               // Machine position Z
+};
+
+class HaasQSource {
+  constructor(options = {}) {
+    if (!options.host) {
+      throw new Error('Haas Q-command source requires a host');
+    }
+
+    this.host = options.host;
+    this.port = options.port || 5051;
+    this.pollIntervalMs = options.pollIntervalMs || 2000;
+    this.timeoutMs = options.timeoutMs || 3000;
+    this.macros = Object.assign({}, DEFAULT_MACROS, options.macros);
+    this.alarmMacro = options.alarmMacro || null; // Optional: variable holding the active alarm number
+
+    this.snapshot = {};
+    this.connected = false;
+    this.lastUpdate = null;
+    this.lastError = null;
+
+    this._socket = null;
+    this._buffer = '';
+    this._pending = null;
+    this._timer = null;
+    this._polling = false;
+  }
+
+  // ========================================
+  // LIFECYCLE
+  // ========================================
+
+  async start() {
+    if (this._timer) return;
+
+    this._timer = setInterval(() => this.poll(), this.pollIntervalMs);
+    await this.poll();
+  }
+
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+    this._disconnect();
+  }
+
+  async poll() {
+    if (this._polling) return;
+    this._polling = true;
+
+    try {
+      if (!this._socket) {
+        await this._connect();
+        this.snapshot.serialNumber = parseFields(await this.query('?Q100'))[1] || null;
+      }
+
+      this._applyQ500(parseFields(await this.query('?Q500')));
+      this.snapshot.machineOnHours = parseHours(parseFields(await this.query('?Q300'))[1]);
+      // Q301 (cycle-start / motion time) is the closest MDC counter to spindle hours
+      this.snapshot.spindleHours = parseHours(parseFields(await this.query('?Q301'))[1]);
+
+      const axisPositions = {};
+      for (const [field, variable] of Object.entries(this.macros)) {
+        const value = await this.readMacro(variable);
+        if (value === null) continue;
+
+        if (field === 'X' || field === 'Y' || field === 'Z') {
+          axisPositions[field] = value;
+        } else {
+          this.snapshot[field] = value;
+        }
+      }
+      if (Object.keys(axisPositions).length > 0) {
+        this.snapshot.axisPositions = axisPositions;
+      }
+
+      if (this.snapshot.execution === 'ALARM') {
+        const code = this.alarmMacro ? await this.readMacro(this.alarmMacro) : null;
+        this.snapshot.alarm = {
+          code: code ? Math.round(code) : null,
+          message: code ? `ALARM ${Math.round(code)}` : 'CONTROL ALARM'
+        };
+      } else {
+        this.snapshot.alarm = null;
+      }
+
+      this.connected = true;
+      this.lastUpdate = new Date();
+      this.lastError = null;
+    } catch (err) {
+      this.lastError = err.message;
+      this._disconnect();
+    } finally {
+      this._polling = false;
+    }
+  }
+
+  getSnapshot() {
+    return this.connected ? this.snapshot : null;
+  }
+
+  describe() {
+    return {
+      type: 'haas-q',
+      host: this.host,
+      port: this.port,
+      serialNumber: this.snapshot.serialNumber || null,
+      connected: this.connected,
+      lastUpdate: this.lastUpdate ? this.lastUpdate.toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+
+  // ========================================
+  // Q-COMMAND PROTOCOL
+  // ========================================
+
+  // Send one command and resolve with the ">..." response line
+  query(command) {
+    return new Promise((resolve, reject) => {
+      if (!this._socket) {
+        return reject(new Error('Not connected'));
+      }
+      if (this._pending) {
+        return reject(new Error('Query already in progress'));
+      }
+
+      // A late reply would be taken as the answer to the next query, so
+      // the connection is dropped and made again on the next poll
+      const timer = setTimeout(() => {
+        this._pending = null;
+        this._disconnect();
+        reject(new Error(`Timeout waiting for ${command}`));
+      }, this.timeoutMs);
+
+      this._pending = {
+        resolve: (line) => {
+          clearTimeout(timer);
+          resolve(line);
+        },
+        reject: (err) => {
+          clearTimeout(timer);
+          reject(err);
+        }
+      };
+
+      this._socket.write(`${command}\r\n`);
+    });
+  }
+
+  async readMacro(variable) {
+    const fields = parseFields(await this.query(`?Q600 ${variable}`));
+    if (fields[0] !== 'MACRO') return null;
+
+    const value = parseFloat(fields[fields.length - 1]);
+    return Number.isNaN(value) ? null : value;
+  }
+
+  _applyQ500(fields) {
+    // ">PROGRAM, O01234, IDLE, PARTS, 142" or ">STATUS, BUSY"
+    if (fields[0] === 'PROGRAM') {
+      this.snapshot.programRunning = fields[1] || null;
+      this.snapshot.execution = STATUS_MAP[fields[2]] || 'IDLE';
+      const parts = parseInt(fields[4], 10);
+      if (!Number.isNaN(parts)) this.snapshot.partCount = parts;
+    } else if (fields[0] === 'STATUS') {
+      this.snapshot.execution = STATUS_MAP[fields[1]] || this.snapshot.execution;
+    }
+  }
+
+  _connect() {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      socket.setEncoding('latin1');
+      socket.setTimeout(this.timeoutMs);
+
+      socket.once('connect', () => {
+        socket.setTimeout(0);
+        this._socket = socket;
+        this._buffer = '';
+        resolve();
+      });
+      socket.once('timeout', () => socket.destroy(new Error(`Connection to ${this.host}:${this.port} timed out`)));
+      socket.on('error', (err) => {
+        if (this._socket !== socket) return reject(err);
+        if (this._pending) this._pending.reject(err);
+      });
+      socket.on('close', () => {
+        if (this._socket === socket) this._disconnect();
+      });
+      socket.on('data', (chunk) => this._onData(chunk));
+    });
+  }
+
+  _disconnect() {
+    const socket = this._socket;
+    this._socket = null;
+    this.connected = false;
+
+    if (this._pending) {
+      const pending = this._pending;
+      this._pending = null;
+      pending.reject(new Error('Connection closed'));
+    }
+    if (socket) socket.destroy();
+  }
+
+  _onData(chunk) {
+    // Responses are framed as [STX] >... CR LF [ETB]
+    this._buffer += chunk.replace(/[\x02\x17]/g, '');
+
+    let newline;
+    while ((newline = this._buffer.indexOf('\n')) !== -1) {
+      const line = this._buffer.slice(0, newline).trim();
+      this._buffer = this._buffer.slice(newline + 1);
+
+      if (!line || !this._pending) continue;
+
+      const pending = this._pending;
+      this._pending = null;
+      if (line.startsWith('>')) {
+        pending.resolve(line);
+      } else {
+        pending.reject(new Error(`Unexpected response: ${line}`));
+      }
+    }
+  }
+}
+
+// ========================================
+// RESPONSE HELPERS
+// ========================================
+
+// ">PROGRAM, O01234, IDLE, PARTS, 142" -> ['PROGRAM', 'O01234', 'IDLE', 'PARTS', '142']
+function parseFields(line) {
+  return line.replace(/^>/, '').split(',').map(field => field.trim());
+}
+
+// "00326:46:53" -> 326.78
+function parseHours(value) {
+  if (!value) return undefined;
+  const [h, m, s] = value.split(':').map(n => parseInt(n, 10) || 0);
+  return h + m / 60 + s / 3600;
+}
+
+module.exports = HaasQSource;
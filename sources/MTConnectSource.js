@@ -0,0 +1,314 @@
+// MTConnectSource.js - MTConnect agent data source
+// Polls an MTConnect agent (/probe, /current, /sample) and maps
+// DataItems onto the same fields HaasMachine.toJSON() exposes
+
+const { XMLParser } = require('fast-xml-parser');
+
+// MTConnect EXECUTION values -> HaasMachine execution states
+const EXECUTION_MAP = {
+  ACTIVE: 'RUNNING',
+  READY: 'IDLE',
+  WAIT: 'IDLE',
+  PROGRAM_COMPLETED: 'IDLE',
+  INTERRUPTED: 'STOPPED',
+  FEED_HOLD: 'STOPPED',
+  STOPPED: 'STOPPED',
+  PROGRAM_STOPPED: 'STOPPED',
+  OPTIONAL_STOP: 'STOPPED'
+};
+
+// Condition states that count as an active alarm
+const FAULT_STATES = ['Fault'];
+const CONDITION_STATES = ['Normal', 'Warning', 'Fault', 'Unavailable'];
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  textNodeName: '#text',
+  parseTagValue: false,
+  parseAttributeValue: false,
+  isArray: (name, jpath, isLeafNode, isAttribute) => !isAttribute
+});
+
+class MTConnectSource {
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new Error('MTConnect source requires an agent url');
+    }
+
+    this.url = options.url.replace(/\/+$/, '');
+    this.device = options.device || null;
+    this.pollIntervalMs = options.pollIntervalMs || 1000;
+
+    this.dataItems = {};      // dataItemId -> { type, subType, category, axis }
+    this.conditions = {};     // dataItemId -> active condition
+    this.snapshot = {};
+    this.instanceId = null;
+    this.nextSequence = null;
+
+    this.connected = false;
+    this.lastUpdate = null;
+    this.lastError = null;
+    this._timer = null;
+    this._polling = false;
+  }
+
+  // ========================================
+  // LIFECYCLE
+  // ========================================
+
+  async start() {
+    if (this._timer) return;
+
+    this._timer = setInterval(() => this.poll(), this.pollIntervalMs);
+    await this.poll();
+  }
+
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+    this.connected = false;
+  }
+
+  // One poll step: probe + current on first contact (or after an agent
+  // restart), otherwise stream everything since the last sequence
+  async poll() {
+    if (this._polling) return;
+    this._polling = true;
+
+    try {
+      if (this.nextSequence === null) {
+        await this._probe();
+        await this._current();
+      } else {
+        await this._sample();
+      }
+      this.connected = true;
+      this.lastError = null;
+    } catch (err) {
+      this.connected = false;
+      this.lastError = err.message;
+      this.nextSequence = null;
+    } finally {
+      this._polling = false;
+    }
+  }
+
+  getSnapshot() {
+    return this.connected ? this.snapshot : null;
+  }
+
+  describe() {
+    return {
+      type: 'mtconnect',
+      url: this.url,
+      device: this.device,
+      connected: this.connected,
+      lastUpdate: this.lastUpdate ? this.lastUpdate.toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+
+  // ========================================
+  // AGENT REQUESTS
+  // ========================================
+
+  async _request(path) {
+    const devicePath = this.device ? `/${encodeURIComponent(this.device)}` : '';
+    const response = await fetch(`${this.url}${devicePath}${path}`);
+
+    if (!response.ok) {
+      throw new Error(`MTConnect agent returned ${response.status} for ${path}`);
+    }
+
+    const doc = parser.parse(await response.text());
+    const root = doc.MTConnectDevices || doc.MTConnectStreams || doc.MTConnectError;
+
+    if (doc.MTConnectError) {
+      const error = first(first(root).Errors)?.Error;
+      throw new Error(`MTConnect error: ${text(first(error)) || 'unknown'}`);
+    }
+    if (!root) {
+      throw new Error(`Unexpected MTConnect document for ${path}`);
+    }
+
+    return first(root);
+  }
+
+  async _probe() {
+    const devices = await this._request('/probe');
+    this.dataItems = {};
+
+    walk(devices, 'MTConnectDevices', [], (tag, node, parents) => {
+      if (tag !== 'DataItem') return;
+
+      // POSITION items live under a Linear component named X/Y/Z
+      const component = parents.slice().reverse().find(p => p.tag === 'Linear' || p.tag === 'Rotary');
+
+      this.dataItems[node.id] = {
+        type: node.type,
+        subType: node.subType || null,
+        category: node.category,
+        component: component ? component.tag : null,
+        axis: component && component.tag === 'Linear' ? (component.node.name || '').toUpperCase() : null
+      };
+    });
+  }
+
+  async _current() {
+    const streams = await this._request('/current');
+    this.conditions = {};
+    this._applyStreams(streams);
+  }
+
+  async _sample() {
+    const streams = await this._request(`/sample?from=${this.nextSequence}&count=1000`);
+    this._applyStreams(streams);
+  }
+
+  // ========================================
+  // STREAM MAPPING
+  // ========================================
+
+  _applyStreams(streams) {
+    const header = first(streams.Header) || {};
+
+    // Agent restarted - sequence numbers are no longer valid
+    if (this.instanceId !== null && header.instanceId && header.instanceId !== this.instanceId) {
+      this.instanceId = header.instanceId;
+      this.nextSequence = null;
+      return;
+    }
+
+    this.instanceId = header.instanceId || this.instanceId;
+    this.nextSequence = header.nextSequence ? parseInt(header.nextSequence, 10) : this.nextSequence;
+
+    const observations = [];
+    walk(streams, 'MTConnectStreams', [], (tag, node, parents) => {
+      if (!node.dataItemId) return;
+      const section = parents.length > 0 ? parents[parents.length - 1].tag : null;
+      if (section !== 'Samples' && section !== 'Events' && section !== 'Condition') return;
+
+      observations.push({ tag, section, node });
+    });
+
+    // Apply in sequence order so /sample batches end on the latest value
+    observations
+      .sort((a, b) => (parseInt(a.node.sequence, 10) || 0) - (parseInt(b.node.sequence, 10) || 0))
+      .forEach(obs => this._applyObservation(obs));
+
+    this.snapshot.alarm = this._activeAlarm();
+    this.lastUpdate = new Date();
+  }
+
+  _applyObservation({ tag, section, node }) {
+    const item = this.dataItems[node.dataItemId] || {};
+
+    if (section === 'Condition') {
+      if (CONDITION_STATES.includes(tag)) {
+        this.conditions[node.dataItemId] = {
+          state: tag,
+          nativeCode: node.nativeCode || null,
+          message: text(node) || node.type || item.type || null
+        };
+      }
+      return;
+    }
+
+    const value = text(node);
+    if (value === null || value === 'UNAVAILABLE') return;
+
+    const type = item.type || toConstantCase(tag);
+
+    switch (type) {
+      case 'EXECUTION':
+        if (EXECUTION_MAP[value]) this.snapshot.execution = EXECUTION_MAP[value];
+        break;
+      case 'AVAILABILITY':
+        this.snapshot.power = value === 'AVAILABLE';
+        break;
+      case 'ROTARY_VELOCITY':
+      case 'SPINDLE_SPEED':
+        this.snapshot.spindleSpeed = toNumber(value, this.snapshot.spindleSpeed);
+        break;
+      case 'PATH_FEEDRATE':
+        // Only the actual feedrate - ignore overrides and commanded values
+        if (!item.subType || item.subType === 'ACTUAL') {
+          this.snapshot.feedRate = toNumber(value, this.snapshot.feedRate);
+        }
+        break;
+      case 'LOAD':
+        if (item.component === 'Rotary') {
+          this.snapshot.spindleLoad = toNumber(value, this.snapshot.spindleLoad);
+        }
+        break;
+      case 'POSITION': {
+        const axis = item.axis || (node.name || '').replace(/pos$/i, '').toUpperCase();
+        if (['X', 'Y', 'Z'].includes(axis)) {
+          this.snapshot.axisPositions = this.snapshot.axisPositions || {};
+          this.snapshot.axisPositions[axis] = toNumber(value, this.snapshot.axisPositions[axis]);
+        }
+        break;
+      }
+      case 'PART_COUNT':
+        this.snapshot.partCount = toNumber(value, this.snapshot.partCount);
+        break;
+      case 'PROGRAM':
+        this.snapshot.programRunning = value;
+        break;
+    }
+  }
+
+  _activeAlarm() {
+    const fault = Object.values(this.conditions).find(c => FAULT_STATES.includes(c.state));
+    if (!fault) return null;
+
+    const code = parseInt(fault.nativeCode, 10);
+    return {
+      code: Number.isNaN(code) ? null : code,
+      message: fault.message
+    };
+  }
+}
+
+// ========================================
+// XML HELPERS
+// ========================================
+
+function first(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function text(node) {
+  if (node === undefined || node === null) return null;
+  if (typeof node !== 'object') return String(node).trim();
+  const value = node['#text'];
+  return value === undefined ? null : String(value).trim();
+}
+
+function toNumber(value, fallback) {
+  const n = parseFloat(value);
+  return Number.isNaN(n) ? fallback : n;
+}
+
+// "PathFeedrate" -> "PATH_FEEDRATE"
+function toConstantCase(tag) {
+  return tag.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+// Depth-first walk over parsed elements, calling visit(tag, node, parents)
+function walk(node, tag, parents, visit) {
+  if (!node || typeof node !== 'object') return;
+
+  visit(tag, node, parents);
+
+  const path = parents.concat({ tag, node });
+  Object.keys(node).forEach(key => {
+    if (!Array.isArray(node[key])) return;
+    node[key].forEach(child => walk(child, key, path, visit));
+  });
+}
+
+module.exports = MTConnectSource;
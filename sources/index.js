@@ -0,0 +1,29 @@
+// sources/index.js - Pluggable machine data sources
+// A machine is either driven by the built-in simulator (no source)
+// or backed by a live connection to the real control
+
+const MTConnectSource = require('./MTConnectSource');
+const HaasQSource = require('./HaasQSource');
+
+const SOURCE_TYPES = {
+  mtconnect: MTConnectSource,
+  'haas-q': HaasQSource
+};
+
+function createDataSource(config) {
+  if (!config || !config.type || config.type === 'simulator') {
+    return null;
+  }
+
+  const Source = SOURCE_TYPES[config.type];
+  if (!Source) {
+    throw new Error(`Unknown data source type "${config.type}" (expected: simulator, ${Object.keys(SOURCE_TYPES).join(', ')})`);
+  }
+
+  return new Source(config);
+}
+
+module.exports = {
+  createDataSource,
+  SOURCE_TYPES
+};
@@ -0,0 +1,52 @@
+// alarmLog.test.js - Alarm and state history written from machine events
+// The logs listen to the machine inside its update, so a write that
+// fails must be logged and skipped rather than thrown out of the step.
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+
+const HaasMachine = require('../HaasMachine');
+const AlarmLog = require('../AlarmLog');
+const ProductionLog = require('../ProductionLog');
+const { createRandom } = require('../random');
+
+function setup() {
+  const db = new Database(':memory:');
+  // Seeded, so the alarm doesn't auto-recover during the test
+  const machine = new HaasMachine('vf2-1', 'Haas VF-2 #1', 'VF-2', 'CNC_MILL', {}, { random: createRandom('alarm-log') });
+  const alarmLog = new AlarmLog(db);
+  const productionLog = new ProductionLog(db);
+  alarmLog.track(machine);
+  productionLog.track(machine);
+  return { machine, alarmLog, productionLog };
+}
+
+test('an injected alarm is recorded with its state change', () => {
+  const { machine, alarmLog, productionLog } = setup();
+
+  machine.injectAlarm(null, 'DOOR INTERLOCK');
+  machine.update(2);
+
+  assert.equal(alarmLog.current('vf2-1').message, 'DOOR INTERLOCK');
+  const alarms = productionLog.events({ machineId: 'vf2-1', state: 'ALARM', from: 0, to: Date.now() + 60000 });
+  assert.equal(alarms.length, 1);
+  assert.equal(alarms[0].alarm, 'DOOR INTERLOCK');
+});
+
+test('a write that fails is logged and does not throw out of the update', t => {
+  const { machine, alarmLog } = setup();
+  const errors = mock.method(console, 'error', () => {});
+  t.after(() => errors.mock.restore());
+
+  // Not a value SQLite can bind
+  machine.injectAlarm(null, { text: 'DOOR INTERLOCK' });
+  machine.update(2);
+  machine.update(2);
+
+  assert.equal(alarmLog.current('vf2-1'), null);
+  assert.deepEqual(errors.mock.calls.map(call => call.arguments[0].split(':')[0]), [
+    '⚠️  Could not record the alarm for vf2-1',
+    '⚠️  Could not record the state change for vf2-1'
+  ]);
+});
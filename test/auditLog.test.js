@@ -0,0 +1,91 @@
+// auditLog.test.js - Audit log hash chain
+// Every entry's hash covers the entry and the one before it, so edits,
+// removals and a forged on-behalf-of name show up in verify().
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+
+const AuditLog = require('../AuditLog');
+
+const AT = Date.parse('2025-11-25T14:00:00Z');
+
+function entry(fields = {}) {
+  return Object.assign({
+    actor: 'jdoe',
+    actorType: 'user',
+    role: 'admin',
+    ip: '10.0.4.17',
+    method: 'POST',
+    route: '/api/machines/:id/power',
+    machineId: 'haas_vf2',
+    action: 'POWER_OFF',
+    before: { power: true },
+    after: { power: false }
+  }, fields);
+}
+
+// A log with three entries; triggers dropped when the test needs to tamper
+function seededLog({ tamper = false } = {}) {
+  const db = new Database(':memory:');
+  const log = new AuditLog(db);
+  log.record(entry(), AT);
+  log.record(entry({ actor: 'key:4:mes', actorType: 'key', onBehalfOf: 'jdoe', action: 'POWER_ON' }), AT + 1000);
+  log.record(entry({ action: 'MAINTENANCE_MODE_ON', reason: 'Way lube pump' }), AT + 2000);
+  if (tamper) db.exec('DROP TRIGGER audit_log_no_update; DROP TRIGGER audit_log_no_delete;');
+  return { db, log };
+}
+
+test('entries chain from the genesis hash and verify', () => {
+  const { log } = seededLog();
+  const [third, second, first] = log.list({ from: 0, to: AT + 60000 });
+
+  assert.equal(first.prevHash, AuditLog.GENESIS_HASH);
+  assert.equal(second.prevHash, first.hash);
+  assert.equal(third.prevHash, second.hash);
+  assert.deepEqual(log.verify(), { valid: true, entries: 3, firstInvalid: null, lastHash: third.hash });
+});
+
+test('the actor is the key and on-behalf-of is kept apart', () => {
+  const { log } = seededLog();
+  const record = log.get(2);
+
+  assert.equal(record.actor, 'key:4:mes');
+  assert.equal(record.onBehalfOf, 'jdoe');
+  assert.equal(log.get(1).onBehalfOf, null);
+  assert.deepEqual(log.list({ actor: 'jdoe', from: 0, to: AT + 60000 }).map(e => e.id), [3, 2, 1]);
+});
+
+test('the database refuses updates and deletes', () => {
+  const { db } = seededLog();
+
+  assert.throws(() => db.prepare("UPDATE audit_log SET actor = 'x' WHERE id = 1").run(), /append-only/);
+  assert.throws(() => db.prepare('DELETE FROM audit_log WHERE id = 1').run(), /append-only/);
+});
+
+test('a modified entry breaks the chain at that entry', () => {
+  const { db, log } = seededLog({ tamper: true });
+  db.prepare("UPDATE audit_log SET after_state = '{\"power\":true}' WHERE id = 1").run();
+
+  const result = log.verify();
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.firstInvalid, { id: 1, problem: 'entry was modified' });
+});
+
+test('a forged on-behalf-of name breaks the chain', () => {
+  const { db, log } = seededLog({ tamper: true });
+  db.prepare("UPDATE audit_log SET on_behalf_of = 'someone' WHERE id = 2").run();
+  assert.deepEqual(log.verify().firstInvalid, { id: 2, problem: 'entry was modified' });
+
+  // Adding one where there was none
+  const fresh = seededLog({ tamper: true });
+  fresh.db.prepare("UPDATE audit_log SET on_behalf_of = 'someone' WHERE id = 1").run();
+  assert.deepEqual(fresh.log.verify().firstInvalid, { id: 1, problem: 'entry was modified' });
+});
+
+test('a removed entry is reported as missing', () => {
+  const { db, log } = seededLog({ tamper: true });
+  db.prepare('DELETE FROM audit_log WHERE id = 2').run();
+
+  assert.deepEqual(log.verify().firstInvalid, { id: 3, problem: 'entry 2 is missing' });
+});
@@ -0,0 +1,143 @@
+// auth.test.js - User accounts, API keys and role checks
+// Passwords and keys are stored hashed, tokens and keys resolve to an
+// identity on every request, and routes check the caller's role.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const jwt = require('jsonwebtoken');
+
+const UserStore = require('../UserStore');
+const Authenticator = require('../Authenticator');
+
+const { UserError, KEY_PREFIX } = UserStore;
+const SECRET = 'test-secret';
+
+function setup() {
+  const db = new Database(':memory:');
+  const users = new UserStore(db);
+  users.create({ username: 'admin', role: 'admin', password: 'admin-pass' });
+  users.create({ username: 'jdoe', name: 'Jane Doe', role: 'operator', password: 'hunter2', by: 'admin' });
+  return { db, users, auth: new Authenticator({ users, secret: SECRET }) };
+}
+
+// Runs Express-style middleware; resolves with the response or 'next'
+function run(middleware, req) {
+  return new Promise(resolve => {
+    const res = {
+      headers: {},
+      set(name, value) { this.headers[name] = value; return this; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; resolve(this); }
+    };
+    req.headers = req.headers || {};
+    middleware(req, res, () => resolve('next'));
+  });
+}
+
+test('passwords are checked against a scrypt hash', () => {
+  const { db, users } = setup();
+
+  const user = users.checkPassword('jdoe', 'hunter2');
+  assert.equal(user.name, 'Jane Doe');
+  assert.equal(user.role, 'operator');
+  assert.notEqual(user.lastLoginAt, null);
+
+  assert.equal(users.checkPassword('jdoe', 'wrong'), null);
+  assert.equal(users.checkPassword('nobody', 'hunter2'), null);
+
+  const { password_hash: hash } = db.prepare('SELECT password_hash FROM users WHERE username = ?').get('jdoe');
+  assert.match(hash, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+
+  users.update('jdoe', { disabled: true });
+  assert.equal(users.checkPassword('jdoe', 'hunter2'), null);
+});
+
+test('user changes keep at least one active admin', () => {
+  const { users } = setup();
+  const rejects = (fn, status, message) => assert.throws(fn, err =>
+    err instanceof UserError && err.status === status && message.test(err.message));
+
+  rejects(() => users.create({ username: 'jdoe', role: 'viewer', password: 'x' }), 409, /already exists/);
+  rejects(() => users.update('nobody', { role: 'viewer' }), 404, /User not found/);
+  rejects(() => users.update('admin', { role: 'maintenance' }), 409, /last active admin/);
+  rejects(() => users.update('admin', { disabled: true }), 409, /last active admin/);
+
+  users.update('jdoe', { role: 'admin' });
+  assert.equal(users.update('admin', { disabled: true }).disabled, true);
+});
+
+test('a sign-in token identifies the user as they are now', () => {
+  const { users, auth } = setup();
+
+  assert.equal(auth.login('jdoe', 'wrong'), null);
+  const session = auth.login('jdoe', 'hunter2');
+  assert.equal(jwt.verify(session.token, SECRET).sub, 'jdoe');
+
+  const identity = auth.identify(session.token);
+  assert.deepEqual(identity, { type: 'user', id: 'jdoe', name: 'Jane Doe', role: 'operator', expiresAt: session.expiresAt });
+
+  // Looked up on every request: role changes and disabling apply at once
+  users.update('jdoe', { role: 'maintenance' });
+  assert.equal(auth.identify(session.token).role, 'maintenance');
+  users.update('jdoe', { disabled: true });
+  assert.equal(auth.identify(session.token), null);
+
+  const forged = jwt.sign({ role: 'admin' }, 'other-secret', { subject: 'admin' });
+  const expired = jwt.sign({ role: 'admin', exp: Math.floor(Date.now() / 1000) - 60 }, SECRET, { subject: 'admin' });
+  assert.equal(auth.identify(forged), null);
+  assert.equal(auth.identify(expired), null);
+  assert.equal(auth.identify(''), null);
+});
+
+test('API keys are shown once, stored hashed and can be revoked', () => {
+  const { db, users, auth } = setup();
+
+  const { key, apiKey } = users.createKey({ name: 'mes', role: 'operator', by: 'admin' });
+  assert.ok(key.startsWith(KEY_PREFIX));
+  assert.equal(apiKey.prefix, key.slice(0, KEY_PREFIX.length + 6));
+  assert.equal(db.prepare('SELECT COUNT(*) AS n FROM api_keys WHERE key_hash = ?').get(key).n, 0);
+
+  assert.deepEqual(auth.identify(key), { type: 'key', id: apiKey.id, name: 'mes', role: 'operator', expiresAt: null });
+  assert.notEqual(users.getKey(apiKey.id).lastUsedAt, null);
+  assert.equal(auth.identify(`${KEY_PREFIX}not-a-key`), null);
+
+  const revoked = users.revokeKey(apiKey.id, { by: 'admin' });
+  assert.equal(revoked.revokedBy, 'admin');
+  assert.equal(auth.identify(key), null);
+  assert.throws(() => users.revokeKey(apiKey.id), err => err.status === 409);
+  assert.throws(() => users.revokeKey(999), err => err.status === 404);
+});
+
+test('requests need a bearer token or X-API-Key', async () => {
+  const { users, auth } = setup();
+  const { token } = auth.login('admin', 'admin-pass');
+  const { key } = users.createKey({ name: 'erp', role: 'viewer' });
+
+  const denied = await run(auth.authenticate(), {});
+  assert.equal(denied.statusCode, 401);
+  assert.equal(denied.headers['WWW-Authenticate'], 'Bearer');
+  assert.equal((await run(auth.authenticate(), { headers: { authorization: 'Bearer nope' } })).statusCode, 401);
+
+  const byToken = { headers: { authorization: `Bearer ${token}` } };
+  assert.equal(await run(auth.authenticate(), byToken), 'next');
+  assert.equal(byToken.auth.id, 'admin');
+
+  const byKey = { headers: { 'x-api-key': key } };
+  assert.equal(await run(auth.authenticate(), byKey), 'next');
+  assert.equal(byKey.auth.type, 'key');
+});
+
+test('routes require at least their role', async () => {
+  const { requireRole, hasRole } = Authenticator;
+
+  assert.equal(await run(requireRole('maintenance'), { auth: { role: 'admin' } }), 'next');
+  assert.equal(await run(requireRole('maintenance'), { auth: { role: 'maintenance' } }), 'next');
+
+  const denied = await run(requireRole('maintenance'), { auth: { role: 'operator' } });
+  assert.equal(denied.statusCode, 403);
+  assert.equal(denied.body.error, 'Requires maintenance role (you are operator)');
+
+  assert.equal(hasRole({ role: 'viewer' }, 'operator'), false);
+  assert.equal(hasRole({ role: 'operator' }, 'viewer'), true);
+});
@@ -0,0 +1,123 @@
+// bendPrograms.test.js - Press brake bend planning
+// Air-bend tonnage, the press and tooling limits, back gauge travel and
+// timing, validation, and a simulated press running the sample programs.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const HaasMachine = require('../HaasMachine');
+const { createRandom } = require('../random');
+const { validateBendPrograms, getBendProgram, bendTonnage, planBends } = require('../bendPrograms');
+
+const PRESS = { axisLimits: { X: [0, 100], Y: [0, 2000], Z: [0, 300] }, maxTonnage: 200 };
+
+function program(fields = {}) {
+  return Object.assign({
+    number: 'O6100',
+    material: 'Mild Steel',
+    thickness: 3,
+    length: 1000,
+    tooling: { vOpening: 24, maxTonnagePerMeter: 100 },
+    bends: [{ angle: 90, backGauge: 25 }]
+  }, fields);
+}
+
+function press(number, bendPrograms = getBendProgram) {
+  const machine = new HaasMachine('durma_press', 'Durma Press Brake', 'PRESS', 'PRESS_BRAKE', PRESS, {
+    random: createRandom('bend'),
+    bendPrograms: bendPrograms
+  });
+  machine.programRunning = number;
+  return machine;
+}
+
+test('tonnage is the air-bending formula in tonnes', () => {
+  // 1.42 x 450 N/mm2 x 3mm^2 x 1m / V24 = 239.6 kN
+  assert.ok(Math.abs(bendTonnage(program(), 1000) - 239.63 / 9.80665) < 0.01);
+  // Half the length, half the force; tensileStrength overrides the material
+  assert.ok(Math.abs(bendTonnage(program(), 500) - bendTonnage(program(), 1000) / 2) < 1e-9);
+  assert.ok(Math.abs(bendTonnage(program({ tensileStrength: 900 }), 1000) - 2 * bendTonnage(program(), 1000)) < 1e-9);
+});
+
+test('the sample channel plans four bends within the tooling rating', () => {
+  const plan = planBends(getBendProgram('O6001'), PRESS);
+
+  assert.equal(plan.bends.length, 4);
+  assert.deepEqual(plan.bends.map(bend => bend.tonnage), [24.4, 24.4, 24.4, 24.4]);
+  assert.deepEqual(plan.bends.map(bend => [bend.limit, bend.limitedBy]), Array(4).fill([100, 'tooling']));
+  assert.equal(plan.peakTonnage, 24.4);
+  // Four bends of 3s gauge (handling), 1.5s bend and 1s return
+  assert.equal(plan.cycleSeconds, 22);
+  assert.deepEqual(plan.problems, []);
+});
+
+test('a bend over the press or tooling limit is a problem', () => {
+  const plan = planBends(getBendProgram('O6003'), PRESS);
+  assert.deepEqual(plan.problems, [
+    'bend 1: needs 195.5 t, the tooling takes 160 t',
+    'bend 2: needs 195.5 t, the tooling takes 160 t'
+  ]);
+  assert.ok(plan.bends.every(bend => bend.overTonnage));
+
+  const small = planBends(program({ thickness: 6 }), { maxTonnage: 50, axisLimits: PRESS.axisLimits });
+  assert.equal(small.bends[0].limitedBy, 'press');
+  assert.deepEqual(small.problems, ['bend 1: needs 97.7 t, the press takes 50 t']);
+});
+
+test('back gauge positions outside the travel are problems and long moves take longer', () => {
+  const plan = planBends(program({
+    bends: [{ angle: 90, backGauge: 50 }, { angle: 90, backGauge: 1050 }]
+  }), { maxTonnage: 200, axisLimits: { X: [0, 1200] } }, { backGauge: 0 });
+
+  assert.deepEqual(plan.bends.map(bend => bend.seconds.gauge), [3, 4]);
+  assert.deepEqual(planBends(program({ bends: [{ angle: 90, backGauge: 150 }] }), PRESS).problems, [
+    'bend 1: back gauge 150mm is outside the 0 to 100mm travel'
+  ]);
+});
+
+test('invalid programs list every problem', () => {
+  assert.deepEqual(validateBendPrograms({ programs: [program(), program()] }), [
+    'programs[1] (O6100).number: duplicate program number'
+  ]);
+  assert.deepEqual(validateBendPrograms({
+    programs: [program({ material: 'Wood', thickness: 0, tooling: { vOpening: 8 }, bends: [{ angle: 190, backGauge: -1 }] })]
+  }), [
+    'programs[0] (O6100).material: must be one of Mild Steel, Galvanized Steel, Stainless 304, Aluminum 5052, Aluminum 6061 (or set tensileStrength)',
+    'programs[0] (O6100).thickness: must be a positive number (mm)',
+    'programs[0] (O6100).tooling.maxTonnagePerMeter: must be a positive number (tonnes per metre)',
+    'programs[0] (O6100).bends[0].angle: must be a number of degrees between 0 and 180',
+    'programs[0] (O6100).bends[0].backGauge: must be a number of mm, 0 or more'
+  ]);
+  assert.deepEqual(validateBendPrograms({}), ['"programs" must be a list']);
+});
+
+test('a press running a bend program makes parts and tracks angle deviation', () => {
+  const machine = press('O6001');
+  for (let i = 0; i < 600; i++) machine.update(0.5);
+
+  const data = machine.toJSON();
+  assert.equal(data.alarm, null);
+  assert.ok(machine.partCount >= 5, `expected parts in 5 minutes, made ${machine.partCount}`);
+  assert.ok(data.tonnage <= 100, 'bend force stays within the tooling rating');
+  assert.equal(data.bendDeviation.number, 'O6001');
+  assert.equal(data.bendDeviation.bends.length, 4);
+});
+
+test('a bend over the tooling limit stops the ram with OVER_TONNAGE', () => {
+  const machine = press('O6003');
+  for (let i = 0; i < 600 && !machine.alarm; i++) machine.update(0.5);
+
+  assert.equal(machine.alarm, 'OVER_TONNAGE');
+  assert.ok(machine.tonnage <= 160);
+  assert.ok(machine.ramPosition < 100, 'the ram stops before the bottom of its stroke');
+  assert.equal(machine.partCount, 0);
+});
+
+test('a back gauge move past its travel raises X_SOFT_LIMIT', () => {
+  const far = program({ number: 'O6101', bends: [{ angle: 90, backGauge: 150 }] });
+  const machine = press('O6101', number => (number === 'O6101' ? far : null));
+  for (let i = 0; i < 600 && !machine.alarm; i++) machine.update(0.5);
+
+  assert.equal(machine.alarm, 'X_SOFT_LIMIT');
+  assert.ok(machine.backGauge <= 100);
+});
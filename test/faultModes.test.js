@@ -0,0 +1,114 @@
+// faultModes.test.js - Simulated fault modes
+// Faults ramp up on plant time and degrade the machine's own readings
+// until its warnings and alarms pick them up.
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const clock = require('../clock');
+const SimClock = require('../SimClock');
+const HaasMachine = require('../HaasMachine');
+const { createRandom } = require('../random');
+const { checkFaultMode, validateFaultOptions, listFaultModes } = require('../faultModes');
+
+const START = Date.parse('2025-11-24T14:00:00Z');
+const STEP_MS = 2000;
+
+afterEach(() => clock.useClock(null));
+
+function simulated(type = 'CNC_MILL', { maintenance = true } = {}) {
+  const simClock = new SimClock({ stepMs: STEP_MS, start: START });
+  clock.useClock(() => simClock.now());
+
+  const machine = new HaasMachine('m-1', 'Machine 1', 'VF-2', type, {}, { random: createRandom('faults') });
+  // Under maintenance the machine isn't cutting, so only the fault moves the readings
+  machine.setMaintenance(maintenance);
+
+  const run = seconds => {
+    for (let i = 0; i < seconds * 1000 / STEP_MS; i++) {
+      simClock.tick();
+      machine.update(STEP_MS / 1000);
+    }
+  };
+  return { machine, run };
+}
+
+test('fault modes apply to the machine types they model', () => {
+  assert.equal(checkFaultMode('BEARING_WEAR', 'LATHE'), null);
+  assert.equal(checkFaultMode('RESONATOR_COOLING_LOSS', 'LASER'), null);
+  assert.equal(checkFaultMode('RESONATOR_COOLING_LOSS', 'CNC_MILL'), 'RESONATOR_COOLING_LOSS does not apply to CNC_MILL machines');
+  assert.match(checkFaultMode('MELTDOWN', 'CNC_MILL'), /^Unknown fault mode MELTDOWN \(use BEARING_WEAR, /);
+
+  assert.deepEqual(listFaultModes('CNC_MILL').map(fault => fault.mode), ['BEARING_WEAR', 'COOLANT_LEAK', 'SERVO_DRIFT', 'BATTERY_FAILURE']);
+  assert.deepEqual(listFaultModes('LASER').map(fault => fault.mode), ['BATTERY_FAILURE', 'RESONATOR_COOLING_LOSS']);
+  assert.deepEqual(listFaultModes('PRESS_BRAKE').map(fault => fault.mode), ['BATTERY_FAILURE']);
+});
+
+test('fault options are validated', () => {
+  assert.deepEqual(validateFaultOptions({ mode: 'SERVO_DRIFT', severity: 0.5, rampMinutes: 0, axis: 'Y' }), []);
+  assert.deepEqual(validateFaultOptions({ mode: 'COOLANT_LEAK', severity: 0, rampMinutes: -1, axis: 'X' }), [
+    'severity must be a number above 0, up to 1',
+    'rampMinutes must be a number, 0 or more (0 = full effect at once)',
+    'axis only applies to SERVO_DRIFT and must be one of X, Y, Z'
+  ]);
+  assert.equal(validateFaultOptions({ mode: 'SERVO_DRIFT', axis: 'A' }).length, 1);
+});
+
+test('a fault ramps up to its severity over rampMinutes of plant time', () => {
+  const { machine, run } = simulated();
+
+  machine.startFault('BEARING_WEAR', { severity: 0.5, rampMinutes: 10 }, 'jdoe');
+  run(5 * 60);
+  assert.deepEqual(machine.describeFault('BEARING_WEAR'), {
+    mode: 'BEARING_WEAR',
+    startedAt: new Date(START).toISOString(),
+    startedBy: 'jdoe',
+    severity: 0.5,
+    rampMinutes: 10,
+    axis: null,
+    level: 0.25
+  });
+
+  run(10 * 60);
+  assert.equal(machine.toJSON().faults[0].level, 0.5);
+
+  assert.equal(machine.stopFault('BEARING_WEAR'), true);
+  assert.equal(machine.stopFault('BEARING_WEAR'), false);
+  assert.deepEqual(machine.toJSON().faults, []);
+});
+
+test('a coolant leak drains the tank until COOLANT_LOW', () => {
+  const { machine, run } = simulated();
+
+  machine.startFault('COOLANT_LEAK', { rampMinutes: 0 });
+  run(10 * 60);
+  assert.ok(Math.abs(machine.coolant.level - 70) < 0.5, `coolant at ${machine.coolant.level}`);
+  assert.ok(!machine.warnings.some(warning => warning.type === 'COOLANT_LOW'));
+
+  run(20 * 60);
+  assert.ok(machine.coolant.level < 20);
+  assert.ok(machine.warnings.some(warning => warning.type === 'COOLANT_LOW'));
+});
+
+test('a failing battery drops the voltage until BATTERY_LOW', () => {
+  const { machine, run } = simulated();
+
+  machine.startFault('BATTERY_FAILURE', { rampMinutes: 0 });
+  run(10 * 60);
+
+  assert.ok(machine.batteryVoltage < 3.2, `battery at ${machine.batteryVoltage}`);
+  assert.ok(machine.warnings.some(warning => warning.type === 'BATTERY_LOW'));
+});
+
+test('a press brake control battery fails the same way, up to alarm 9100', () => {
+  const { machine, run } = simulated('PRESS_BRAKE', { maintenance: false });
+
+  machine.startFault('BATTERY_FAILURE', { rampMinutes: 0 });
+  run(10 * 60);
+  assert.ok(machine.warnings.some(warning => warning.type === 'BATTERY_LOW'));
+  assert.equal(machine.alarm, null);
+
+  run(10 * 60);
+  assert.equal(machine.alarmCode, 9100);
+  assert.equal(machine.alarm, 'LOW BATTERY');
+});
@@ -0,0 +1,142 @@
+// gcode.test.js - G-code interpretation
+// Parsing, planning (times, positions, overtravel), machine fit and a
+// simulated mill running an uploaded program block by block.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const HaasMachine = require('../HaasMachine');
+const { createRandom } = require('../random');
+const { ProgramError, parseProgram, planProgram, positionAt, checkProgramFit } = require('../gcode');
+
+const O1234 = fs.readFileSync(path.join(__dirname, '..', 'config', 'programs', 'O1234.nc'), 'utf8');
+const VF2 = HaasMachine.normalizeSpecs({
+  axisLimits: { X: [0, 762], Y: [0, 406], Z: [0, 508] },
+  spindlePower: 30,
+  maxRPM: 8100,
+  rapidTraverse: 1000,
+  toolCapacity: 24
+});
+const HOME = { X: 0, Y: 0, Z: 508 };
+
+test('parses the sample program', () => {
+  const program = parseProgram(O1234);
+
+  assert.equal(program.number, 'O1234');
+  assert.equal(program.comment, 'BRK-2210 BRACKET OP1');
+  assert.deepEqual(program.tools, [1, 2, 3]);
+  assert.equal(program.maxRPM, 8000);
+  assert.equal(program.operations[program.operations.length - 1].type, 'end');
+  assert.equal(program.operations.filter(op => op.type === 'arc').length, 4);
+});
+
+test('collects every problem into one ProgramError', () => {
+  const source = ['O0001', 'G01 X10.', 'M03', 'T0 M06', 'G02 X5. Y5. F100.'].join('\n');
+
+  assert.throws(() => parseProgram(source), err => {
+    assert.ok(err instanceof ProgramError);
+    assert.deepEqual(err.errors, [
+      'line 2: G1 move without a feed rate (F)',
+      'line 3: spindle started without a speed (S)',
+      'line 4: T must be a tool number',
+      'line 4: M6 without a tool (T)',
+      'line 5: G2 needs I/J or R'
+    ]);
+    return true;
+  });
+  assert.throws(() => parseProgram('G00 X0.'), /program number \(O word, e\.g\. O1234\) missing/);
+});
+
+test('inch programs and incremental moves are planned in machine mm', () => {
+  const program = parseProgram(['O0002', 'G20 G91', 'G00 X1. Y2.', 'G01 Z-1. F10.', 'M30'].join('\n'));
+  const plan = planProgram(program, VF2, { position: { X: 100, Y: 100, Z: 300 } });
+  const [rapid, feed] = plan.steps;
+
+  assert.deepEqual(rapid.to, { X: 125.4, Y: 150.8, Z: 300 });
+  assert.equal(rapid.phase, 'RAPID');
+  assert.deepEqual(feed.to, { X: 125.4, Y: 150.8, Z: 274.6 });
+  // 25.4mm at 10 in/min (254 mm/min) is 6 seconds
+  assert.ok(Math.abs(feed.seconds - 6) < 1e-9);
+  assert.equal(plan.steps[plan.steps.length - 1].phase, 'FINISH');
+});
+
+test('dwell P takes seconds with a decimal point, milliseconds without', () => {
+  const plan = planProgram(parseProgram(['O0003', 'G04 P1.5', 'G04 P250', 'M30'].join('\n')), VF2, { position: HOME });
+
+  assert.deepEqual(plan.steps.filter(step => step.phase === 'DWELL').map(step => step.seconds), [1.5, 0.25]);
+});
+
+test('arcs end where programmed and pass through their sweep', () => {
+  const program = parseProgram(['O0004', 'G00 X110. Y100. Z100.', 'G03 X100. Y110. R10. F600.', 'M30'].join('\n'));
+  const arc = planProgram(program, VF2, { position: HOME }).steps[1];
+
+  assert.deepEqual(arc.to, { X: 100, Y: 110, Z: 100 });
+  const middle = positionAt(arc, 0.5);
+  assert.ok(Math.abs(Math.hypot(middle.X - 100, middle.Y - 100) - 10) < 1e-9);
+  assert.ok(middle.X > 100 && middle.Y > 100, 'a counter-clockwise quarter from +X goes through the +X+Y quadrant');
+});
+
+test('the sample program fits a VF-2 and plans a full cycle', () => {
+  const plan = planProgram(parseProgram(O1234), VF2, { position: HOME });
+
+  assert.deepEqual(checkProgramFit(parseProgram(O1234), VF2), []);
+  assert.deepEqual(plan.overtravel, []);
+  assert.ok(plan.cycleSeconds > 0);
+  assert.equal(plan.steps.filter(step => step.phase === 'TOOL_CHANGE').length, 3);
+});
+
+test('machine fit reports travel, spindle speed and tool pockets', () => {
+  const program = parseProgram([
+    'O0005', 'T30 M06', 'G00 X100. Y100. S11000 M03', 'G00 Z50.', 'G01 X1000. F2000.', 'M30'
+  ].join('\n'));
+
+  assert.deepEqual(checkProgramFit(program, VF2), [
+    'X needs 100 to 1000mm of travel, the machine has 0 to 762mm (first past it at line 5)',
+    'S11000 is above the 8100 rpm spindle',
+    'T30 is past the 24-pocket tool changer'
+  ]);
+});
+
+test('a mill runs an uploaded program block by block and makes the part', () => {
+  const machine = new HaasMachine('haas_vf2', 'Haas VF-2', 'VF-2', 'CNC_MILL', VF2, {
+    random: createRandom('gcode'),
+    programs: number => (number === 'O1234' ? O1234 : null)
+  });
+  machine.programRunning = 'O1234';
+
+  const lines = new Set();
+  let seconds = 0;
+  while (machine.partCount === 0 && seconds < 600) {
+    machine.update(0.5);
+    seconds += 0.5;
+    const status = machine.toJSON().programStatus;
+    if (status) {
+      assert.equal(status.number, 'O1234');
+      lines.add(status.line);
+    }
+    ['X', 'Y', 'Z'].forEach(axis => {
+      const [min, max] = VF2.axisLimits[axis];
+      assert.ok(machine.axisPositions[axis] >= min && machine.axisPositions[axis] <= max);
+    });
+  }
+
+  assert.equal(machine.partCount, 1);
+  assert.equal(machine.alarm, null);
+  assert.ok(lines.size > 10, 'the dashboard should follow the program through its blocks');
+});
+
+test('a move past travel stops the mill with a soft limit alarm', () => {
+  const source = ['O0006', 'G00 X100. Y100. Z200.', 'G01 X900. F3000.', 'M30'].join('\n');
+  const machine = new HaasMachine('haas_vf2', 'Haas VF-2', 'VF-2', 'CNC_MILL', VF2, {
+    random: createRandom('overtravel'),
+    programs: number => (number === 'O0006' ? source : null)
+  });
+  machine.programRunning = 'O0006';
+
+  for (let i = 0; i < 600 && !machine.alarm; i++) machine.update(0.5);
+
+  assert.equal(machine.alarm, 'X_SOFT_LIMIT');
+  assert.ok(machine.axisPositions.X <= 762);
+});
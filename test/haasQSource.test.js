@@ -0,0 +1,195 @@
+// haasQSource.test.js - Haas Q-command data source
+// Polls the mock controller (tools/haas-mock-controller.js) and checks
+// the ?Q responses land on the machine fields, that a control that
+// stops answering times out, and that the source reconnects.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+
+const HaasQSource = require('../sources/HaasQSource');
+
+const MOCK = path.join(__dirname, '..', 'tools', 'haas-mock-controller.js');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Mock controller on its own port; resolves once it is listening
+function startControl(port) {
+  const child = spawn(process.execPath, [MOCK], {
+    env: Object.assign({}, process.env, { HAAS_MOCK_PORT: String(port) }),
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+
+  return new Promise((resolve, reject) => {
+    let output = '';
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('mock controller')) resolve(control);
+    });
+    child.once('exit', code => reject(new Error(`mock controller exited with ${code}`)));
+
+    const control = {
+      stop: () => new Promise(done => {
+        if (child.exitCode !== null) return done();
+        child.once('exit', () => done());
+        child.kill();
+      })
+    };
+  });
+}
+
+// A scripted control: answers each command through reply(command, socket),
+// or never answers without one
+function startFakeControl(reply = () => {}) {
+  const server = net.createServer(socket => {
+    socket.setEncoding('latin1');
+    socket.on('data', chunk => chunk.split('\n').filter(line => line.trim()).forEach(line => reply(line.trim(), socket)));
+    socket.on('error', () => {});
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, () => resolve({
+      port: server.address().port,
+      stop: () => new Promise(done => {
+        server.close(() => done());
+        server.unref();
+      })
+    }));
+  });
+}
+
+test('Q100/Q500/Q300/Q301 and macro reads land on the machine fields', async (t) => {
+  const port = await freePort();
+  const control = await startControl(port);
+  const source = new HaasQSource({ host: 'localhost', port: port, alarmMacro: 9000 });
+  t.after(() => source.stop());
+  t.after(() => control.stop());
+
+  await source.poll();
+
+  assert.equal(source.lastError, null);
+  assert.equal(source.connected, true);
+
+  // The mock starts every 30s cycle with 8s idle at the spindle's rest position
+  const snapshot = source.getSnapshot();
+  assert.equal(snapshot.serialNumber, '1234567');
+  assert.equal(snapshot.programRunning, 'O01234');
+  assert.equal(snapshot.execution, 'IDLE');
+  assert.equal(snapshot.partCount, 142);
+  assert.equal(snapshot.spindleSpeed, 0);
+  assert.equal(snapshot.spindleLoad, 0);
+  assert.deepEqual(snapshot.axisPositions, { X: 381, Y: 203, Z: 508 });
+  assert.equal(snapshot.alarm, null);
+  assert.ok(Math.abs(snapshot.machineOnHours - (326 + 46 / 60 + 53 / 3600)) < 0.01);
+  assert.ok(Math.abs(snapshot.spindleHours - (3 + 2 / 60 + 57 / 3600)) < 0.001);
+  assert.equal(source.describe().serialNumber, '1234567');
+});
+
+test('STX/ETB framing, split packets and ALARM ON are parsed', async (t) => {
+  const control = await startFakeControl((command, socket) => {
+    const responses = {
+      '?Q100': '>SERIAL NUMBER, 7654321',
+      '?Q500': '>PROGRAM, O05555, ALARM ON, PARTS, 7',
+      '?Q300': '>P.O. TIME, 00010:30:00',
+      '?Q301': '>C.S. TIME, 00002:15:00',
+      '?Q600 9000': '>MACRO, 108.000000'
+    };
+    const response = `\x02${responses[command] || '>MACRO, 1.500000'}\r\n\x17`;
+    // Deliver the reply in two packets
+    socket.write(response.slice(0, 5));
+    setTimeout(() => socket.write(response.slice(5)), 5);
+  });
+  const source = new HaasQSource({ host: 'localhost', port: control.port, alarmMacro: 9000 });
+  t.after(() => source.stop());
+  t.after(() => control.stop());
+
+  await source.poll();
+
+  assert.equal(source.lastError, null);
+  const snapshot = source.getSnapshot();
+  assert.equal(snapshot.serialNumber, '7654321');
+  assert.equal(snapshot.programRunning, 'O05555');
+  assert.equal(snapshot.execution, 'ALARM');
+  assert.equal(snapshot.partCount, 7);
+  assert.equal(snapshot.machineOnHours, 10.5);
+  assert.equal(snapshot.spindleHours, 2.25);
+  assert.equal(snapshot.spindleSpeed, 1.5);
+  assert.deepEqual(snapshot.alarm, { code: 108, message: 'ALARM 108' });
+});
+
+test('a control that stops answering times out and disconnects', async (t) => {
+  const control = await startFakeControl();
+  const source = new HaasQSource({ host: 'localhost', port: control.port, timeoutMs: 200 });
+  t.after(() => source.stop());
+  t.after(() => control.stop());
+
+  await source.poll();
+
+  assert.equal(source.connected, false);
+  assert.equal(source.getSnapshot(), null);
+  assert.equal(source.lastError, 'Timeout waiting for ?Q100');
+  await assert.rejects(source.query('?Q500'), /Not connected/);
+});
+
+test('the source reconnects after the control goes away', async (t) => {
+  const port = await freePort();
+  let control = await startControl(port);
+  const source = new HaasQSource({ host: 'localhost', port: port, timeoutMs: 500 });
+  t.after(() => source.stop());
+  t.after(() => control.stop());
+
+  await source.poll();
+  assert.equal(source.connected, true);
+
+  await control.stop();
+  await source.poll();
+
+  assert.equal(source.connected, false);
+  assert.equal(source.getSnapshot(), null);
+  assert.equal(typeof source.lastError, 'string');
+
+  control = await startControl(port);
+  await source.poll();
+
+  assert.equal(source.connected, true);
+  assert.equal(source.lastError, null);
+  assert.equal(source.getSnapshot().serialNumber, '1234567');
+});
+
+test('a late reply after a timeout is not taken as the answer to the next query', async (t) => {
+  let delayMs = 0;
+  const control = await startFakeControl((command, socket) => {
+    const response = command === '?Q100' ? '>SERIAL NUMBER, 1234567' : '>PROGRAM, O01234, BUSY, PARTS, 142';
+    setTimeout(() => socket.write(`\x02${response}\r\n\x17`), delayMs);
+  });
+  const source = new HaasQSource({ host: 'localhost', port: control.port, timeoutMs: 100 });
+  t.after(() => source.stop());
+  t.after(() => control.stop());
+
+  await source.poll();
+  assert.equal(source.connected, true);
+
+  delayMs = 300;
+  await assert.rejects(source.query('?Q500'), /Timeout waiting for \?Q500/);
+  await new Promise(resolve => setTimeout(resolve, 400));
+
+  // The Q500 reply arrived after the timeout; it must not answer Q100
+  await assert.rejects(source.query('?Q100'), /Not connected/);
+  assert.equal(source.connected, false);
+
+  delayMs = 0;
+  await source.poll();
+  assert.equal(source.connected, true);
+  assert.equal(source.getSnapshot().serialNumber, '1234567');
+});
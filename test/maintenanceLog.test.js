@@ -0,0 +1,151 @@
+// maintenanceLog.test.js - Preventive maintenance schedule and work orders
+// Due/overdue tracking from the hour meters and calendar, work orders
+// opened by the scheduler, sign-off, and the MAINTENANCE state.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+
+const HaasMachine = require('../HaasMachine');
+const MaintenanceLog = require('../MaintenanceLog');
+
+const { MaintenanceError } = MaintenanceLog;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function setup() {
+  const log = new MaintenanceLog(new Database(':memory:'));
+  const machine = new HaasMachine('vf2-1', 'Haas VF-2 #1', 'VF-2', 'CNC_MILL');
+  machine.machineOnHours = 0;
+  machine.spindleHours = 0;
+  log.track(machine);
+  return { log, machine };
+}
+
+function task(log, machine, planId, now) {
+  return log.schedule(machine, now).find(entry => entry.planId === planId);
+}
+
+test('plans come due from the hour meters and the calendar', () => {
+  const { log, machine } = setup();
+  const now = Date.now();
+
+  assert.deepEqual(log.schedule(machine, now).map(entry => entry.planId).sort(),
+    ['battery-replacement', 'coolant-change', 'spindle-inspection', 'way-lube']);
+  assert.equal(task(log, machine, 'way-lube', now).status, 'ok');
+
+  // Due once 10% of the interval is left, overdue once it runs out
+  machine.machineOnHours = 455;
+  assert.equal(task(log, machine, 'way-lube', now).status, 'due');
+  machine.machineOnHours = 510;
+  const wayLube = task(log, machine, 'way-lube', now);
+  assert.equal(wayLube.status, 'overdue');
+  assert.deepEqual(wayLube.intervals, [{ meter: 'machineHours', interval: 500, used: 510, remaining: -10 }]);
+
+  // Never done: counted from when the monitor first saw the machine
+  assert.equal(task(log, machine, 'coolant-change', now + 12 * DAY_MS).status, 'ok');
+  assert.equal(task(log, machine, 'coolant-change', now + 13 * DAY_MS).status, 'due');
+  assert.equal(task(log, machine, 'coolant-change', now + 15 * DAY_MS).status, 'overdue');
+});
+
+test('the scheduler opens one work order per due task', () => {
+  const { log, machine } = setup();
+  const now = Date.now() + 60 * 1000;
+  machine.machineOnHours = 510;
+
+  const created = log.touch(now);
+  assert.deepEqual(created.map(order => [order.planId, order.status, order.createdBy]), [['way-lube', 'OPEN', 'scheduler']]);
+  assert.equal(task(log, machine, 'way-lube', now).openOrderId, created[0].id);
+
+  // Checked once a minute, and never twice for an open order
+  assert.deepEqual(log.touch(now + 1000), []);
+  assert.deepEqual(log.touch(now + 2 * 60 * 1000), []);
+});
+
+test('a work order puts the machine in MAINTENANCE until it is signed off', () => {
+  const { log, machine } = setup();
+  machine.machineOnHours = 510;
+  machine.spindleHours = 320;
+
+  const order = log.createOrder('vf2-1', { planId: 'way-lube', assignee: 'mtech', by: 'jdoe' });
+  assert.equal(order.title, 'Way lube check and refill');
+  assert.equal(order.assignedTo, 'mtech');
+  assert.ok(order.steps.length > 0);
+
+  const started = log.start(order.id, { by: 'mtech' });
+  assert.equal(started.status, 'IN_PROGRESS');
+  assert.equal(machine.maintenanceMode, true);
+  assert.equal(machine.execution, 'MAINTENANCE');
+  assert.deepEqual(log.inProgress('vf2-1'), [order.id]);
+
+  const done = log.complete(order.id, { by: 'mtech', notes: 'Topped up 2 L' });
+  assert.equal(done.status, 'COMPLETED');
+  assert.equal(done.completedBy, 'mtech');
+  assert.equal(done.notes, 'Topped up 2 L');
+  assert.equal(done.machineHours, 510);
+  assert.equal(done.spindleHours, 320);
+  assert.equal(machine.maintenanceMode, false);
+
+  // The interval starts again from the sign-off meters
+  const wayLube = task(log, machine, 'way-lube', Date.now());
+  assert.equal(wayLube.status, 'ok');
+  assert.equal(wayLube.lastOrderId, order.id);
+  assert.equal(wayLube.intervals[0].remaining, 500);
+});
+
+test('the machine leaves MAINTENANCE once nothing is in progress', () => {
+  const { log, machine } = setup();
+
+  const first = log.createOrder('vf2-1', { title: 'Replace door seal', by: 'jdoe' });
+  const second = log.createOrder('vf2-1', { title: 'Check chip conveyor', by: 'jdoe' });
+  log.start(first.id, { by: 'mtech' });
+  log.start(second.id, { by: 'mtech' });
+
+  const cancelled = log.cancel(first.id, { by: 'jdoe', reason: 'Parts on order' });
+  assert.equal(cancelled.status, 'CANCELLED');
+  assert.equal(cancelled.cancelReason, 'Parts on order');
+  assert.equal(machine.maintenanceMode, true);
+
+  log.complete(second.id, { by: 'mtech' });
+  assert.equal(machine.maintenanceMode, false);
+  assert.deepEqual(log.list({ machineId: 'vf2-1' }).map(order => order.status), ['COMPLETED', 'CANCELLED']);
+});
+
+test('work order mistakes are rejected with a status', () => {
+  const { log } = setup();
+  const rejects = (fn, status, message) => assert.throws(fn, err =>
+    err instanceof MaintenanceError && err.status === status && message.test(err.message));
+
+  rejects(() => log.createOrder('nope', { title: 'x' }), 404, /Machine not found/);
+  rejects(() => log.createOrder('vf2-1', { planId: 'bogus' }), 400, /Unknown maintenance plan "bogus"/);
+  rejects(() => log.createOrder('vf2-1', { planId: 'laser-lens' }), 400, /does not apply to CNC_MILL machines/);
+
+  const order = log.createOrder('vf2-1', { planId: 'coolant-change' });
+  rejects(() => log.createOrder('vf2-1', { planId: 'coolant-change' }), 409, /already open/);
+
+  log.start(order.id, { by: 'mtech' });
+  rejects(() => log.start(order.id, { by: 'mtech' }), 409, /Work order is IN_PROGRESS/);
+  log.cancel(order.id, { by: 'jdoe' });
+  rejects(() => log.complete(order.id, { by: 'mtech' }), 409, /Work order is CANCELLED/);
+  rejects(() => log.start(999, { by: 'mtech' }), 404, /Work order not found/);
+});
+
+test('hour meters and open maintenance carry over a restart', () => {
+  const db = new Database(':memory:');
+  const before = new MaintenanceLog(db);
+  const machine = new HaasMachine('vf2-1', 'Haas VF-2 #1', 'VF-2', 'CNC_MILL');
+  machine.machineOnHours = 1200;
+  machine.spindleHours = 640;
+  before.track(machine);
+  before.start(before.createOrder('vf2-1', { title: 'Replace way cover' }).id, { by: 'mtech' });
+
+  const after = new MaintenanceLog(db);
+  const restarted = new HaasMachine('vf2-1', 'Haas VF-2 #1', 'VF-2', 'CNC_MILL');
+  restarted.machineOnHours = 0;
+  restarted.spindleHours = 0;
+  after.track(restarted);
+
+  assert.equal(restarted.machineOnHours, 1200);
+  assert.equal(restarted.spindleHours, 640);
+  assert.equal(restarted.maintenanceMode, true);
+});
@@ -0,0 +1,183 @@
+// mtconnectSource.test.js - MTConnect agent data source
+// Runs the stub agent (tools/mtconnect-stub-agent.js) on the recorded
+// fixtures and checks what MTConnectSource maps them onto, and that
+// UNAVAILABLE values and a dropped agent are handled.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const MTConnectSource = require('../sources/MTConnectSource');
+
+const STUB = path.join(__dirname, '..', 'tools', 'mtconnect-stub-agent.js');
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'mtconnect');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Stub agent on its own port; resolves once it is listening
+function startAgent(port, fixtureDir = FIXTURES) {
+  const child = spawn(process.execPath, [STUB, fixtureDir], {
+    env: Object.assign({}, process.env, { MTCONNECT_STUB_PORT: String(port) }),
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+
+  return new Promise((resolve, reject) => {
+    let output = '';
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('stub agent on')) resolve(agent);
+    });
+    child.once('exit', code => reject(new Error(`stub agent exited with ${code}`)));
+
+    const agent = {
+      url: `http://localhost:${port}`,
+      stop: () => new Promise(done => {
+        if (child.exitCode !== null) return done();
+        child.once('exit', () => done());
+        child.kill();
+      })
+    };
+  });
+}
+
+// A fixture directory with the recorded probe/current and our own samples
+function fixtureDir(samples) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mtconnect-'));
+  ['probe.xml', 'current.xml'].forEach(file => fs.copyFileSync(path.join(FIXTURES, file), path.join(dir, file)));
+  samples.forEach((xml, i) => fs.writeFileSync(path.join(dir, `sample-${String(i + 1).padStart(3, '0')}.xml`), xml));
+  return dir;
+}
+
+function streams(nextSequence, components) {
+  return '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<MTConnectStreams xmlns="urn:mtconnect.org:MTConnectStreams:1.7">' +
+    `<Header instanceId="1732111331" nextSequence="${nextSequence}" firstSequence="1" lastSequence="${nextSequence - 1}"/>` +
+    `<Streams><DeviceStream name="VF2" uuid="HAAS-VF2-1234567">${components}</DeviceStream></Streams>` +
+    '</MTConnectStreams>';
+}
+
+test('first contact maps /probe and /current onto the machine fields', async (t) => {
+  const agent = await startAgent(await freePort());
+  t.after(() => agent.stop());
+
+  const source = new MTConnectSource({ url: agent.url });
+  await source.poll();
+
+  assert.equal(source.lastError, null);
+  assert.equal(source.connected, true);
+  assert.equal(source.nextSequence, 1041);
+  assert.deepEqual(source.getSnapshot(), {
+    power: true,
+    axisPositions: { X: 381.25, Y: 203.1, Z: 412.8 },
+    spindleSpeed: 6800,
+    spindleLoad: 41.5,
+    feedRate: 1250,
+    execution: 'RUNNING',
+    programRunning: 'O1234',
+    partCount: 142,
+    alarm: null
+  });
+});
+
+test('samples apply in sequence order and a Fault condition becomes the alarm', async (t) => {
+  const agent = await startAgent(await freePort());
+  t.after(() => agent.stop());
+
+  const source = new MTConnectSource({ url: agent.url });
+  await source.poll();
+
+  await source.poll();
+  let snapshot = source.getSnapshot();
+  assert.equal(snapshot.axisPositions.Z, 384.05);
+  assert.equal(snapshot.spindleLoad, 52.8);
+  assert.equal(snapshot.feedRate, 1340);
+  assert.equal(source.nextSequence, 1047);
+
+  await source.poll();
+  snapshot = source.getSnapshot();
+  assert.equal(snapshot.execution, 'STOPPED');
+  assert.equal(snapshot.spindleSpeed, 0);
+  assert.deepEqual(snapshot.alarm, { code: 103, message: 'X AXIS FOLLOWING ERROR' });
+
+  await source.poll();
+  snapshot = source.getSnapshot();
+  assert.equal(snapshot.execution, 'IDLE');
+  assert.equal(snapshot.partCount, 143);
+  assert.equal(snapshot.alarm, null);
+});
+
+test('UNAVAILABLE values keep the last reading', async (t) => {
+  const dir = fixtureDir([
+    streams(1045,
+      '<ComponentStream component="Rotary" name="C" componentId="c"><Samples>' +
+      '<RotaryVelocity dataItemId="Srpm" sequence="1041">UNAVAILABLE</RotaryVelocity>' +
+      '<Load dataItemId="Sload" sequence="1042">UNAVAILABLE</Load>' +
+      '</Samples></ComponentStream>' +
+      '<ComponentStream component="Path" name="path" componentId="path"><Events>' +
+      '<Execution dataItemId="execution" sequence="1043">UNAVAILABLE</Execution>' +
+      '<PartCount dataItemId="partcount" sequence="1044">UNAVAILABLE</PartCount>' +
+      '</Events></ComponentStream>'),
+    streams(1046,
+      '<ComponentStream component="Linear" name="X" componentId="x"><Condition>' +
+      '<Unavailable dataItemId="Xtravel" type="POSITION" sequence="1045"/>' +
+      '</Condition></ComponentStream>')
+  ]);
+  const agent = await startAgent(await freePort(), dir);
+  t.after(() => agent.stop());
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const source = new MTConnectSource({ url: agent.url });
+  await source.poll();
+  await source.poll();
+  await source.poll();
+
+  assert.equal(source.connected, true);
+  const snapshot = source.getSnapshot();
+  assert.equal(snapshot.spindleSpeed, 6800);
+  assert.equal(snapshot.spindleLoad, 41.5);
+  assert.equal(snapshot.execution, 'RUNNING');
+  assert.equal(snapshot.partCount, 142);
+  assert.equal(snapshot.alarm, null);
+  assert.equal(source.conditions.Xtravel.state, 'Unavailable');
+});
+
+test('a dropped agent disconnects the machine and reconnects from /probe', async (t) => {
+  const port = await freePort();
+  let agent = await startAgent(port);
+  t.after(() => agent.stop());
+
+  const source = new MTConnectSource({ url: agent.url });
+  await source.poll();
+  await source.poll();
+  assert.equal(source.nextSequence, 1047);
+
+  await agent.stop();
+  await source.poll();
+
+  assert.equal(source.connected, false);
+  assert.equal(source.getSnapshot(), null);
+  assert.equal(source.nextSequence, null);
+  assert.equal(typeof source.lastError, 'string');
+  assert.equal(source.describe().connected, false);
+
+  agent = await startAgent(port);
+  await source.poll();
+
+  assert.equal(source.connected, true);
+  assert.equal(source.lastError, null);
+  assert.equal(source.nextSequence, 1041);
+  assert.equal(source.getSnapshot().axisPositions.Z, 412.8);
+});
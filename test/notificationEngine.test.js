@@ -0,0 +1,259 @@
+// notificationEngine.test.js - Alarm and warning notifications
+// Delivers through the notification stub (tools/notification-stub.js),
+// so every channel goes over real HTTP and SMTP, and checks minimum
+// duration, dedup/cooldown, rate limiting, retries and escalation.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+
+const NotificationEngine = require('../NotificationEngine');
+
+const STUB = path.join(__dirname, '..', 'tools', 'notification-stub.js');
+const START = Date.parse('2025-11-25T14:00:00Z');
+const MINUTE_MS = 60 * 1000;
+
+let stub = null;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Stub webhook + SMTP sink; output collects what it received
+async function startStub(env = {}) {
+  const httpPort = await freePort();
+  const smtpPort = await freePort();
+  const child = spawn(process.execPath, [STUB], {
+    env: Object.assign({}, process.env, {
+      NOTIFY_STUB_HTTP_PORT: String(httpPort),
+      NOTIFY_STUB_SMTP_PORT: String(smtpPort)
+    }, env),
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+
+  const sink = {
+    httpPort: httpPort,
+    smtpPort: smtpPort,
+    output: '',
+    stop: () => new Promise(done => {
+      if (child.exitCode !== null) return done();
+      child.once('exit', () => done());
+      child.kill();
+    })
+  };
+
+  await new Promise((resolve, reject) => {
+    child.stdout.on('data', chunk => {
+      sink.output += chunk;
+      if ((sink.output.match(/Notification stub/g) || []).length === 2) resolve();
+    });
+    child.once('exit', code => reject(new Error(`notification stub exited with ${code}`)));
+  });
+  return sink;
+}
+
+function engine(rules, options = {}) {
+  const sink = options.sink || stub;
+  return new NotificationEngine({
+    channels: {
+      hook: { type: 'webhook', url: `http://localhost:${sink.httpPort}/hooks/mes` },
+      slack: { type: 'slack', url: `http://localhost:${sink.httpPort}/hooks/slack` },
+      teams: { type: 'teams', url: `http://localhost:${sink.httpPort}/hooks/teams` },
+      mail: { type: 'email', host: 'localhost', port: sink.smtpPort, from: 'monitor@example.com', to: ['maint@example.com'] }
+    },
+    rateLimit: options.rateLimit,
+    rules: rules
+  }, options);
+}
+
+function machine(fields = {}) {
+  return Object.assign({
+    id: 'vf2-1',
+    name: 'Haas VF-2 #1',
+    model: 'VF-2',
+    type: 'CNC_MILL',
+    alarm: null,
+    alarmCode: null,
+    alarmSeverity: null,
+    alarmHistory: [],
+    warnings: []
+  }, fields);
+}
+
+function inAlarm(fields = {}) {
+  return machine(Object.assign({
+    alarm: 'X AXIS FOLLOWING ERROR',
+    alarmCode: 103,
+    alarmSeverity: 'critical',
+    alarmHistory: [{ title: 'X Axis Following Error' }]
+  }, fields));
+}
+
+// Deliveries finish asynchronously; wait for the log to reach `count` entries
+async function settled(notifier, count) {
+  const deadline = Date.now() + 5000;
+  while (notifier.log.length < count) {
+    if (Date.now() > deadline) {
+      throw new Error(`expected ${count} log entries, got ${JSON.stringify(notifier.log)}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return notifier.log;
+}
+
+before(async () => {
+  stub = await startStub();
+});
+
+after(async () => {
+  await stub.stop();
+});
+
+test('a notification reaches the webhook, Slack, Teams and email channels', async () => {
+  const notifier = engine([{ id: 'all', event: 'alarm', channels: ['hook', 'slack', 'teams', 'mail'] }]);
+  notifier.evaluate([inAlarm()], START);
+
+  const log = await settled(notifier, 4);
+  assert.deepEqual(log.map(entry => [entry.channel, entry.status]).sort(), [
+    ['hook', 'sent'], ['mail', 'sent'], ['slack', 'sent'], ['teams', 'sent']
+  ]);
+
+  assert.match(stub.output, /POST \/hooks\/mes/);
+  assert.match(stub.output, /"ruleId": "all"/);
+  assert.match(stub.output, /POST \/hooks\/slack/);
+  assert.match(stub.output, /POST \/hooks\/teams/);
+  assert.match(stub.output, /Mail from <?monitor@example.com>? to <?maint@example.com>?/);
+  assert.ok(stub.output.includes('Subject: [CRITICAL] Haas VF-2 #1: X Axis Following Error (103)'));
+});
+
+test('a condition is only notified once it has lasted minDurationSec', async () => {
+  const notifier = engine([{ id: 'slow', event: 'alarm', minDurationSec: 30, channels: ['hook'] }]);
+
+  notifier.evaluate([inAlarm()], START);
+  notifier.evaluate([inAlarm()], START + 20 * 1000);
+  assert.equal(notifier.log.length, 0);
+
+  notifier.evaluate([inAlarm()], START + 30 * 1000);
+  notifier.evaluate([inAlarm()], START + 40 * 1000);
+  const log = await settled(notifier, 1);
+  assert.equal(log.length, 1);
+  assert.equal(log[0].status, 'sent');
+});
+
+test('the same condition is not sent again within the cooldown', async () => {
+  const notifier = engine([{ id: 'dedup', event: 'alarm', cooldownMinutes: 15, channels: ['hook'] }]);
+
+  notifier.evaluate([inAlarm()], START);
+  await settled(notifier, 1);
+
+  // Clears and comes back inside the cooldown: held back
+  notifier.evaluate([machine()], START + 2 * MINUTE_MS);
+  notifier.evaluate([inAlarm()], START + 5 * MINUTE_MS);
+
+  // Another alarm on the machine is a different condition
+  notifier.evaluate([inAlarm({ alarm: 'SPINDLE OVERLOAD', alarmCode: 108 })], START + 6 * MINUTE_MS);
+  await settled(notifier, 2);
+
+  // Back after the cooldown: sent again
+  notifier.evaluate([machine()], START + 10 * MINUTE_MS);
+  notifier.evaluate([inAlarm()], START + 16 * MINUTE_MS);
+  const log = await settled(notifier, 3);
+
+  assert.deepEqual(log.map(entry => entry.code), [103, 108, 103]);
+});
+
+test('a failed send is retried before it is logged as failed', async t => {
+  const failing = await startStub({ NOTIFY_STUB_FAIL_FIRST: '3' });
+  t.after(failing.stop);
+  const notifier = engine([{ id: 'retry', event: 'alarm', channels: ['hook'] }], { sink: failing, retryDelaysMs: [50] });
+
+  // Two 503s use up the one retry
+  notifier.evaluate([inAlarm()], START);
+  await settled(notifier, 1);
+  // A 503, then delivered on the retry
+  notifier.evaluate([inAlarm({ id: 'vf2-2' })], START);
+  const log = await settled(notifier, 2);
+
+  assert.deepEqual(log.map(entry => [entry.machineId, entry.status, entry.attempts]), [
+    ['vf2-1', 'failed', 2],
+    ['vf2-2', 'sent', 2]
+  ]);
+  assert.match(log[0].error, /HTTP 503/);
+  assert.equal((failing.output.match(/-> 503/g) || []).length, 3);
+});
+
+test('each channel sends at most rateLimit.maxPerHour messages', async () => {
+  const notifier = engine([{ id: 'noisy', event: 'alarm', channels: ['hook'] }], { rateLimit: { maxPerHour: 2 } });
+
+  ['vf2-1', 'vf2-2', 'vf2-3'].forEach((id, i) => notifier.evaluate([inAlarm({ id })], START + i * 1000));
+  const log = await settled(notifier, 3);
+
+  assert.deepEqual(log.map(entry => entry.status).sort(), ['rate-limited', 'sent', 'sent']);
+  assert.equal(log.find(entry => entry.status === 'rate-limited').machineId, 'vf2-3');
+});
+
+test('an alarm escalates after afterMinutes unless it is acknowledged', async () => {
+  const rule = { id: 'escalate', event: 'alarm', channels: ['hook'], escalation: { afterMinutes: 10, channels: ['mail'] } };
+  let record = { id: 7, acknowledgedAt: null };
+  const alarmLog = { current: () => record };
+
+  const notifier = engine([rule], { alarmLog });
+  notifier.evaluate([inAlarm()], START);
+  notifier.evaluate([inAlarm()], START + 9 * MINUTE_MS);
+  await settled(notifier, 1);
+
+  notifier.evaluate([inAlarm()], START + 10 * MINUTE_MS);
+  notifier.evaluate([inAlarm()], START + 20 * MINUTE_MS);
+  const log = await settled(notifier, 2);
+  assert.deepEqual(log.map(entry => [entry.kind, entry.channel]), [['notify', 'hook'], ['escalation', 'mail']]);
+  assert.match(stub.output, /Subject: ESCALATION \[CRITICAL\]/);
+
+  record = { id: 8, acknowledgedAt: new Date(START).toISOString() };
+  const acknowledged = engine([rule], { alarmLog });
+  acknowledged.evaluate([inAlarm()], START);
+  acknowledged.evaluate([inAlarm()], START + 30 * MINUTE_MS);
+  await settled(acknowledged, 1);
+  await new Promise(resolve => setTimeout(resolve, 200));
+  assert.deepEqual(acknowledged.log.map(entry => entry.kind), ['notify']);
+});
+
+test('an acknowledged alarm does not hold back a warning escalation', async () => {
+  const rule = { id: 'coolant', event: 'warning', channels: ['hook'], escalation: { afterMinutes: 10, channels: ['mail'] } };
+  const alarmLog = { current: () => ({ id: 9, acknowledgedAt: new Date(START).toISOString() }) };
+  const warning = { type: 'COOLANT_LOW', message: 'Coolant level low', severity: 'warning' };
+
+  const notifier = engine([rule], { alarmLog });
+  notifier.evaluate([inAlarm({ warnings: [warning] })], START);
+  notifier.evaluate([inAlarm({ warnings: [warning] })], START + 10 * MINUTE_MS);
+  const log = await settled(notifier, 2);
+
+  assert.deepEqual(log.map(entry => [entry.kind, entry.name]), [['notify', 'COOLANT_LOW'], ['escalation', 'COOLANT_LOW']]);
+});
+
+test('quiet hours are read in the plant timezone', async () => {
+  // config/shifts.json puts the plant in America/Chicago (UTC-6 in November)
+  const rule = { id: 'night', event: 'alarm', quietHours: { start: '22:00', end: '06:00' }, channels: ['hook'] };
+
+  // 03:00 UTC is 21:00 at the plant: before quiet hours start
+  const evening = engine([rule]);
+  evening.evaluate([inAlarm()], Date.parse('2025-11-25T03:00:00Z'));
+  await settled(evening, 1);
+
+  // 05:00 UTC is 23:00 at the plant: held until 06:00 plant time
+  const night = engine([rule]);
+  night.evaluate([inAlarm()], Date.parse('2025-11-25T05:00:00Z'));
+  night.evaluate([inAlarm()], Date.parse('2025-11-25T11:59:00Z'));
+  assert.equal(night.log.length, 0);
+  night.evaluate([inAlarm()], Date.parse('2025-11-25T12:00:00Z'));
+  const log = await settled(night, 1);
+  assert.equal(log[0].status, 'sent');
+});
@@ -0,0 +1,125 @@
+// programApproval.test.js - Program changes against the machines that run them
+// Against a running server with the shipped fleet, programs and jobs:
+// approving a version, re-tagging a program or uploading one that
+// machines run straight away is refused when it wouldn't fit them.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+const PASSWORD = 'approval-test';
+
+let server = null;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Server on an in-memory database with the simulation paused
+async function startServer() {
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    env: Object.assign({}, process.env, {
+      PORT: String(port),
+      HISTORY_DB: ':memory:',
+      ADMIN_PASSWORD: PASSWORD,
+      JWT_SECRET: 'approval-test-secret',
+      SIM_SEED: 'approval',
+      SIM_PAUSED: '1'
+    }),
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+
+  await new Promise((resolve, reject) => {
+    let output = '';
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('Server running on port')) resolve();
+    });
+    child.once('exit', code => reject(new Error(`server exited with ${code}`)));
+  });
+
+  const api = async (method, url, body) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (api.token) headers.Authorization = `Bearer ${api.token}`;
+    const response = await fetch(`http://localhost:${port}${url}`, {
+      method: method,
+      headers: headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  api.token = (await api('POST', '/api/auth/login', { username: 'admin', password: PASSWORD })).body.token;
+  api.stop = () => new Promise(done => {
+    if (child.exitCode !== null) return done();
+    child.once('exit', () => done());
+    child.kill();
+  });
+  return api;
+}
+
+// A program that needs more X travel than a VF-2 has
+function tooLong(number) {
+  return [number, 'T1 M06', 'G00 X100. Y100. S5000 M03', 'G00 Z50.', 'G01 X900. F2000.', 'M30'].join('\n');
+}
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.stop();
+});
+
+test('a version that does not fit the machines running it is not approved', async () => {
+  const { body: jobs } = await server('GET', '/api/jobs?machine=haas_vf2');
+  const job = jobs.jobs.find(entry => entry.program === 'O1234' && entry.status === 'ACTIVE');
+  assert.ok(job, 'the seeded O1234 job runs on haas_vf2');
+
+  // A new upload of an approved program is a draft: nothing runs it yet
+  const upload = await server('POST', '/api/programs', { source: tooLong('O1234') });
+  assert.equal(upload.status, 201);
+
+  const approve = await server('POST', `/api/programs/O1234/versions/${upload.body.version.version}/approve`);
+  assert.equal(approve.status, 409);
+  assert.equal(approve.body.error, `O1234 version ${upload.body.version.version} doesn't fit the machines that run it`);
+  assert.ok(approve.body.details.includes(
+    `haas_vf2 (job ${job.id}): X needs 100 to 900mm of travel, the machine has 0 to 762mm (first past it at line 5)`
+  ), JSON.stringify(approve.body.details));
+
+  assert.equal((await server('GET', '/api/programs/O1234')).body.approvedVersion, 1);
+});
+
+test('a program is not re-tagged away from the machines running it', async () => {
+  const retag = await server('PATCH', '/api/programs/O1234', { models: ['VF-4'] });
+
+  assert.equal(retag.status, 409);
+  assert.equal(retag.body.error, "O1234 doesn't fit the machines that run it");
+  assert.match(retag.body.details[0], /^haas_vf2 \(job \d+\): O1234 is for VF-4, not VF-2$/);
+  assert.deepEqual((await server('GET', '/api/programs/O1234')).body.models, ['VF-2', 'VF-4']);
+
+  assert.equal((await server('PATCH', '/api/programs/O1234', { models: ['VF-2', 'VF-4', 'VF-6'] })).status, 200);
+});
+
+test('a never-approved program is checked when it is uploaded', async () => {
+  // O1235 has a job queued on haas_vf2 but isn't in the library, so
+  // its first upload is what the machine would run
+  const refused = await server('POST', '/api/programs', { source: tooLong('O1235') });
+  assert.equal(refused.status, 409);
+  assert.match(refused.body.details[0], /^haas_vf2 \(job \d+\): X needs 100 to 900mm of travel/);
+  assert.equal((await server('GET', '/api/programs/O1235')).status, 404);
+
+  const fits = tooLong('O1235').replace('X900.', 'X700.');
+  assert.equal((await server('POST', '/api/programs', { source: fits })).status, 201);
+  assert.equal((await server('POST', '/api/programs', { source: tooLong('O1235') })).status, 409);
+});
@@ -0,0 +1,129 @@
+// programStore.test.js - NC program library
+// Versions, approval (machines run the approved version), model tags
+// and diffs.
+
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+
+const clock = require('../clock');
+const ProgramStore = require('../ProgramStore');
+const { parseProgram } = require('../gcode');
+const { diffLines } = require('../lineDiff');
+
+const { LibraryError } = ProgramStore;
+
+let now = Date.parse('2025-11-25T14:00:00Z');
+clock.useClock(() => now);
+after(() => clock.useClock(null));
+
+let store;
+beforeEach(() => {
+  store = new ProgramStore(new Database(':memory:'));
+});
+
+// A small program; `feed` changes one line between versions
+function source(feed, comment = 'BRACKET OP1') {
+  return ['%', `O01234 (${comment})`, 'T1 M06', 'G00 X10. Y10. S6000 M03', `G01 Z-1. F${feed}.`, 'M30', '%'].join('\n');
+}
+
+function save(text, options) {
+  now += 60000;
+  return store.save(parseProgram(text), text, options);
+}
+
+test('an upload is version 1; the same source again makes no new version', () => {
+  const first = save(source(500), { by: 'jdoe', models: ['VF-2'] });
+  assert.equal(first.created, true);
+  assert.equal(first.version.version, 1);
+  assert.equal(first.version.status, 'DRAFT');
+  assert.equal(first.program.uploadedBy, 'jdoe');
+
+  const again = save(source(500), { by: 'jdoe' });
+  assert.equal(again.created, false);
+  assert.equal(again.version, null);
+  assert.deepEqual(again.program.models, ['VF-2']);
+
+  const second = save(source(600));
+  assert.equal(second.version.version, 2);
+  assert.deepEqual(store.get('O1234').versions.map(v => v.version), [1, 2]);
+});
+
+test('never-approved programs run their latest version', () => {
+  save(source(500));
+  save(source(600));
+
+  assert.equal(store.runVersion('O1234').version, 2);
+  assert.equal(store.source('O1234'), source(600));
+});
+
+test('machines run the approved version; later uploads are drafts', () => {
+  save(source(500));
+  save(source(600));
+  store.approve('O1234', 1, { by: 'lead' });
+  save(source(700));
+
+  assert.equal(store.runVersion('O1234').version, 1);
+  assert.equal(store.source('O1234'), source(500));
+  assert.deepEqual(store.get('O1234').versions.map(v => v.status), ['APPROVED', 'DRAFT', 'DRAFT']);
+
+  const program = store.approve('O1234', 3, { by: 'lead' });
+  assert.equal(program.approvedVersion, 3);
+  assert.equal(program.approvedBy, 'lead');
+  assert.deepEqual(program.versions.map(v => v.status), ['SUPERSEDED', 'SUPERSEDED', 'APPROVED']);
+  assert.equal(store.source('O1234'), source(700));
+});
+
+test('approving an unknown program or version is 404, the approved one again 409', () => {
+  save(source(500));
+  store.approve('O1234', 1);
+
+  const failsWith = (fn, status) => assert.throws(fn, err => err instanceof LibraryError && err.status === status);
+  failsWith(() => store.approve('O9999', 1), 404);
+  failsWith(() => store.approve('O1234', 2), 404);
+  failsWith(() => store.approve('O1234', 1), 409);
+});
+
+test('each version keeps its own source', () => {
+  save(source(500, 'FIRST'));
+  save(source(600, 'SECOND'));
+
+  assert.equal(store.version('O1234', 1).source, source(500, 'FIRST'));
+  assert.equal(store.version('O1234', 1).comment, 'FIRST');
+  assert.equal(store.version('O1234', 2).comment, 'SECOND');
+  assert.equal(store.version('O1234', 3), null);
+});
+
+test('programs are listed for the models they are tagged with, untagged for any', () => {
+  save(source(500), { models: ['VF-2', 'VF-4'] });
+  const other = source(500).replace('O01234', 'O02040');
+  save(other);
+
+  assert.deepEqual(store.list({ model: 'VF-2' }).map(p => p.number), ['O1234', 'O2040']);
+  assert.deepEqual(store.list({ model: 'ST-10' }).map(p => p.number), ['O2040']);
+
+  store.setModels('O2040', ['ST-10']);
+  assert.deepEqual(store.list({ model: 'VF-4' }).map(p => p.number), ['O1234']);
+  assert.throws(() => store.setModels('O9999', []), err => err.status === 404);
+});
+
+test('diffs show the changed lines with context', () => {
+  const { added, removed, diff } = diffLines(source(500), source(600), { fromLabel: 'O1234 v1', toLabel: 'O1234 v2' });
+
+  assert.equal(added, 1);
+  assert.equal(removed, 1);
+  assert.equal(diff, [
+    '--- O1234 v1',
+    '+++ O1234 v2',
+    '@@ -2,6 +2,6 @@',
+    ' O01234 (BRACKET OP1)',
+    ' T1 M06',
+    ' G00 X10. Y10. S6000 M03',
+    '-G01 Z-1. F500.',
+    '+G01 Z-1. F600.',
+    ' M30',
+    ' %',
+    ''
+  ].join('\n'));
+  assert.deepEqual(diffLines(source(500), source(500)), { added: 0, removed: 0, diff: '' });
+});
@@ -0,0 +1,136 @@
+// reportExport.test.js - Report exports
+// Every format renders from the same column definitions, so the CSV,
+// the spreadsheet and the JSON carry the same columns in the same order.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+
+const { EXPORT_FORMATS, REPORTS, renderReport } = require('../reportExport');
+const { calculateOee } = require('../oee');
+
+const FROM = Date.parse('2025-11-24T06:00:00Z');
+const TO = Date.parse('2025-11-24T14:00:00Z');
+const META = { from: FROM, to: TO, timezone: 'America/Chicago', machines: null, generatedAt: TO };
+
+// A production row the way the server builds it: OEE from the state
+// segments and cycles, scrap and rework from inspection
+function productionRow() {
+  const oee = calculateOee({
+    segments: [
+      { start: FROM, end: FROM + 6 * 3600 * 1000, state: 'RUNNING', power: true },
+      { start: FROM + 6 * 3600 * 1000, end: TO, state: 'IDLE', power: true }
+    ],
+    cycles: Array.from({ length: 40 }, () => ({ program: 'O1234', parts: 1, goodParts: 1, durationMs: 500 * 1000 })),
+    from: FROM,
+    to: TO,
+    idealCycleTime: () => 480,
+    rejectedParts: 3
+  });
+
+  return {
+    machineId: 'vf2-1',
+    machine: 'Haas VF-2, Cell "A"',
+    model: 'VF-2',
+    parts: oee.totalParts,
+    goodParts: oee.goodParts,
+    scrapParts: 2,
+    reworkParts: 1,
+    cycles: 40,
+    runHours: oee.runHours,
+    avgCycleSec: 500,
+    availability: oee.availability,
+    performance: oee.performance,
+    quality: oee.quality,
+    oee: oee.oee
+  };
+}
+
+test('report columns have unique keys and a known type', () => {
+  Object.entries(REPORTS).forEach(([id, report]) => {
+    const keys = report.columns.map(column => column.key);
+    assert.equal(new Set(keys).size, keys.length, `${id} has duplicate columns`);
+    report.columns.forEach(column => {
+      assert.ok(['text', 'integer', 'number', 'hours', 'percent'].includes(column.type), `${id}.${column.key}`);
+    });
+  });
+  assert.deepEqual(Object.keys(EXPORT_FORMATS), ['json', 'csv', 'xlsx', 'pdf']);
+});
+
+test('OEE feeds the production row', () => {
+  const row = productionRow();
+
+  assert.equal(row.parts, 40);
+  assert.equal(row.goodParts, 37);
+  // Scrap and rework are separate columns; together they are what OEE rejected
+  assert.equal(row.scrapParts + row.reworkParts, row.parts - row.goodParts);
+  assert.equal(row.availability, 75);
+  assert.equal(row.performance, 88.9);
+  assert.equal(row.quality, 92.5);
+  assert.equal(row.oee, 61.7);
+  assert.equal(row.runHours, 6);
+});
+
+test('CSV has a BOM, the column labels and RFC 4180 quoting', async () => {
+  const csv = await renderReport('csv', 'production', [productionRow(), { machineId: 'vf2-2', parts: 0 }], META);
+
+  assert.ok(csv.startsWith('\uFEFF'));
+  const lines = csv.slice(1).split('\r\n');
+  assert.equal(lines.length, 4);
+  assert.equal(lines[3], '');
+  assert.equal(lines[0], REPORTS.production.columns.map(column => column.label).join(','));
+  assert.equal(lines[1], 'vf2-1,"Haas VF-2, Cell ""A""",VF-2,40,37,2,1,40,6,500,75,88.9,92.5,61.7');
+  assert.equal(lines[2], 'vf2-2,,,0,,,,,,,,,,');
+});
+
+test('JSON carries the range, the column definitions and the rows', async () => {
+  const body = JSON.parse(await renderReport('json', 'downtime', [{ machineId: 'vf2-1', reason: 'NO_OPERATOR', hours: 1.25 }], META));
+
+  assert.equal(body.report, 'downtime');
+  assert.equal(body.from, '2025-11-24T06:00:00.000Z');
+  assert.equal(body.to, '2025-11-24T14:00:00.000Z');
+  assert.equal(body.timezone, 'America/Chicago');
+  assert.deepEqual(body.columns.map(column => column.key), REPORTS.downtime.columns.map(column => column.key));
+  assert.equal(body.count, 1);
+  assert.equal(body.rows[0].hours, 1.25);
+});
+
+test('XLSX has the data sheet with typed columns and an About sheet', async () => {
+  const buffer = await renderReport('xlsx', 'production', [productionRow()], Object.assign({}, META, { machines: ['vf2-1'] }));
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheet = workbook.getWorksheet('Production');
+  assert.deepEqual(sheet.getRow(1).values.slice(1), REPORTS.production.columns.map(column => column.label));
+  assert.equal(sheet.getRow(2).getCell(1).value, 'vf2-1');
+  assert.equal(sheet.getRow(2).getCell(4).value, 40);
+  assert.equal(sheet.getRow(2).getCell(14).value, 61.7);
+  assert.equal(sheet.getColumn(11).numFmt, '0.0');
+
+  const about = {};
+  workbook.getWorksheet('About').eachRow(row => { about[row.getCell(1).value] = row.getCell(2).value; });
+  assert.equal(about.From, '2025-11-24 00:00');
+  assert.equal(about.To, '2025-11-24 08:00');
+  assert.equal(about.Machines, 'vf2-1');
+});
+
+test('PDF renders, across pages when the rows run long', async () => {
+  const short = await renderReport('pdf', 'utilization', [], META);
+  const rows = Array.from({ length: 120 }, (_, i) => ({ machineId: `m-${i}`, machine: `Machine ${i}`, uptime: 90 }));
+  const long = await renderReport('pdf', 'utilization', rows, META);
+
+  assert.equal(short.subarray(0, 5).toString(), '%PDF-');
+  assert.equal(long.subarray(0, 5).toString(), '%PDF-');
+  assert.ok((long.toString('latin1').match(/\/Type \/Page\b/g) || []).length > 1);
+});
+
+test('CSV text that looks like a formula opens as text', async () => {
+  const rows = [
+    { alarm: '=HYPERLINK("http://x","click")', code: 103, machines: '+vf2-1', severity: '@critical' },
+    { alarm: '-5 OFFSET', code: -1, machines: 'vf2-1, vf2-2' }
+  ];
+  const lines = (await renderReport('csv', 'alarms', rows, META)).slice(1).split('\r\n');
+
+  assert.equal(lines[1], '"\'=HYPERLINK(""http://x"",""click"")",103,\'@critical,,\'+vf2-1,,');
+  assert.equal(lines[2], '\'-5 OFFSET,-1,,,"vf2-1, vf2-2",,');
+});
@@ -0,0 +1,135 @@
+// scenarios.test.js - Scripted simulation scenarios
+// Scenario files are validated on their own and against the fleet they
+// will run on, and their events come out in time order.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadFleetConfig, applyFleetConfig } = require('../fleetConfig');
+const {
+  ScenarioError,
+  loadScenario,
+  validateScenario,
+  checkScenarioFleet,
+  scenarioFile,
+  listScenarios
+} = require('../scenarios');
+
+const SCENARIOS = path.join(__dirname, '..', 'config', 'scenarios');
+const FLEET = path.join(__dirname, '..', 'config', 'fleet.json');
+
+function fleet() {
+  const machines = {};
+  applyFleetConfig(machines, loadFleetConfig(FLEET), { seed: 'scenarios' });
+  return machines;
+}
+
+function tempScenario(name, text) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scenarios-'));
+  fs.writeFileSync(path.join(dir, name), text);
+  return dir;
+}
+
+test('the shipped scenarios load and fit the shipped fleet', () => {
+  const listed = listScenarios(SCENARIOS);
+  assert.ok(listed.length > 0);
+
+  const machines = fleet();
+  listed.forEach(entry => {
+    assert.equal(entry.errors, undefined, `${entry.id}: ${entry.errors}`);
+    assert.deepEqual(checkScenarioFleet(loadScenario(scenarioFile(SCENARIOS, entry.id)), machines), []);
+  });
+
+  const drill = listed.find(entry => entry.id === 'coolant-loss-vf4');
+  assert.equal(drill.seed, 'coolant-drill');
+  assert.equal(drill.durationSeconds, 900);
+});
+
+test('events are sorted by time, keeping file order within a time', () => {
+  const dir = tempScenario('drill.yaml', [
+    'name: Drill',
+    'seed: 7',
+    'events:',
+    '  - { at: 60, action: pause }',
+    '  - { at: 10, machine: haas_vf2, action: alarm, code: 103 }',
+    '  - { at: 10, machine: haas_vf2, action: clearAlarm }',
+    '  - { at: 0, action: speed, speed: 5 }'
+  ].join('\n'));
+
+  try {
+    const scenario = loadScenario(scenarioFile(dir, 'drill'));
+    assert.equal(scenario.id, 'drill');
+    assert.equal(scenario.seed, '7');
+    assert.deepEqual(scenario.events.map(event => event.action), ['speed', 'alarm', 'clearAlarm', 'pause']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('invalid scenarios list every problem', () => {
+  assert.deepEqual(validateScenario([]), ['must be an object with "name" and "events"']);
+  assert.deepEqual(validateScenario({ name: 'Empty', events: [] }), ['events: must be a non-empty list']);
+
+  assert.deepEqual(validateScenario({
+    name: '',
+    speed: 0,
+    events: [
+      { at: -1, action: 'pause' },
+      { at: 5, action: 'explode' },
+      { at: 5, action: 'alarm', machine: 'haas_vf2' },
+      { at: 5, action: 'alarm', machine: 'haas_vf2', code: '103', message: 7 },
+      { at: 5, action: 'power' },
+      { at: 5, action: 'set', machine: 'haas_vf2', field: 'partCount', value: 'lots' },
+      { at: 5, action: 'fault', machine: 'haas_vf2', severity: 2 }
+    ]
+  }), [
+    'name: required string',
+    'speed: must be a number from 0.1 to 100',
+    'events[0].at: seconds from the start, 0 or more',
+    'events[1].action: must be one of alarm, clearAlarm, power, maintenance, set, fault, speed, pause',
+    'events[2]: alarm needs a code or a message',
+    'events[3].code: must be an integer',
+    'events[3].message: must be a string',
+    'events[4].machine: required for power',
+    'events[4].on: must be true or false',
+    'events[5].field: must be one of coolant.level, batteryVoltage, oilLevel, temperature, spindleTemp, servoTemp.X, servoTemp.Y, servoTemp.Z',
+    'events[5].value: must be a number',
+    'events[6].mode: required for fault',
+    'events[6]: severity must be a number above 0, up to 1'
+  ]);
+
+  const dir = tempScenario('broken.json', '{ "name": "Broken" ');
+  try {
+    assert.throws(() => loadScenario(path.join(dir, 'broken.json')), err =>
+      err instanceof ScenarioError && /parse error/.test(err.errors[0]));
+    assert.deepEqual(listScenarios(dir).map(entry => entry.id), ['broken']);
+    assert.ok(listScenarios(dir)[0].errors.length > 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('scenario events are checked against the running fleet', () => {
+  const machines = fleet();
+  const scenario = {
+    events: [
+      { at: 0, action: 'alarm', machine: 'haas_mill_9', code: 103 },
+      { at: 0, action: 'alarm', machine: 'durma_press', code: 103 },
+      { at: 0, action: 'alarm', machine: 'haas_vf2', code: 99999 },
+      { at: 0, action: 'set', machine: 'durma_press', field: 'coolant.level', value: 15 },
+      { at: 0, action: 'fault', machine: 'haas_vf2', mode: 'RESONATOR_COOLING_LOSS' },
+      { at: 0, action: 'speed', speed: 2 }
+    ]
+  };
+
+  const errors = checkScenarioFleet(scenario, machines);
+  assert.equal(errors.length, 5);
+  assert.equal(errors[0], 'event at 0s (alarm): no machine haas_mill_9 in the fleet');
+  assert.match(errors[1], /^event at 0s \(alarm\): Alarm 103 \(.+\) does not apply to PRESS_BRAKE machines$/);
+  assert.equal(errors[2], 'event at 0s (alarm): Unknown alarm code 99999');
+  assert.equal(errors[3], 'event at 0s (set): durma_press has no coolant.level reading');
+  assert.equal(errors[4], 'event at 0s (fault): RESONATOR_COOLING_LOSS does not apply to CNC_MILL machines');
+});
@@ -0,0 +1,97 @@
+// simulation.test.js - Seeded simulation
+// The same seed, start time and steps must give the same fleet state
+// (see random.js and SimClock.js); scenarios fire on simulation time.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const clock = require('../clock');
+const SimClock = require('../SimClock');
+const ScenarioRunner = require('../ScenarioRunner');
+const { createRandom } = require('../random');
+const { loadFleetConfig, applyFleetConfig } = require('../fleetConfig');
+const { getBendProgram } = require('../bendPrograms');
+
+const FLEET = path.join(__dirname, '..', 'config', 'fleet.json');
+const PROGRAMS = path.join(__dirname, '..', 'config', 'programs');
+const START = Date.parse('2025-11-24T14:00:00Z');
+const STEP_MS = 2000;
+
+// G-code straight from the sample library, as the program store would serve it
+function programSource(number) {
+  const file = path.join(PROGRAMS, `${number}.nc`);
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+}
+
+// The whole fleet after `steps` simulation steps
+function run(seed, steps) {
+  const simClock = new SimClock({ stepMs: STEP_MS, start: START });
+  clock.useClock(() => simClock.now());
+
+  try {
+    const machines = {};
+    applyFleetConfig(machines, loadFleetConfig(FLEET), {
+      seed: seed,
+      programs: programSource,
+      bendPrograms: getBendProgram
+    });
+
+    for (let i = 0; i < steps; i++) {
+      simClock.tick();
+      Object.values(machines).forEach(machine => machine.update(STEP_MS / 1000));
+    }
+    return Object.values(machines).map(machine => machine.toJSON());
+  } finally {
+    clock.useClock(null);
+  }
+}
+
+test('the same seed and steps give the same fleet state', () => {
+  const first = run('replay', 900);
+  const second = run('replay', 900);
+
+  assert.deepEqual(second, first);
+  assert.ok(first.some(machine => machine.partCount > 0), 'machines should have made parts in 30 minutes');
+});
+
+test('a different seed gives a different run', () => {
+  assert.notDeepEqual(run('other', 900), run('replay', 900));
+});
+
+test('createRandom repeats its sequence for a seed', () => {
+  const a = createRandom('42');
+  const b = createRandom('42');
+  const c = createRandom('43');
+  const sequence = Array.from({ length: 5 }, () => a());
+
+  assert.deepEqual(Array.from({ length: 5 }, () => b()), sequence);
+  assert.notDeepEqual(Array.from({ length: 5 }, () => c()), sequence);
+  sequence.forEach(value => assert.ok(value >= 0 && value < 1));
+});
+
+test('the clock owes steps by wall time and speed, none while paused', () => {
+  const simClock = new SimClock({ stepMs: STEP_MS, speed: 10, start: START });
+  const wall = Date.now();
+  simClock.resync(wall);
+
+  assert.equal(simClock.due(wall + 2000), 10);
+  simClock.tick();
+  assert.equal(simClock.now(), START + STEP_MS);
+  assert.equal(simClock.due(wall + 2000), 9);
+
+  simClock.pause();
+  assert.equal(simClock.due(wall + 60000), 0);
+});
+
+test('scenario events fire once, in the first step at or after their time', () => {
+  const scenario = { events: [{ at: 3, action: 'alarm' }, { at: 3, action: 'clearAlarm' }, { at: 10, action: 'resume' }] };
+  const runner = new ScenarioRunner(scenario, START);
+
+  assert.deepEqual(runner.due(START + 2000), []);
+  assert.deepEqual(runner.due(START + 4000).map(event => event.action), ['alarm', 'clearAlarm']);
+  assert.deepEqual(runner.due(START + 8000), []);
+  assert.deepEqual(runner.due(START + 10000).map(event => event.action), ['resume']);
+  assert.ok(runner.finished);
+});
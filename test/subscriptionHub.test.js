@@ -0,0 +1,58 @@
+// subscriptionHub.test.js - WebSocket subscriptions and delta updates
+// A subscriber gets a SNAPSHOT and then only the fields that changed,
+// nested readings included.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+
+const HaasMachine = require('../HaasMachine');
+const SubscriptionHub = require('../SubscriptionHub');
+
+// Stands in for a connected socket; keeps what the hub sent
+function client() {
+  return {
+    readyState: WebSocket.OPEN,
+    sent: [],
+    send(data) { this.sent.push(JSON.parse(data)); }
+  };
+}
+
+test('a snapshot does not change with the machine', () => {
+  const machine = new HaasMachine('vf2-1', 'Haas VF-2 #1', 'VF-2', 'CNC_MILL');
+  const snapshot = machine.toJSON();
+
+  machine.servoTemp.X += 5;
+  machine.coolant.level -= 10;
+  machine.tools[0].life.usedMinutes += 1;
+  machine.specs.axisLimits.X[1] = 1;
+
+  assert.notEqual(snapshot.servoTemp.X, machine.servoTemp.X);
+  assert.notEqual(snapshot.coolant.level, machine.coolant.level);
+  assert.notEqual(snapshot.tools[0].life.usedMinutes, machine.tools[0].life.usedMinutes);
+  assert.notEqual(snapshot.specs.axisLimits.X[1], 1);
+});
+
+test('changed nested readings are sent in the next DELTA', () => {
+  const hub = new SubscriptionHub();
+  const machine = new HaasMachine('vf2-1', 'Haas VF-2 #1', 'VF-2', 'CNC_MILL');
+  const ws = client();
+
+  hub.publishMachines([machine.toJSON()]);
+  hub.subscribe(ws, { machines: ['vf2-1'], channels: ['telemetry'] });
+  assert.deepEqual(ws.sent.map(message => message.type), ['SUBSCRIBED', 'SNAPSHOT']);
+
+  // Nothing changed: no delta
+  hub.publishMachines([machine.toJSON()]);
+  assert.equal(ws.sent.length, 2);
+
+  machine.servoTemp.X += 5;
+  machine.coolant.level -= 10;
+  hub.publishMachines([machine.toJSON()]);
+
+  const delta = ws.sent[2];
+  assert.equal(delta.type, 'DELTA');
+  assert.deepEqual(Object.keys(delta.machines[0]).sort(), ['coolant', 'id', 'servoTemp']);
+  assert.equal(delta.machines[0].servoTemp.X, machine.servoTemp.X);
+  assert.equal(delta.machines[0].coolant.level, machine.coolant.level);
+});
@@ -0,0 +1,118 @@
+// haas-mock-controller.js - Local Haas NGC control for development
+// Answers Machine Data Collection ?Q commands over TCP the way a
+// real control does, so Q-command backed machines can be exercised
+// without a machine on the network
+//
+// Usage: node tools/haas-mock-controller.js
+//   Runs a 30s cycle (8s idle / 22s busy) and raises alarm 103
+//   for 10s every 5th cycle
+
+const net = require('net');
+
+const PORT = process.env.HAAS_MOCK_PORT || 5051;
+const CYCLE_SEC = 30;
+const IDLE_SEC = 8;
+const ALARM_EVERY = 5;
+const ALARM_SEC = 10;
+
+const startedAt = Date.now();
+const control = {
+  serialNumber: '1234567',
+  softwareVersion: '100.20.000.1110',
+  model: 'VF2',
+  program: 'O01234',
+  basePowerOnSec: 326 * 3600 + 46 * 60 + 53,
+  baseCycleStartSec: 3 * 3600 + 2 * 60 + 57,
+  baseParts: 142
+};
+
+// Derive the full control state from elapsed time so every client
+// sees the same, repeatable machine
+function currentState() {
+  const elapsed = (Date.now() - startedAt) / 1000;
+  const cycle = Math.floor(elapsed / CYCLE_SEC);
+  const inCycle = elapsed % CYCLE_SEC;
+
+  const alarm = cycle > 0 && cycle % ALARM_EVERY === 0 && inCycle < ALARM_SEC;
+  const busy = !alarm && inCycle >= IDLE_SEC;
+
+  return {
+    status: alarm ? 'ALARM ON' : (busy ? 'BUSY' : 'IDLE'),
+    alarmCode: alarm ? 103 : 0,
+    parts: control.baseParts + cycle,
+    powerOnSec: control.basePowerOnSec + elapsed,
+    cycleStartSec: control.baseCycleStartSec + cycle * (CYCLE_SEC - IDLE_SEC) + (busy ? inCycle - IDLE_SEC : 0),
+    rpm: busy ? 6800 : 0,
+    load: busy ? 38 + 8 * Math.sin(elapsed) : 0,
+    X: busy ? 381 + 120 * Math.sin(elapsed / 3) : 381,
+    Y: busy ? 203 + 80 * Math.cos(elapsed / 3) : 203,
+    Z: busy ? 400 - 15 * (inCycle - IDLE_SEC) / (CYCLE_SEC - IDLE_SEC) : 508
+  };
+}
+
+function formatTime(totalSec) {
+  const h = Math.floor(totalSec / 3600);
+  const m = Math.floor((totalSec % 3600) / 60);
+  const s = Math.floor(totalSec % 60);
+  return `${String(h).padStart(5, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+}
+
+function macro(value) {
+  return `>MACRO, ${value.toFixed(6)}`;
+}
+
+function respond(command) {
+  const state = currentState();
+  const [code, arg] = command.trim().toUpperCase().split(/\s+/);
+
+  switch (code) {
+    case '?Q100': return `>SERIAL NUMBER, ${control.serialNumber}`;
+    case '?Q101': return `>SOFTWARE VERSION, ${control.softwareVersion}`;
+    case '?Q102': return `>MODEL, ${control.model}`;
+    case '?Q104': return '>MODE, MEM';
+    case '?Q300': return `>P.O. TIME, ${formatTime(state.powerOnSec)}`;
+    case '?Q301': return `>C.S. TIME, ${formatTime(state.cycleStartSec)}`;
+    case '?Q402': return `>M30 #1, ${state.parts}`;
+    case '?Q500':
+      return `>PROGRAM, ${control.program}, ${state.status}, PARTS, ${state.parts}`;
+    case '?Q600': {
+      const variables = {
+        1098: state.load,
+        3027: state.rpm,
+        5021: state.X,
+        5022: state.Y,
+        5023: state.Z,
+        9000: state.alarmCode // Mock: active alarm number (use "alarmMacro": 9000)
+      };
+      const value = variables[parseInt(arg, 10)];
+      return value === undefined ? macro(0) : macro(value);
+    }
+    default:
+      return '>UNKNOWN';
+  }
+}
+
+const server = net.createServer((socket) => {
+  console.log(`✅ Client connected: ${socket.remoteAddress}`);
+  let buffer = '';
+
+  socket.setEncoding('latin1');
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const command = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (!command) continue;
+
+      // Real controls frame responses with STX ... CR LF ETB
+      socket.write(`\x02${respond(command)}\r\n\x17`);
+    }
+  });
+  socket.on('error', () => {});
+  socket.on('close', () => console.log('❌ Client disconnected'));
+});
+
+server.listen(PORT, () => {
+  console.log(`🔌 Haas mock controller (MDC) on port ${PORT}`);
+});
@@ -0,0 +1,58 @@
+// mtconnect-stub-agent.js - Local MTConnect agent for development
+// Serves recorded XML from fixtures/mtconnect so MTConnect-backed
+// machines can be exercised without a real control
+//
+// Usage: node tools/mtconnect-stub-agent.js [fixtureDir]
+//   /probe   -> probe.xml
+//   /current -> current.xml
+//   /sample  -> sample-*.xml, replayed in order and looped
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = process.env.MTCONNECT_STUB_PORT || 5001;
+const FIXTURE_DIR = path.resolve(process.argv[2] || path.join(__dirname, '..', 'fixtures', 'mtconnect'));
+
+const samples = fs.readdirSync(FIXTURE_DIR)
+  .filter(file => /^sample.*\.xml$/.test(file))
+  .sort();
+
+let sampleIndex = 0;
+
+function readFixture(file) {
+  return fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8');
+}
+
+const server = http.createServer((req, res) => {
+  // Accept both /current and /<device>/current
+  const request = new URL(req.url, `http://${req.headers.host}`).pathname.split('/').pop();
+  let file = null;
+
+  if (request === 'probe' || request === '') {
+    file = 'probe.xml';
+  } else if (request === 'current') {
+    file = 'current.xml';
+  } else if (request === 'sample' && samples.length > 0) {
+    file = samples[sampleIndex];
+    sampleIndex = (sampleIndex + 1) % samples.length;
+  }
+
+  if (!file) {
+    res.writeHead(404, { 'Content-Type': 'text/xml' });
+    res.end(
+      '<?xml version="1.0" encoding="UTF-8"?>' +
+      '<MTConnectError><Errors><Error errorCode="UNSUPPORTED">Unsupported request</Error></Errors></MTConnectError>'
+    );
+    return;
+  }
+
+  console.log(`${req.method} ${req.url} -> ${file}`);
+  res.writeHead(200, { 'Content-Type': 'text/xml' });
+  res.end(readFixture(file));
+});
+
+server.listen(PORT, () => {
+  console.log(`🔌 MTConnect stub agent on http://localhost:${PORT}`);
+  console.log(`📁 Fixtures: ${FIXTURE_DIR} (${samples.length} sample files)`);
+});
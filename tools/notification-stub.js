@@ -0,0 +1,111 @@
+// notification-stub.js - Local webhook + SMTP sink for development
+// Prints every notification the server sends so rules can be tried
+// out without a real Slack workspace or mail relay
+//
+// Usage: node tools/notification-stub.js
+//   HTTP  (webhook / slack / teams channels): any POST path on 5080
+//   SMTP  (email channels): port 2525, no TLS, no auth
+//   NOTIFY_STUB_FAIL_FIRST=n answers the first n webhook POSTs with a
+//   503, to try out delivery retries
+
+const http = require('http');
+const net = require('net');
+
+const HTTP_PORT = process.env.NOTIFY_STUB_HTTP_PORT || 5080;
+const SMTP_PORT = process.env.NOTIFY_STUB_SMTP_PORT || 2525;
+let failFirst = parseInt(process.env.NOTIFY_STUB_FAIL_FIRST, 10) || 0;
+
+// ========================================
+// HTTP WEBHOOK SINK
+// ========================================
+
+const httpServer = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    if (failFirst > 0) {
+      failFirst--;
+      console.log(`📨 ${req.method} ${req.url} -> 503 (failing ${failFirst} more)`);
+      res.writeHead(503, { 'Content-Type': 'text/plain' });
+      res.end('unavailable');
+      return;
+    }
+    console.log(`📨 ${req.method} ${req.url}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (err) {
+      console.log(body);
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('ok');
+  });
+});
+
+// ========================================
+// SMTP SINK
+// Just enough of RFC 5321 for nodemailer to hand over a message
+// ========================================
+
+const smtpServer = net.createServer((socket) => {
+  let buffer = '';
+  let inData = false;
+  let message = [];
+  let envelope = { from: null, to: [] };
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  socket.setEncoding('utf8');
+  reply('220 notification-stub ESMTP');
+
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    let newline;
+    while ((newline = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 2);
+
+      if (inData) {
+        if (line === '.') {
+          inData = false;
+          console.log(`✉️  Mail from ${envelope.from} to ${envelope.to.join(', ')}`);
+          console.log(message.join('\n'));
+          message = [];
+          envelope = { from: null, to: [] };
+          reply('250 OK: queued');
+        } else {
+          message.push(line.startsWith('..') ? line.slice(1) : line);
+        }
+        continue;
+      }
+
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === 'EHLO' || command === 'HELO') {
+        reply('250 notification-stub');
+      } else if (command === 'MAIL') {
+        envelope.from = line.slice(line.indexOf(':') + 1).trim();
+        reply('250 OK');
+      } else if (command === 'RCPT') {
+        envelope.to.push(line.slice(line.indexOf(':') + 1).trim());
+        reply('250 OK');
+      } else if (command === 'DATA') {
+        inData = true;
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (command === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+      } else if (command === 'RSET' || command === 'NOOP') {
+        reply('250 OK');
+      } else {
+        reply('502 Command not implemented');
+      }
+    }
+  });
+  socket.on('error', () => {});
+});
+
+httpServer.listen(HTTP_PORT, () => {
+  console.log(`🔔 Notification stub webhook on http://localhost:${HTTP_PORT}`);
+});
+smtpServer.listen(SMTP_PORT, () => {
+  console.log(`🔔 Notification stub SMTP on localhost:${SMTP_PORT}`);
+});